@@ -1,5 +1,6 @@
 const evolve = require('./src/evolve');
 const { solidify } = require('./src/gep/solidify');
+const approval = require('./src/gep/approval');
 const path = require('path');
 // Hardened Env Loading: Ensure .env is loaded before anything else
 try { require('dotenv').config({ path: path.resolve(__dirname, '../../.env') }); } catch (e) { console.warn('[Evolver] Warning: dotenv not found or failed to load .env'); }
@@ -106,12 +107,23 @@ async function main() {
 
         let currentSleepMs = Math.min(maxSleepMs, Math.max(minSleepMs, minSleepMs));
         let cycleCount = 0;
+        let lastAwaitingId = null;
 
         while (true) {
           cycleCount += 1;
 
-          // Ralph-loop gating: do not run a new cycle while previous run is pending solidify.
+          // Ralph-loop gating: do not run a new cycle while previous run is pending solidify
+          // or waiting in the review-mode approval queue.
           const st0 = readJsonSafe(solidifyStatePath);
+          let awaiting = null;
+          try { awaiting = approval.isAwaitingApproval(); } catch (e) {}
+          if (awaiting) {
+            if (awaiting.id !== lastAwaitingId) console.log(`[Approval] Waiting for approve/reject of ${awaiting.id}`);
+            lastAwaitingId = awaiting.id;
+            await sleepMs(Math.max(pendingSleepMs, minSleepMs));
+            continue;
+          }
+          lastAwaitingId = null;
           if (isPendingSolidify(st0)) {
             await sleepMs(Math.max(pendingSleepMs, minSleepMs));
             continue;
@@ -171,6 +183,15 @@ async function main() {
     console.log('Upstream: https://github.com/autogame-17/capability-evolver');
     console.log('=======================================================\n');
     
+  } else if (command === 'simulate') {
+    // Full decision pipeline with no writes and no executor: for trying new genes and detectors.
+    const stubFlag = args.find(a => typeof a === 'string' && a.startsWith('--hub-stub='));
+    try {
+      await evolve.run({ simulate: true, hubStub: stubFlag ? stubFlag.slice('--hub-stub='.length) : null });
+    } catch (error) {
+      console.error('[SIMULATE] Error:', error);
+      process.exit(1);
+    }
   } else if (command === 'solidify') {
     const dryRun = args.includes('--dry-run');
     const noRollback = args.includes('--no-rollback');
@@ -180,12 +201,18 @@ async function main() {
     const summary = summaryFlag ? summaryFlag.slice('--summary='.length) : null;
 
     try {
-      const res = solidify({
+      const res = await solidify({
         intent: intent || undefined,
         summary: summary || undefined,
         dryRun,
         rollbackOnFailure: !noRollback,
       });
+      if (res && res.pending) {
+        console.log(`[SOLIDIFY] AWAITING APPROVAL: ${res.approval.id}`);
+        console.log(`  diff: ${res.approval.diff_file}`);
+        console.log(`  node index.js approve ${res.approval.id}  |  node index.js reject ${res.approval.id} --reason=...`);
+        process.exit(0);
+      }
       const st = res && res.ok ? 'SUCCESS' : 'FAILED';
       console.log(`[SOLIDIFY] ${st}`);
       if (res && res.gene) console.log(JSON.stringify(res.gene, null, 2));
@@ -196,13 +223,133 @@ async function main() {
       console.error('[SOLIDIFY] Error:', error);
       process.exit(2);
     }
+  } else if (command === 'revert') {
+    // Undo the commit(s) of one evolution cycle and record a revert event.
+    const eventId = args.slice(1).find(a => typeof a === 'string' && !a.startsWith('--'));
+    const reasonFlag = args.find(a => typeof a === 'string' && a.startsWith('--reason='));
+    if (!eventId) {
+      console.error('Usage: node index.js revert <event_id> [--dry-run] [--force] [--reason=...]');
+      process.exit(1);
+    }
+    try {
+      const { revertEvent } = require('./src/gep/revert');
+      const res = await revertEvent(eventId, {
+        dryRun: args.includes('--dry-run'),
+        force: args.includes('--force'),
+        reason: reasonFlag ? reasonFlag.slice('--reason='.length) : null,
+      });
+      const commits = res.commits.map(c => c.slice(0, 12)).join(', ');
+      if (res.dryRun && res.ok) {
+        console.log(`[REVERT] Dry run: ${eventId} -> ${commits} (${res.blast.files} files, ${res.blast.lines} lines); inverse patch applies cleanly.`);
+      } else if (res.ok) {
+        console.log(`[REVERT] SUCCESS: ${eventId} reverted by ${res.revert_commit.slice(0, 12)} (event ${res.revert_event.id})`);
+        if (res.capsule) console.log(`[REVERT] Capsule ${res.capsule.id} confidence ${res.capsule.confidence_before} -> ${res.capsule.confidence_after}`);
+      } else {
+        console.error(`[REVERT] FAILED: ${eventId} (${commits}): ${res.reason}`);
+        if (res.validation) {
+          for (const r of res.validation.results.filter(x => !x.ok)) console.error(`  validation failed: ${r.cmd}`);
+        }
+      }
+      process.exit(res.ok ? 0 : 2);
+    } catch (error) {
+      console.error(`[REVERT] Error: ${error && error.message ? error.message : error}`);
+      process.exit(1);
+    }
+  } else if (command === 'approve' || command === 'reject') {
+    // Resolve a review-mode cycle from the approval queue (memory/evolution/pending/).
+    const id = args.slice(1).find(a => typeof a === 'string' && !a.startsWith('--'));
+    const reasonFlag = args.find(a => typeof a === 'string' && a.startsWith('--reason='));
+    const byFlag = args.find(a => typeof a === 'string' && a.startsWith('--by='));
+    if (!id) {
+      console.error(`Usage: node index.js ${command} <approval_id> [--reason=...] [--by=...]`);
+      process.exit(1);
+    }
+    try {
+      const opts = {
+        reason: reasonFlag ? reasonFlag.slice('--reason='.length) : null,
+        by: byFlag ? byFlag.slice('--by='.length) : null,
+      };
+      const { record, result } = command === 'approve' ? await approval.approvePending(id, opts) : await approval.rejectPending(id, opts);
+      const label = command === 'approve' ? 'APPROVE' : 'REJECT';
+      const evt = record.resolved.event_id || '(none)';
+      if (record.status === 'approved') {
+        const commit = record.resolved.commit ? ` commit ${record.resolved.commit.slice(0, 12)}` : '';
+        console.log(`[${label}] ${id} landed as ${evt}${commit}`);
+      } else if (record.status === 'rejected') {
+        console.log(`[${label}] ${id} rolled back; recorded failed event ${evt}`);
+      } else {
+        console.error(`[${label}] ${id} approved but failed to land (event ${evt}); the change was rolled back.`);
+        const failed = result && result.validation ? result.validation.results.filter(r => !r.ok) : [];
+        for (const r of failed) console.error(`  validation failed: ${r.cmd}`);
+      }
+      process.exit(record.status === 'failed' ? 2 : 0);
+    } catch (error) {
+      console.error(`[${command.toUpperCase()}] Error: ${error && error.message ? error.message : error}`);
+      process.exit(1);
+    }
+  } else if (command === 'pending') {
+    const list = approval.listPending();
+    if (args.includes('--json')) {
+      console.log(JSON.stringify(list, null, 2));
+    } else if (!list.length) {
+      console.log('[PENDING] No cycles awaiting approval.');
+    } else {
+      for (const r of list) {
+        const b = r.blast_radius || {};
+        console.log(`${r.id}  ${r.created_at}  gene=${r.gene_id || '-'}  ${b.files} files / ${b.lines} lines  risk=${(r.mutation && r.mutation.risk_level) || '-'}`);
+        console.log(`  signals: ${(r.signals || []).slice(0, 6).join(', ') || '(none)'}`);
+        console.log(`  diff: ${r.diff_file}`);
+      }
+    }
+  } else if (command === 'migrate') {
+    // Upgrade stored genes, capsules and events to the current GEP schema_version.
+    const dryRun = args.includes('--dry-run');
+    try {
+      const { migrateStoredAssets } = require('./src/gep/assetStore');
+      const { formatErrors } = require('./src/gep/schema');
+      const report = migrateStoredAssets({ dryRun });
+      if (args.includes('--json')) {
+        console.log(JSON.stringify(report, null, 2));
+      } else {
+        console.log(`[MIGRATE] schema ${report.schema_version}${dryRun ? ' (dry run)' : ''}`);
+        for (const kind of ['genes', 'capsules', 'events']) {
+          const r = report[kind];
+          console.log(`  ${kind}: ${r.total} total, ${r.migrated} ${dryRun ? 'to migrate' : 'migrated'}, ${r.invalid.length} invalid`);
+          for (const bad of r.invalid) {
+            console.log(`    ${bad.type || 'asset'} ${bad.id || '(no id)'}: ${formatErrors(bad.errors)}`);
+          }
+        }
+      }
+      const invalid = report.genes.invalid.length + report.capsules.invalid.length + report.events.invalid.length;
+      process.exit(invalid > 0 ? 2 : 0);
+    } catch (error) {
+      console.error('[MIGRATE] Error:', error);
+      process.exit(1);
+    }
   } else {
-    console.log(`Usage: node index.js [run|/evolve|solidify] [--loop]
+    console.log(`Usage: node index.js [run|/evolve|simulate|solidify|approve <id>|reject <id>|pending|revert <event_id>|migrate] [--loop]
+  - run flags:
+    - --review (queue validated cycles for human approval instead of landing them)
+  - simulate flags:
+    - --hub-stub=<assets.json> (local hub assets; default: empty hub)
+    - --drift
   - solidify flags:
     - --dry-run
-    - --no-rollback
+    - --no-rollback (sandboxed cycles: keep the failed worktree for inspection)
     - --intent=repair|optimize|innovate
-    - --summary=...`);
+    - --summary=...
+  - approve / reject flags:
+    - --reason=...
+    - --by=... (recorded as the approver; default $EVOLVE_APPROVER or $USER)
+  - pending flags:
+    - --json
+  - revert flags:
+    - --dry-run (find the commits and check the inverse patch only)
+    - --force (revert again even if a revert commit exists)
+    - --reason=...
+  - migrate flags:
+    - --dry-run (report what would change)
+    - --json`);
   }
 }
 
@@ -1,6 +1,6 @@
 const { loadGenes, loadCapsules, readAllEvents } = require('../src/gep/assetStore');
 const { exportEligibleCapsules, exportEligibleGenes, isAllowedA2AAsset } = require('../src/gep/a2a');
-const { buildPublish, buildHello, getTransport } = require('../src/gep/a2aProtocol');
+const { buildPublish, buildHello, getTransport, signAsset } = require('../src/gep/a2aProtocol');
 const { computeAssetId, SCHEMA_VERSION } = require('../src/gep/contentHash');
 
 function main() {
@@ -47,13 +47,16 @@ function main() {
     return;
   }
 
+  // Plain exports are signed too, so ingesting nodes can tell who published them.
+  var signed = eligible.map(function (a) { return signAsset(a); });
+
   if (asJson) {
-    process.stdout.write(JSON.stringify(eligible, null, 2) + '\n');
+    process.stdout.write(JSON.stringify(signed, null, 2) + '\n');
     return;
   }
 
-  for (var j = 0; j < eligible.length; j++) {
-    process.stdout.write(JSON.stringify(eligible[j]) + '\n');
+  for (var j = 0; j < signed.length; j++) {
+    process.stdout.write(JSON.stringify(signed[j]) + '\n');
   }
 }
 
@@ -0,0 +1,76 @@
+// Apply inbound A2A revoke / decision / report messages (see src/gep/a2aInbox.js).
+//
+// Usage:
+//   node scripts/a2a_inbox.js process [file]    # messages from a JSON/JSONL file, else the transport inbox
+//   node scripts/a2a_inbox.js tally [--json]    # per-asset validation tally
+//   node scripts/a2a_inbox.js nodes [--json]    # revocations and trust per publishing node
+var fs = require('fs');
+var inbox = require('../src/gep/a2aInbox');
+var a2a = require('../src/gep/a2a');
+var a2aProto = require('../src/gep/a2aProtocol');
+
+function readMessages(file) {
+  if (file) return Promise.resolve(a2a.parseA2AInput(fs.readFileSync(file, 'utf8')));
+  // A2A_TRANSPORT picks the inbox: file (a2a/inbox/*.jsonl), p2p, or http (assets only).
+  return Promise.resolve(a2aProto.getTransport().receive()).then(function (items) {
+    return (Array.isArray(items) ? items : []).filter(function (m) { return m && m.protocol === a2aProto.PROTOCOL_NAME; });
+  });
+}
+
+function cmdProcess(file) {
+  return readMessages(file).then(function (messages) {
+    var res = inbox.processInbox(messages);
+    for (var i = 0; i < res.skipped.length; i++) {
+      var s = res.skipped[i];
+      process.stderr.write('skipped ' + s.type + ' ' + s.message_id + ': ' + s.reason + '\n');
+    }
+    var lists = [['revoked', res.revoked], ['quarantined', res.quarantined], ['released', res.released]];
+    for (var j = 0; j < lists.length; j++) {
+      for (var k = 0; k < lists[j][1].length; k++) process.stdout.write(lists[j][0] + ' ' + lists[j][1][k] + '\n');
+    }
+    process.stdout.write('messages=' + messages.length + ' applied=' + res.applied + ' skipped=' + res.skipped.length +
+      ' votes=' + res.votes + ' revoked=' + res.revoked.length + ' quarantined=' + res.quarantined.length + ' released=' + res.released.length + '\n');
+  });
+}
+
+function cmdTally(asJson) {
+  var state = inbox.readInboxState();
+  var rows = Object.keys(state.tally).map(function (key) {
+    var t = state.tally[key];
+    var status = state.revoked[key] ? 'revoked' : state.quarantined[key] ? 'quarantined' : '-';
+    return { key: key, local_id: t.local_id, pass: t.pass, fail: t.fail, quarantine: t.quarantine, status: status, updated_at: t.updated_at };
+  });
+  if (asJson) { process.stdout.write(JSON.stringify(rows, null, 2) + '\n'); return; }
+  if (!rows.length) { process.stdout.write('(no reports)\n'); return; }
+  for (var i = 0; i < rows.length; i++) {
+    var r = rows[i];
+    process.stdout.write(r.key + (r.local_id ? ' (' + r.local_id + ')' : '') + '  pass=' + r.pass + ' fail=' + r.fail +
+      ' quarantine=' + r.quarantine + '  ' + r.status + '\n');
+  }
+}
+
+function cmdNodes(asJson) {
+  var nodes = inbox.readInboxState().nodes;
+  if (asJson) { process.stdout.write(JSON.stringify(nodes, null, 2) + '\n'); return; }
+  var ids = Object.keys(nodes);
+  if (!ids.length) { process.stdout.write('(no revocations received)\n'); return; }
+  for (var i = 0; i < ids.length; i++) {
+    var n = nodes[ids[i]];
+    process.stdout.write(ids[i] + '  trust=' + n.trust + '  revocations=' + n.revocations + '  updated=' + n.updated_at + '\n');
+  }
+}
+
+function main() {
+  var args = process.argv.slice(2);
+  var cmd = args[0] || 'process';
+  var asJson = args.indexOf('--json') > -1;
+  if (cmd === 'process') return cmdProcess(args[1]);
+  if (cmd === 'tally') return cmdTally(asJson);
+  if (cmd === 'nodes') return cmdNodes(asJson);
+  throw new Error('Unknown command: ' + cmd + '. Use process, tally or nodes.');
+}
+
+Promise.resolve().then(main).catch(function (e) {
+  process.stderr.write((e && e.message ? e.message : String(e)) + '\n');
+  process.exit(1);
+});
@@ -4,6 +4,10 @@ var a2a = require('../src/gep/a2a');
 var memGraph = require('../src/gep/memoryGraphAdapter');
 var contentHash = require('../src/gep/contentHash');
 var a2aProto = require('../src/gep/a2aProtocol');
+var schema = require('../src/gep/schema');
+var migrations = require('../src/gep/migrations');
+var signing = require('../src/gep/signing');
+var inbox = require('../src/gep/a2aInbox');
 
 function readStdin() {
   try { return fs.readFileSync(0, 'utf8'); } catch (e) { return ''; }
@@ -36,6 +40,8 @@ function main() {
   var accepted = 0;
   var rejected = 0;
   var emitDecisions = process.env.A2A_EMIT_DECISIONS === 'true';
+  var policy = signing.signaturePolicy();
+  var trustStore = policy === 'off' ? null : signing.readTrustStore();
 
   for (var j = 0; j < parsed.length; j++) {
     var obj = parsed[j];
@@ -44,6 +50,7 @@ function main() {
     if (obj.asset_id && typeof obj.asset_id === 'string') {
       if (!contentHash.verifyAssetId(obj)) {
         rejected += 1;
+        process.stderr.write('rejected ' + schema.describeAsset(obj) + ': asset_id integrity check failed\n');
         if (emitDecisions) {
           try {
             var dm = a2aProto.buildDecision({ assetId: obj.asset_id, localId: obj.id, decision: 'reject', reason: 'asset_id integrity check failed' });
@@ -54,11 +61,59 @@ function main() {
       }
     }
 
-    var staged = a2a.lowerConfidence(obj, { source: source, factor: factor });
+    // Check authorship on the asset as received, before migration changes its content.
+    var signer = null;
+    if (policy !== 'off') {
+      var sig = signing.verifySignature(obj, { trustStore: trustStore });
+      var sigWhy = signing.signatureProblem(sig, policy);
+      if (sigWhy) {
+        rejected += 1;
+        process.stderr.write('rejected ' + schema.describeAsset(obj) + ': ' + sigWhy + '\n');
+        if (emitDecisions) {
+          try {
+            var dmSig = a2aProto.buildDecision({ assetId: obj.asset_id || null, localId: obj.id, decision: 'reject', reason: sigWhy });
+            a2aProto.getTransport().send(dmSig);
+          } catch (e) {}
+        }
+        continue;
+      }
+      signer = { node_id: sig.node_id, key_id: sig.key_id, trusted: sig.trusted, reason: sig.reason };
+    }
+
+    // A publisher's revocation also covers copies that arrive later.
+    var revocation = inbox.revocationFor(obj, signer);
+    if (revocation) {
+      rejected += 1;
+      process.stderr.write('rejected ' + schema.describeAsset(obj) + ': revoked by ' + revocation.node_id + ' at ' + revocation.at + '\n');
+      continue;
+    }
+
+    // Older peers send older schema versions: upgrade, then reject what still does not fit.
+    var upgraded = migrations.migrateAsset(obj).asset;
+    var check = schema.validateAsset(upgraded, upgraded.type);
+    if (!check.ok) {
+      rejected += 1;
+      var why = schema.formatErrors(check.errors);
+      process.stderr.write('rejected ' + schema.describeAsset(obj) + ': ' + why + '\n');
+      if (emitDecisions) {
+        try {
+          var dmSchema = a2aProto.buildDecision({ assetId: obj.asset_id || null, localId: obj.id, decision: 'reject', reason: 'schema validation failed: ' + why });
+          a2aProto.getTransport().send(dmSchema);
+        } catch (e) {}
+      }
+      continue;
+    }
+
+    // Nodes that revoked assets before get their confidence scaled down further.
+    var trust = signer ? inbox.nodeTrust(signer.node_id) : 1;
+    var staged = a2a.lowerConfidence(upgraded, { source: source, factor: factor * trust });
     if (!staged) continue;
+    staged.a2a.signer = signer;
+    // The id as published: revocations and reports from peers refer to it.
+    staged.a2a.origin_asset_id = obj.asset_id || contentHash.computeAssetId(obj);
 
     assetStore.appendExternalCandidateJsonl(staged);
-    try { memGraph.recordExternalCandidate({ asset: staged, source: source, signals: signals }); } catch (e) {}
+    try { memGraph.recordExternalCandidate({ asset: staged, source: source, signals: signals, signer: signer }); } catch (e) {}
 
     if (emitDecisions) {
       try {
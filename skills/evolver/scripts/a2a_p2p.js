@@ -0,0 +1,128 @@
+// Hub-less A2A gossip between nodes on the same network (see src/gep/p2pTransport.js).
+//
+// Usage:
+//   node scripts/a2a_p2p.js serve [--port 4298] [--host 127.0.0.1] [--discovery] [--interval <ms>]
+//   node scripts/a2a_p2p.js sync [--json]        # one anti-entropy round; new assets to stdout (JSONL)
+//   node scripts/a2a_p2p.js peers [--json]
+//   node scripts/a2a_p2p.js add <url>
+//   node scripts/a2a_p2p.js remove <url>
+//
+// `serve` keeps a listener up, syncs with every peer each interval and stages what it fetched
+// through scripts/a2a_ingest.js. `sync` only prints, e.g.
+//   node scripts/a2a_p2p.js sync | node scripts/a2a_ingest.js
+var path = require('path');
+var execFileSync = require('child_process').execFileSync;
+var p2p = require('../src/gep/p2pTransport');
+
+function parseArgs(argv) {
+  var out = { flags: new Set(), kv: new Map(), positionals: [] };
+  for (var i = 0; i < argv.length; i++) {
+    var a = argv[i];
+    if (!a) continue;
+    if (a.startsWith('--')) {
+      var eq = a.indexOf('=');
+      if (eq > -1) { out.kv.set(a.slice(2, eq), a.slice(eq + 1)); }
+      else {
+        var key = a.slice(2);
+        var next = argv[i + 1];
+        if (next && !String(next).startsWith('--')) { out.kv.set(key, next); i++; }
+        else { out.flags.add(key); }
+      }
+    } else { out.positionals.push(a); }
+  }
+  return out;
+}
+
+function summarize(round) {
+  for (var i = 0; i < round.peers.length; i++) {
+    var p = round.peers[i];
+    process.stderr.write('[P2P] ' + p.url + (p.node_id ? ' (' + p.node_id + ')' : '') + ': ' +
+      (p.error ? 'error ' + p.error : 'offered=' + p.offered + ' missing=' + p.missing + ' fetched=' + p.fetched) + '\n');
+  }
+  if (!round.peers.length) process.stderr.write('[P2P] No peers. Set A2A_P2P_PEERS, run `add <url>` or serve with --discovery.\n');
+}
+
+// Stage fetched assets the same way a piped ingest would, so A2A_SIGNATURE_POLICY applies.
+function ingest(assets) {
+  if (!assets.length) return;
+  var input = assets.map(function (a) { return JSON.stringify(a); }).join('\n') + '\n';
+  try {
+    var out = execFileSync(process.execPath, [path.join(__dirname, 'a2a_ingest.js')], {
+      input: input, encoding: 'utf8', stdio: ['pipe', 'pipe', 'inherit'], timeout: 120000,
+    });
+    process.stdout.write('[P2P] ingest: ' + String(out).trim() + '\n');
+  } catch (e) {
+    console.warn('[P2P] ingest failed:', e.message);
+  }
+}
+
+function cmdServe(args) {
+  var interval = Number(args.kv.get('interval') || process.env.A2A_P2P_SYNC_MS || 60000);
+  if (!Number.isFinite(interval) || interval < 1000) throw new Error('Invalid --interval: ' + args.kv.get('interval'));
+  var opts = { discovery: args.flags.has('discovery') || process.env.A2A_P2P_DISCOVERY === 'true' };
+  if (args.kv.has('port')) opts.port = Number(args.kv.get('port'));
+  if (args.kv.has('host')) opts.host = args.kv.get('host');
+  return p2p.startP2PNode(opts).then(function (node) {
+    process.stdout.write('[P2P] Listening on ' + node.url + (opts.discovery ? ' (discovery on)' : '') + ', syncing every ' + interval + 'ms\n');
+    var busy = false;
+    var tick = function () {
+      if (busy) return;
+      busy = true;
+      p2p.syncWithPeers()
+        .then(function (round) { summarize(round); ingest(round.assets); })
+        .catch(function (e) { console.warn('[P2P] sync failed:', e.message); })
+        .then(function () { busy = false; });
+    };
+    var timer = setInterval(tick, interval);
+    tick();
+    var stop = function () {
+      clearInterval(timer);
+      node.close().then(function () { process.exit(0); });
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+  });
+}
+
+function cmdSync(args) {
+  return p2p.syncWithPeers().then(function (round) {
+    summarize(round);
+    if (args.flags.has('json')) { process.stdout.write(JSON.stringify(round.assets, null, 2) + '\n'); return; }
+    for (var i = 0; i < round.assets.length; i++) process.stdout.write(JSON.stringify(round.assets[i]) + '\n');
+  });
+}
+
+function cmdPeers(args) {
+  var peers = p2p.listPeers();
+  if (args.flags.has('json')) { process.stdout.write(JSON.stringify(peers, null, 2) + '\n'); return; }
+  if (!peers.length) { process.stdout.write('(no peers)\n'); return; }
+  for (var i = 0; i < peers.length; i++) {
+    var p = peers[i];
+    process.stdout.write(p.url + '  ' + p.source + (p.node_id ? '  node=' + p.node_id : '') +
+      (p.last_seen ? '  seen=' + p.last_seen : '') + (p.capsule_count != null ? '  capsules=' + p.capsule_count : '') + '\n');
+  }
+}
+
+function main() {
+  var args = parseArgs(process.argv.slice(2));
+  var cmd = args.positionals[0] || 'peers';
+  if (cmd === 'serve') return cmdServe(args);
+  if (cmd === 'sync') return cmdSync(args);
+  if (cmd === 'peers') return cmdPeers(args);
+  if (cmd === 'add') {
+    if (!args.positionals[1]) throw new Error('Usage: node scripts/a2a_p2p.js add <url>');
+    process.stdout.write('added ' + p2p.addPeer(args.positionals[1]).url + '\n');
+    return;
+  }
+  if (cmd === 'remove') {
+    if (!p2p.removePeer(args.positionals[1])) throw new Error('not a known peer: ' + args.positionals[1]);
+    process.stdout.write('removed ' + args.positionals[1] + '\n');
+    return;
+  }
+  throw new Error('Unknown command: ' + cmd + '. Use serve, sync, peers, add or remove.');
+}
+
+Promise.resolve().then(main).catch(function (e) {
+  process.stderr.write((e && e.message ? e.message : String(e)) + '\n');
+  process.exit(1);
+});
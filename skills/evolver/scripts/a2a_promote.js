@@ -1,7 +1,6 @@
 var assetStore = require('../src/gep/assetStore');
-var solidifyMod = require('../src/gep/solidify');
-var contentHash = require('../src/gep/contentHash');
-var a2aProto = require('../src/gep/a2aProtocol');
+var a2aPromote = require('../src/gep/a2aPromote');
+var inbox = require('../src/gep/a2aInbox');
 
 function parseArgs(argv) {
   var out = { flags: new Set(), kv: new Map(), positionals: [] };
@@ -30,7 +29,7 @@ function main() {
   var limit = Number.isFinite(Number(args.kv.get('limit'))) ? Number(args.kv.get('limit')) : 500;
 
   if (!id || !typeRaw) throw new Error('Usage: node scripts/a2a_promote.js --type capsule|gene|event --id <id> --validated');
-  if (!validated) throw new Error('Refusing to promote without --validated (local verification must be done first).');
+  if (!validated) throw new Error('Refusing to promote without --validated (local verification must be done first, or use scripts/a2a_trial.js).');
 
   var type = typeRaw === 'capsule' ? 'Capsule' : typeRaw === 'gene' ? 'Gene' : typeRaw === 'event' ? 'EvolutionEvent' : '';
   if (!type) throw new Error('Invalid --type. Use capsule, gene, or event.');
@@ -41,75 +40,16 @@ function main() {
     if (external[i] && external[i].type === type && String(external[i].id) === id) { candidate = external[i]; break; }
   }
   if (!candidate) throw new Error('Candidate not found in external zone: type=' + type + ' id=' + id);
+  var withdrawn = inbox.withdrawnReason(candidate);
+  if (withdrawn) throw new Error('Refusing to promote ' + type + ' ' + id + ': ' + withdrawn + ' (see scripts/a2a_inbox.js tally).');
 
-  if (type === 'Gene') {
-    var validation = Array.isArray(candidate.validation) ? candidate.validation : [];
-    for (var j = 0; j < validation.length; j++) {
-      var c = String(validation[j] || '').trim();
-      if (!c) continue;
-      if (!solidifyMod.isValidationCommandAllowed(c)) {
-        throw new Error('Refusing to promote Gene ' + id + ': validation command rejected by safety check: "' + c + '". Only node/npm/npx commands without shell operators are allowed.');
-      }
-    }
-  }
-
-  var promoted = JSON.parse(JSON.stringify(candidate));
-  if (!promoted.a2a || typeof promoted.a2a !== 'object') promoted.a2a = {};
-  promoted.a2a.status = 'promoted';
-  promoted.a2a.promoted_at = new Date().toISOString();
-  if (!promoted.schema_version) promoted.schema_version = contentHash.SCHEMA_VERSION;
-  promoted.asset_id = contentHash.computeAssetId(promoted);
-
-  var emitDecisions = process.env.A2A_EMIT_DECISIONS === 'true';
-
-  if (type === 'EvolutionEvent') {
-    assetStore.appendEventJsonl(promoted);
-    if (emitDecisions) {
-      try {
-        var dmEv = a2aProto.buildDecision({ assetId: promoted.asset_id, localId: id, decision: 'accept', reason: 'event promoted for provenance tracking' });
-        a2aProto.getTransport().send(dmEv);
-      } catch (e) {}
-    }
-    process.stdout.write('promoted_event=' + id + '\n');
-    return;
-  }
-
-  if (type === 'Capsule') {
-    assetStore.appendCapsule(promoted);
-    if (emitDecisions) {
-      try {
-        var dm = a2aProto.buildDecision({ assetId: promoted.asset_id, localId: id, decision: 'accept', reason: 'capsule promoted after validation' });
-        a2aProto.getTransport().send(dm);
-      } catch (e) {}
-    }
-    process.stdout.write('promoted_capsule=' + id + '\n');
+  var res = a2aPromote.promoteCandidate(candidate);
+  if (res.outcome === 'promoted') {
+    var label = type === 'EvolutionEvent' ? 'event' : type.toLowerCase();
+    process.stdout.write('promoted_' + label + '=' + id + '\n');
     return;
   }
-
-  var localGenes = assetStore.loadGenes();
-  var exists = false;
-  for (var k = 0; k < localGenes.length; k++) {
-    if (localGenes[k] && localGenes[k].type === 'Gene' && String(localGenes[k].id) === id) { exists = true; break; }
-  }
-  if (exists) {
-    if (emitDecisions) {
-      try {
-        var dm2 = a2aProto.buildDecision({ assetId: promoted.asset_id, localId: id, decision: 'reject', reason: 'local gene with same ID already exists' });
-        a2aProto.getTransport().send(dm2);
-      } catch (e) {}
-    }
-    process.stdout.write('conflict_keep_local_gene=' + id + '\n');
-    return;
-  }
-
-  assetStore.upsertGene(promoted);
-  if (emitDecisions) {
-    try {
-      var dm3 = a2aProto.buildDecision({ assetId: promoted.asset_id, localId: id, decision: 'accept', reason: 'gene promoted after safety audit' });
-      a2aProto.getTransport().send(dm3);
-    } catch (e) {}
-  }
-  process.stdout.write('promoted_gene=' + id + '\n');
+  process.stdout.write(res.outcome + '=' + id + '\n');
 }
 
 try { main(); } catch (e) {
@@ -0,0 +1,149 @@
+// Sandboxed trial of staged external candidates (see src/gep/a2aTrial.js).
+//
+// Usage:
+//   node scripts/a2a_trial.js run [--limit 500] [--max 5]          # every candidate not trialed yet
+//   node scripts/a2a_trial.js trial --type capsule|gene --id <id> [--force]
+//   node scripts/a2a_trial.js pending [--json]
+//   node scripts/a2a_trial.js list [--json]                       # verdicts of earlier trials
+//
+// Policy flags override the environment: --on-pass promote|hold (A2A_TRIAL_ON_PASS),
+// --on-fail quarantine|reject (A2A_TRIAL_ON_FAIL), --no-local-genes (A2A_TRIAL_LOCAL_GENES=false),
+// --apply-cmd "<node|npm|npx command>" (A2A_TRIAL_APPLY_CMD). Without an apply command that changes
+// the sandbox a pass is held for review, never promoted.
+var trial = require('../src/gep/a2aTrial');
+var inbox = require('../src/gep/a2aInbox');
+
+function parseArgs(argv) {
+  var out = { flags: new Set(), kv: new Map(), positionals: [] };
+  for (var i = 0; i < argv.length; i++) {
+    var a = argv[i];
+    if (!a) continue;
+    if (a.startsWith('--')) {
+      var eq = a.indexOf('=');
+      if (eq > -1) { out.kv.set(a.slice(2, eq), a.slice(eq + 1)); }
+      else {
+        var key = a.slice(2);
+        var next = argv[i + 1];
+        if (next && !String(next).startsWith('--')) { out.kv.set(key, next); i++; }
+        else { out.flags.add(key); }
+      }
+    } else { out.positionals.push(a); }
+  }
+  return out;
+}
+
+function trialOptions(args) {
+  return {
+    onPass: args.kv.get('on-pass'),
+    onFail: args.kv.get('on-fail'),
+    localGenes: args.flags.has('no-local-genes') ? false : null,
+    applyCmd: args.kv.get('apply-cmd'),
+    force: args.flags.has('force'),
+  };
+}
+
+function numberArg(args, name, fallback) {
+  if (!args.kv.has(name)) return fallback;
+  var n = Number(args.kv.get(name));
+  if (!Number.isInteger(n) || n < 1) throw new Error('Invalid --' + name + ': ' + args.kv.get(name));
+  return n;
+}
+
+function printResult(candidate, res) {
+  var failed = res.report.commands.filter(function (c) { return !c.ok; }).length;
+  process.stdout.write(res.status + ' ' + candidate.type + ' ' + candidate.id +
+    '  commands=' + res.report.commands.length + ' failed=' + failed +
+    '  gene=' + (res.gene_id || '-') + (res.gene_source ? ' (' + res.gene_source + ')' : '') +
+    '  report=' + res.report.id + '\n');
+  process.stdout.write('  ' + res.reason + '\n');
+  for (var i = 0; i < res.promoted.length; i++) {
+    var p = res.promoted[i];
+    process.stdout.write('  ' + p.outcome + ' ' + p.type + ' ' + p.id + '\n');
+  }
+}
+
+// Candidates run one after another: each gets its own worktree and validation run.
+function runAll(candidates, opts) {
+  var counts = {};
+  return candidates.reduce(function (chain, c) {
+    return chain.then(function () {
+      return trial.runTrial(c, opts).then(function (res) {
+        counts[res.status] = (counts[res.status] || 0) + 1;
+        printResult(c, res);
+      }, function (e) {
+        counts.error = (counts.error || 0) + 1;
+        process.stderr.write('error ' + c.type + ' ' + c.id + ': ' + e.message + '\n');
+      });
+    });
+  }, Promise.resolve()).then(function () {
+    if (counts.error) process.exitCode = 1;
+    var keys = Object.keys(counts);
+    process.stdout.write('trialed=' + candidates.length + (keys.length ? ' ' + keys.map(function (k) { return k + '=' + counts[k]; }).join(' ') : '') + '\n');
+  });
+}
+
+function cmdRun(args) {
+  var max = numberArg(args, 'max', Infinity);
+  var opts = trialOptions(args);
+  trial.resolveTrialPolicy(opts); // a bad policy fails once, not once per candidate
+  var pending = trial.pendingCandidates({ limit: numberArg(args, 'limit', 500) });
+  // Peer genes from untrusted keys wait until their publisher is trusted (scripts/a2a_trust.js).
+  var runnable = pending.filter(function (c) { return trial.trialGene(c).runnable; });
+  if (runnable.length < pending.length) {
+    process.stderr.write('skipped ' + (pending.length - runnable.length) + ' candidate(s) whose gene is not signed by a trusted key\n');
+  }
+  // Oldest first, so a steady stream of new candidates cannot starve earlier ones.
+  return runAll(runnable.slice(0, max), opts);
+}
+
+function cmdTrial(args) {
+  var typeRaw = String(args.kv.get('type') || '').trim().toLowerCase();
+  var id = String(args.kv.get('id') || '').trim();
+  var type = typeRaw === 'capsule' ? 'Capsule' : typeRaw === 'gene' ? 'Gene' : '';
+  if (!type || !id) throw new Error('Usage: node scripts/a2a_trial.js trial --type capsule|gene --id <id> [--force]');
+  var candidate = trial.findCandidate({ type: type, id: id, limit: numberArg(args, 'limit', 500) });
+  if (!candidate) throw new Error('Candidate not found in external zone: type=' + type + ' id=' + id);
+  return trial.runTrial(candidate, trialOptions(args)).then(function (res) {
+    printResult(candidate, res);
+    if (res.status === 'quarantined' || res.status === 'rejected') process.exitCode = 2;
+  });
+}
+
+function cmdPending(args) {
+  var pending = trial.pendingCandidates({ limit: numberArg(args, 'limit', 500) });
+  if (args.flags.has('json')) { process.stdout.write(JSON.stringify(pending, null, 2) + '\n'); return; }
+  if (!pending.length) { process.stdout.write('(no untrialed candidates)\n'); return; }
+  for (var i = 0; i < pending.length; i++) {
+    var c = pending[i];
+    var signer = c.a2a && c.a2a.signer ? c.a2a.signer.node_id : null;
+    process.stdout.write(c.type + ' ' + c.id + (c.type === 'Capsule' && c.gene ? '  gene=' + c.gene : '') + (signer ? '  from=' + signer : '') +
+      (trial.trialGene(c).runnable ? '' : '  (untrusted)') + '\n');
+  }
+}
+
+function cmdList(args) {
+  var trials = inbox.readInboxState().trials;
+  if (args.flags.has('json')) { process.stdout.write(JSON.stringify(trials, null, 2) + '\n'); return; }
+  var keys = Object.keys(trials);
+  if (!keys.length) { process.stdout.write('(no trials)\n'); return; }
+  for (var i = 0; i < keys.length; i++) {
+    var t = trials[keys[i]];
+    process.stdout.write(t.status + ' ' + t.type + ' ' + t.local_id + '  ' + keys[i] + '  trials=' + t.trials + '  at=' + t.at +
+      (t.reason ? '\n  ' + t.reason : '') + '\n');
+  }
+}
+
+function main() {
+  var args = parseArgs(process.argv.slice(2));
+  var cmd = args.positionals[0] || 'pending';
+  if (cmd === 'run') return cmdRun(args);
+  if (cmd === 'trial') return cmdTrial(args);
+  if (cmd === 'pending') return cmdPending(args);
+  if (cmd === 'list') return cmdList(args);
+  throw new Error('Unknown command: ' + cmd + '. Use run, trial, pending or list.');
+}
+
+Promise.resolve().then(main).catch(function (e) {
+  process.stderr.write((e && e.message ? e.message : String(e)) + '\n');
+  process.exit(1);
+});
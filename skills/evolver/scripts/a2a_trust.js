@@ -0,0 +1,117 @@
+// Manage this node's A2A signing identity and the keys it trusts.
+//
+// Usage:
+//   node scripts/a2a_trust.js self [--json]                 # this node's id and public key (share it)
+//   node scripts/a2a_trust.js list [--json]
+//   node scripts/a2a_trust.js add --node <node_id> --key <public_key> [--label <text>]
+//   node scripts/a2a_trust.js add --from <peer.json>        # the output of `self --json` on the peer
+//   node scripts/a2a_trust.js remove <key_id>
+//   node scripts/a2a_trust.js verify [file]                 # check signatures in a JSON/JSONL file (or stdin)
+var fs = require('fs');
+var signing = require('../src/gep/signing');
+var a2aProto = require('../src/gep/a2aProtocol');
+
+function parseArgs(argv) {
+  var out = { flags: new Set(), kv: new Map(), positionals: [] };
+  for (var i = 0; i < argv.length; i++) {
+    var a = argv[i];
+    if (!a) continue;
+    if (a.startsWith('--')) {
+      var eq = a.indexOf('=');
+      if (eq > -1) { out.kv.set(a.slice(2, eq), a.slice(eq + 1)); }
+      else {
+        var key = a.slice(2);
+        var next = argv[i + 1];
+        if (next && !String(next).startsWith('--')) { out.kv.set(key, next); i++; }
+        else { out.flags.add(key); }
+      }
+    } else { out.positionals.push(a); }
+  }
+  return out;
+}
+
+function readItems(file) {
+  var text = file ? fs.readFileSync(file, 'utf8') : fs.readFileSync(0, 'utf8');
+  var raw = String(text || '').trim();
+  if (!raw) return [];
+  try {
+    var parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch (e) {}
+  return raw.split('\n').map(function (l) { return l.trim(); }).filter(Boolean).map(function (l) {
+    try { return JSON.parse(l); } catch (e) { return null; }
+  }).filter(Boolean);
+}
+
+function cmdSelf(args) {
+  var key = signing.loadOrCreateNodeKey();
+  var out = { node_id: a2aProto.getNodeId(), key_id: key.key_id, public_key: key.public_key, created_at: key.created_at };
+  if (args.flags.has('json')) { process.stdout.write(JSON.stringify(out, null, 2) + '\n'); return; }
+  process.stdout.write('node_id:    ' + out.node_id + '\n');
+  process.stdout.write('key_id:     ' + out.key_id + '\n');
+  process.stdout.write('public_key: ' + out.public_key + '\n');
+  process.stdout.write('key file:   ' + signing.keyFilePath() + '\n');
+}
+
+function cmdList(args) {
+  var keys = signing.readTrustStore().keys;
+  if (args.flags.has('json')) { process.stdout.write(JSON.stringify(keys, null, 2) + '\n'); return; }
+  if (!keys.length) { process.stdout.write('(no trusted keys) ' + signing.trustStorePath() + '\n'); return; }
+  for (var i = 0; i < keys.length; i++) {
+    var k = keys[i];
+    process.stdout.write(k.key_id + '  node=' + k.node_id + '  added=' + (k.added_at || '-') + (k.label ? '  ' + k.label : '') + '\n');
+  }
+}
+
+function cmdAdd(args) {
+  var nodeId = args.kv.get('node');
+  var publicKey = args.kv.get('key');
+  if (args.kv.has('from')) {
+    var peer = JSON.parse(fs.readFileSync(args.kv.get('from'), 'utf8'));
+    nodeId = nodeId || peer.node_id;
+    publicKey = publicKey || peer.public_key;
+  }
+  if (!nodeId || !publicKey) throw new Error('Usage: node scripts/a2a_trust.js add --node <node_id> --key <public_key> | --from <peer.json>');
+  var entry = signing.trustKey({ nodeId: nodeId, publicKey: publicKey, label: args.kv.get('label') || null });
+  process.stdout.write('trusted ' + entry.key_id + ' for ' + entry.node_id + '\n');
+}
+
+function cmdRemove(args) {
+  var keyId = args.positionals[1];
+  if (!keyId) throw new Error('Usage: node scripts/a2a_trust.js remove <key_id>');
+  if (!signing.untrustKey(keyId)) throw new Error('key not in trust store: ' + keyId);
+  process.stdout.write('removed ' + keyId + '\n');
+}
+
+function cmdVerify(args) {
+  var items = readItems(args.positionals[1]);
+  var store = signing.readTrustStore();
+  var bad = 0;
+  for (var i = 0; i < items.length; i++) {
+    var it = items[i];
+    var isMsg = it && it.protocol === a2aProto.PROTOCOL_NAME;
+    var res = isMsg ? signing.verifyMessage(it, { trustStore: store }) : signing.verifySignature(it, { trustStore: store });
+    if (!res.trusted) bad += 1;
+    var label = isMsg ? 'message ' + it.message_type + ' ' + it.message_id : (it && it.type ? it.type : 'item') + ' ' + (it && it.id ? it.id : '(no id)');
+    var status = res.trusted ? 'trusted' : res.valid ? 'valid, ' + res.reason : res.reason;
+    process.stdout.write(label + ': ' + status + (res.node_id ? ' (node ' + res.node_id + ')' : '') + '\n');
+  }
+  process.stdout.write('checked=' + items.length + ' untrusted=' + bad + '\n');
+  if (bad > 0) process.exitCode = 2;
+}
+
+function main() {
+  var args = parseArgs(process.argv.slice(2));
+  var cmd = args.positionals[0] || 'self';
+  if (cmd === 'self') return cmdSelf(args);
+  if (cmd === 'list') return cmdList(args);
+  if (cmd === 'add') return cmdAdd(args);
+  if (cmd === 'remove') return cmdRemove(args);
+  if (cmd === 'verify') return cmdVerify(args);
+  throw new Error('Unknown command: ' + cmd + '. Use self, list, add, remove or verify.');
+}
+
+try { main(); } catch (e) {
+  process.stderr.write((e && e.message ? e.message : String(e)) + '\n');
+  process.exit(1);
+}
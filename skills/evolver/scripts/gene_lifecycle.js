@@ -0,0 +1,180 @@
+// Manage gene (and capsule) lifecycle states: active, probation, deprecated, retired.
+//
+// Usage:
+//   node scripts/gene_lifecycle.js list [--state S] [--json]
+//   node scripts/gene_lifecycle.js promote <id> [--reason TEXT] [--capsule]
+//   node scripts/gene_lifecycle.js deprecate <id> [--superseded-by ID] [--reason TEXT] [--capsule]
+//   node scripts/gene_lifecycle.js retire <id> [--reason TEXT] [--capsule]
+//   node scripts/gene_lifecycle.js merge [--apply] [--json]      genes with identical signals_match
+//   node scripts/gene_lifecycle.js rules [--apply] [--json]      outcome-driven transitions
+//
+// merge and rules only print the plan unless --apply is given.
+const assetStore = require('../src/gep/assetStore');
+const { loadMemoryGraphView } = require('../src/gep/memoryGraph');
+const {
+  STATES,
+  lifecycleState,
+  supersededBy,
+  setLifecycleState,
+  outcomeStats,
+  evaluateLifecycle,
+  applyLifecycleRules,
+  findMergeGroups,
+  mergeGenes,
+} = require('../src/gep/lifecycle');
+
+const VALUE_KEYS = ['state', 'reason', 'superseded-by'];
+
+function parseArgs(argv) {
+  const out = { flags: new Set(), kv: new Map(), positionals: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a) continue;
+    if (!a.startsWith('--')) {
+      out.positionals.push(a);
+      continue;
+    }
+    const eq = a.indexOf('=');
+    if (eq > -1) {
+      out.kv.set(a.slice(2, eq), a.slice(eq + 1));
+      continue;
+    }
+    const key = a.slice(2);
+    const next = argv[i + 1];
+    if (VALUE_KEYS.includes(key) && next && !String(next).startsWith('--')) {
+      out.kv.set(key, next);
+      i++;
+    } else {
+      out.flags.add(key);
+    }
+  }
+  return out;
+}
+
+function pad(s, n) {
+  const str = String(s == null ? '-' : s);
+  if (str.length > n) return str.slice(0, Math.max(0, n - 1)) + '~';
+  return str + ' '.repeat(n - str.length);
+}
+
+function cmdList(args) {
+  const view = loadMemoryGraphView();
+  const wanted = args.kv.get('state');
+  if (wanted && !STATES.includes(wanted)) throw new Error(`unknown state: ${wanted} (expected ${STATES.join(', ')})`);
+  const rows = assetStore
+    .loadGenes()
+    .filter(g => g && g.type === 'Gene' && (!wanted || lifecycleState(g) === wanted))
+    .map(g => {
+      const st = outcomeStats(view, g.id);
+      return {
+        id: g.id,
+        state: lifecycleState(g),
+        category: g.category || null,
+        success: Number(st.success.toFixed(2)),
+        fail: Number(st.fail.toFixed(2)),
+        rate: Number(st.rate.toFixed(3)),
+        superseded_by: supersededBy(g),
+        since: g.lifecycle && g.lifecycle.since ? g.lifecycle.since : null,
+      };
+    });
+  if (args.flags.has('json')) {
+    process.stdout.write(JSON.stringify(rows, null, 2) + '\n');
+    return;
+  }
+  process.stdout.write([pad('GENE', 44), pad('STATE', 11), pad('CATEGORY', 10), pad('S/F', 12), pad('RATE', 7), 'SUPERSEDED_BY'].join(' ') + '\n');
+  for (const r of rows) {
+    process.stdout.write([pad(r.id, 44), pad(r.state, 11), pad(r.category, 10), pad(`${r.success}/${r.fail}`, 12), pad(r.rate, 7), r.superseded_by || '-'].join(' ') + '\n');
+  }
+}
+
+function cmdSetState(cmd, args) {
+  const id = args.positionals[1];
+  if (!id) throw new Error(`Usage: node scripts/gene_lifecycle.js ${cmd} <id>`);
+  const state = { promote: 'active', deprecate: 'deprecated', retire: 'retired' }[cmd];
+  const isCapsule = args.flags.has('capsule');
+  const list = isCapsule ? assetStore.loadCapsules() : assetStore.loadGenes();
+  const asset = list.find(x => x && String(x.id) === id);
+  if (!asset) throw new Error(`${isCapsule ? 'capsule' : 'gene'} not found: ${id}`);
+
+  let successor;
+  if (args.kv.has('superseded-by')) {
+    if (state !== 'deprecated') throw new Error('--superseded-by only applies to deprecate');
+    successor = String(args.kv.get('superseded-by'));
+    const target = list.find(x => x && String(x.id) === successor);
+    if (successor === id || !target) throw new Error(`superseded-by must name another existing ${isCapsule ? 'capsule' : 'gene'}`);
+    if (lifecycleState(target) === 'retired') throw new Error(`superseded-by target is retired: ${successor}`);
+  }
+  const from = lifecycleState(asset);
+  const reason = args.kv.get('reason') || `manual ${cmd}`;
+  if (!setLifecycleState(asset, state, { reason, supersededBy: successor })) {
+    process.stdout.write(`${id} is already ${state}\n`);
+    return;
+  }
+  if (isCapsule) assetStore.upsertCapsule(asset);
+  else assetStore.upsertGene(asset);
+  process.stdout.write(`${id}: ${from} -> ${state}${supersededBy(asset) ? ` (superseded by ${supersededBy(asset)})` : ''}\n`);
+}
+
+function cmdMerge(args) {
+  const genes = assetStore.loadGenes();
+  const groups = findMergeGroups(genes, loadMemoryGraphView());
+  const apply = args.flags.has('apply');
+  const before = new Map(genes.map(g => [g.id, lifecycleState(g)]));
+  const changed = [];
+  if (apply) {
+    for (const g of groups) changed.push(...mergeGenes(g.keep, g.merge));
+    for (const gene of changed) assetStore.upsertGene(gene);
+  }
+  if (args.flags.has('json')) {
+    const plan = groups.map(g => ({ signals_key: g.signals_key, keep: g.keep.id, merge: g.merge.map(x => x.id) }));
+    process.stdout.write(JSON.stringify({ applied: apply, groups: plan, changed: changed.map(g => g.id) }, null, 2) + '\n');
+    return;
+  }
+  if (groups.length === 0) {
+    process.stdout.write('No genes share an identical signals_match.\n');
+    return;
+  }
+  for (const g of groups) {
+    process.stdout.write(`[${g.signals_key}]\n  keep  ${g.keep.id}\n`);
+    for (const m of g.merge) process.stdout.write(`  merge ${m.id} (${before.get(m.id)})\n`);
+  }
+  process.stdout.write(apply ? `\nUpdated ${changed.length} gene(s).\n` : '\nDry run; pass --apply to deprecate the merged genes.\n');
+}
+
+function cmdRules(args) {
+  const genes = assetStore.loadGenes();
+  const view = loadMemoryGraphView();
+  const apply = args.flags.has('apply');
+  const { transitions } = apply ? applyLifecycleRules({ genes, view, force: true }) : evaluateLifecycle({ genes, view });
+  if (args.flags.has('json')) {
+    process.stdout.write(JSON.stringify({ applied: apply, transitions }, null, 2) + '\n');
+    return;
+  }
+  if (transitions.length === 0) {
+    process.stdout.write('No lifecycle transitions due.\n');
+    return;
+  }
+  for (const t of transitions) process.stdout.write(`${t.gene_id}: ${t.from} -> ${t.to} (${t.reason})\n`);
+  if (!apply) process.stdout.write('\nDry run; pass --apply to write these transitions.\n');
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const cmd = args.positionals[0] || 'list';
+  if (args.flags.has('help') || cmd === 'help') {
+    process.stdout.write('Usage: node scripts/gene_lifecycle.js list|promote|deprecate|retire|merge|rules [...]\n');
+    return;
+  }
+  if (cmd === 'list') return cmdList(args);
+  if (cmd === 'promote' || cmd === 'deprecate' || cmd === 'retire') return cmdSetState(cmd, args);
+  if (cmd === 'merge') return cmdMerge(args);
+  if (cmd === 'rules') return cmdRules(args);
+  throw new Error(`unknown command: ${cmd}`);
+}
+
+try {
+  main();
+} catch (e) {
+  process.stderr.write(`${e && e.message ? e.message : String(e)}\n`);
+  process.exit(1);
+}
@@ -1,5 +1,7 @@
 const fs = require('fs');
 const { appendEventJsonl } = require('../src/gep/assetStore');
+const { validateAsset, formatErrors, describeAsset } = require('../src/gep/schema');
+const { migrateAsset } = require('../src/gep/migrations');
 
 function readStdin() {
   try {
@@ -42,33 +44,17 @@ function parseInput(text) {
   return out;
 }
 
-function isValidEvolutionEvent(ev) {
-  if (!ev || ev.type !== 'EvolutionEvent') return false;
-  if (!ev.id || typeof ev.id !== 'string') return false;
-  // parent may be null or string
-  if (!(ev.parent === null || typeof ev.parent === 'string')) return false;
-  if (!ev.intent || typeof ev.intent !== 'string') return false;
-  if (!Array.isArray(ev.signals)) return false;
-  if (!Array.isArray(ev.genes_used)) return false;
-  // GEP v1.4: mutation + personality are mandatory evolution dimensions
-  if (!ev.mutation_id || typeof ev.mutation_id !== 'string') return false;
-  if (!ev.personality_state || typeof ev.personality_state !== 'object') return false;
-  if (ev.personality_state.type !== 'PersonalityState') return false;
-  for (const k of ['rigor', 'creativity', 'verbosity', 'risk_tolerance', 'obedience']) {
-    const v = Number(ev.personality_state[k]);
-    if (!Number.isFinite(v) || v < 0 || v > 1) return false;
+// Returns the list of schema errors for an incoming event (empty when it can be appended).
+function eventErrors(ev) {
+  const res = validateAsset(ev, 'EvolutionEvent');
+  const errors = res.errors.slice();
+  if (res.ok) {
+    // GEP v1.4: mutation + personality are mandatory evolution dimensions for new events;
+    // the schema only allows null so that migrated history stays readable.
+    if (ev.mutation_id === null) errors.push({ path: '/mutation_id', message: 'is required for new events' });
+    if (ev.personality_state === null) errors.push({ path: '/personality_state', message: 'is required for new events' });
   }
-  if (!ev.blast_radius || typeof ev.blast_radius !== 'object') return false;
-  if (!Number.isFinite(Number(ev.blast_radius.files))) return false;
-  if (!Number.isFinite(Number(ev.blast_radius.lines))) return false;
-  if (!ev.outcome || typeof ev.outcome !== 'object') return false;
-  if (!ev.outcome.status || typeof ev.outcome.status !== 'string') return false;
-  const score = Number(ev.outcome.score);
-  if (!Number.isFinite(score) || score < 0 || score > 1) return false;
-
-  // capsule_id is optional, but if present must be string or null.
-  if (!('capsule_id' in ev)) return true;
-  return ev.capsule_id === null || typeof ev.capsule_id === 'string';
+  return errors;
 }
 
 function main() {
@@ -78,13 +64,20 @@ function main() {
   const items = parseInput(text);
 
   let appended = 0;
+  let rejected = 0;
   for (const it of items) {
-    if (!isValidEvolutionEvent(it)) continue;
-    appendEventJsonl(it);
+    const ev = it && it.type === 'EvolutionEvent' ? migrateAsset(it).asset : it;
+    const errors = eventErrors(ev);
+    if (errors.length) {
+      rejected += 1;
+      process.stderr.write(`rejected ${describeAsset(it, 'EvolutionEvent')}: ${formatErrors(errors)}\n`);
+      continue;
+    }
+    appendEventJsonl(ev);
     appended += 1;
   }
 
-  process.stdout.write(`appended=${appended}\n`);
+  process.stdout.write(`appended=${appended} rejected=${rejected}\n`);
 }
 
 try {
@@ -0,0 +1,145 @@
+// Replay gene selection over memory-graph history and compare a candidate policy with
+// the live configuration. Nothing is written.
+//
+// Usage:
+//   node scripts/gep_replay.js [--config candidate.json] [--limit N] [--seed N] [--rows] [--json]
+//
+// candidate.json (all fields optional; missing ones use the live configuration):
+//   {
+//     "genes": "path/to/genes.json",          // file ({ genes: [...] } or [...]) or inline array
+//     "capsules": "path/to/capsules.json",
+//     "bandit": { "policy": "ucb", "budget": 0.1, "window": 20, "ucbC": 1.0 },
+//     "similarity_threshold": 0.4,
+//     "drift": false
+//   }
+const fs = require('fs');
+const path = require('path');
+const { readMemoryGraphHistory } = require('../src/gep/memoryGraph');
+const { loadGenes, loadCapsules } = require('../src/gep/assetStore');
+const { replaySelection } = require('../src/gep/replay');
+
+function parseArgs(argv) {
+  const out = { flags: new Set(), kv: new Map() };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a || !a.startsWith('--')) continue;
+    const eq = a.indexOf('=');
+    if (eq > -1) {
+      out.kv.set(a.slice(2, eq), a.slice(eq + 1));
+      continue;
+    }
+    const key = a.slice(2);
+    const next = argv[i + 1];
+    if (['config', 'limit', 'seed'].includes(key) && next && !String(next).startsWith('--')) {
+      out.kv.set(key, next);
+      i++;
+    } else {
+      out.flags.add(key);
+    }
+  }
+  return out;
+}
+
+function readJson(p) {
+  return JSON.parse(fs.readFileSync(path.resolve(p), 'utf8'));
+}
+
+// Inline array, a path to { <field>: [...] } / [...], or the live assets.
+function resolveAssets(value, field, loadLive, baseDir) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string' && value) {
+    const data = readJson(path.resolve(baseDir, value));
+    if (Array.isArray(data)) return data;
+    if (data && Array.isArray(data[field])) return data[field];
+    throw new Error(`${value}: expected an array or { "${field}": [...] }`);
+  }
+  return loadLive();
+}
+
+function buildPolicy(cfg, baseDir) {
+  const c = cfg && typeof cfg === 'object' ? cfg : {};
+  return {
+    genes: resolveAssets(c.genes, 'genes', loadGenes, baseDir),
+    capsules: resolveAssets(c.capsules, 'capsules', loadCapsules, baseDir),
+    bandit: c.bandit && typeof c.bandit === 'object' ? c.bandit : undefined,
+    similarity_threshold: c.similarity_threshold,
+    drift: !!c.drift,
+  };
+}
+
+function pad(s, n) {
+  const str = String(s == null ? '-' : s);
+  if (str.length > n) return str.slice(0, Math.max(0, n - 1)) + '~';
+  return str + ' '.repeat(n - str.length);
+}
+
+const METRICS = [
+  ['decisions', s => s.decisions],
+  ['agreement', s => s.agreement],
+  ['success_recall', s => s.success_recall],
+  ['failure_avoidance', s => s.failure_avoidance],
+  ['no_selection_rate', s => s.no_selection_rate],
+  ['ban_rate', s => s.ban_rate],
+  ['banned_success_rate', s => s.banned_success_rate],
+  ['banned_failure_rate', s => s.banned_failure_rate],
+  ['exploration_rate', s => s.exploration_rate],
+  ['distinct_genes', s => s.diversity.distinct_genes],
+  ['choice_entropy', s => s.diversity.entropy],
+  ['top_gene_share', s => s.diversity.top_share],
+];
+
+function printSummary(columns) {
+  process.stdout.write(pad('METRIC', 22) + columns.map(c => pad(c.name.toUpperCase(), 14)).join('') + '\n');
+  process.stdout.write('-'.repeat(22 + 14 * columns.length) + '\n');
+  for (const [name, get] of METRICS) {
+    process.stdout.write(pad(name, 22) + columns.map(c => pad(get(c.result.summary), 14)).join('') + '\n');
+  }
+  const actual = columns[0].result.summary.actual_diversity;
+  process.stdout.write(`\nhistory used ${actual.distinct_genes} gene(s), entropy ${actual.entropy}, top ${actual.top_gene || '-'} (${actual.top_share == null ? '-' : actual.top_share})\n`);
+}
+
+function printRows(name, rows) {
+  process.stdout.write(`\n[${name}]\n`);
+  process.stdout.write([pad('TS', 25), pad('STATUS', 8), pad('ACTUAL', 30), pad('CHOSEN', 30), 'BANNED'].join(' ') + '\n');
+  for (const r of rows) {
+    process.stdout.write([pad(r.ts, 25), pad(r.status, 8), pad(r.actual_gene, 30), pad(r.chosen, 30), r.banned.join(',') || '-'].join(' ') + '\n');
+  }
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.flags.has('help')) {
+    process.stdout.write('Usage: node scripts/gep_replay.js [--config candidate.json] [--limit N] [--seed N] [--rows] [--json]\n');
+    return;
+  }
+  const seed = Number(args.kv.get('seed')) || 1;
+  const limit = args.kv.has('limit') ? Number(args.kv.get('limit')) : null;
+  const events = readMemoryGraphHistory();
+
+  const columns = [{ name: 'baseline', result: replaySelection({ events, policy: buildPolicy({}, process.cwd()), seed, limit }) }];
+  if (args.kv.has('config')) {
+    const cfgPath = path.resolve(String(args.kv.get('config')));
+    const policy = buildPolicy(readJson(cfgPath), path.dirname(cfgPath));
+    columns.push({ name: 'candidate', result: replaySelection({ events, policy, seed, limit }) });
+  }
+
+  if (args.flags.has('json')) {
+    const out = {};
+    for (const c of columns) out[c.name] = args.flags.has('rows') ? c.result : { summary: c.result.summary };
+    process.stdout.write(JSON.stringify(out, null, 2) + '\n');
+    return;
+  }
+  if (columns[0].result.summary.decisions === 0) {
+    process.stdout.write('No outcome events with a gene in the memory graph history; nothing to replay.\n');
+    return;
+  }
+  printSummary(columns);
+  if (args.flags.has('rows')) columns.forEach(c => printRows(c.name, c.result.rows));
+}
+
+try {
+  main();
+} catch (e) {
+  process.stderr.write(`${e && e.message ? e.message : String(e)}\n`);
+  process.exit(1);
+}
@@ -0,0 +1,51 @@
+// Run the reference A2A hub (src/hub/server.js) in the foreground.
+//
+// Usage:
+//   node scripts/hub_server.js [--port 8787] [--host 127.0.0.1] [--dir <state dir>]
+//
+// Nodes point A2A_HUB_URL at it and use A2A_TRANSPORT=http. State, including the hub's own
+// signing key, lives in --dir (HUB_DIR, default memory/hub). HUB_PROMOTE_MIN_REPORTS,
+// HUB_VOTERS, HUB_AUTO_PROMOTE and HUB_REQUIRE_SIGNATURE tune promotion and signing; see the
+// README.
+var path = require('path');
+var hub = require('../src/hub/server');
+var defaultHubDir = require('../src/hub/store').defaultHubDir;
+
+function parseArgs(argv) {
+  var out = {};
+  for (var i = 0; i < argv.length; i++) {
+    var a = argv[i];
+    if (!a || !a.startsWith('--')) continue;
+    var eq = a.indexOf('=');
+    if (eq > -1) { out[a.slice(2, eq)] = a.slice(eq + 1); continue; }
+    var next = argv[i + 1];
+    if (next && !String(next).startsWith('--')) { out[a.slice(2)] = next; i++; }
+    else { out[a.slice(2)] = true; }
+  }
+  return out;
+}
+
+function main() {
+  var args = parseArgs(process.argv.slice(2));
+  var port = Number(args.port || process.env.HUB_PORT || 8787);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) throw new Error('Invalid port: ' + args.port);
+  var host = String(args.host || process.env.HUB_HOST || '127.0.0.1');
+  var dir = args.dir ? path.resolve(args.dir) : defaultHubDir();
+  // The hub signs its replies with its own key, not the key of a node sharing this workspace.
+  if (!process.env.A2A_KEY_FILE) process.env.A2A_KEY_FILE = path.join(dir, 'hub_key.json');
+  return hub.startHubServer({ port: port, host: host, dir: dir }).then(function (h) {
+    var o = h.server.hub.options;
+    process.stdout.write('[Hub] ' + o.nodeId + ' listening on ' + h.url + ' (state: ' + h.store.dir + ', promote after ' + o.minReports + ' report(s))\n');
+    var stop = function () {
+      process.stdout.write('[Hub] Shutting down.\n');
+      h.close().then(function () { process.exit(0); });
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+  });
+}
+
+Promise.resolve().then(main).catch(function (e) {
+  process.stderr.write((e && e.message ? e.message : String(e)) + '\n');
+  process.exit(1);
+});
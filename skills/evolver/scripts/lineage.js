@@ -0,0 +1,179 @@
+// Explore the EvolutionEvent lineage (parent links in events.jsonl).
+//
+// Usage:
+//   node scripts/lineage.js summary [--json]
+//   node scripts/lineage.js branches [--min-events N] [--sort rate|events|time] [--json]
+//   node scripts/lineage.js ancestor <event_id> <event_id> [--json]
+//   node scripts/lineage.js descendants <event_id> [--json]
+//   node scripts/lineage.js descendants --capsule <capsule_id> [--json]
+//   node scripts/lineage.js export --format dot|mermaid|json [--root <event_id>] [--out FILE]
+const fs = require('fs');
+const path = require('path');
+const assetStore = require('../src/gep/assetStore');
+const lineage = require('../src/gep/lineage');
+
+const VALUE_KEYS = ['min-events', 'sort', 'capsule', 'format', 'root', 'out'];
+
+function parseArgs(argv) {
+  const out = { flags: new Set(), kv: new Map(), positionals: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a) continue;
+    if (!a.startsWith('--')) {
+      out.positionals.push(a);
+      continue;
+    }
+    const eq = a.indexOf('=');
+    if (eq > -1) {
+      out.kv.set(a.slice(2, eq), a.slice(eq + 1));
+      continue;
+    }
+    const key = a.slice(2);
+    const next = argv[i + 1];
+    if (VALUE_KEYS.includes(key) && next && !String(next).startsWith('--')) {
+      out.kv.set(key, next);
+      i++;
+    } else {
+      out.flags.add(key);
+    }
+  }
+  return out;
+}
+
+function pad(s, n) {
+  const str = String(s == null ? '-' : s);
+  if (str.length > n) return str.slice(0, Math.max(0, n - 1)) + '~';
+  return str + ' '.repeat(n - str.length);
+}
+
+function pct(x) {
+  return `${(Number(x) * 100).toFixed(0)}%`;
+}
+
+function writeJson(obj) {
+  process.stdout.write(JSON.stringify(obj, null, 2) + '\n');
+}
+
+function describeNode(node) {
+  const ev = node.event;
+  const status = ev.outcome && ev.outcome.status ? ev.outcome.status : '-';
+  const genes = Array.isArray(ev.genes_used) && ev.genes_used.length ? ev.genes_used.join(',') : '-';
+  const at = ev.meta && ev.meta.at ? ev.meta.at : '-';
+  return { id: node.id, parent: node.parent, depth: node.depth, at, intent: ev.intent || null, genes, status, capsule_id: ev.capsule_id || null };
+}
+
+function printNodes(nodes) {
+  process.stdout.write([pad('EVENT', 28), pad('AT', 25), pad('INTENT', 9), pad('STATUS', 8), pad('GENES', 36), 'CAPSULE'].join(' ') + '\n');
+  for (const n of nodes.map(describeNode)) {
+    process.stdout.write([pad(n.id, 28), pad(n.at, 25), pad(n.intent, 9), pad(n.status, 8), pad(n.genes, 36), n.capsule_id || '-'].join(' ') + '\n');
+  }
+  if (nodes.length === 0) process.stdout.write('(no events)\n');
+}
+
+function cmdSummary(tree, args) {
+  const summary = lineage.lineageSummary(tree);
+  if (args.flags.has('json')) return writeJson(summary);
+  process.stdout.write(`events: ${summary.events}  success: ${summary.success} (${pct(summary.rate)})\n`);
+  process.stdout.write(`roots: ${summary.roots} (${summary.orphans} orphaned)  forks: ${summary.forks}  max depth: ${summary.max_depth}\n`);
+}
+
+function cmdBranches(tree, args) {
+  const minEvents = Number(args.kv.get('min-events')) || 0;
+  const sort = args.kv.get('sort') || 'time';
+  if (!['rate', 'events', 'time'].includes(sort)) throw new Error(`unknown --sort: ${sort} (expected rate, events or time)`);
+  let rows = lineage.listBranches(tree).filter(b => b.subtree.events >= minEvents);
+  if (sort === 'rate') rows = rows.slice().sort((a, b) => b.subtree.rate - a.subtree.rate || b.subtree.events - a.subtree.events);
+  if (sort === 'events') rows = rows.slice().sort((a, b) => b.subtree.events - a.subtree.events);
+  if (args.flags.has('json')) return writeJson(rows);
+  process.stdout.write([pad('BRANCH', 28), pad('FORKED_FROM', 28), pad('EVENTS', 7), pad('RATE', 6), pad('SUBTREE', 8), pad('SUB_RATE', 8), 'GENES'].join(' ') + '\n');
+  for (const b of rows) {
+    process.stdout.write(
+      [
+        pad(b.id, 28),
+        pad(b.fork_event || (b.orphan ? '(orphan)' : '(root)'), 28),
+        pad(b.events, 7),
+        pad(pct(b.rate), 6),
+        pad(b.subtree.events, 8),
+        pad(pct(b.subtree.rate), 8),
+        b.genes.join(',') || '-',
+      ].join(' ') + '\n'
+    );
+  }
+  if (rows.length === 0) process.stdout.write('(no branches)\n');
+}
+
+function cmdAncestor(tree, args) {
+  const [a, b] = args.positionals.slice(1);
+  if (!a || !b) throw new Error('Usage: node scripts/lineage.js ancestor <event_id> <event_id>');
+  const common = lineage.commonAncestor(tree, a, b);
+  const distance = id => (common ? lineage.ancestors(tree, id).findIndex(n => n.id === common.id) : null);
+  const out = { a, b, common_ancestor: common ? describeNode(common) : null, distance: { a: distance(a), b: distance(b) } };
+  if (args.flags.has('json')) return writeJson(out);
+  if (!common) {
+    process.stdout.write(`${a} and ${b} share no ancestor (separate lineages).\n`);
+    return;
+  }
+  process.stdout.write(`common ancestor: ${common.id} (${out.distance.a} up from ${a}, ${out.distance.b} up from ${b})\n`);
+  printNodes([common]);
+}
+
+function cmdDescendants(tree, args) {
+  let origin;
+  if (args.kv.has('capsule')) {
+    const capsuleId = args.kv.get('capsule');
+    origin = lineage.capsuleOrigin(tree, capsuleId);
+    if (!origin) throw new Error(`no event recorded capsule ${capsuleId}`);
+  } else {
+    const id = args.positionals[1];
+    if (!id) throw new Error('Usage: node scripts/lineage.js descendants <event_id> | --capsule <capsule_id>');
+    origin = tree.nodes.get(id);
+    if (!origin) throw new Error(`event not found in lineage: ${id}`);
+  }
+  const list = lineage.descendants(tree, origin.id);
+  if (args.flags.has('json')) return writeJson({ origin: describeNode(origin), descendants: list.map(describeNode) });
+  const success = list.filter(n => lineage.isSuccess(n.event)).length;
+  process.stdout.write(`origin: ${origin.id}  descendants: ${list.length}  success: ${success} (${pct(list.length ? success / list.length : 0)})\n\n`);
+  printNodes(list);
+}
+
+function cmdExport(tree, args) {
+  const format = args.kv.get('format') || 'dot';
+  const opts = { rootId: args.kv.get('root') || null };
+  let text;
+  if (format === 'dot') text = lineage.toDot(tree, opts);
+  else if (format === 'mermaid') text = lineage.toMermaid(tree, opts);
+  else if (format === 'json') text = JSON.stringify(lineage.toJson(tree, opts), null, 2) + '\n';
+  else throw new Error(`unknown --format: ${format} (expected dot, mermaid or json)`);
+  const out = args.kv.get('out');
+  if (!out) {
+    process.stdout.write(text);
+    return;
+  }
+  const file = path.resolve(out);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, text, 'utf8');
+  process.stderr.write(`wrote ${format} lineage to ${file}\n`);
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const cmd = args.positionals[0] || 'summary';
+  if (args.flags.has('help') || cmd === 'help') {
+    process.stdout.write('Usage: node scripts/lineage.js summary|branches|ancestor <a> <b>|descendants <id>|export --format dot|mermaid|json [...]\n');
+    return;
+  }
+  const tree = lineage.buildLineage(assetStore.readAllEvents());
+  if (cmd === 'summary') return cmdSummary(tree, args);
+  if (cmd === 'branches') return cmdBranches(tree, args);
+  if (cmd === 'ancestor') return cmdAncestor(tree, args);
+  if (cmd === 'descendants') return cmdDescendants(tree, args);
+  if (cmd === 'export') return cmdExport(tree, args);
+  throw new Error(`unknown command: ${cmd}`);
+}
+
+try {
+  main();
+} catch (e) {
+  process.stderr.write(`${e && e.message ? e.message : String(e)}\n`);
+  process.exit(1);
+}
@@ -0,0 +1,293 @@
+// Inspect the memory graph: which signal keys were seen, how each gene performed,
+// how a hypothesis played out, and why getMemoryAdvice prefers or bans a gene.
+//
+// Usage:
+//   node scripts/memory_graph_query.js keys [--limit N] [--json]
+//   node scripts/memory_graph_query.js edges <gene_id> [--json]
+//   node scripts/memory_graph_query.js trace <hyp_/act_/mge_ id> [--json]
+//   node scripts/memory_graph_query.js explain <signal> [<signal> ...] [--signals a,b] [--drift] [--json]
+const fs = require('fs');
+const path = require('path');
+const memoryGraph = require('../src/gep/memoryGraph');
+const { EDGE_HALF_LIFE_DAYS, GENE_HALF_LIFE_DAYS } = memoryGraph;
+const { loadGenes } = require('../src/gep/assetStore');
+
+function parseArgs(argv) {
+  const out = { flags: new Set(), kv: new Map(), positionals: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a) continue;
+    if (a.startsWith('--')) {
+      const eq = a.indexOf('=');
+      if (eq > -1) {
+        out.kv.set(a.slice(2, eq), a.slice(eq + 1));
+      } else {
+        const key = a.slice(2);
+        const next = argv[i + 1];
+        if (['limit', 'signals'].includes(key) && next && !String(next).startsWith('--')) {
+          out.kv.set(key, next);
+          i++;
+        } else {
+          out.flags.add(key);
+        }
+      }
+    } else {
+      out.positionals.push(a);
+    }
+  }
+  return out;
+}
+
+function pad(s, n) {
+  const str = String(s == null ? '' : s);
+  if (str.length > n) return str.slice(0, Math.max(0, n - 1)) + '~';
+  return str + ' '.repeat(n - str.length);
+}
+
+function fmt(x, digits = 3) {
+  const n = Number(x);
+  return Number.isFinite(n) ? n.toFixed(digits) : '-';
+}
+
+function printTable(columns, rows) {
+  const widths = columns.map(c => c.width);
+  process.stdout.write(columns.map((c, i) => pad(c.title, widths[i])).join(' ') + '\n');
+  process.stdout.write(widths.map(w => '-'.repeat(w)).join(' ') + '\n');
+  for (const row of rows) {
+    process.stdout.write(columns.map((c, i) => pad(c.get(row), widths[i])).join(' ') + '\n');
+  }
+  if (rows.length === 0) process.stdout.write('(no rows)\n');
+}
+
+function writeJson(obj) {
+  process.stdout.write(JSON.stringify(obj, null, 2) + '\n');
+}
+
+// --- keys ---
+
+function cmdKeys(args) {
+  const view = memoryGraph.loadMemoryGraphView();
+  const byKey = new Map();
+  const touch = key => {
+    const cur = byKey.get(key) || { key, signals: [], attempts: 0, success: 0, fail: 0, genes: new Set(), last_ts: null };
+    byKey.set(key, cur);
+    return cur;
+  };
+  for (const item of view.signalKeys) {
+    if (item && item.key) touch(item.key).signals = item.signals || [];
+  }
+  for (const ev of view.events) {
+    if (!ev || ev.type !== 'MemoryGraphEvent' || !ev.signal || !ev.signal.key) continue;
+    const cur = touch(String(ev.signal.key));
+    if (Array.isArray(ev.signal.signals) && ev.signal.signals.length) cur.signals = ev.signal.signals;
+    if (ev.kind === 'attempt') cur.attempts += 1;
+  }
+  // Success/fail come from the merged (snapshot + tail) edges so compacted history counts.
+  for (const edge of view.edges.values()) {
+    const cur = touch(edge.signalKey);
+    cur.success += Number(edge.success) || 0;
+    cur.fail += Number(edge.fail) || 0;
+    cur.genes.add(edge.geneId);
+    if (edge.last_ts && (!cur.last_ts || Date.parse(edge.last_ts) > Date.parse(cur.last_ts))) cur.last_ts = edge.last_ts;
+  }
+
+  const limit = Number(args.kv.get('limit')) || 50;
+  const rows = Array.from(byKey.values())
+    .map(r => ({ ...r, genes: Array.from(r.genes), outcomes: r.success + r.fail }))
+    .sort((a, b) => b.outcomes - a.outcomes || (Date.parse(b.last_ts) || 0) - (Date.parse(a.last_ts) || 0))
+    .slice(0, limit);
+
+  if (args.flags.has('json')) return writeJson(rows);
+  printTable(
+    [
+      { title: 'SIGNAL_KEY', width: 48, get: r => r.key },
+      { title: 'ATTEMPTS', width: 8, get: r => r.attempts },
+      { title: 'SUCCESS', width: 8, get: r => fmt(r.success, 1) },
+      { title: 'FAIL', width: 8, get: r => fmt(r.fail, 1) },
+      { title: 'GENES', width: 30, get: r => r.genes.join(',') },
+      { title: 'LAST_OUTCOME', width: 24, get: r => r.last_ts || '-' },
+    ],
+    rows
+  );
+  if (view.snapshot) {
+    process.stdout.write(`\nsnapshot: ${view.snapshot.events_folded} events folded (compacted ${view.snapshot.compacted_at})\n`);
+  }
+}
+
+// --- edges ---
+
+function cmdEdges(args) {
+  const geneId = args.positionals[1];
+  if (!geneId) throw new Error('Usage: memory_graph_query.js edges <gene_id>');
+  const view = memoryGraph.loadMemoryGraphView();
+  const rows = Array.from(view.edges.values())
+    .filter(e => e.geneId === geneId)
+    .map(e => {
+      const ex = memoryGraph.edgeExpectedSuccess(e, { half_life_days: EDGE_HALF_LIFE_DAYS });
+      return { signal_key: e.signalKey, success: e.success, fail: e.fail, p: ex.p, decay_weight: ex.w, value: ex.value, last_ts: e.last_ts };
+    })
+    .sort((a, b) => b.value - a.value);
+  const gEdge = view.geneOutcomes.get(geneId);
+  const prior = gEdge ? memoryGraph.edgeExpectedSuccess(gEdge, { half_life_days: GENE_HALF_LIFE_DAYS }) : null;
+  const gene_prior = prior ? { success: gEdge.success, fail: gEdge.fail, p: prior.p, decay_weight: prior.w, value: prior.value } : null;
+
+  if (args.flags.has('json')) return writeJson({ gene_id: geneId, gene_prior, edges: rows });
+  printTable(
+    [
+      { title: 'SIGNAL_KEY', width: 48, get: r => r.signal_key },
+      { title: 'SUCCESS', width: 8, get: r => fmt(r.success, 1) },
+      { title: 'FAIL', width: 8, get: r => fmt(r.fail, 1) },
+      { title: 'P', width: 6, get: r => fmt(r.p) },
+      { title: 'DECAY', width: 6, get: r => fmt(r.decay_weight) },
+      { title: 'VALUE', width: 6, get: r => fmt(r.value) },
+      { title: 'LAST_OUTCOME', width: 24, get: r => r.last_ts || '-' },
+    ],
+    rows
+  );
+  process.stdout.write(
+    `\ngene prior: ${gene_prior ? `p=${fmt(gene_prior.p)} value=${fmt(gene_prior.value)} (${fmt(gene_prior.success, 1)} ok / ${fmt(gene_prior.fail, 1)} failed)` : '(no outcomes)'}\n`
+  );
+}
+
+// --- trace ---
+
+function readJsonlFile(p) {
+  try {
+    return fs
+      .readFileSync(p, 'utf8')
+      .split('\n')
+      .map(l => l.trim())
+      .filter(Boolean)
+      .map(l => {
+        try {
+          return JSON.parse(l);
+        } catch (e) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  } catch (e) {
+    return [];
+  }
+}
+
+function eventMatches(ev, id) {
+  if (!ev || ev.type !== 'MemoryGraphEvent') return false;
+  if (ev.id === id) return true;
+  if (ev.hypothesis && ev.hypothesis.id === id) return true;
+  if (ev.action && ev.action.id === id) return true;
+  return false;
+}
+
+// Resolve the chain hypothesis -> attempt -> outcome from any id in it.
+function collectChain(events, id) {
+  const seed = events.find(ev => eventMatches(ev, id));
+  if (!seed) return null;
+  const hypId = seed.hypothesis && seed.hypothesis.id ? seed.hypothesis.id : null;
+  let actionId = seed.action && seed.action.id ? seed.action.id : null;
+  if (!actionId && hypId) {
+    const attempt = events.find(ev => ev && ev.kind === 'attempt' && ev.hypothesis && ev.hypothesis.id === hypId);
+    if (attempt) actionId = attempt.action.id;
+  }
+  return events.filter(ev => {
+    if (!ev || ev.type !== 'MemoryGraphEvent') return false;
+    if (ev.id === seed.id) return true;
+    if (hypId && ev.hypothesis && ev.hypothesis.id === hypId) return true;
+    if (actionId && ev.action && ev.action.id === actionId) return true;
+    if (ev.derived_from && ev.derived_from.outcome_event_id) {
+      const outcome = events.find(o => o && o.id === ev.derived_from.outcome_event_id);
+      return !!(outcome && actionId && outcome.action && outcome.action.id === actionId);
+    }
+    return false;
+  });
+}
+
+function describeEvent(ev) {
+  if (ev.kind === 'hypothesis') return ev.hypothesis && ev.hypothesis.text ? ev.hypothesis.text : '';
+  if (ev.kind === 'attempt') return `selected_by=${(ev.action && ev.action.selected_by) || '-'} drift=${!!(ev.action && ev.action.drift)}`;
+  if (ev.kind === 'outcome') {
+    const o = ev.outcome || {};
+    return `status=${o.status} score=${fmt(o.score, 2)} note=${o.note || '-'}`;
+  }
+  if (ev.stats) return `p=${fmt(ev.stats.p)} value=${fmt(ev.stats.value)} attempts=${ev.stats.attempts}`;
+  return '';
+}
+
+function cmdTrace(args) {
+  const id = args.positionals[1];
+  if (!id) throw new Error('Usage: memory_graph_query.js trace <id>');
+  let chain = collectChain(memoryGraph.tryReadMemoryGraphEvents(1e9), id);
+  if (!chain) {
+    // Older chains may have been rotated out by compaction.
+    const dir = memoryGraph.memoryGraphArchiveDir();
+    const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter(f => f.endsWith('.jsonl')).sort().reverse() : [];
+    for (const f of files) {
+      chain = collectChain(readJsonlFile(path.join(dir, f)), id);
+      if (chain) break;
+    }
+  }
+  if (!chain) throw new Error(`No memory graph event found for id: ${id}`);
+
+  if (args.flags.has('json')) return writeJson(chain);
+  printTable(
+    [
+      { title: 'TS', width: 24, get: ev => ev.ts },
+      { title: 'KIND', width: 24, get: ev => ev.kind },
+      { title: 'GENE', width: 28, get: ev => (ev.gene && ev.gene.id) || '-' },
+      { title: 'DETAIL', width: 80, get: describeEvent },
+    ],
+    chain
+  );
+  const first = chain.find(ev => ev.signal && ev.signal.key);
+  if (first) process.stdout.write(`\nsignal_key: ${first.signal.key}\n`);
+}
+
+// --- explain ---
+
+function cmdExplain(args) {
+  const fromFlag = args.kv.has('signals') ? String(args.kv.get('signals')).split(',') : [];
+  const signals = fromFlag.concat(args.positionals.slice(1)).map(s => s.trim()).filter(Boolean);
+  if (signals.length === 0) throw new Error('Usage: memory_graph_query.js explain <signal> [<signal> ...]');
+  const genes = loadGenes();
+  const result = memoryGraph.explainMemoryAdvice({ signals, genes, driftEnabled: args.flags.has('drift') });
+  const out = { ...result, bannedGeneIds: Array.from(result.bannedGeneIds) };
+
+  if (args.flags.has('json')) return writeJson(out);
+  process.stdout.write(`signal_key: ${result.currentSignalKey}\n`);
+  process.stdout.write(`recalled keys: ${result.candidateKeys.length - 1} similar (threshold applies to TF-IDF cosine)\n`);
+  for (const ck of result.candidateKeys.slice(1, 6)) process.stdout.write(`  sim=${fmt(ck.sim, 2)} ${ck.key}\n`);
+  process.stdout.write('\n');
+  printTable(
+    [
+      { title: 'GENE', width: 32, get: g => g.geneId },
+      { title: 'SCORE', width: 6, get: g => fmt(g.score) },
+      { title: 'EDGE', width: 6, get: g => fmt(g.best) },
+      { title: 'ATTEMPTS', width: 8, get: g => fmt(g.attempts, 1) },
+      { title: 'PRIOR', width: 6, get: g => fmt(g.prior) },
+      { title: 'DECISION', width: 24, get: g => (g.geneId === result.preferredGeneId ? 'PREFER' : g.banned ? `BAN (${g.ban_reason})` : '-') },
+      { title: 'VIA_KEY', width: 40, get: g => (g.best_key ? `${g.best_key} @${fmt(g.best_sim, 2)}` : '-') },
+    ],
+    result.genes
+  );
+  process.stdout.write(`\nexplanation: ${result.explanation.join(' | ') || '(none)'}\n`);
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const cmd = args.positionals[0];
+  if (cmd === 'keys' || cmd === 'list') return cmdKeys(args);
+  if (cmd === 'edges') return cmdEdges(args);
+  if (cmd === 'trace') return cmdTrace(args);
+  if (cmd === 'explain') return cmdExplain(args);
+  process.stdout.write(
+    'Usage: node scripts/memory_graph_query.js <keys|edges <gene_id>|trace <id>|explain <signals...>> [--json]\n'
+  );
+  process.exitCode = cmd ? 1 : 0;
+}
+
+try {
+  main();
+} catch (e) {
+  process.stderr.write(`${e && e.message ? e.message : String(e)}\n`);
+  process.exit(1);
+}
@@ -0,0 +1,114 @@
+// Inspect and migrate the GEP asset storage backend (see src/gep/assetStore.js).
+//
+// Usage:
+//   node scripts/migrate_storage.js stats [--json]
+//   node scripts/migrate_storage.js migrate --to indexed|json [--json]
+//   node scripts/migrate_storage.js reindex [--json]
+//   node scripts/migrate_storage.js query [--type T] [--gene ID] [--capsule ID] [--signal-key K]
+//                                         [--since ISO] [--until ISO] [--limit N]
+//
+// `migrate --to indexed` copies genes.json/capsules.json into <assets>/store/ and indexes
+// events.jsonl; from then on the indexed driver is used. `migrate --to json` writes the current
+// genes and capsules back to the JSON files and switches back. EVOLVER_STORAGE overrides both.
+const assetStore = require('../src/gep/assetStore');
+
+const VALUE_KEYS = ['to', 'type', 'gene', 'capsule', 'signal-key', 'since', 'until', 'limit'];
+
+function parseArgs(argv) {
+  const out = { flags: new Set(), kv: new Map(), positionals: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a) continue;
+    if (!a.startsWith('--')) {
+      out.positionals.push(a);
+      continue;
+    }
+    const eq = a.indexOf('=');
+    if (eq > -1) {
+      out.kv.set(a.slice(2, eq), a.slice(eq + 1));
+      continue;
+    }
+    const key = a.slice(2);
+    const next = argv[i + 1];
+    if (VALUE_KEYS.includes(key) && next && !String(next).startsWith('--')) {
+      out.kv.set(key, next);
+      i++;
+    } else {
+      out.flags.add(key);
+    }
+  }
+  return out;
+}
+
+function print(obj, asJson) {
+  if (asJson) {
+    process.stdout.write(JSON.stringify(obj, null, 2) + '\n');
+    return;
+  }
+  const s = obj.stats || obj;
+  process.stdout.write(`driver: ${obj.active || obj.driver || s.driver}\n`);
+  process.stdout.write(`genes: ${s.genes}  capsules: ${s.capsules}  events: ${s.events}\n`);
+  if (s.keys) process.stdout.write(`indexed keys: ${s.keys.signal_keys} signal keys, ${s.keys.genes} genes, ${s.keys.capsules} capsules\n`);
+  if (s.bytes) {
+    process.stdout.write('bytes: ' + Object.keys(s.bytes).map(k => `${k}=${s.bytes[k]}`).join(' ') + '\n');
+  }
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const cmd = args.positionals[0] || 'stats';
+  const asJson = args.flags.has('json');
+  if (args.flags.has('help') || cmd === 'help') {
+    process.stdout.write('Usage: node scripts/migrate_storage.js stats|migrate --to indexed|json|reindex|query [...] [--json]\n');
+    return;
+  }
+  if (cmd === 'stats') {
+    print(assetStore.storageStats(), asJson);
+    return;
+  }
+  if (cmd === 'migrate') {
+    const to = args.kv.get('to');
+    if (!to) throw new Error('migrate requires --to indexed|json');
+    const res = assetStore.migrateStorage(to);
+    if (!asJson) process.stdout.write(`Migrated asset storage to the ${res.driver} driver.\n`);
+    print(res, asJson);
+    if (process.env.EVOLVER_STORAGE && process.env.EVOLVER_STORAGE !== res.driver) {
+      process.stderr.write(`Note: EVOLVER_STORAGE=${process.env.EVOLVER_STORAGE} still overrides the migrated driver.\n`);
+    }
+    return;
+  }
+  if (cmd === 'reindex') {
+    print(assetStore.rebuildEventIndex(), asJson);
+    return;
+  }
+  if (cmd === 'query') {
+    const events = assetStore.findEvents({
+      type: args.kv.get('type'),
+      geneId: args.kv.get('gene'),
+      capsuleId: args.kv.get('capsule'),
+      signalKey: args.kv.get('signal-key'),
+      since: args.kv.get('since'),
+      until: args.kv.get('until'),
+      limit: args.kv.has('limit') ? Number(args.kv.get('limit')) : 20,
+    });
+    if (asJson) {
+      process.stdout.write(JSON.stringify(events, null, 2) + '\n');
+      return;
+    }
+    for (const ev of events) {
+      const at = ev.meta && ev.meta.at ? ev.meta.at : ev.created_at || '-';
+      const status = ev.outcome && ev.outcome.status ? ev.outcome.status : '-';
+      process.stdout.write(`${at}  ${ev.type}  ${ev.id}  ${status}\n`);
+    }
+    if (events.length === 0) process.stdout.write('No matching events.\n');
+    return;
+  }
+  throw new Error(`unknown command: ${cmd}`);
+}
+
+try {
+  main();
+} catch (e) {
+  process.stderr.write(`${e && e.message ? e.message : String(e)}\n`);
+  process.exit(1);
+}
@@ -7,7 +7,7 @@ const { extractSignals } = require('./gep/signals');
 const {
   loadGenes,
   loadCapsules,
-  readAllEvents,
+  findEvents,
   getLastEventId,
   appendCandidateJsonl,
   readRecentCandidates,
@@ -17,6 +17,7 @@ const { selectGeneAndCapsule, matchPatternToSignals } = require('./gep/selector'
 const { buildGepPrompt, buildReusePrompt, buildHubMatchedBlock } = require('./gep/prompt');
 const { hubSearch } = require('./gep/hubSearch');
 const { extractCapabilityCandidates, renderCandidatesPreview } = require('./gep/candidates');
+const { parseSessionLog, formatSessionRecords, summarizeSessionRecords } = require('./gep/sessionLog');
 const memoryAdapter = require('./gep/memoryGraphAdapter');
 const {
   getAdvice: getMemoryAdvice,
@@ -26,11 +27,17 @@ const {
   recordOutcome: recordOutcomeFromState,
   memoryGraphPath,
 } = memoryAdapter;
-const { readStateForSolidify, writeStateForSolidify } = require('./gep/solidify');
+const { readStateForSolidify, writeStateForSolidify, settleLastFitness, snapshotLiveChanges } = require('./gep/solidify');
 const { buildMutation, isHighRiskMutationAllowed } = require('./gep/mutation');
+const { resolveStrategy, summarizeStrategy } = require('./gep/strategy');
 const { selectPersonalityForRun } = require('./gep/personality');
 const { clip, writePromptArtifact, renderSessionsSpawnCall } = require('./gep/bridge');
 const { getEvolutionDir } = require('./gep/paths');
+const { createSandbox, isActiveSandbox, discardSandbox, sandboxHasCommits } = require('./gep/sandbox');
+const { isAwaitingApproval } = require('./gep/approval');
+const { withdrawnChecker } = require('./gep/a2aInbox');
+const { captureErrsigEvidence } = require('./gep/regressionTests');
+const { applyLifecycleRules } = require('./gep/lifecycle');
 
 const REPO_ROOT = getRepoRoot();
 
@@ -58,101 +65,11 @@ try {
   if (!fs.existsSync(MEMORY_DIR)) fs.mkdirSync(MEMORY_DIR, { recursive: true });
 } catch (e) {}
 
-function formatSessionLog(jsonlContent) {
-  const result = [];
-  const lines = jsonlContent.split('\n');
-  let lastLine = '';
-  let repeatCount = 0;
-
-  const flushRepeats = () => {
-    if (repeatCount > 0) {
-      result.push(`   ... [Repeated ${repeatCount} times] ...`);
-      repeatCount = 0;
-    }
-  };
-
-  for (const line of lines) {
-    if (!line.trim()) continue;
-    try {
-      const data = JSON.parse(line);
-      let entry = '';
-
-      if (data.type === 'message' && data.message) {
-        const role = (data.message.role || 'unknown').toUpperCase();
-        let content = '';
-        if (Array.isArray(data.message.content)) {
-          content = data.message.content
-            .map(c => {
-              if (c.type === 'text') return c.text;
-              if (c.type === 'toolCall') return `[TOOL: ${c.name}]`;
-              return '';
-            })
-            .join(' ');
-        } else if (typeof data.message.content === 'string') {
-          content = data.message.content;
-        } else {
-          content = JSON.stringify(data.message.content);
-        }
-
-        // Capture LLM errors from errorMessage field (e.g. "Unsupported MIME type: image/gif")
-        if (data.message.errorMessage) {
-          const errMsg = typeof data.message.errorMessage === 'string'
-            ? data.message.errorMessage
-            : JSON.stringify(data.message.errorMessage);
-          content = `[LLM ERROR] ${errMsg.replace(/\n+/g, ' ').slice(0, 300)}`;
-        }
-
-        // Filter: Skip Heartbeats to save noise
-        if (content.trim() === 'HEARTBEAT_OK') continue;
-        if (content.includes('NO_REPLY') && !data.message.errorMessage) continue;
-
-        // Clean up newlines for compact reading
-        content = content.replace(/\n+/g, ' ').slice(0, 300);
-        entry = `**${role}**: ${content}`;
-      } else if (data.type === 'tool_result' || (data.message && data.message.role === 'toolResult')) {
-        // Filter: Skip generic success results or short uninformative ones
-        // Only show error or significant output
-        let resContent = '';
-
-        // Robust extraction: Handle structured tool results (e.g. sessions_spawn) that lack 'output'
-        if (data.tool_result) {
-          if (data.tool_result.output) {
-            resContent = data.tool_result.output;
-          } else {
-            resContent = JSON.stringify(data.tool_result);
-          }
-        }
-
-        if (data.content) resContent = typeof data.content === 'string' ? data.content : JSON.stringify(data.content);
-
-        if (resContent.length < 50 && (resContent.includes('success') || resContent.includes('done'))) continue;
-        if (resContent.trim() === '' || resContent === '{}') continue;
-
-        // Improvement: Show snippet of result (especially errors) instead of hiding it
-        const preview = resContent.replace(/\n+/g, ' ').slice(0, 200);
-        entry = `[TOOL RESULT] ${preview}${resContent.length > 200 ? '...' : ''}`;
-      }
-
-      if (entry) {
-        if (entry === lastLine) {
-          repeatCount++;
-        } else {
-          flushRepeats();
-          result.push(entry);
-          lastLine = entry;
-        }
-      }
-    } catch (e) {
-      continue;
-    }
-  }
-  flushRepeats();
-  return result.join('\n');
-}
-
-function readRealSessionLog() {
+// Returns { transcript, records }: the compact prompt transcript plus the typed records
+// (each tagged with its session file) that signals, candidates and evidence are built from.
+function readRealSession() {
   try {
-    if (!fs.existsSync(AGENT_SESSIONS_DIR)) return '[NO SESSION LOGS FOUND]';
+    if (!fs.existsSync(AGENT_SESSIONS_DIR)) return { transcript: '[NO SESSION LOGS FOUND]', records: [] };
 
     const now = Date.now();
     const ACTIVE_WINDOW_MS = 24 * 60 * 60 * 1000; // 24 hours
@@ -174,7 +91,7 @@ function readRealSessionLog() {
       .filter(f => f && (now - f.time) < ACTIVE_WINDOW_MS)
       .sort((a, b) => b.time - a.time); // Newest first
 
-    if (files.length === 0) return '[NO JSONL FILES]';
+    if (files.length === 0) return { transcript: '[NO JSONL FILES]', records: [] };
 
     // Skip evolver's own sessions to avoid self-reference loops
     const nonEvolverFiles = files.filter(f => !f.name.startsWith('evolver_hand_'));
@@ -183,6 +100,7 @@ function readRealSessionLog() {
     // Read from multiple active sessions (up to 6) to get a full picture
     const maxSessions = Math.min(activeFiles.length, 6);
     const sections = [];
+    const records = [];
     let totalBytes = 0;
 
     for (let i = 0; i < maxSessions && totalBytes < TARGET_BYTES; i++) {
@@ -190,18 +108,31 @@ function readRealSessionLog() {
       const bytesLeft = TARGET_BYTES - totalBytes;
       const readSize = Math.min(PER_SESSION_BYTES, bytesLeft);
       const raw = readRecentLog(path.join(AGENT_SESSIONS_DIR, f.name), readSize);
-      const formatted = formatSessionLog(raw);
+      const sessionRecords = parseSessionLog(raw);
+      const formatted = formatSessionRecords(sessionRecords);
       if (formatted.trim()) {
         sections.push(`--- SESSION (${f.name}) ---\n${formatted}`);
+        for (const r of sessionRecords) records.push(Object.assign({ session: f.name }, r));
         totalBytes += formatted.length;
       }
     }
 
-    let content = sections.join('\n\n');
+    return { transcript: sections.join('\n\n'), records };
+  } catch (e) {
+    return { transcript: `[ERROR READING SESSION LOGS: ${e.message}]`, records: [] };
+  }
+}
 
-    return content;
+// Local hub assets for simulate: a JSON array or { assets: [...] }. Missing file = empty hub.
+function readHubStub(stubPath) {
+  if (!stubPath) return [];
+  try {
+    const data = JSON.parse(fs.readFileSync(path.resolve(stubPath), 'utf8'));
+    const assets = Array.isArray(data) ? data : data && Array.isArray(data.assets) ? data.assets : [];
+    return assets.filter(a => a && typeof a === 'object');
   } catch (e) {
-    return `[ERROR READING SESSION LOGS: ${e.message}]`;
+    console.warn(`[Simulate] Hub stub unreadable (${stubPath}): ${e.message}`);
+    return [];
   }
 }
 
@@ -292,10 +223,8 @@ function checkSystemHealth() {
   return report.length ? report.join(' | ') : 'Health Check Unavailable';
 }
 
-function getMutationDirective(logContent) {
+function getMutationDirective(errorCount) {
   // Signal hints derived from recent logs.
-  const errorMatches = logContent.match(/\[ERROR|Error:|Exception:|FAIL|Failed|"isError":true/gi) || [];
-  const errorCount = errorMatches.length;
   const isUnstable = errorCount > 2;
   const recommendedIntent = isUnstable ? 'repair' : 'optimize';
 
@@ -338,7 +267,8 @@ function readUserSnippet() {
   }
 }
 
-function getNextCycleId() {
+// persist=false (simulate) only peeks at the next id.
+function getNextCycleId({ persist = true } = {}) {
   let state = { cycleCount: 0, lastRun: 0 };
   try {
     if (fs.existsSync(STATE_FILE)) {
@@ -349,9 +279,11 @@ function getNextCycleId() {
   state.cycleCount = (state.cycleCount || 0) + 1;
   state.lastRun = Date.now();
 
-  try {
-    fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
-  } catch (e) {}
+  if (persist) {
+    try {
+      fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
+    } catch (e) {}
+  }
 
   return String(state.cycleCount).padStart(4, '0');
 }
@@ -520,8 +452,13 @@ function getRecentActiveSessionCount(windowMs) {
   } catch (_) { return 0; }
 }
 
-async function run() {
-  const bridgeEnabled = String(process.env.EVOLVE_BRIDGE || '').toLowerCase() !== 'false';
+// opts.simulate: run the full decision pipeline (signals, hub search against a local stub,
+// memory advice, selection, personality, mutation) and print the decision and prompt without
+// writing any JSONL or state file and without spawning the executor. opts.hubStub is a JSON
+// file of hub assets ([...] or { assets: [...] }) used instead of the network.
+async function run(opts = {}) {
+  const simulate = !!(opts && opts.simulate);
+  const bridgeEnabled = !simulate && String(process.env.EVOLVE_BRIDGE || '').toLowerCase() !== 'false';
   const loopMode = ARGS.includes('--loop') || ARGS.includes('--mad-dog') || String(process.env.EVOLVE_LOOP || '').toLowerCase() === 'true';
 
   // SAFEGUARD: If the agent has too many active user sessions, back off.
@@ -529,7 +466,7 @@ async function run() {
   const QUEUE_MAX = Number.parseInt(process.env.EVOLVE_AGENT_QUEUE_MAX || '10', 10);
   const QUEUE_BACKOFF_MS = Number.parseInt(process.env.EVOLVE_AGENT_QUEUE_BACKOFF_MS || '60000', 10);
   const activeUserSessions = getRecentActiveSessionCount(10 * 60 * 1000);
-  if (activeUserSessions > QUEUE_MAX) {
+  if (!simulate && activeUserSessions > QUEUE_MAX) {
     console.log(`[Evolver] Agent has ${activeUserSessions} active user sessions (max ${QUEUE_MAX}). Backing off ${QUEUE_BACKOFF_MS}ms to avoid starving user conversations.`);
     await sleepMs(QUEUE_BACKOFF_MS);
     return;
@@ -558,18 +495,48 @@ async function run() {
     }
   }
 
+  // A review-mode cycle waiting in the approval queue owns last_run and its sandbox; starting a
+  // new cycle would orphan it. Resolve it first with `node index.js approve|reject <id>`.
+  if (!simulate) {
+    let awaiting = null;
+    try {
+      awaiting = isAwaitingApproval();
+    } catch (e) {}
+    if (awaiting) {
+      console.log(`[Approval] Cycle ${awaiting.id} is awaiting approval; not starting a new cycle. Run: node index.js approve|reject ${awaiting.id}`);
+      return;
+    }
+  }
+
   const startTime = Date.now();
   console.log('Scanning session logs...');
 
-  // Maintenance: Clean up old logs to keep directory scan fast
-  performMaintenance();
+  if (simulate) {
+    console.log('[Simulate] Dry run: no JSONL/state writes, no maintenance, no executor spawn.');
+  } else {
+    // Maintenance: Clean up old logs to keep directory scan fast
+    performMaintenance();
 
-  const recentMasterLog = readRealSessionLog();
+    // Maintenance: fold old memory graph events into the snapshot so long-lived agents keep
+    // what they learned without re-reading an ever-growing JSONL.
+    try {
+      const compacted = memoryAdapter.compact();
+      if (compacted) {
+        console.log(`[MemoryGraph] Compacted ${compacted.folded} events into snapshot (${compacted.kept} kept live).`);
+      }
+    } catch (e) {
+      console.warn(`[MemoryGraph] Compaction skipped: ${e.message}`);
+    }
+  }
+
+  const session = readRealSession();
+  const recentMasterLog = session.transcript;
+  const sessionSummary = summarizeSessionRecords(session.records);
   const todayLog = readRecentLog(TODAY_LOG);
   const memorySnippet = readMemorySnippet();
   const userSnippet = readUserSnippet();
 
-  const cycleNum = getNextCycleId();
+  const cycleNum = getNextCycleId({ persist: !simulate });
   const cycleId = `Cycle #${cycleNum}`;
 
   // 2. Detect Workspace State & Local Overrides
@@ -597,10 +564,10 @@ async function run() {
   - Ensure you pass the status and action details.`;
   }
 
-  // Handle Review Mode Flag (--review)
+  // Handle Review Mode Flag (--review): solidify queues the cycle for human approval.
   if (IS_REVIEW_MODE) {
     reportingDirective +=
-      '\n  - REVIEW PAUSE: After generating the fix but BEFORE applying significant edits, ask the user for confirmation.';
+      '\n  - REVIEW MODE: solidify will not land this change; it queues it for human approval (prints [SOLIDIFY] AWAITING APPROVAL). That is the expected outcome: report it as awaiting approval and stop.';
   }
 
   const SKILLS_CACHE_FILE = path.join(MEMORY_DIR, 'skills_list_cache.json');
@@ -669,16 +636,23 @@ async function run() {
         fileList = skills.join('\n');
 
         // Write cache
-        try {
-          fs.writeFileSync(SKILLS_CACHE_FILE, JSON.stringify({ list: fileList }, null, 2));
-        } catch (e) {}
+        if (!simulate) {
+          try {
+            fs.writeFileSync(SKILLS_CACHE_FILE, JSON.stringify({ list: fileList }, null, 2));
+          } catch (e) {}
+        }
       }
     }
   } catch (e) {
     fileList = `Error listing skills: ${e.message}`;
   }
 
-  const mutationDirective = getMutationDirective(recentMasterLog);
+  // Count failed tool results and LLM errors from the typed records rather than grepping the
+  // transcript for words like "failed", which also appear in healthy output.
+  const recentErrorCount = session.records.length > 0
+    ? sessionSummary.error_count
+    : (recentMasterLog.match(/\[ERROR|Error:|Exception:|FAIL|Failed|"isError":true/gi) || []).length;
+  const mutationDirective = getMutationDirective(recentErrorCount);
   const healthReport = checkSystemHealth();
 
   // Feature: Mood Awareness (Mode E - Personalization)
@@ -702,31 +676,30 @@ async function run() {
     syncDirective = 'Workspace sync: run skills/git-sync/sync.sh "Evolution: Workspace Sync"';
   }
 
-  const genes = loadGenes();
+  let genes = loadGenes();
   const capsules = loadCapsules();
   const recentEvents = (() => {
     try {
-      const all = readAllEvents();
-      return Array.isArray(all) ? all.filter(e => e && e.type === 'EvolutionEvent').slice(-80) : [];
+      const recent = findEvents({ type: 'EvolutionEvent', limit: 80 });
+      return Array.isArray(recent) ? recent : [];
     } catch (e) {
       return [];
     }
   })();
   const signals = extractSignals({
     recentSessionTranscript: recentMasterLog,
+    sessionRecords: session.records,
     todayLog,
     memorySnippet,
     userSnippet,
     recentEvents,
   });
 
-  const recentErrorMatches = recentMasterLog.match(/\[ERROR|Error:|Exception:|FAIL|Failed|"isError":true/gi) || [];
-  const recentErrorCount = recentErrorMatches.length;
-
   const evidence = {
     // Keep short; do not store full transcripts in the graph.
     recent_session_tail: String(recentMasterLog || '').slice(-6000),
     today_log_tail: String(todayLog || '').slice(-2500),
+    session_summary: sessionSummary,
   };
 
   const observations = {
@@ -745,36 +718,59 @@ async function run() {
     evidence,
   };
 
-  // Memory Graph: close last action with an inferred outcome (append-only graph, mutable state).
-  try {
-    recordOutcomeFromState({ signals, observations });
-  } catch (e) {
-    // If we can't read/write memory graph, refuse to evolve (no "memoryless evolution").
-    console.error(`[MemoryGraph] Outcome write failed: ${e.message}`);
-    console.error(`[MemoryGraph] Refusing to evolve without causal memory. Target: ${memoryGraphPath()}`);
-    throw new Error(`MemoryGraph Outcome write failed: ${e.message}`);
-  }
+  // Simulation observes the graph but never closes the previous action or records this one.
+  if (!simulate) {
+    // Memory Graph: close last action with an inferred outcome (append-only graph, mutable state).
+    try {
+      recordOutcomeFromState({ signals, observations });
+    } catch (e) {
+      // If we can't read/write memory graph, refuse to evolve (no "memoryless evolution").
+      console.error(`[MemoryGraph] Outcome write failed: ${e.message}`);
+      console.error(`[MemoryGraph] Refusing to evolve without causal memory. Target: ${memoryGraphPath()}`);
+      throw new Error(`MemoryGraph Outcome write failed: ${e.message}`);
+    }
 
-  // Memory Graph: record current signals as a first-class node. If this fails, refuse to evolve.
-  try {
-    recordSignalSnapshot({ signals, observations });
-  } catch (e) {
-    console.error(`[MemoryGraph] Signal snapshot write failed: ${e.message}`);
-    console.error(`[MemoryGraph] Refusing to evolve without causal memory. Target: ${memoryGraphPath()}`);
-    throw new Error(`MemoryGraph Signal snapshot write failed: ${e.message}`);
+    // Fitness: the previous cycle's errsig_cleared factor is only known now.
+    try {
+      const settled = settleLastFitness({ signals });
+      if (settled) console.log(`[Fitness] Settled ${settled.event_id}: score ${settled.score}`);
+    } catch (e) {
+      console.warn(`[Fitness] Settle failed (non-fatal): ${e.message}`);
+    }
+
+    // Gene lifecycle: promote, deprecate or retire genes from their memory-graph outcome rates.
+    try {
+      const lifecycle = applyLifecycleRules({ genes, dryRun: IS_DRY_RUN });
+      for (const t of lifecycle.transitions) console.log(`[Lifecycle] ${t.gene_id}: ${t.from} -> ${t.to} (${t.reason})`);
+      genes = lifecycle.genes;
+    } catch (e) {
+      console.warn(`[Lifecycle] Rule evaluation failed (non-fatal): ${e.message}`);
+    }
+
+    // Memory Graph: record current signals as a first-class node. If this fails, refuse to evolve.
+    try {
+      recordSignalSnapshot({ signals, observations });
+    } catch (e) {
+      console.error(`[MemoryGraph] Signal snapshot write failed: ${e.message}`);
+      console.error(`[MemoryGraph] Refusing to evolve without causal memory. Target: ${memoryGraphPath()}`);
+      throw new Error(`MemoryGraph Signal snapshot write failed: ${e.message}`);
+    }
   }
 
   // Capability candidates (structured, short): persist and preview.
   const newCandidates = extractCapabilityCandidates({
     recentSessionTranscript: recentMasterLog,
+    sessionRecords: session.records,
     signals,
   });
-  for (const c of newCandidates) {
-    try {
-      appendCandidateJsonl(c);
-    } catch (e) {}
+  if (!simulate) {
+    for (const c of newCandidates) {
+      try {
+        appendCandidateJsonl(c);
+      } catch (e) {}
+    }
   }
-  const recentCandidates = readRecentCandidates(20);
+  const recentCandidates = simulate ? [...readRecentCandidates(20), ...newCandidates].slice(-20) : readRecentCandidates(20);
   const capabilityCandidatesPreview = renderCandidatesPreview(recentCandidates.slice(-8), 1600);
 
   // External candidate zone (A2A receive): only surface candidates when local signals trigger them.
@@ -782,7 +778,9 @@ async function run() {
   let externalCandidatesPreview = '(none)';
   try {
     const external = readRecentExternalCandidates(50);
-    const list = Array.isArray(external) ? external : [];
+    // Candidates their publisher revoked, or that peers' reports quarantined, are not surfaced.
+    const isWithdrawn = withdrawnChecker();
+    const list = (Array.isArray(external) ? external : []).filter(x => x && !isWithdrawn(x));
     const capsulesOnly = list.filter(x => x && x.type === 'Capsule');
     const genesOnly = list.filter(x => x && x.type === 'Gene');
 
@@ -840,7 +838,9 @@ async function run() {
   // Search-First Evolution: query Hub for reusable solutions before local reasoning.
   let hubHit = null;
   try {
-    hubHit = await hubSearch(signals, { timeoutMs: 8000 });
+    hubHit = simulate
+      ? await hubSearch(signals, { assets: readHubStub(opts.hubStub) })
+      : await hubSearch(signals, { timeoutMs: 8000 });
     if (hubHit && hubHit.hit) {
       console.log(`[SearchFirst] Hub hit: asset=${hubHit.asset_id}, score=${hubHit.score}, mode=${hubHit.mode}`);
     } else {
@@ -867,9 +867,15 @@ async function run() {
     signals,
     memoryAdvice,
     driftEnabled: IS_RANDOM_DRIFT,
+    recentEvents,
   });
 
-  const selectedBy = memoryAdvice && memoryAdvice.preferredGeneId ? 'memory_graph+selector' : 'selector';
+  const selectedBy =
+    selector && selector.bandit && selector.bandit.explored
+      ? 'bandit_explore'
+      : memoryAdvice && memoryAdvice.preferredGeneId
+        ? 'memory_graph+selector'
+        : 'selector';
   const capsulesUsed = Array.isArray(capsuleCandidates)
     ? capsuleCandidates.map(c => (c && c.id ? String(c.id) : null)).filter(Boolean)
     : [];
@@ -881,9 +887,15 @@ async function run() {
     driftEnabled: IS_RANDOM_DRIFT,
     signals,
     recentEvents,
+    persist: !simulate,
   });
   const personalityState = personalitySelection && personalitySelection.personality_state ? personalitySelection.personality_state : null;
 
+  // Strategy preset for this cycle (env, workspace schedule or default). Recorded on the event via last_run.
+  const strategy = resolveStrategy({ recentEvents });
+  const strategySummary = summarizeStrategy(strategy);
+  console.log(`[Strategy] ${strategy.label} (${strategy.name}, ${strategy.source}${strategy.reason ? `: ${strategy.reason}` : ''})`);
+
   // Mutation object is mandatory for every evolution run.
   const tail = Array.isArray(recentEvents) ? recentEvents.slice(-6) : [];
   const tailOutcomes = tail
@@ -925,129 +937,156 @@ async function run() {
     driftEnabled: mutationInnovateMode,
     personalityState,
     allowHighRisk,
+    strategy,
   });
 
-  // Memory Graph: record hypothesis bridging Signal -> Action. If this fails, refuse to evolve.
-  let hypothesisId = null;
-  try {
-    const hyp = recordHypothesis({
-      signals,
-      mutation,
-      personality_state: personalityState,
-      selectedGene,
-      selector,
-      driftEnabled: mutationInnovateMode,
-      selectedBy,
-      capsulesUsed,
-      observations,
-    });
-    hypothesisId = hyp && hyp.hypothesisId ? hyp.hypothesisId : null;
-  } catch (e) {
-    console.error(`[MemoryGraph] Hypothesis write failed: ${e.message}`);
-    console.error(`[MemoryGraph] Refusing to evolve without causal memory. Target: ${memoryGraphPath()}`);
-    throw new Error(`MemoryGraph Hypothesis write failed: ${e.message}`);
-  }
-
-  // Memory Graph: record the chosen causal path for this run. If this fails, refuse to output a mutation prompt.
-  try {
-    recordAttempt({
-      signals,
-      mutation,
-      personality_state: personalityState,
-      selectedGene,
-      selector,
-      driftEnabled: mutationInnovateMode,
-      selectedBy,
-      hypothesisId,
-      capsulesUsed,
-      observations,
-    });
-  } catch (e) {
-    console.error(`[MemoryGraph] Attempt write failed: ${e.message}`);
-    console.error(`[MemoryGraph] Refusing to evolve without causal memory. Target: ${memoryGraphPath()}`);
-    throw new Error(`MemoryGraph Attempt write failed: ${e.message}`);
-  }
-
-  // Solidify state: capture minimal, auditable context for post-patch validation + asset write.
-  // This enforces strict protocol closure after patch application.
-  try {
-    const runId = `run_${Date.now()}`;
-    const parentEventId = getLastEventId();
-    const selectedBy = memoryAdvice && memoryAdvice.preferredGeneId ? 'memory_graph+selector' : 'selector';
-
-    // Baseline snapshot (before any edits).
-    let baselineUntracked = [];
-    let baselineHead = null;
+  // Worktree the executor edits in (see gep/sandbox.js); null/live means the live workspace.
+  let sandbox = null;
+  if (!simulate) {
+    // Memory Graph: record hypothesis bridging Signal -> Action. If this fails, refuse to evolve.
+    let hypothesisId = null;
     try {
-      const out = execSync('git ls-files --others --exclude-standard', {
-        cwd: REPO_ROOT,
-        encoding: 'utf8',
-        stdio: ['ignore', 'pipe', 'ignore'],
-        timeout: 4000,
+      const hyp = recordHypothesis({
+        signals,
+        mutation,
+        personality_state: personalityState,
+        selectedGene,
+        selector,
+        driftEnabled: mutationInnovateMode,
+        selectedBy,
+        capsulesUsed,
+        observations,
       });
-      baselineUntracked = String(out)
-        .split('\n')
-        .map(l => l.trim())
-        .filter(Boolean);
-    } catch (e) {}
+      hypothesisId = hyp && hyp.hypothesisId ? hyp.hypothesisId : null;
+    } catch (e) {
+      console.error(`[MemoryGraph] Hypothesis write failed: ${e.message}`);
+      console.error(`[MemoryGraph] Refusing to evolve without causal memory. Target: ${memoryGraphPath()}`);
+      throw new Error(`MemoryGraph Hypothesis write failed: ${e.message}`);
+    }
 
+    // Memory Graph: record the chosen causal path for this run. If this fails, refuse to output a mutation prompt.
     try {
-      const out = execSync('git rev-parse HEAD', {
-        cwd: REPO_ROOT,
-        encoding: 'utf8',
-        stdio: ['ignore', 'pipe', 'ignore'],
-        timeout: 4000,
+      recordAttempt({
+        signals,
+        mutation,
+        personality_state: personalityState,
+        selectedGene,
+        selector,
+        driftEnabled: mutationInnovateMode,
+        selectedBy,
+        hypothesisId,
+        capsulesUsed,
+        observations,
       });
-      baselineHead = String(out || '').trim() || null;
-    } catch (e) {}
+    } catch (e) {
+      console.error(`[MemoryGraph] Attempt write failed: ${e.message}`);
+      console.error(`[MemoryGraph] Refusing to evolve without causal memory. Target: ${memoryGraphPath()}`);
+      throw new Error(`MemoryGraph Attempt write failed: ${e.message}`);
+    }
 
-    const maxFiles =
-      selectedGene && selectedGene.constraints && Number.isFinite(Number(selectedGene.constraints.max_files))
-        ? Number(selectedGene.constraints.max_files)
-        : 12;
-    const blastRadiusEstimate = {
-      files: Number.isFinite(maxFiles) && maxFiles > 0 ? maxFiles : 0,
-      lines: Number.isFinite(maxFiles) && maxFiles > 0 ? Math.round(maxFiles * 80) : 0,
-    };
+    // Solidify state: capture minimal, auditable context for post-patch validation + asset write.
+    // This enforces strict protocol closure after patch application.
+    try {
+      const runId = `run_${Date.now()}`;
+      const parentEventId = getLastEventId();
+
+      // Baseline snapshot (before any edits).
+      let baselineUntracked = [];
+      let baselineHead = null;
+      try {
+        const out = execSync('git ls-files --others --exclude-standard', {
+          cwd: REPO_ROOT,
+          encoding: 'utf8',
+          stdio: ['ignore', 'pipe', 'ignore'],
+          timeout: 4000,
+        });
+        baselineUntracked = String(out)
+          .split('\n')
+          .map(l => l.trim())
+          .filter(Boolean);
+      } catch (e) {}
 
-    // Merge into existing state to preserve last_solidify (do not wipe it).
-    const prevState = readStateForSolidify();
-    prevState.last_run = {
-        run_id: runId,
-        created_at: new Date().toISOString(),
-        parent_event_id: parentEventId || null,
-        selected_gene_id: selectedGene && selectedGene.id ? selectedGene.id : null,
-        selected_capsule_id: selectedCapsuleId,
-        selector: selector || null,
-        signals: Array.isArray(signals) ? signals : [],
-        mutation: mutation || null,
-        mutation_id: mutation && mutation.id ? mutation.id : null,
-        personality_state: personalityState || null,
-        personality_key: personalitySelection && personalitySelection.personality_key ? personalitySelection.personality_key : null,
-        personality_known: !!(personalitySelection && personalitySelection.personality_known),
-        personality_mutations:
-          personalitySelection && Array.isArray(personalitySelection.personality_mutations)
-            ? personalitySelection.personality_mutations
-            : [],
-        drift: !!IS_RANDOM_DRIFT,
-        selected_by: selectedBy,
-        source_type: hubHit && hubHit.hit ? 'reused' : 'generated',
-        reused_asset_id: hubHit && hubHit.hit ? (hubHit.asset_id || null) : null,
-        reused_source_node: hubHit && hubHit.hit ? (hubHit.source_node_id || null) : null,
-        baseline_untracked: baselineUntracked,
-        baseline_git_head: baselineHead,
-        blast_radius_estimate: blastRadiusEstimate,
+      try {
+        const out = execSync('git rev-parse HEAD', {
+          cwd: REPO_ROOT,
+          encoding: 'utf8',
+          stdio: ['ignore', 'pipe', 'ignore'],
+          timeout: 4000,
+        });
+        baselineHead = String(out || '').trim() || null;
+      } catch (e) {}
+
+      const maxFiles =
+        selectedGene && selectedGene.constraints && Number.isFinite(Number(selectedGene.constraints.max_files))
+          ? Number(selectedGene.constraints.max_files)
+          : 12;
+      const blastRadiusEstimate = {
+        files: Number.isFinite(maxFiles) && maxFiles > 0 ? maxFiles : 0,
+        lines: Number.isFinite(maxFiles) && maxFiles > 0 ? Math.round(maxFiles * 80) : 0,
       };
-    writeStateForSolidify(prevState);
-  } catch (e) {
-    console.error(`[SolidifyState] Write failed: ${e.message}`);
+
+      // Merge into existing state to preserve last_solidify (do not wipe it).
+      const prevState = readStateForSolidify();
+      // A previous run that never reached solidify, or a failure kept by `solidify --no-rollback`,
+      // leaves its worktree behind; drop it. A branch holding a commit stays for a manual merge.
+      const staleRun = prevState.last_run || null;
+      if (staleRun && isActiveSandbox(staleRun.sandbox)) {
+        console.log(`[Sandbox] Dropping the worktree left by ${staleRun.run_id || 'the previous run'}: ${staleRun.sandbox.path}`);
+        discardSandbox(staleRun.sandbox, { keepBranch: sandboxHasCommits(staleRun.sandbox) });
+      }
+      sandbox = IS_DRY_RUN ? { mode: 'live', reason: 'dry_run' } : createSandbox({ runId, repoRoot: REPO_ROOT });
+      if (sandbox.mode === 'worktree') console.log(`[Sandbox] Cycle edits go to ${sandbox.repo_root} (branch ${sandbox.branch})`);
+      // What the live tree looks like now, so solidify can tell if the executor edited it anyway.
+      const baselineLiveChanges = sandbox.mode === 'worktree' ? snapshotLiveChanges(REPO_ROOT) : null;
+      prevState.last_run = {
+          run_id: runId,
+          cycle_id: cycleId,
+          created_at: new Date().toISOString(),
+          parent_event_id: parentEventId || null,
+          selected_gene_id: selectedGene && selectedGene.id ? selectedGene.id : null,
+          selected_capsule_id: selectedCapsuleId,
+          selector: selector || null,
+          strategy: strategySummary,
+          signals: Array.isArray(signals) ? signals : [],
+          mutation: mutation || null,
+          mutation_id: mutation && mutation.id ? mutation.id : null,
+          personality_state: personalityState || null,
+          personality_key: personalitySelection && personalitySelection.personality_key ? personalitySelection.personality_key : null,
+          personality_known: !!(personalitySelection && personalitySelection.personality_known),
+          personality_mutations:
+            personalitySelection && Array.isArray(personalitySelection.personality_mutations)
+              ? personalitySelection.personality_mutations
+              : [],
+          drift: !!IS_RANDOM_DRIFT,
+          selected_by: selectedBy,
+          source_type: hubHit && hubHit.hit ? 'reused' : 'generated',
+          reused_asset_id: hubHit && hubHit.hit ? (hubHit.asset_id || null) : null,
+          reused_source_node: hubHit && hubHit.hit ? (hubHit.source_node_id || null) : null,
+          baseline_untracked: baselineUntracked,
+          baseline_git_head: baselineHead,
+          baseline_live_changes: baselineLiveChanges,
+          blast_radius_estimate: blastRadiusEstimate,
+          sandbox,
+          review_mode: IS_REVIEW_MODE,
+          // Failing input behind each errsig, for the regression tests solidify writes on a repair.
+          errsig_evidence: captureErrsigEvidence({ signals, records: session.records }),
+        };
+      writeStateForSolidify(prevState);
+    } catch (e) {
+      console.error(`[SolidifyState] Write failed: ${e.message}`);
+    }
   }
 
   const genesPreview = `\`\`\`json\n${JSON.stringify(genes.slice(0, 6), null, 2)}\n\`\`\``;
   const capsulesPreview = `\`\`\`json\n${JSON.stringify(capsules.slice(-3), null, 2)}\n\`\`\``;
 
+  const sandboxNote =
+    sandbox && sandbox.mode === 'worktree'
+      ? `Sandbox: apply ALL edits inside ${sandbox.repo_root} (git worktree on ${sandbox.branch}); do not modify the live workspace. Run solidify from ${REPO_ROOT}; it promotes the sandbox on success and discards it on failure.`
+      : 'Sandbox: none (edits apply to the live workspace).';
+
   const reviewNote = IS_REVIEW_MODE
-    ? 'Review mode: before significant edits, pause and ask the user for confirmation.'
+    ? 'Review mode: enabled. Solidify queues the validated change under memory/evolution/pending/ for a human to approve or reject; do not wait for confirmation yourself.'
     : 'Review mode: disabled.';
 
   // Build recent evolution history summary for context injection
@@ -1075,6 +1114,7 @@ ${fileList || '[skills directory not found]'}
 
 Notes:
 - ${reviewNote}
+- ${sandboxNote}
 - ${reportingDirective}
 - ${syncDirective}
 
@@ -1135,6 +1175,7 @@ ${mutationDirective}
         capabilityCandidatesPreview,
         externalCandidatesPreview,
         hubMatchedBlock,
+        strategy: strategySummary,
       });
 
   // Optional: emit a compact thought process block for wrappers (noise-controlled).
@@ -1149,6 +1190,7 @@ ${mutationDirective}
       `selected_capsule: ${selectedCapsuleId ? String(selectedCapsuleId) : '(none)'}`,
       `mutation_category: ${mutation && mutation.category ? String(mutation.category) : '(none)'}`,
       `force_innovation: ${forceInnovation ? 'true' : 'false'}`,
+      `strategy: ${strategySummary ? `${strategySummary.name} (${strategySummary.source})` : '(none)'}`,
       `source_type: ${hubHit && hubHit.hit ? 'reused' : 'generated'}`,
       `hub_reuse_mode: ${isDirectReuse ? 'direct' : hubMatchedBlock ? 'reference' : 'none'}`,
     ].join('\n');
@@ -1190,9 +1232,10 @@ ${mutationDirective}
       'You are the executor (the Hand).',
       'Your job is to apply a safe, minimal patch in this repo following the attached GEP protocol prompt.',
       artifact && artifact.promptPath ? `Prompt file: ${artifact.promptPath}` : 'Prompt file: (unavailable)',
+      sandbox && sandbox.mode === 'worktree' ? `Work directory (sandbox worktree, edit ONLY here): ${sandbox.repo_root}` : 'Work directory: live workspace',
       '',
       'After applying changes and validations, you MUST run:',
-      '  node index.js solidify',
+      sandbox && sandbox.mode === 'worktree' ? `  node ${path.join(REPO_ROOT, 'index.js')} solidify` : '  node index.js solidify',
       '',
       'Loop chaining (only if you are running in loop mode): after solidify succeeds, print a sessions_spawn call to start the next loop run with a short delay.',
       'Example:',
@@ -1215,6 +1258,43 @@ ${mutationDirective}
       console.log('\n[PROMPT OUTPUT] (EVOLVE_PRINT_PROMPT=true)');
       console.log(prompt);
     }
+  } else if (simulate) {
+    const decision = {
+      cycle_id: cycleId,
+      signals,
+      hub: hubHit
+        ? { hit: !!hubHit.hit, reason: hubHit.reason || null, asset_id: hubHit.asset_id || null, score: hubHit.score || null, mode: hubHit.mode || null }
+        : null,
+      memory_advice: memoryAdvice
+        ? {
+            signal_key: memoryAdvice.currentSignalKey || null,
+            preferred_gene_id: memoryAdvice.preferredGeneId || null,
+            banned_gene_ids: Array.from(memoryAdvice.bannedGeneIds || []),
+            explanation: memoryAdvice.explanation || [],
+          }
+        : null,
+      selected_by: selectedBy,
+      selected_gene_id: selectedGene && selectedGene.id ? selectedGene.id : null,
+      selected_capsule_id: selectedCapsuleId,
+      selector,
+      strategy: strategySummary,
+      personality: personalitySelection
+        ? {
+            key: personalitySelection.personality_key || null,
+            known: !!personalitySelection.personality_known,
+            state: personalityState,
+            mutations: personalitySelection.personality_mutations || [],
+          }
+        : null,
+      mutation,
+      new_candidates: newCandidates.map(c => (c && c.id ? c.id : null)).filter(Boolean),
+    };
+    console.log('\n[SIMULATE] Decision:');
+    console.log(JSON.stringify(decision, null, 2));
+    console.log('\n[SIMULATE] GEP prompt:');
+    console.log(prompt);
+    console.log('\n[SIMULATE] Nothing was written. Run without `simulate` to evolve for real.');
+    return { decision, prompt };
   } else {
     console.log(prompt);
     console.log('\n[SOLIDIFY REQUIRED] After applying the patch and validations, run: node index.js solidify');
@@ -1,5 +1,6 @@
 const fs = require('fs');
-const { readAllEvents } = require('./assetStore');
+const { findEvents } = require('./assetStore');
+const { lifecycleState } = require('./lifecycle');
 const { computeAssetId, SCHEMA_VERSION } = require('./contentHash');
 const { unwrapAssetFromMessage } = require('./a2aProtocol');
 
@@ -11,6 +12,13 @@ function isAllowedA2AAsset(obj) {
   return t === 'Gene' || t === 'Capsule' || t === 'EvolutionEvent';
 }
 
+// A received asset its publisher revoked, or that peers' reports put in quarantine
+// (see a2aInbox.js). Withdrawn assets are not selected, matched or re-exported.
+function isWithdrawnA2AAsset(asset) {
+  var s = asset && asset.a2a && typeof asset.a2a === 'object' ? asset.a2a.status : null;
+  return s === 'revoked' || s === 'quarantined';
+}
+
 function safeNumber(x, fallback) {
   if (fallback === undefined) fallback = null;
   var n = Number(x);
@@ -20,17 +28,22 @@ function safeNumber(x, fallback) {
 function getBlastRadiusLimits() {
   var maxFiles = safeNumber(process.env.A2A_MAX_FILES, 5);
   var maxLines = safeNumber(process.env.A2A_MAX_LINES, 200);
+  var maxDependents = safeNumber(process.env.A2A_MAX_DEPENDENTS, 10);
   return {
     maxFiles: Number.isFinite(maxFiles) ? maxFiles : 5,
     maxLines: Number.isFinite(maxLines) ? maxLines : 200,
+    maxDependents: Number.isFinite(maxDependents) ? maxDependents : 10,
   };
 }
 
+// dependents: transitive require() dependents of the touched modules (solidify's dependency
+// graph). Assets recorded before the graph existed have no count and are judged on files/lines.
 function isBlastRadiusSafe(blastRadius) {
   var lim = getBlastRadiusLimits();
   var files = blastRadius && Number.isFinite(Number(blastRadius.files)) ? Number(blastRadius.files) : 0;
   var lines = blastRadius && Number.isFinite(Number(blastRadius.lines)) ? Number(blastRadius.lines) : 0;
-  return files <= lim.maxFiles && lines <= lim.maxLines;
+  var dependents = blastRadius && Number.isFinite(Number(blastRadius.dependents)) ? Number(blastRadius.dependents) : 0;
+  return files <= lim.maxFiles && lines <= lim.maxLines && dependents <= lim.maxDependents;
 }
 
 function clamp01(n) {
@@ -60,11 +73,6 @@ function lowerConfidence(asset, opts) {
   return cloned;
 }
 
-function readEvolutionEvents() {
-  var events = readAllEvents();
-  return Array.isArray(events) ? events.filter(function (e) { return e && e.type === 'EvolutionEvent'; }) : [];
-}
-
 function normalizeEventsList(events) {
   return Array.isArray(events) ? events : [];
 }
@@ -74,7 +82,8 @@ function computeCapsuleSuccessStreak(params) {
   var events = params.events;
   var id = capsuleId ? String(capsuleId) : '';
   if (!id) return 0;
-  var list = normalizeEventsList(events || readEvolutionEvents());
+  // Without a preloaded list, ask the store for this capsule's events only.
+  var list = normalizeEventsList(events || findEvents({ type: 'EvolutionEvent', capsuleId: id }));
   var streak = 0;
   for (var i = list.length - 1; i >= 0; i--) {
     var ev = list[i];
@@ -89,11 +98,13 @@ function computeCapsuleSuccessStreak(params) {
 function isCapsuleBroadcastEligible(capsule, opts) {
   if (!opts) opts = {};
   if (!capsule || capsule.type !== 'Capsule') return false;
+  if (lifecycleState(capsule) !== 'active') return false;
+  if (isWithdrawnA2AAsset(capsule)) return false;
   var score = capsule.outcome && capsule.outcome.score != null ? safeNumber(capsule.outcome.score, null) : null;
   if (score == null || score < 0.7) return false;
   var blast = capsule.blast_radius || (capsule.outcome && capsule.outcome.blast_radius) || null;
   if (!isBlastRadiusSafe(blast)) return false;
-  var events = Array.isArray(opts.events) ? opts.events : readEvolutionEvents();
+  var events = Array.isArray(opts.events) ? opts.events : null;
   var streak = computeCapsuleSuccessStreak({ capsuleId: capsule.id, events: events });
   if (streak < 2) return false;
   return true;
@@ -102,7 +113,7 @@ function isCapsuleBroadcastEligible(capsule, opts) {
 function exportEligibleCapsules(params) {
   if (!params) params = {};
   var list = Array.isArray(params.capsules) ? params.capsules : [];
-  var evs = Array.isArray(params.events) ? params.events : readEvolutionEvents();
+  var evs = Array.isArray(params.events) ? params.events : null;
   var eligible = list.filter(function (c) { return isCapsuleBroadcastEligible(c, { events: evs }); });
   for (var i = 0; i < eligible.length; i++) {
     var c = eligible[i];
@@ -114,6 +125,9 @@ function exportEligibleCapsules(params) {
 
 function isGeneBroadcastEligible(gene) {
   if (!gene || gene.type !== 'Gene') return false;
+  // Only genes that have proven themselves locally are shared: not probation, deprecated or retired.
+  if (lifecycleState(gene) !== 'active') return false;
+  if (isWithdrawnA2AAsset(gene)) return false;
   if (!gene.id || typeof gene.id !== 'string') return false;
   if (!Array.isArray(gene.strategy) || gene.strategy.length === 0) return false;
   if (!Array.isArray(gene.validation) || gene.validation.length === 0) return false;
@@ -166,7 +180,7 @@ function readTextIfExists(filePath) {
 }
 
 module.exports = {
-  isAllowedA2AAsset, lowerConfidence, isBlastRadiusSafe,
+  isAllowedA2AAsset, isWithdrawnA2AAsset, lowerConfidence, isBlastRadiusSafe,
   computeCapsuleSuccessStreak, isCapsuleBroadcastEligible,
   exportEligibleCapsules, isGeneBroadcastEligible,
   exportEligibleGenes, parseA2AInput, readTextIfExists,
@@ -0,0 +1,370 @@
+// Inbound A2A revoke / decision / report processing.
+//
+// processInbox(messages) applies what peers say about assets this node received or published:
+//   revoke    only counts from the asset's publisher: the key that signed it, or a key trusted for
+//             the same node. Local copies (promoted genes and capsules) are retired and marked
+//             a2a.status 'revoked'. Staged external candidates are hidden from matching and
+//             promotion, re-ingesting the asset is refused, and the publisher's node trust drops by
+//             A2A_REVOKE_TRUST_PENALTY (0.2) per revoked asset. Ingest multiplies the confidence
+//             factor of that node's later assets by its trust. A revoke for an asset not
+//             received yet is kept only when a trusted key signed it.
+//   report    validation_report.overall_ok is a pass or fail vote on the target asset
+//   decision  accept is a pass vote, reject a fail vote, quarantine a quarantine vote
+// Votes count per signing node whose key is in the trust store (unsigned ones only with
+// A2A_SIGNATURE_POLICY=off), and each node's latest vote on an asset counts. Once fail + quarantine votes reach
+// A2A_QUARANTINE_MIN_VOTES (2) and outnumber the passes, local copies of an external asset are
+// quarantined (a2a.status 'quarantined'). When passes outnumber them again, the asset is
+// released. Revocations and quarantine changes are recorded in the memory graph.
+//
+// Messages are checked under A2A_SIGNATURE_POLICY like ingested assets, and each message_id is
+// applied once. The outcome of this node's own sandboxed trial (a2aTrial.js) is kept next to the
+// peers' votes: a quarantined or rejected trial withdraws the candidate until a later trial passes.
+// State: memory/a2a/inbox_state.json.
+
+const fs = require('fs');
+const path = require('path');
+const { getMemoryDir } = require('./paths');
+const { computeAssetId } = require('./contentHash');
+const { setLifecycleState } = require('./lifecycle');
+const { isWithdrawnA2AAsset } = require('./a2a');
+const { isValidProtocolMessage } = require('./a2aProtocol');
+const { verifyMessage, signaturePolicy, signatureProblem, readTrustStore } = require('./signing');
+
+const MAX_PROCESSED_IDS = 5000;
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function statePath() {
+  return path.join(getMemoryDir(), 'a2a', 'inbox_state.json');
+}
+
+function readInboxState() {
+  const empty = { processed: [], revoked: {}, quarantined: {}, tally: {}, nodes: {}, trials: {} };
+  try {
+    if (!fs.existsSync(statePath())) return empty;
+    const data = JSON.parse(fs.readFileSync(statePath(), 'utf8'));
+    return {
+      processed: Array.isArray(data.processed) ? data.processed : [],
+      revoked: data.revoked || {},
+      quarantined: data.quarantined || {},
+      tally: data.tally || {},
+      nodes: data.nodes || {},
+      trials: data.trials || {},
+    };
+  } catch (e) {
+    console.warn(`[A2AInbox] Unreadable inbox state ${statePath()}: ${e.message}`);
+    return empty;
+  }
+}
+
+function writeInboxState(state) {
+  const file = statePath();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp.${process.pid}`;
+  fs.writeFileSync(tmp, JSON.stringify({ ...state, processed: state.processed.slice(-MAX_PROCESSED_IDS) }, null, 2) + '\n', 'utf8');
+  fs.renameSync(tmp, file);
+}
+
+// --- Lookups ---
+
+// The ids an asset was known by: its own, and the id it had when it was received.
+function originIds(asset) {
+  const a2a = asset && asset.a2a && typeof asset.a2a === 'object' ? asset.a2a : {};
+  return [asset && asset.asset_id, a2a.origin_asset_id].filter(Boolean).map(String);
+}
+
+function signerOf(asset) {
+  const s = asset && asset.a2a && asset.a2a.signer;
+  return s && s.node_id ? s : null;
+}
+
+// 0..1; 1 for nodes that never revoked anything.
+function nodeTrust(nodeId, state = readInboxState()) {
+  const n = nodeId ? state.nodes[String(nodeId)] : null;
+  return n && Number.isFinite(Number(n.trust)) ? Number(n.trust) : 1;
+}
+
+// The revocation that covers an incoming asset, or null. A revocation only binds assets from the
+// node that issued it. Unsigned assets cannot prove where they came from, so only revocations
+// signed by a trusted key bind them.
+function revocationFor(asset, signer, state = readInboxState()) {
+  for (const id of originIds(asset)) {
+    const r = state.revoked[id];
+    if (!r) continue;
+    if (signer && signer.node_id ? r.node_id === signer.node_id : r.trusted) return r;
+  }
+  return null;
+}
+
+// The latest local trial of an asset, or null.
+function trialFor(asset, state = readInboxState()) {
+  for (const id of originIds(asset)) {
+    if (state.trials[id]) return state.trials[id];
+  }
+  return null;
+}
+
+// 'revoked', 'quarantined', 'rejected' or null, from the asset itself or the inbox state.
+function withdrawnReason(asset, state = readInboxState()) {
+  if (isWithdrawnA2AAsset(asset)) return asset.a2a.status;
+  if (revocationFor(asset, signerOf(asset), state)) return 'revoked';
+  if (originIds(asset).some(id => state.quarantined[id])) return 'quarantined';
+  const trial = trialFor(asset, state);
+  if (trial && (trial.status === 'quarantined' || trial.status === 'rejected')) return trial.status;
+  return null;
+}
+
+// Predicate over many assets with one read of the state.
+function withdrawnChecker() {
+  const state = readInboxState();
+  return asset => withdrawnReason(asset, state) !== null;
+}
+
+function targetOf(msg) {
+  const p = msg.payload || {};
+  return {
+    asset_id: p.target_asset_id ? String(p.target_asset_id) : null,
+    local_id: p.target_local_id ? String(p.target_local_id) : null,
+  };
+}
+
+function tallyKey(target) {
+  return target.asset_id || `local:${target.local_id}`;
+}
+
+function matchesTarget(asset, target, sender) {
+  if (target.asset_id) return originIds(asset).includes(target.asset_id);
+  const signer = signerOf(asset);
+  return !!target.local_id && String(asset.id) === target.local_id && !!signer && signer.node_id === sender;
+}
+
+// Received genes and capsules (anything with an a2a block) stored locally.
+function localCopies(target, sender) {
+  const { loadGenes, loadCapsules } = require('./assetStore');
+  return loadGenes().concat(loadCapsules()).filter(a => a && a.a2a && matchesTarget(a, target, sender));
+}
+
+function stagedCandidates(target, sender) {
+  const { readRecentExternalCandidates } = require('./assetStore');
+  return readRecentExternalCandidates(envNumber('A2A_INBOX_CANDIDATE_SCAN', 1000)).filter(a => a && matchesTarget(a, target, sender));
+}
+
+function saveCopy(asset) {
+  const { upsertGene, upsertCapsule } = require('./assetStore');
+  asset.asset_id = computeAssetId(asset);
+  if (asset.type === 'Gene') upsertGene(asset);
+  else upsertCapsule(asset);
+}
+
+function recordStatus(asset, status, fields) {
+  try {
+    require('./memoryGraphAdapter').recordExternalAssetStatus({
+      asset: { type: asset.type, id: asset.id },
+      status,
+      originAssetId: (asset.a2a && asset.a2a.origin_asset_id) || fields.originAssetId || null,
+      ...fields,
+    });
+  } catch (e) {
+    console.warn(`[A2AInbox] Failed to record ${status} for ${asset.type} ${asset.id}: ${e.message}`);
+  }
+}
+
+// --- Revocation ---
+
+// Only the publisher's key (or a key the trust store gives the publisher's node) can revoke.
+function mayRevoke(asset, sender, sig, policy) {
+  const signer = signerOf(asset);
+  if (!signer) return policy !== 'require';
+  if (policy === 'off') return signer.node_id === sender;
+  return !!sig && sig.valid && sig.node_id === signer.node_id && (sig.key_id === signer.key_id || sig.trusted);
+}
+
+function applyRevoke(state, msg, sig, policy, out) {
+  const sender = String(msg.sender_id || '');
+  const target = targetOf(msg);
+  if (!target.asset_id && !target.local_id) return 'revoke without target';
+  const reason = (msg.payload && msg.payload.reason) || null;
+  const copies = localCopies(target, sender);
+  const candidates = stagedCandidates(target, sender);
+  const affected = copies.concat(candidates);
+  const denied = affected.filter(a => !mayRevoke(a, sender, sig, policy));
+  if (denied.length) return `revoke of ${denied[0].type} ${denied[0].id} not signed by its publisher`;
+  if (!affected.length && !target.asset_id) return `no received asset ${target.local_id} from ${sender}`;
+  // Nothing here to check the key against: keep the revocation only if a trusted key signed it,
+  // so it binds the sender's own assets when they arrive (see revocationFor).
+  if (!affected.length && policy !== 'off' && !(sig && sig.valid && sig.trusted)) return 'revoke for an asset not received here is not signed by a trusted key';
+
+  const at = new Date().toISOString();
+  const fields = { nodeId: sender, reason, messageId: msg.message_id };
+  const ids = new Set(target.asset_id ? [target.asset_id] : []);
+  for (const a of affected) originIds(a).forEach(id => ids.add(id));
+  let fresh = false;
+  for (const id of ids) {
+    if (state.revoked[id]) continue;
+    fresh = true;
+    state.revoked[id] = { node_id: sender, key_id: sig ? sig.key_id : null, trusted: policy === 'off' || !!(sig && sig.trusted), local_id: target.local_id, reason, at, message_id: msg.message_id };
+    delete state.quarantined[id];
+  }
+  if (fresh && sender) {
+    const node = state.nodes[sender] || { revocations: 0 };
+    node.revocations += 1;
+    node.trust = Math.max(0, 1 - envNumber('A2A_REVOKE_TRUST_PENALTY', 0.2) * node.revocations);
+    node.updated_at = at;
+    state.nodes[sender] = node;
+  }
+
+  for (const copy of copies) {
+    if (copy.a2a.status === 'revoked') continue;
+    copy.a2a.status = 'revoked';
+    copy.a2a.revoked = { at, node_id: sender, reason, message_id: msg.message_id };
+    delete copy.a2a.quarantine;
+    setLifecycleState(copy, 'retired', { reason: `revoked by publisher ${sender}${reason ? `: ${reason}` : ''}` });
+    saveCopy(copy);
+    recordStatus(copy, 'revoked', fields);
+    out.revoked.push(`${copy.type} ${copy.id}`);
+  }
+  if (!copies.length && fresh) {
+    const first = candidates[0] || { type: 'Capsule', id: target.local_id || target.asset_id };
+    recordStatus(first, 'revoked', { ...fields, originAssetId: target.asset_id });
+    out.revoked.push(`${first.type} ${first.id}${candidates.length ? ' (candidate)' : ''}`);
+  }
+  return null;
+}
+
+// --- Votes and quarantine ---
+
+function countVotes(t) {
+  const counts = { pass: 0, fail: 0, quarantine: 0 };
+  for (const v of Object.values(t.votes)) if (counts[v.vote] !== undefined) counts[v.vote] += 1;
+  return counts;
+}
+
+// A vote is keyed by the node that signed it; sender_id alone is whatever the sender claims, so
+// unsigned votes only count with A2A_SIGNATURE_POLICY=off. Keys cost nothing to make, so a valid
+// signature is not enough either: the key must be in the trust store.
+function applyVote(state, msg, sig, policy, vote, via, note, out) {
+  if (policy !== 'off' && !(sig && sig.valid)) return `unsigned ${via} does not count as a vote`;
+  if (policy !== 'off' && !sig.trusted) return `${via} from untrusted key ${sig.key_id} does not count as a vote`;
+  const voter = policy === 'off' ? String(msg.sender_id || '') : sig.node_id;
+  const target = targetOf(msg);
+  if (!target.asset_id && !target.local_id) return `${via} without target`;
+  const key = tallyKey(target);
+  const t = state.tally[key] || { asset_id: target.asset_id, local_id: target.local_id, votes: {} };
+  t.votes[voter] = { vote, via, note, key_id: sig ? sig.key_id || null : null, at: new Date().toISOString(), message_id: msg.message_id };
+  Object.assign(t, countVotes(t), { updated_at: new Date().toISOString() });
+  state.tally[key] = t;
+  out.votes += 1;
+  if (!state.revoked[key]) updateQuarantine(state, key, t, target, out);
+  return null;
+}
+
+function updateQuarantine(state, key, t, target, out) {
+  const against = t.fail + t.quarantine;
+  const minVotes = Math.max(1, envNumber('A2A_QUARANTINE_MIN_VOTES', 2));
+  const tally = { pass: t.pass, fail: t.fail, quarantine: t.quarantine };
+  const copies = localCopies(target, null);
+  if (against >= minVotes && against > t.pass && !state.quarantined[key]) {
+    state.quarantined[key] = { at: new Date().toISOString(), ...tally };
+    for (const copy of copies.filter(c => c.a2a.status !== 'revoked' && c.a2a.status !== 'quarantined')) {
+      copy.a2a.quarantine = { at: state.quarantined[key].at, previous_status: copy.a2a.status || null, ...tally };
+      copy.a2a.status = 'quarantined';
+      saveCopy(copy);
+      recordStatus(copy, 'quarantined', { reason: 'failed reports from peers', tally });
+      out.quarantined.push(`${copy.type} ${copy.id}`);
+    }
+    if (!copies.length) out.quarantined.push(key);
+  } else if (t.pass > against && state.quarantined[key]) {
+    delete state.quarantined[key];
+    for (const copy of copies.filter(c => c.a2a.status === 'quarantined')) {
+      copy.a2a.status = (copy.a2a.quarantine && copy.a2a.quarantine.previous_status) || 'promoted';
+      delete copy.a2a.quarantine;
+      saveCopy(copy);
+      recordStatus(copy, 'released', { reason: 'passing reports outnumber failures', tally });
+      out.released.push(`${copy.type} ${copy.id}`);
+    }
+    if (!copies.length) out.released.push(key);
+  }
+}
+
+// --- Local trials ---
+
+// Record this node's trial verdict on an external asset. status: 'promoted', 'passed' (kept
+// staged), 'quarantined' or 'rejected'; the latest trial replaces earlier ones.
+function recordTrial(asset, status, fields = {}) {
+  const key = originIds(asset).pop();
+  if (!key) throw new Error(`Cannot record a trial for ${asset && asset.type} ${asset && asset.id} without an asset_id`);
+  const state = readInboxState();
+  const prev = state.trials[key];
+  state.trials[key] = {
+    type: asset.type,
+    local_id: String(asset.id),
+    status,
+    reason: fields.reason || null,
+    report_id: fields.reportId || null,
+    trials: (prev && prev.trials ? prev.trials : 0) + 1,
+    at: new Date().toISOString(),
+  };
+  writeInboxState(state);
+  if (status !== 'passed') recordStatus(asset, `trial_${status}`, { reason: fields.reason || null, originAssetId: key });
+  return state.trials[key];
+}
+
+// --- Entry point ---
+
+// Apply revoke, decision and report messages (other message types are ignored). Returns a
+// summary: { applied, skipped: [{ message_id, reason }], revoked, quarantined, released, votes }.
+function processInbox(messages) {
+  const policy = signaturePolicy();
+  const trustStore = policy === 'off' ? null : readTrustStore();
+  const state = readInboxState();
+  const done = new Set(state.processed);
+  const out = { applied: 0, skipped: [], revoked: [], quarantined: [], released: [], votes: 0 };
+  for (const msg of Array.isArray(messages) ? messages : []) {
+    if (!isValidProtocolMessage(msg) || !['revoke', 'decision', 'report'].includes(msg.message_type)) continue;
+    if (done.has(msg.message_id)) continue;
+    const skip = reason => out.skipped.push({ message_id: msg.message_id, type: msg.message_type, reason });
+    let sig = null;
+    if (policy !== 'off') {
+      sig = verifyMessage(msg, { trustStore });
+      const why = signatureProblem(sig, policy);
+      if (why) {
+        skip(why);
+        continue;
+      }
+    }
+    const p = msg.payload || {};
+    let why = null;
+    if (msg.message_type === 'revoke') {
+      why = applyRevoke(state, msg, sig, policy, out);
+    } else if (msg.message_type === 'report') {
+      const report = p.validation_report;
+      why = report && typeof report.overall_ok === 'boolean'
+        ? applyVote(state, msg, sig, policy, report.overall_ok ? 'pass' : 'fail', 'report', report.id || null, out)
+        : 'report without validation_report.overall_ok';
+    } else {
+      const vote = { accept: 'pass', reject: 'fail', quarantine: 'quarantine' }[p.decision];
+      why = vote ? applyVote(state, msg, sig, policy, vote, 'decision', p.reason || null, out) : `unknown decision ${p.decision}`;
+    }
+    done.add(msg.message_id);
+    state.processed.push(msg.message_id);
+    if (why) skip(why);
+    else out.applied += 1;
+  }
+  writeInboxState(state);
+  return out;
+}
+
+module.exports = {
+  statePath,
+  readInboxState,
+  processInbox,
+  nodeTrust,
+  revocationFor,
+  withdrawnReason,
+  withdrawnChecker,
+  trialFor,
+  recordTrial,
+};
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evolver-inbox-'));
+process.env.MEMORY_DIR = path.join(dir, 'memory');
+process.env.GEP_ASSETS_DIR = path.join(dir, 'assets');
+process.env.A2A_TRUST_STORE = path.join(dir, 'trust_store.json');
+process.env.A2A_KEY_FILE = path.join(dir, 'keys', 'node_self.json');
+delete process.env.A2A_SIGNATURE_POLICY;
+delete process.env.A2A_QUARANTINE_MIN_VOTES;
+
+const proto = require('./a2aProtocol');
+const signing = require('./signing');
+const { processInbox, readInboxState, revocationFor, withdrawnReason } = require('./a2aInbox');
+const { upsertCapsule, loadCapsules } = require('./assetStore');
+
+// Build a message as `nodeId`, signed with that node's own key.
+function as(nodeId, build) {
+  const prev = process.env.A2A_KEY_FILE;
+  process.env.A2A_KEY_FILE = path.join(dir, 'keys', `${nodeId}.json`);
+  try {
+    return build(nodeId);
+  } finally {
+    process.env.A2A_KEY_FILE = prev;
+  }
+}
+
+function keyOf(nodeId) {
+  return as(nodeId, () => signing.loadOrCreateNodeKey());
+}
+
+function trust(nodeId) {
+  signing.trustKey({ nodeId, publicKey: keyOf(nodeId).public_key });
+}
+
+// A promoted local copy of a capsule published by node_pub.
+function received(id) {
+  const originId = `sha256:${id}`;
+  upsertCapsule({
+    type: 'Capsule',
+    schema_version: '1.6.0',
+    id,
+    trigger: ['log_error'],
+    gene: 'gene_gep_repair_from_errors',
+    summary: `fix for ${id}`,
+    confidence: 0.9,
+    blast_radius: { files: 1, lines: 4 },
+    outcome: { status: 'success', score: 0.9 },
+    a2a: { status: 'promoted', origin_asset_id: originId, signer: { node_id: 'node_pub', key_id: keyOf('node_pub').key_id, trusted: false } },
+  });
+  return originId;
+}
+
+function copy(id) {
+  return loadCapsules().find(c => c.id === id);
+}
+
+function vote(nodeId, assetId, ok) {
+  return as(nodeId, n => proto.buildReport({ assetId, nodeId: n, validationReport: { id: `vr_${n}`, overall_ok: ok } }));
+}
+
+function decide(nodeId, assetId, decision) {
+  return as(nodeId, n => proto.buildDecision({ assetId, nodeId: n, decision }));
+}
+
+function revoke(nodeId, assetId) {
+  return as(nodeId, n => proto.buildRevoke({ assetId, nodeId: n, reason: 'broken' }));
+}
+
+test.before(() => {
+  ['node_bob', 'node_carol', 'node_dave'].forEach(trust);
+});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('only the publisher can revoke a received asset', () => {
+  const assetId = received('capsule_revoke');
+  const denied = processInbox([revoke('node_bob', assetId)]);
+  assert.strictEqual(denied.applied, 0);
+  assert.match(denied.skipped[0].reason, /not signed by its publisher/);
+  assert.strictEqual(copy('capsule_revoke').a2a.status, 'promoted');
+
+  const out = processInbox([revoke('node_pub', assetId)]);
+  assert.deepStrictEqual(out.revoked, ['Capsule capsule_revoke']);
+  assert.strictEqual(copy('capsule_revoke').a2a.status, 'revoked');
+  assert.strictEqual(readInboxState().nodes.node_pub.revocations, 1);
+});
+
+test('each message is applied once', () => {
+  const assetId = received('capsule_once');
+  const msg = vote('node_bob', assetId, false);
+  assert.strictEqual(processInbox([msg]).votes, 1);
+  assert.strictEqual(processInbox([msg]).votes, 0);
+});
+
+test('a revoke for an asset not received here needs a trusted key', () => {
+  const untrusted = processInbox([revoke('node_mallory', 'sha256:capsule_future')]);
+  assert.match(untrusted.skipped[0].reason, /not signed by a trusted key/);
+  const unsignedCopy = { type: 'Capsule', id: 'capsule_future', asset_id: 'sha256:capsule_future' };
+  assert.strictEqual(revocationFor(unsignedCopy, null), null);
+
+  processInbox([revoke('node_carol', 'sha256:capsule_future')]);
+  assert.strictEqual(revocationFor(unsignedCopy, null).node_id, 'node_carol');
+  assert.strictEqual(revocationFor(unsignedCopy, { node_id: 'node_other' }), null);
+});
+
+test('votes from untrusted keys are not counted', () => {
+  const assetId = received('capsule_sybil');
+  const out = processInbox([vote('node_sybil_1', assetId, false), vote('node_sybil_2', assetId, false)]);
+  assert.strictEqual(out.votes, 0);
+  assert.match(out.skipped[0].reason, /untrusted key/);
+  assert.strictEqual(copy('capsule_sybil').a2a.status, 'promoted');
+});
+
+test('votes are tallied per signing node, latest vote wins', () => {
+  const assetId = received('capsule_tally');
+  processInbox([vote('node_bob', assetId, false), vote('node_bob', assetId, true), decide('node_carol', assetId, 'accept')]);
+  const t = readInboxState().tally[assetId];
+  assert.deepStrictEqual({ pass: t.pass, fail: t.fail, quarantine: t.quarantine }, { pass: 2, fail: 0, quarantine: 0 });
+  assert.deepStrictEqual(Object.keys(t.votes).sort(), ['node_bob', 'node_carol']);
+});
+
+test('enough fail votes quarantine a copy and passing votes release it', () => {
+  const assetId = received('capsule_quarantine');
+  const one = processInbox([vote('node_bob', assetId, false)]);
+  assert.deepStrictEqual(one.quarantined, []);
+
+  const two = processInbox([decide('node_carol', assetId, 'quarantine')]);
+  assert.deepStrictEqual(two.quarantined, ['Capsule capsule_quarantine']);
+  assert.strictEqual(copy('capsule_quarantine').a2a.status, 'quarantined');
+  assert.strictEqual(withdrawnReason(copy('capsule_quarantine')), 'quarantined');
+
+  const back = processInbox([vote('node_bob', assetId, true), vote('node_carol', assetId, true), vote('node_dave', assetId, true)]);
+  assert.deepStrictEqual(back.released, ['Capsule capsule_quarantine']);
+  assert.strictEqual(copy('capsule_quarantine').a2a.status, 'promoted');
+  assert.strictEqual(withdrawnReason(copy('capsule_quarantine')), null);
+});
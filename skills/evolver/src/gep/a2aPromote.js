@@ -0,0 +1,92 @@
+// Promotion of a staged external candidate (external_candidates.jsonl) into the local store.
+//
+// Used by scripts/a2a_promote.js after a manual check and by the sandboxed trial (a2aTrial.js).
+// Revoked, quarantined and rejected candidates are refused. Genes keep the validation-command
+// safety check and start on probation; a local gene with the same id always wins. With A2A_EMIT_DECISIONS=true an accept/reject decision is sent.
+
+const { computeAssetId, SCHEMA_VERSION } = require('./contentHash');
+const { initialLifecycle } = require('./lifecycle');
+const { assertValidAsset } = require('./schema');
+
+const PROMOTABLE_TYPES = ['Capsule', 'Gene', 'EvolutionEvent'];
+
+const DEFAULT_REASONS = {
+  EvolutionEvent: 'event promoted for provenance tracking',
+  Capsule: 'capsule promoted after validation',
+  Gene: 'gene promoted after safety audit',
+};
+
+// Gene validation commands that fail solidify's safety check (node/npm/npx, no shell operators).
+function unsafeValidationCommands(gene) {
+  const { isValidationCommandAllowed } = require('./solidify');
+  const validation = Array.isArray(gene && gene.validation) ? gene.validation : [];
+  return validation.map(c => String(c || '').trim()).filter(c => c && !isValidationCommandAllowed(c));
+}
+
+function emitDecision(promoted, decision, reason) {
+  if (process.env.A2A_EMIT_DECISIONS !== 'true') return;
+  try {
+    const { buildDecision, getTransport } = require('./a2aProtocol');
+    // Peers know the asset by the id it was published under, not by the local copy's.
+    const assetId = promoted.a2a.origin_asset_id || promoted.asset_id;
+    getTransport().send(buildDecision({ assetId, localId: promoted.id, decision, reason }));
+  } catch (e) {
+    console.warn(`[A2APromote] Failed to send ${decision} decision for ${promoted.type} ${promoted.id}: ${e.message}`);
+  }
+}
+
+// Returns { outcome: 'promoted' | 'conflict_keep_local_gene', asset }. Throws on an unknown type,
+// a withdrawn candidate, an unsafe gene or a schema error; opts.a2a is merged into the stored
+// copy's a2a record. opts.retrial: the caller's passing trial supersedes an earlier quarantine or
+// reject verdict (a2aTrial.runTrial with force).
+function promoteCandidate(candidate, opts = {}) {
+  const { appendEventJsonl, appendCapsule, loadGenes, upsertGene } = require('./assetStore');
+  const { withdrawnReason } = require('./a2aInbox');
+  const type = candidate && candidate.type;
+  if (!PROMOTABLE_TYPES.includes(type)) throw new Error(`Cannot promote asset of type ${type}`);
+  const id = String(candidate.id);
+  const withdrawn = withdrawnReason(candidate);
+  if (withdrawn && !(opts.retrial && (withdrawn === 'quarantined' || withdrawn === 'rejected'))) {
+    throw new Error(`Refusing to promote ${type} ${id}: ${withdrawn}`);
+  }
+  if (type === 'Gene') {
+    const unsafe = unsafeValidationCommands(candidate);
+    if (unsafe.length) {
+      throw new Error(`Refusing to promote Gene ${id}: validation command rejected by safety check: "${unsafe[0]}". Only node/npm/npx commands without shell operators are allowed.`);
+    }
+  }
+
+  const promoted = JSON.parse(JSON.stringify(candidate));
+  // The publisher's signature does not cover the local copy (a2a status, lifecycle); the signer
+  // stays on record in a2a.signer, and a re-export is signed by this node.
+  delete promoted.signature;
+  if (!promoted.a2a || typeof promoted.a2a !== 'object') promoted.a2a = {};
+  Object.assign(promoted.a2a, opts.a2a || {}, { status: 'promoted', promoted_at: new Date().toISOString() });
+  if (!promoted.schema_version) promoted.schema_version = SCHEMA_VERSION;
+  // External genes start on probation until local outcomes promote them.
+  if (type === 'Gene') promoted.lifecycle = initialLifecycle('probation', 'promoted from A2A external candidate');
+  promoted.asset_id = computeAssetId(promoted);
+  // Precise schema errors here rather than a silent skip later in the selector.
+  assertValidAsset(promoted, type);
+
+  const reason = opts.reason || DEFAULT_REASONS[type];
+  if (type === 'EvolutionEvent') {
+    appendEventJsonl(promoted);
+  } else if (type === 'Capsule') {
+    appendCapsule(promoted);
+  } else {
+    if (loadGenes().some(g => g && g.type === 'Gene' && String(g.id) === id)) {
+      emitDecision(promoted, 'reject', 'local gene with same ID already exists');
+      return { outcome: 'conflict_keep_local_gene', asset: promoted };
+    }
+    upsertGene(promoted);
+  }
+  emitDecision(promoted, 'accept', reason);
+  return { outcome: 'promoted', asset: promoted };
+}
+
+module.exports = {
+  PROMOTABLE_TYPES,
+  unsafeValidationCommands,
+  promoteCandidate,
+};
@@ -13,7 +13,11 @@
 //   receive(opts)          - receive pending messages
 //   list(opts)             - list available message files/streams
 //
-// Default transport: FileTransport (reads/writes JSONL to a2a/ directory).
+// Default transport: FileTransport (reads/writes JSONL to a2a/ directory). HTTP talks to a hub;
+// p2p (p2pTransport.js) gossips with peers on the same network.
+//
+// Every message, and every asset it publishes, carries a detached Ed25519 `signature` from this
+// node's key (see signing.js; A2A_SIGN=false turns signing off).
 
 const fs = require('fs');
 const path = require('path');
@@ -21,6 +25,7 @@ const crypto = require('crypto');
 const { getGepAssetsDir } = require('./paths');
 const { computeAssetId } = require('./contentHash');
 const { captureEnvFingerprint } = require('./envFingerprint');
+const { isSigningEnabled, signObject } = require('./signing');
 
 const PROTOCOL_NAME = 'gep-a2a';
 const PROTOCOL_VERSION = '1.0.0';
@@ -45,7 +50,7 @@ function buildMessage(params) {
   if (!VALID_MESSAGE_TYPES.includes(messageType)) {
     throw new Error('Invalid message type: ' + messageType + '. Valid: ' + VALID_MESSAGE_TYPES.join(', '));
   }
-  return {
+  var msg = {
     protocol: PROTOCOL_NAME,
     protocol_version: PROTOCOL_VERSION,
     message_type: messageType,
@@ -54,6 +59,13 @@ function buildMessage(params) {
     timestamp: new Date().toISOString(),
     payload: payload || {},
   };
+  return isSigningEnabled() ? signObject(msg, { nodeId: msg.sender_id }) : msg;
+}
+
+// Sign a published asset as this node. asset_id is filled in first so the signature covers it.
+function signAsset(asset, nodeId) {
+  var withId = asset.asset_id ? asset : Object.assign({}, asset, { asset_id: computeAssetId(asset) });
+  return isSigningEnabled() ? signObject(withId, { nodeId: nodeId || getNodeId() }) : withId;
 }
 
 // --- Typed message builders ---
@@ -78,8 +90,10 @@ function buildPublish(opts) {
   if (!asset || !asset.type || !asset.id) {
     throw new Error('publish: asset must have type and id');
   }
-  // Generate signature: HMAC-SHA256 of asset_id with node secret
-  var assetIdVal = asset.asset_id || computeAssetId(asset);
+  var signed = signAsset(asset, o.nodeId);
+  var assetIdVal = signed.asset_id;
+  // Legacy HMAC-SHA256 of asset_id for hubs that still check payload.signature. It proves nothing
+  // about authorship; the Ed25519 signatures on the asset and the message do.
   var nodeSecret = process.env.A2A_NODE_SECRET || getNodeId();
   var signature = crypto.createHmac('sha256', nodeSecret).update(assetIdVal).digest('hex');
   return buildMessage({
@@ -89,7 +103,7 @@ function buildPublish(opts) {
       asset_type: asset.type,
       asset_id: assetIdVal,
       local_id: asset.id,
-      asset: asset,
+      asset: signed,
       signature: signature,
     },
   });
@@ -108,13 +122,14 @@ function buildPublishBundle(opts) {
   if (!capsule || capsule.type !== 'Capsule' || !capsule.id) {
     throw new Error('publishBundle: capsule must be a valid Capsule with type and id');
   }
-  var geneAssetId = gene.asset_id || computeAssetId(gene);
-  var capsuleAssetId = capsule.asset_id || computeAssetId(capsule);
+  var signedGene = signAsset(gene, o.nodeId);
+  var signedCapsule = signAsset(capsule, o.nodeId);
+  // Legacy bundle HMAC (see buildPublish).
   var nodeSecret = process.env.A2A_NODE_SECRET || getNodeId();
-  var signatureInput = [geneAssetId, capsuleAssetId].sort().join('|');
+  var signatureInput = [signedGene.asset_id, signedCapsule.asset_id].sort().join('|');
   var signature = crypto.createHmac('sha256', nodeSecret).update(signatureInput).digest('hex');
-  var assets = [gene, capsule];
-  if (event && event.type === 'EvolutionEvent') assets.push(event);
+  var assets = [signedGene, signedCapsule];
+  if (event && event.type === 'EvolutionEvent') assets.push(signAsset(event, o.nodeId));
   return buildMessage({
     messageType: 'publish',
     senderId: o.nodeId,
@@ -317,8 +332,14 @@ var transports = {
   },
 };
 
+// Transports that live in their own module and register themselves when loaded.
+var lazyTransports = {
+  p2p: './p2pTransport',
+};
+
 function getTransport(name) {
   var n = String(name || process.env.A2A_TRANSPORT || 'file').toLowerCase();
+  if (!transports[n] && lazyTransports[n]) require(lazyTransports[n]);
   var t = transports[n];
   if (!t) throw new Error('Unknown A2A transport: ' + n + '. Available: ' + Object.keys(transports).join(', '));
   return t;
@@ -338,6 +359,7 @@ module.exports = {
   VALID_MESSAGE_TYPES,
   getNodeId,
   buildMessage,
+  signAsset,
   buildHello,
   buildPublish,
   buildPublishBundle,
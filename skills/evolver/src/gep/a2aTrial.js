@@ -0,0 +1,354 @@
+// Sandboxed trial of external candidates before promotion.
+//
+// runTrial(candidate) takes a Gene or Capsule staged in external_candidates.jsonl and:
+//   1. resolves the gene it runs under (a capsule's gene from the external zone, else the local one;
+//      never a withdrawn one) and refuses the trial outright when a gene validation command fails
+//      the safety check;
+//   2. refuses to run a peer gene's commands unless the gene was signed by a trusted key
+//      (a2a.signer.trusted, see a2a_trust.js): the safety check only limits the command prefix,
+//      and `node -e` runs anything with this user's file access;
+//   3. creates a git worktree sandbox (sandbox.js) and installs the candidate, and its gene, into
+//      the sandbox's assets/gep store. The strategy steps are instructions for the Hand; they are
+//      written to .evolver_trial.json in the sandbox, and A2A_TRIAL_APPLY_CMD (a node/npm/npx
+//      command, run in the sandbox before the validations) can carry them out;
+//   4. runs the gene's validation commands followed by those of every live local gene through the
+//      sandboxed validation runner (A2A_TRIAL_LOCAL_GENES=false runs only the candidate's);
+//   5. appends a ValidationReport to events.jsonl and sends it as an A2A report message;
+//   6. applies the policy. A pass only promotes (A2A_TRIAL_ON_PASS=promote) when the apply
+//      command ran and changed the tree; otherwise nothing of the strategy was tested and the
+//      candidate stays staged (hold, the default without an apply command). A failure quarantines
+//      it (A2A_TRIAL_ON_FAIL=quarantine, default) or rejects it (reject). An unsafe gene is always
+//      rejected, and a gene without validation commands of its own fails.
+// The verdict is kept in the inbox state (a2aInbox.recordTrial): quarantined and rejected
+// candidates are withdrawn from matching and promotion until a later trial passes. The sandbox is
+// always discarded; nothing from the trial reaches the live workspace.
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { loadGenes, getGene, appendEventJsonl, readRecentExternalCandidates } = require('./assetStore');
+const { createSandbox, isActiveSandbox, discardSandbox } = require('./sandbox');
+const { runValidations, isValidationCommandAllowed } = require('./solidify');
+const { buildValidationReport } = require('./validationReport');
+const { buildReport, buildDecision, getTransport } = require('./a2aProtocol');
+const { isWithdrawnA2AAsset } = require('./a2a');
+const { lifecycleState } = require('./lifecycle');
+const { promoteCandidate, unsafeValidationCommands } = require('./a2aPromote');
+const { withdrawnReason, withdrawnChecker, trialFor, recordTrial } = require('./a2aInbox');
+
+const TRIAL_TYPES = ['Gene', 'Capsule'];
+const PLAN_FILE = '.evolver_trial.json';
+
+function resolveTrialPolicy(overrides = {}) {
+  const pick = (value, env, allowed, fallback) => {
+    const v = String(value || process.env[env] || fallback).toLowerCase().trim();
+    if (!allowed.includes(v)) throw new Error(`${env} must be one of: ${allowed.join(', ')} (got "${v}")`);
+    return v;
+  };
+  const localGenes = overrides.localGenes != null ? !!overrides.localGenes : process.env.A2A_TRIAL_LOCAL_GENES !== 'false';
+  const applyCmd = String(overrides.applyCmd || process.env.A2A_TRIAL_APPLY_CMD || '').trim() || null;
+  return {
+    onPass: pick(overrides.onPass, 'A2A_TRIAL_ON_PASS', ['promote', 'hold'], applyCmd ? 'promote' : 'hold'),
+    onFail: pick(overrides.onFail, 'A2A_TRIAL_ON_FAIL', ['quarantine', 'reject'], 'quarantine'),
+    localGenes,
+    applyCmd,
+  };
+}
+
+// A gene's commands run on this host, so a peer's gene must come from a trusted key. Local genes
+// (no a2a record, or promoted earlier) are ours.
+function mayRunCommands(gene, source) {
+  if (!gene || source === 'local') return true;
+  const signer = gene.a2a && gene.a2a.signer;
+  return !!(signer && signer.trusted);
+}
+
+function trialGene(candidate) {
+  const resolved = resolveGene(candidate);
+  if (resolved.withdrawn) return { ...resolved, runnable: false };
+  return { ...resolved, runnable: mayRunCommands(resolved.gene, resolved.source) };
+}
+
+function originAssetId(asset) {
+  return (asset.a2a && asset.a2a.origin_asset_id) || asset.asset_id || null;
+}
+
+// Staged Genes and Capsules that are neither withdrawn nor trialed yet, newest last.
+function pendingCandidates({ limit = 500 } = {}) {
+  const withdrawn = withdrawnChecker();
+  const seen = new Set();
+  return readRecentExternalCandidates(limit).filter(a => {
+    if (!a || !TRIAL_TYPES.includes(a.type) || withdrawn(a) || trialFor(a)) return false;
+    const key = originAssetId(a) || `${a.type}:${a.id}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function findCandidate({ type, id, limit = 500 }) {
+  const list = readRecentExternalCandidates(limit);
+  for (let i = list.length - 1; i >= 0; i--) {
+    if (list[i] && list[i].type === type && String(list[i].id) === String(id)) return list[i];
+  }
+  return null;
+}
+
+// The gene a candidate is validated with: { gene, source: 'candidate' | 'external' | 'local' | null }.
+// A capsule's gene is looked up among the staged candidates (same publisher first), then locally.
+// Revoked, quarantined and rejected genes are passed over; when that leaves nothing, `withdrawn`
+// names why the gene is unavailable.
+function resolveGene(candidate, { limit = 500 } = {}) {
+  if (candidate.type === 'Gene') return { gene: candidate, source: 'candidate' };
+  const geneId = candidate.gene ? String(candidate.gene) : null;
+  if (!geneId) return { gene: null, source: null };
+  const signer = candidate.a2a && candidate.a2a.signer ? candidate.a2a.signer.node_id : null;
+  const staged = readRecentExternalCandidates(limit).filter(a => a && a.type === 'Gene' && String(a.id) === geneId);
+  const newest = staged.reverse();
+  const usable = newest.filter(g => !withdrawnReason(g));
+  const external = usable.find(g => !signer || (g.a2a && g.a2a.signer && g.a2a.signer.node_id === signer)) || usable[0];
+  if (external) return { gene: external, source: 'external' };
+  const local = getGene(geneId);
+  if (local && !withdrawnReason(local)) return { gene: local, source: 'local' };
+  const withdrawn = newest.length ? withdrawnReason(newest[0]) : local ? withdrawnReason(local) : null;
+  return { gene: null, source: null, withdrawn };
+}
+
+// Validation commands of the live local genes (not retired, not withdrawn), minus `exclude`.
+function localValidationCommands(exclude) {
+  const seen = new Set(exclude);
+  const out = [];
+  for (const g of loadGenes()) {
+    if (!g || lifecycleState(g) === 'retired' || isWithdrawnA2AAsset(g)) continue;
+    for (const raw of Array.isArray(g.validation) ? g.validation : []) {
+      const c = String(raw || '').trim();
+      if (!c || seen.has(c) || !isValidationCommandAllowed(c)) continue;
+      seen.add(c);
+      out.push(c);
+    }
+  }
+  return out;
+}
+
+// Add the assets to the sandbox's JSON asset store (replacing same-id entries).
+function installInSandbox(repoRoot, assets) {
+  const dir = path.join(repoRoot, 'assets', 'gep');
+  fs.mkdirSync(dir, { recursive: true });
+  for (const asset of assets) {
+    const [file, key] = asset.type === 'Gene' ? ['genes.json', 'genes'] : ['capsules.json', 'capsules'];
+    const p = path.join(dir, file);
+    let data = { version: 1, [key]: [] };
+    try {
+      if (fs.existsSync(p)) data = JSON.parse(fs.readFileSync(p, 'utf8'));
+    } catch (e) {
+      console.warn(`[A2ATrial] Unreadable ${file} in sandbox, starting empty: ${e.message}`);
+    }
+    const list = (Array.isArray(data[key]) ? data[key] : []).filter(a => !(a && a.type === asset.type && a.id === asset.id));
+    list.push(asset);
+    fs.writeFileSync(p, JSON.stringify({ ...data, [key]: list }, null, 2) + '\n', 'utf8');
+  }
+}
+
+function notRun(cmd, err, startedAt) {
+  return { ok: false, results: [{ cmd, ok: false, out: '', err }], startedAt, finishedAt: Date.now(), sandbox: null };
+}
+
+function ownCommands(gene) {
+  return gene && Array.isArray(gene.validation) ? gene.validation.map(c => String(c || '').trim()).filter(Boolean) : [];
+}
+
+// Files the apply command changed: staged state vs. the working tree, plus new untracked files.
+function treeChanged(worktree) {
+  const git = args => execFileSync('git', args, { cwd: worktree, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'], timeout: 60000 });
+  try {
+    return git(['status', '--porcelain', '--untracked-files=all']).split('\n').some(l => l && l[1] !== ' ');
+  } catch (e) {
+    console.warn(`[A2ATrial] Could not diff the sandbox: ${e.message}`);
+    return false;
+  }
+}
+
+function stageAll(worktree) {
+  execFileSync('git', ['add', '-A'], { cwd: worktree, stdio: 'ignore', timeout: 60000 });
+}
+
+// Install, apply and validate inside a throwaway worktree.
+async function validateInSandbox(candidate, gene, policy, repoRoot) {
+  const sandbox = createSandbox({ runId: `trial_${candidate.id}_${Date.now()}`, ...(repoRoot ? { repoRoot } : {}) });
+  if (!isActiveSandbox(sandbox)) {
+    throw new Error(`A trial needs a git worktree sandbox (${sandbox.reason || 'unavailable'}); check EVOLVE_SANDBOX and that the repo is a git checkout.`);
+  }
+  try {
+    const root = sandbox.repo_root;
+    installInSandbox(root, gene && gene !== candidate ? [gene, candidate] : [candidate]);
+    const plan = {
+      candidate: { type: candidate.type, id: candidate.id, asset_id: originAssetId(candidate) },
+      gene_id: gene ? gene.id : null,
+      signals_match: gene && Array.isArray(gene.signals_match) ? gene.signals_match : [],
+      preconditions: gene && Array.isArray(gene.preconditions) ? gene.preconditions : [],
+      strategy: gene && Array.isArray(gene.strategy) ? gene.strategy : [],
+      constraints: gene && gene.constraints ? gene.constraints : null,
+      summary: candidate.type === 'Capsule' ? candidate.summary || null : null,
+    };
+    fs.writeFileSync(path.join(root, PLAN_FILE), JSON.stringify(plan, null, 2) + '\n', 'utf8');
+
+    const own = ownCommands(gene);
+    const commands = own.concat(policy.localGenes ? localValidationCommands(own) : []);
+    const counts = { own: own.length, local: commands.length - own.length };
+    let apply = null;
+    let applied = false;
+    if (policy.applyCmd) {
+      // Stage the installed assets and the plan so only the apply command's edits count as changes.
+      stageAll(sandbox.path);
+      apply = await runValidations({ validation: [policy.applyCmd] }, { repoRoot: root });
+      if (!apply.ok) return { validation: apply, sandbox, applied, ...counts };
+      applied = treeChanged(sandbox.path);
+    }
+    const validation = await runValidations({ validation: commands }, { repoRoot: root });
+    if (apply) {
+      validation.results = apply.results.concat(validation.results);
+      validation.startedAt = apply.startedAt;
+    }
+    return { validation, sandbox, applied, ...counts };
+  } finally {
+    discardSandbox(sandbox);
+  }
+}
+
+function send(message, what) {
+  try {
+    getTransport().send(message);
+    return message.message_id;
+  } catch (e) {
+    console.warn(`[A2ATrial] Failed to send ${what}: ${e.message}`);
+    return null;
+  }
+}
+
+// Trial one staged candidate and apply the policy. opts: { onPass, onFail, localGenes, applyCmd,
+// force, repoRoot } where force re-runs a candidate a previous trial quarantined or rejected, and
+// repoRoot is the checkout the sandbox branches from (default: this repo). Throws, without
+// recording anything, for a peer gene from an untrusted signer.
+// Returns { status, reason, report, report_message_id, promoted, applied, gene_id, gene_source }.
+async function runTrial(candidate, opts = {}) {
+  if (!candidate || !TRIAL_TYPES.includes(candidate.type)) throw new Error('Only Gene and Capsule candidates can be trialed');
+  const policy = resolveTrialPolicy(opts);
+  const withdrawn = withdrawnReason(candidate);
+  const retrial = opts.force && (withdrawn === 'quarantined' || withdrawn === 'rejected') && trialFor(candidate);
+  if (withdrawn && !retrial) throw new Error(`${candidate.type} ${candidate.id} is ${withdrawn}; not trialed`);
+  if (policy.applyCmd && !isValidationCommandAllowed(policy.applyCmd)) {
+    throw new Error(`A2A_TRIAL_APPLY_CMD rejected by safety check: "${policy.applyCmd}"`);
+  }
+
+  const { gene, source, runnable, withdrawn: geneWithdrawn } = trialGene(candidate);
+  if (geneWithdrawn) throw new Error(`Gene ${candidate.gene} of ${candidate.type} ${candidate.id} is ${geneWithdrawn}; not trialed`);
+  if (!runnable) {
+    const signer = gene.a2a && gene.a2a.signer ? gene.a2a.signer.node_id : 'unsigned';
+    throw new Error(`Gene ${gene.id} is not signed by a trusted key (${signer}); its validation commands would run on this host. Trust the publisher with scripts/a2a_trust.js first.`);
+  }
+  const startedAt = Date.now();
+  const unsafe = gene ? unsafeValidationCommands(gene) : [];
+  const empty = !unsafe.length && !ownCommands(gene).length;
+  let run;
+  if (unsafe.length) {
+    const err = 'BLOCKED: validation command rejected by safety check (allowed prefixes: node/npm/npx; shell operators prohibited)';
+    run = { validation: notRun(unsafe[0], err, startedAt), sandbox: null, applied: false, own: 0, local: 0 };
+  } else if (empty) {
+    // Local genes passing says nothing about the candidate.
+    run = { validation: notRun('(none)', 'the candidate declares no validation command', startedAt), sandbox: null, applied: false, own: 0, local: 0 };
+  } else {
+    run = await validateInSandbox(candidate, gene, policy, opts.repoRoot);
+  }
+  const { validation } = run;
+
+  const report = buildValidationReport({
+    geneId: gene ? gene.id : null,
+    commands: validation.results.map(r => r.cmd),
+    results: validation.results,
+    startedAt: validation.startedAt,
+    finishedAt: validation.finishedAt,
+    sandbox: validation.sandbox
+      ? {
+          ...validation.sandbox,
+          worktree: run.sandbox ? { branch: run.sandbox.branch, base_head: run.sandbox.base_head } : null,
+          trial: {
+            asset_id: originAssetId(candidate),
+            local_id: String(candidate.id),
+            gene_source: source,
+            apply_command: policy.applyCmd,
+            applied: run.applied,
+            candidate_commands: run.own,
+            local_commands: run.local,
+          },
+        }
+      : null,
+  });
+  appendEventJsonl(report);
+  const reportMessageId = send(
+    buildReport({ assetId: originAssetId(candidate), localId: String(candidate.id), validationReport: report }),
+    `report for ${candidate.type} ${candidate.id}`
+  );
+
+  let status;
+  let reason;
+  if (unsafe.length) {
+    status = 'rejected';
+    reason = `unsafe validation command: ${unsafe[0]}`;
+  } else if (empty) {
+    status = policy.onFail === 'reject' ? 'rejected' : 'quarantined';
+    reason = 'no candidate validation command';
+  } else if (report.overall_ok) {
+    status = policy.onPass === 'promote' && run.applied ? 'promoted' : 'passed';
+    reason = `${validation.results.length} validation command(s) passed in a sandbox`;
+    if (policy.onPass === 'promote' && !run.applied) {
+      reason += policy.applyCmd ? '; the apply command changed nothing, held for review' : '; strategy not applied, held for review';
+    }
+  } else {
+    status = policy.onFail === 'reject' ? 'rejected' : 'quarantined';
+    const failed = validation.results.find(r => !r.ok);
+    reason = failed ? `validation failed: ${failed.cmd}` : 'no validation command ran';
+  }
+
+  const promoted = [];
+  if (status === 'promoted') {
+    const trialFields = { trial_report_id: report.id };
+    // A capsule is only useful with its gene; a staged gene is promoted along with it.
+    if (source === 'external' && gene) {
+      const withGene = promoteCandidate(gene, { reason: 'gene of a capsule that passed a sandboxed trial', a2a: trialFields });
+      promoted.push(withGene);
+      if (withGene.outcome === 'promoted') recordTrial(gene, 'promoted', { reason: `promoted with ${candidate.type} ${candidate.id}`, reportId: report.id });
+    }
+    const own = promoteCandidate(candidate, { reason: 'passed sandboxed trial', a2a: trialFields, retrial: !!retrial });
+    promoted.push(own);
+    if (own.outcome !== 'promoted') {
+      status = 'passed';
+      reason += `; kept staged (${own.outcome})`;
+    }
+  } else if (status !== 'passed' && process.env.A2A_EMIT_DECISIONS === 'true') {
+    const decision = status === 'rejected' ? 'reject' : 'quarantine';
+    send(buildDecision({ assetId: originAssetId(candidate), localId: String(candidate.id), decision, reason }), `${decision} decision`);
+  }
+  recordTrial(candidate, status, { reason, reportId: report.id });
+
+  return {
+    status,
+    reason,
+    report,
+    report_message_id: reportMessageId,
+    promoted: promoted.map(p => ({ type: p.asset.type, id: p.asset.id, outcome: p.outcome })),
+    applied: run.applied,
+    gene_id: gene ? gene.id : null,
+    gene_source: source,
+  };
+}
+
+module.exports = {
+  PLAN_FILE,
+  resolveTrialPolicy,
+  pendingCandidates,
+  findCandidate,
+  resolveGene,
+  mayRunCommands,
+  trialGene,
+  runTrial,
+};
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evolver-trial-'));
+const repo = path.join(dir, 'repo');
+process.env.MEMORY_DIR = path.join(dir, 'memory');
+process.env.GEP_ASSETS_DIR = path.join(dir, 'assets');
+process.env.A2A_DIR = path.join(dir, 'a2a');
+process.env.EVOLVE_SANDBOX_DIR = path.join(dir, 'worktrees');
+process.env.EVOLVER_STORAGE = 'json';
+['A2A_TRIAL_APPLY_CMD', 'A2A_TRIAL_ON_PASS', 'A2A_TRIAL_ON_FAIL', 'A2A_EMIT_DECISIONS', 'EVOLVE_SANDBOX'].forEach(k => delete process.env[k]);
+
+const { runTrial } = require('./a2aTrial');
+const { promoteCandidate } = require('./a2aPromote');
+const { recordTrial, withdrawnReason } = require('./a2aInbox');
+const { appendExternalCandidateJsonl, getLastEventId, loadGenes } = require('./assetStore');
+
+const trusted = { node_id: 'node_pub', key_id: 'ed25519:000000000000000000000001', trusted: true };
+
+function gene(id, validation) {
+  return {
+    type: 'Gene',
+    schema_version: '1.6.0',
+    id,
+    category: 'repair',
+    signals_match: ['log_error'],
+    strategy: ['apply the fix'],
+    validation,
+    a2a: { status: 'external_candidate', origin_asset_id: `sha256:${id}`, signer: trusted },
+  };
+}
+
+function capsule(id, geneId) {
+  return {
+    type: 'Capsule',
+    schema_version: '1.6.0',
+    id,
+    trigger: ['log_error'],
+    gene: geneId,
+    summary: `fix for ${id}`,
+    confidence: 0.9,
+    blast_radius: { files: 1, lines: 4 },
+    outcome: { status: 'success', score: 0.9 },
+    a2a: { status: 'external_candidate', origin_asset_id: `sha256:${id}`, signer: trusted },
+  };
+}
+
+function staged(asset) {
+  appendExternalCandidateJsonl(asset);
+  return asset;
+}
+
+// Trials in the throwaway repo, with only the candidate's own commands.
+function trial(candidate, opts = {}) {
+  return runTrial(candidate, { repoRoot: repo, localGenes: false, ...opts });
+}
+
+test.before(() => {
+  fs.mkdirSync(repo, { recursive: true });
+  fs.writeFileSync(path.join(repo, 'pass.js'), 'process.exit(0);\n');
+  fs.writeFileSync(path.join(repo, 'fail.js'), 'process.exit(1);\n');
+  fs.writeFileSync(path.join(repo, 'apply.js'), "require('fs').writeFileSync('applied.txt', 'ok');\n");
+  const git = args => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd: repo, stdio: 'ignore' });
+  git(['init', '-q']);
+  git(['add', '-A']);
+  git(['commit', '-q', '-m', 'init']);
+});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('a pass without an apply command holds the candidate', async () => {
+  const res = await trial(staged(gene('gene_hold', ['node pass.js'])));
+  assert.strictEqual(res.status, 'passed');
+  assert.deepStrictEqual(res.promoted, []);
+  assert.strictEqual(loadGenes().find(g => g.id === 'gene_hold'), undefined);
+});
+
+test('a pass after an apply command that changed the tree promotes', async () => {
+  const res = await trial(staged(gene('gene_promote', ['node pass.js'])), { applyCmd: 'node apply.js' });
+  assert.strictEqual(res.status, 'promoted');
+  assert.strictEqual(res.applied, true);
+  assert.strictEqual(loadGenes().find(g => g.id === 'gene_promote').a2a.status, 'promoted');
+});
+
+test('a failure quarantines by default and rejects on request', async () => {
+  const quarantined = staged(gene('gene_quarantine', ['node fail.js']));
+  assert.strictEqual((await trial(quarantined)).status, 'quarantined');
+  assert.strictEqual(withdrawnReason(quarantined), 'quarantined');
+
+  const rejected = staged(gene('gene_reject', ['node fail.js']));
+  assert.strictEqual((await trial(rejected, { onFail: 'reject' })).status, 'rejected');
+  assert.strictEqual(withdrawnReason(rejected), 'rejected');
+});
+
+test('a capsule is not trialed with a withdrawn gene', async () => {
+  const withdrawn = staged(gene('gene_withdrawn', ['node pass.js']));
+  recordTrial(withdrawn, 'rejected', { reason: 'test' });
+  await assert.rejects(trial(staged(capsule('capsule_orphan', 'gene_withdrawn'))), /gene_withdrawn .* is rejected; not trialed/);
+});
+
+test('promoteCandidate refuses withdrawn candidates', () => {
+  const withdrawn = staged(gene('gene_refused', ['node pass.js']));
+  recordTrial(withdrawn, 'quarantined', { reason: 'test' });
+  assert.throws(() => promoteCandidate(withdrawn), /Refusing to promote Gene gene_refused: quarantined/);
+});
+
+test('trial reports do not become the parent of the next event', async () => {
+  // Written as-is: only the id and type matter to the parent chain.
+  fs.appendFileSync(path.join(process.env.GEP_ASSETS_DIR, 'events.jsonl'), `${JSON.stringify({ type: 'EvolutionEvent', id: 'evt_parent' })}\n`);
+  await trial(staged(gene('gene_parent', ['node pass.js'])));
+  assert.strictEqual(getLastEventId(), 'evt_parent');
+});
@@ -0,0 +1,221 @@
+// Human approval queue for review-mode cycles (`--review`).
+//
+// When the last run was started in review mode, solidify() stops once a cycle has passed its
+// constraints and validation: instead of promoting the sandbox it writes a pending record (gene,
+// mutation, blast radius, validation summary) plus the full diff to memory/evolution/pending/,
+// and leaves the sandbox (or the live edits) in place. `node index.js approve <id>` re-runs
+// solidify with the approval, which validates again and lands the change as usual;
+// `reject <id>` runs it with a rejection, which rolls the change back and records a failed
+// event. Resolved records move to pending/archive/. While a record for the current run is
+// pending, the loop does not start a new cycle.
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { getEvolutionDir } = require('./paths');
+
+const MAX_DIFF_BYTES = 32 * 1024 * 1024;
+
+function pendingDir() {
+  return path.join(getEvolutionDir(), 'pending');
+}
+
+function archiveDir() {
+  return path.join(pendingDir(), 'archive');
+}
+
+function approvalId(runId) {
+  return `apr_${String(runId || Date.now()).replace(/[^A-Za-z0-9._-]/g, '_').slice(0, 80)}`;
+}
+
+function recordPath(id, dir = pendingDir()) {
+  return path.join(dir, `${id}.json`);
+}
+
+function diffPath(id, dir = pendingDir()) {
+  return path.join(dir, `${id}.diff`);
+}
+
+function writeJsonAtomic(file, obj) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(obj, null, 2) + '\n', 'utf8');
+  fs.renameSync(tmp, file);
+}
+
+// `git diff` exits 1 when --no-index finds differences; its stdout is still the diff.
+function gitOut(args, cwd) {
+  try {
+    return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'], timeout: 120000, maxBuffer: MAX_DIFF_BYTES });
+  } catch (e) {
+    if (e && typeof e.stdout === 'string' && e.status === 1) return e.stdout;
+    return '';
+  }
+}
+
+// The change the reviewer is asked to approve. Sandboxed cycles are staged inside their worktree
+// (promotion stages everything anyway); live cycles diff against HEAD without touching the index,
+// with new untracked files rendered as additions.
+function captureDiff({ sandbox, workRoot, baselineUntracked }) {
+  if (sandbox) {
+    gitOut(['add', '-A'], sandbox.path);
+    return gitOut(['diff', '--cached', '--stat', '--patch'], sandbox.path);
+  }
+  const parts = [gitOut(['diff', 'HEAD', '--stat', '--patch'], workRoot)];
+  const baseline = new Set((Array.isArray(baselineUntracked) ? baselineUntracked : []).map(String));
+  const untracked = gitOut(['ls-files', '--others', '--exclude-standard'], workRoot)
+    .split('\n')
+    .map(l => l.trim())
+    .filter(rel => rel && !baseline.has(rel));
+  for (const rel of untracked) parts.push(gitOut(['diff', '--no-index', '--', '/dev/null', rel], workRoot));
+  return parts.filter(Boolean).join('\n');
+}
+
+// Write (or refresh, when solidify runs again for the same run) the pending record.
+function createPending({ lastRun, intent, summary, signals, gene, mutation, personalityState, blast, constraintCheck, validation, sandbox, workRoot, baselineUntracked }) {
+  const runId = lastRun && lastRun.run_id ? String(lastRun.run_id) : null;
+  const id = approvalId(runId);
+  const diff = captureDiff({ sandbox, workRoot, baselineUntracked });
+  fs.mkdirSync(pendingDir(), { recursive: true });
+  fs.writeFileSync(diffPath(id), diff, 'utf8');
+  const previous = readPending(id);
+  const record = {
+    id,
+    status: 'pending',
+    created_at: previous && previous.created_at ? previous.created_at : new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+    run_id: runId,
+    cycle_id: lastRun && lastRun.cycle_id ? String(lastRun.cycle_id) : null,
+    intent: intent || null,
+    summary: summary || null,
+    gene_id: gene && gene.id ? gene.id : null,
+    signals: Array.isArray(signals) ? signals : [],
+    mutation: mutation || null,
+    personality_state: personalityState || null,
+    blast_radius: {
+      files: blast.files,
+      lines: blast.lines,
+      dependents: blast.dependents,
+      skills: blast.skills_affected,
+      changed_files: blast.all_changed_files || blast.changed_files || [],
+    },
+    constraint_violations: constraintCheck && Array.isArray(constraintCheck.violations) ? constraintCheck.violations : [],
+    validation: {
+      ok: !!(validation && validation.ok),
+      commands: validation && Array.isArray(validation.results) ? validation.results.map(r => ({ cmd: r.cmd, ok: r.ok })) : [],
+    },
+    sandbox: sandbox ? { branch: sandbox.branch, base_head: sandbox.base_head, path: sandbox.path } : null,
+    diff_file: diffPath(id),
+    diff_bytes: Buffer.byteLength(diff, 'utf8'),
+  };
+  writeJsonAtomic(recordPath(id), record);
+  return record;
+}
+
+function readPending(id, dir = pendingDir()) {
+  const file = recordPath(String(id || ''), dir);
+  try {
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    console.warn(`[Approval] Unreadable approval record ${file}: ${e.message}`);
+    return null;
+  }
+}
+
+function readDiff(id) {
+  try {
+    return fs.readFileSync(diffPath(String(id || '')), 'utf8');
+  } catch (e) {
+    return '';
+  }
+}
+
+// Pending records, oldest first.
+function listPending() {
+  let names = [];
+  try {
+    names = fs.readdirSync(pendingDir()).filter(n => n.startsWith('apr_') && n.endsWith('.json'));
+  } catch (e) {
+    return [];
+  }
+  return names
+    .map(n => readPending(n.slice(0, -'.json'.length)))
+    .filter(r => r && r.status === 'pending')
+    .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+}
+
+// The pending record for the current last_run, or null. A record left behind by an older run
+// (its sandbox is gone) does not hold up the loop.
+function isAwaitingApproval(state) {
+  const st = state || require('./solidify').readStateForSolidify();
+  const lastRun = st && st.last_run ? st.last_run : null;
+  if (!lastRun || !lastRun.run_id) return null;
+  const lastSolid = st.last_solidify || null;
+  if (lastSolid && String(lastSolid.run_id) === String(lastRun.run_id)) return null;
+  const record = readPending(approvalId(lastRun.run_id));
+  return record && record.status === 'pending' ? record : null;
+}
+
+function archive(record) {
+  const dir = archiveDir();
+  fs.mkdirSync(dir, { recursive: true });
+  try {
+    fs.renameSync(diffPath(record.id), diffPath(record.id, dir));
+    record.diff_file = diffPath(record.id, dir);
+  } catch (e) {}
+  writeJsonAtomic(recordPath(record.id, dir), record);
+  try {
+    fs.unlinkSync(recordPath(record.id));
+  } catch (e) {}
+  return record;
+}
+
+async function resolvePending(id, { decision, by = null, reason = null } = {}) {
+  const record = readPending(id) || readPending(id, archiveDir());
+  if (!record) throw new Error(`approval not found: ${id}`);
+  if (record.status !== 'pending') throw new Error(`approval ${id} is already ${record.status}`);
+  const { solidify, readStateForSolidify } = require('./solidify');
+  const st = readStateForSolidify();
+  const lastRun = st && st.last_run ? st.last_run : null;
+  if (!lastRun || String(lastRun.run_id) !== String(record.run_id)) {
+    throw new Error(`approval ${id} belongs to run ${record.run_id}, but the current run is ${lastRun ? lastRun.run_id : '(none)'}`);
+  }
+  const resolver = by || process.env.EVOLVE_APPROVER || process.env.USER || 'cli';
+  const result = await solidify({
+    intent: record.intent || undefined,
+    summary: record.summary || undefined,
+    approval: { id: record.id, decision, by: resolver, reason },
+  });
+  record.status = decision === 'reject' ? 'rejected' : result && result.ok ? 'approved' : 'failed';
+  record.resolved = {
+    at: new Date().toISOString(),
+    by: resolver,
+    reason: reason || null,
+    event_id: result && result.event ? result.event.id : null,
+    outcome: result && result.event ? result.event.outcome : null,
+    commit: result && result.promotion && result.promotion.commit ? result.promotion.commit : null,
+  };
+  archive(record);
+  return { record, result };
+}
+
+function approvePending(id, opts = {}) {
+  return resolvePending(id, { ...opts, decision: 'approve' });
+}
+
+function rejectPending(id, opts = {}) {
+  return resolvePending(id, { ...opts, decision: 'reject' });
+}
+
+module.exports = {
+  pendingDir,
+  approvalId,
+  createPending,
+  readPending,
+  readDiff,
+  listPending,
+  isAwaitingApproval,
+  approvePending,
+  rejectPending,
+};
@@ -1,165 +1,91 @@
+// Gene/Capsule/Event storage goes through a driver (src/gep/storage/):
+//   json     genes.json, capsules.json and events.jsonl, read and rewritten whole (default)
+//   indexed  append-only logs and an offset index over events.jsonl, under <assets>/store/
+// EVOLVER_STORAGE=json|indexed picks one explicitly; otherwise the indexed driver is used once
+// `node scripts/migrate_storage.js --to=indexed` has initialized the store.
+// Candidates are short rolling logs and stay plain JSONL.
+//
+// Every asset crossing this module is checked against its JSON-Schema (src/gep/schema.js).
+// Reads upgrade older assets in memory (src/gep/migrations.js) and skip records that are still
+// invalid, with a warning; writes throw. `node index.js migrate` persists the upgrades.
+
 const fs = require('fs');
 const path = require('path');
 const { getGepAssetsDir } = require('./paths');
 const { computeAssetId, SCHEMA_VERSION } = require('./contentHash');
+const jsonDriver = require('./storage/jsonDriver');
+const indexedDriver = require('./storage/indexedDriver');
+const { validateAsset, assertValidAsset, formatErrors, describeAsset } = require('./schema');
+const { migrateAsset, needsMigration } = require('./migrations');
+
+const DRIVERS = { json: jsonDriver, indexed: indexedDriver };
 
-function ensureDir(dir) {
-  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+function getStorageDriverName() {
+  const env = String(process.env.EVOLVER_STORAGE || '').toLowerCase().trim();
+  if (DRIVERS[env]) return env;
+  return indexedDriver.isInitialized() ? 'indexed' : 'json';
 }
 
-function readJsonIfExists(filePath, fallback) {
-  try {
-    if (!fs.existsSync(filePath)) return fallback;
-    const raw = fs.readFileSync(filePath, 'utf8');
-    if (!raw.trim()) return fallback;
-    return JSON.parse(raw);
-  } catch {
-    return fallback;
-  }
+function driver() {
+  return DRIVERS[getStorageDriverName()];
 }
 
-function writeJsonAtomic(filePath, obj) {
-  const dir = path.dirname(filePath);
-  ensureDir(dir);
-  const tmp = `${filePath}.tmp`;
-  fs.writeFileSync(tmp, JSON.stringify(obj, null, 2) + '\n', 'utf8');
-  fs.renameSync(tmp, filePath);
-}
-
-function getDefaultGenes() {
-  return {
-    version: 1,
-    genes: [
-      {
-        type: 'Gene', id: 'gene_gep_repair_from_errors', category: 'repair',
-        signals_match: ['error', 'exception', 'failed', 'unstable'],
-        preconditions: ['signals contains error-related indicators'],
-        strategy: [
-          'Extract structured signals from logs and user instructions',
-          'Select an existing Gene by signals match (no improvisation)',
-          'Estimate blast radius (files, lines) before editing',
-          'Apply smallest reversible patch',
-          'Validate using declared validation steps; rollback on failure',
-          'Solidify knowledge: append EvolutionEvent, update Gene/Capsule store',
-        ],
-        constraints: { max_files: 12, forbidden_paths: ['.git', 'node_modules'] },
-        validation: [
-          'node -e "require(\'./src/evolve\'); require(\'./src/gep/solidify\'); console.log(\'ok\')"',
-          'node -e "require(\'./src/gep/selector\'); require(\'./src/gep/memoryGraph\'); console.log(\'ok\')"',
-        ],
-      },
-      {
-        type: 'Gene', id: 'gene_gep_optimize_prompt_and_assets', category: 'optimize',
-        signals_match: ['protocol', 'gep', 'prompt', 'audit', 'reusable'],
-        preconditions: ['need stricter, auditable evolution protocol outputs'],
-        strategy: [
-          'Extract signals and determine selection rationale via Selector JSON',
-          'Prefer reusing existing Gene/Capsule; only create if no match exists',
-          'Refactor prompt assembly to embed assets (genes, capsules, parent event)',
-          'Reduce noise and ambiguity; enforce strict output schema',
-          'Validate by running node index.js run and ensuring no runtime errors',
-          'Solidify: record EvolutionEvent, update Gene definitions, create Capsule on success',
-        ],
-        constraints: { max_files: 20, forbidden_paths: ['.git', 'node_modules'] },
-        validation: ['node -e "require(\'./src/evolve\'); require(\'./src/gep/prompt\'); console.log(\'ok\')"'],
-      },
-    ],
-  };
-}
-
-function getDefaultCapsules() { return { version: 1, capsules: [] }; }
-function genesPath() { return path.join(getGepAssetsDir(), 'genes.json'); }
-function capsulesPath() { return path.join(getGepAssetsDir(), 'capsules.json'); }
-function capsulesJsonlPath() { return path.join(getGepAssetsDir(), 'capsules.jsonl'); }
-function eventsPath() { return path.join(getGepAssetsDir(), 'events.jsonl'); }
+const { ensureDir, genesPath, capsulesPath, eventsPath } = jsonDriver;
 function candidatesPath() { return path.join(getGepAssetsDir(), 'candidates.jsonl'); }
 function externalCandidatesPath() { return path.join(getGepAssetsDir(), 'external_candidates.jsonl'); }
 
-function loadGenes() {
-  const jsonGenes = readJsonIfExists(genesPath(), getDefaultGenes()).genes || [];
-  const jsonlGenes = [];
-  try {
-    const p = path.join(getGepAssetsDir(), 'genes.jsonl');
-    if (fs.existsSync(p)) {
-      const raw = fs.readFileSync(p, 'utf8');
-      raw.split('\n').forEach(line => {
-        if (line.trim()) {
-          try {
-            const parsed = JSON.parse(line);
-            if (parsed && parsed.type === 'Gene') jsonlGenes.push(parsed);
-          } catch(e) {}
-        }
-      });
-    }
-  } catch(e) {}
-
-  // Combine and deduplicate by ID (JSONL takes precedence if newer, but here we just merge)
-  const combined = [...jsonGenes, ...jsonlGenes];
-  const unique = new Map();
-  combined.forEach(g => {
-    if (g && g.id) unique.set(String(g.id), g);
-  });
-  return Array.from(unique.values());
+const warnedInvalid = new Set();
+
+// Migrate one stored record to the current schema and validate it; null when invalid.
+function readAsset(obj, type) {
+  if (!obj || typeof obj !== 'object') return null;
+  const asset = migrateAsset(obj).asset;
+  const res = validateAsset(asset, type);
+  if (res.ok) return asset;
+  const label = describeAsset(obj, type || obj.type);
+  if (!warnedInvalid.has(label)) {
+    warnedInvalid.add(label);
+    console.warn(`[Schema] Skipping invalid ${label}: ${formatErrors(res.errors)}`);
+  }
+  return null;
 }
 
-function loadCapsules() {
-  const legacy = readJsonIfExists(capsulesPath(), getDefaultCapsules()).capsules || [];
-  const jsonlCapsules = [];
-  try {
-    const p = capsulesJsonlPath();
-    if (fs.existsSync(p)) {
-      const raw = fs.readFileSync(p, 'utf8');
-      raw.split('\n').forEach(line => {
-        if (line.trim()) {
-            try { jsonlCapsules.push(JSON.parse(line)); } catch(e) {}
-        }
-      });
-    }
-  } catch(e) {}
-  
-  // Combine and deduplicate by ID
-  const combined = [...legacy, ...jsonlCapsules];
-  const unique = new Map();
-  combined.forEach(c => {
-      if (c && c.id) unique.set(String(c.id), c);
-  });
-  return Array.from(unique.values());
-}
-
-function getLastEventId() {
-  try {
-    const p = eventsPath();
-    if (!fs.existsSync(p)) return null;
-    const raw = fs.readFileSync(p, 'utf8');
-    const lines = raw.split('\n').map(l => l.trim()).filter(Boolean);
-    if (lines.length === 0) return null;
-    const last = JSON.parse(lines[lines.length - 1]);
-    return last && typeof last.id === 'string' ? last.id : null;
-  } catch { return null; }
+function readAssets(list, type) {
+  return (Array.isArray(list) ? list : []).map(x => readAsset(x, type)).filter(Boolean);
 }
 
-function readAllEvents() {
-  try {
-    const p = eventsPath();
-    if (!fs.existsSync(p)) return [];
-    const raw = fs.readFileSync(p, 'utf8');
-    return raw.split('\n').map(l => l.trim()).filter(Boolean).map(l => {
-      try { return JSON.parse(l); } catch { return null; }
-    }).filter(Boolean);
-  } catch { return []; }
+function loadGenes() { return readAssets(driver().loadGenes(), 'Gene'); }
+function loadCapsules() { return readAssets(driver().loadCapsules(), 'Capsule'); }
+function getGene(id) { return readAsset(driver().getGene(id), 'Gene'); }
+// Capsules with a trigger equal (case-insensitively) to one of the signals.
+function findCapsulesByTrigger(signals) { return readAssets(driver().findCapsulesByTrigger(signals), 'Capsule'); }
+function getLastEventId() { return driver().getLastEventId(); }
+// events.jsonl also carries non-event records (e.g. ValidationReport); each is checked against its own type.
+function readAllEvents() { return readAssets(driver().readAllEvents()); }
+// Query events by { type, id, signalKey, geneId, capsuleId, since, until, limit }; see storage/query.js.
+function findEvents(query) { return readAssets(driver().findEvents(query)); }
+
+// Safety net before writing: upgrade older shapes, ensure schema_version and asset_id are
+// present, then validate. Throws (see schema.assertValidAsset) rather than persist an invalid asset.
+function prepareForWrite(obj, type) {
+  if (needsMigration(obj)) Object.assign(obj, migrateAsset(obj).asset);
+  ensureSchemaFields(obj);
+  return assertValidAsset(obj, type);
 }
 
 function appendEventJsonl(eventObj) {
-  const dir = getGepAssetsDir(); ensureDir(dir);
-  fs.appendFileSync(eventsPath(), JSON.stringify(eventObj) + '\n', 'utf8');
+  prepareForWrite(eventObj);
+  driver().appendEvent(eventObj);
 }
 
 function appendCandidateJsonl(candidateObj) {
+  assertValidAsset(candidateObj, 'CapabilityCandidate');
   const dir = getGepAssetsDir(); ensureDir(dir);
   fs.appendFileSync(candidatesPath(), JSON.stringify(candidateObj) + '\n', 'utf8');
 }
 
 function appendExternalCandidateJsonl(obj) {
+  prepareForWrite(obj);
   const dir = getGepAssetsDir(); ensureDir(dir);
   fs.appendFileSync(externalCandidatesPath(), JSON.stringify(obj) + '\n', 'utf8');
 }
@@ -170,9 +96,9 @@ function readRecentCandidates(limit = 20) {
     if (!fs.existsSync(p)) return [];
     const raw = fs.readFileSync(p, 'utf8');
     const lines = raw.split('\n').map(l => l.trim()).filter(Boolean);
-    return lines.slice(Math.max(0, lines.length - limit)).map(l => {
+    return readAssets(lines.slice(Math.max(0, lines.length - limit)).map(l => {
       try { return JSON.parse(l); } catch { return null; }
-    }).filter(Boolean);
+    }), 'CapabilityCandidate');
   } catch { return []; }
 }
 
@@ -182,13 +108,12 @@ function readRecentExternalCandidates(limit = 50) {
     if (!fs.existsSync(p)) return [];
     const raw = fs.readFileSync(p, 'utf8');
     const lines = raw.split('\n').map(l => l.trim()).filter(Boolean);
-    return lines.slice(Math.max(0, lines.length - limit)).map(l => {
+    return readAssets(lines.slice(Math.max(0, lines.length - limit)).map(l => {
       try { return JSON.parse(l); } catch { return null; }
-    }).filter(Boolean);
+    }));
   } catch { return []; }
 }
 
-// Safety net: ensure schema_version and asset_id are present before writing.
 function ensureSchemaFields(obj) {
   if (!obj || typeof obj !== 'object') return obj;
   if (!obj.schema_version) obj.schema_version = SCHEMA_VERSION;
@@ -197,36 +122,81 @@ function ensureSchemaFields(obj) {
 }
 
 function upsertGene(geneObj) {
-  ensureSchemaFields(geneObj);
-  const current = readJsonIfExists(genesPath(), getDefaultGenes());
-  const genes = Array.isArray(current.genes) ? current.genes : [];
-  const idx = genes.findIndex(g => g && g.id === geneObj.id);
-  if (idx >= 0) genes[idx] = geneObj; else genes.push(geneObj);
-  writeJsonAtomic(genesPath(), { version: current.version || 1, genes });
+  prepareForWrite(geneObj, 'Gene');
+  driver().upsertGene(geneObj);
 }
 
 function appendCapsule(capsuleObj) {
-  ensureSchemaFields(capsuleObj);
-  const current = readJsonIfExists(capsulesPath(), getDefaultCapsules());
-  const capsules = Array.isArray(current.capsules) ? current.capsules : [];
-  capsules.push(capsuleObj);
-  writeJsonAtomic(capsulesPath(), { version: current.version || 1, capsules });
+  prepareForWrite(capsuleObj, 'Capsule');
+  driver().appendCapsule(capsuleObj);
 }
 
 function upsertCapsule(capsuleObj) {
   if (!capsuleObj || capsuleObj.type !== 'Capsule' || !capsuleObj.id) return;
-  ensureSchemaFields(capsuleObj);
-  const current = readJsonIfExists(capsulesPath(), getDefaultCapsules());
-  const capsules = Array.isArray(current.capsules) ? current.capsules : [];
-  const idx = capsules.findIndex(c => c && c.type === 'Capsule' && String(c.id) === String(capsuleObj.id));
-  if (idx >= 0) capsules[idx] = capsuleObj; else capsules.push(capsuleObj);
-  writeJsonAtomic(capsulesPath(), { version: current.version || 1, capsules });
+  prepareForWrite(capsuleObj, 'Capsule');
+  driver().upsertCapsule(capsuleObj);
+}
+
+// Switch the workspace to another driver, carrying genes and capsules over. events.jsonl is
+// shared by both drivers, so only the index is (re)built.
+function migrateStorage(to) {
+  const target = String(to || '').toLowerCase().trim();
+  if (!DRIVERS[target]) throw new Error(`unknown storage driver: ${to} (expected json or indexed)`);
+  if (target === 'indexed') indexedDriver.importFromJson();
+  else if (indexedDriver.isInitialized()) indexedDriver.exportToJson();
+  return { driver: target, stats: DRIVERS[target].stats() };
+}
+
+// Upgrade stored genes, capsules and events to the current schema_version in place (reads
+// already do this in memory). Records that are still invalid afterwards are reported and left
+// untouched. Returns { dry_run, genes, capsules, events } with { total, migrated, invalid }.
+function migrateStoredAssets({ dryRun = false } = {}) {
+  const d = driver();
+  const report = { dry_run: !!dryRun, schema_version: SCHEMA_VERSION };
+  function run(kind, list, type) {
+    const res = { total: 0, migrated: 0, invalid: [] };
+    const out = [];
+    for (const obj of Array.isArray(list) ? list : []) {
+      if (!obj || typeof obj !== 'object') continue;
+      res.total += 1;
+      const { asset, steps } = migrateAsset(obj);
+      const check = validateAsset(asset, type);
+      if (!check.ok) {
+        res.invalid.push({ id: obj.id || null, type: obj.type || null, errors: check.errors });
+        out.push({ asset: obj, changed: false });
+        continue;
+      }
+      if (steps.length) res.migrated += 1;
+      out.push({ asset, changed: steps.length > 0 });
+    }
+    report[kind] = res;
+    return out;
+  }
+  const genes = run('genes', d.loadGenes(), 'Gene');
+  const capsules = run('capsules', d.loadCapsules(), 'Capsule');
+  const events = run('events', d.readAllEvents());
+  if (dryRun) return report;
+  for (const g of genes) if (g.changed) d.upsertGene(g.asset);
+  for (const c of capsules) if (c.changed) d.upsertCapsule(c.asset);
+  if (events.some(e => e.changed)) d.rewriteEvents(events.map(e => e.asset));
+  return report;
+}
+
+function rebuildEventIndex() {
+  indexedDriver.rebuildEventIndex();
+  return indexedDriver.stats();
+}
+
+function storageStats() {
+  return { active: getStorageDriverName(), stats: driver().stats() };
 }
 
 module.exports = {
   loadGenes, loadCapsules, readAllEvents, getLastEventId,
+  getGene, findCapsulesByTrigger, findEvents,
   appendEventJsonl, appendCandidateJsonl, appendExternalCandidateJsonl,
   readRecentCandidates, readRecentExternalCandidates,
   upsertGene, appendCapsule, upsertCapsule,
+  getStorageDriverName, migrateStorage, rebuildEventIndex, storageStats, migrateStoredAssets,
   genesPath, capsulesPath, eventsPath, candidatesPath, externalCandidatesPath,
 };
@@ -0,0 +1,156 @@
+// Multi-armed bandit over candidate genes.
+//
+// Each arm is a gene that matches the current signals. Its reward history is the
+// memory-graph success/fail count for (signal_key x gene). Two policies:
+//   thompson - sample theta ~ Beta(alpha0 + success, beta0 + fail), pick the max sample
+//   ucb      - mean + c * sqrt(2 ln N / n), untested arms first
+// The prior alpha0 grows with how well the gene's signals_match fits, so with no history
+// the bandit still leans towards the best pattern match.
+//
+// Exploration budget: choosing an arm other than the greedy one (highest posterior mean)
+// counts as exploration. At most budget * window of the last `window` EvolutionEvents may
+// be exploratory; beyond that the bandit acts greedily until older explorations age out.
+//
+// The bandit is opt-in: with EVOLVE_BANDIT unset (or unknown) the policy is off and the
+// selector keeps its plain signal match, where the memory-graph preferred gene wins outright.
+// Under a bandit policy that preference only counts as one extra match.
+//
+// Config (env): EVOLVE_BANDIT=thompson|ucb|off (default off), EVOLVE_EXPLORATION_BUDGET (0..1, default 0.2),
+// EVOLVE_BANDIT_WINDOW (events, default 20), EVOLVE_UCB_C (default 1.0).
+
+const { computeSignalKey, loadMemoryGraphView } = require('./memoryGraph');
+
+const POLICIES = ['thompson', 'ucb', 'off'];
+const DEFAULT_BUDGET = 0.2;
+const DEFAULT_WINDOW = 20;
+const DEFAULT_UCB_C = 1.0;
+
+function envNumber(name, fallback, min, max) {
+  const n = Number(process.env[name]);
+  if (!Number.isFinite(n) || process.env[name] === '' || process.env[name] == null) return fallback;
+  return Math.max(min, Math.min(max, n));
+}
+
+function resolveBanditConfig(overrides) {
+  const o = overrides && typeof overrides === 'object' ? overrides : {};
+  const policyRaw = String(o.policy || process.env.EVOLVE_BANDIT || 'off').toLowerCase().trim();
+  return {
+    policy: POLICIES.includes(policyRaw) ? policyRaw : 'off',
+    budget: Number.isFinite(Number(o.budget)) ? Math.max(0, Math.min(1, Number(o.budget))) : envNumber('EVOLVE_EXPLORATION_BUDGET', DEFAULT_BUDGET, 0, 1),
+    window: Number.isFinite(Number(o.window)) ? Math.max(1, Math.floor(Number(o.window))) : Math.floor(envNumber('EVOLVE_BANDIT_WINDOW', DEFAULT_WINDOW, 1, 1000)),
+    ucbC: Number.isFinite(Number(o.ucbC)) ? Number(o.ucbC) : envNumber('EVOLVE_UCB_C', DEFAULT_UCB_C, 0, 10),
+  };
+}
+
+// Marsaglia-Tsang gamma sampler (shape >= 1; boosted for shape < 1).
+function sampleGamma(shape, rand) {
+  if (shape < 1) return sampleGamma(shape + 1, rand) * Math.pow(rand(), 1 / shape);
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      // Box-Muller standard normal
+      const u1 = rand() || Number.MIN_VALUE;
+      const u2 = rand();
+      x = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = rand() || Number.MIN_VALUE;
+    if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) return d * v;
+  }
+}
+
+function sampleBeta(alpha, beta, rand) {
+  const x = sampleGamma(alpha, rand);
+  const y = sampleGamma(beta, rand);
+  return x + y > 0 ? x / (x + y) : 0.5;
+}
+
+// Share of recent selector decisions that were exploratory.
+function explorationUsage(recentEvents, window) {
+  const list = (Array.isArray(recentEvents) ? recentEvents : [])
+    .filter(e => e && e.type === 'EvolutionEvent')
+    .slice(-window);
+  let explored = 0;
+  for (const e of list) {
+    const sel = e.meta && e.meta.selector ? e.meta.selector : null;
+    if (sel && sel.bandit && sel.bandit.explored) explored += 1;
+  }
+  // Divide by the full window so a fresh agent cannot spend its whole budget on the first cycles.
+  return { explored, total: list.length, ratio: explored / Math.max(1, window) };
+}
+
+// arms: [{ gene, matchScore }] in signal-match order (best first).
+// view: memory-graph view to read edges from (replay passes historical ones).
+function chooseArm({ arms, signals, recentEvents, config, random, view }) {
+  const cfg = resolveBanditConfig(config);
+  const rand = typeof random === 'function' ? random : Math.random;
+  if (cfg.policy === 'off' || !Array.isArray(arms) || arms.length === 0) return null;
+
+  const signalKey = computeSignalKey(signals);
+  const { edges } = view || loadMemoryGraphView();
+  const maxMatch = Math.max(1, ...arms.map(a => Number(a.matchScore) || 0));
+
+  const stats = arms.map((a, idx) => {
+    const edge = edges.get(`${signalKey}::${a.gene.id}`);
+    const success = edge ? Number(edge.success) || 0 : 0;
+    const fail = edge ? Number(edge.fail) || 0 : 0;
+    const alpha = 1 + (Number(a.matchScore) || 0) / maxMatch + success;
+    const beta = 1 + fail;
+    return { idx, gene_id: a.gene.id, match_score: a.matchScore, success, fail, alpha, beta, mean: alpha / (alpha + beta) };
+  });
+
+  // Greedy arm: best posterior mean; ties keep signal-match order.
+  const greedy = stats.reduce((best, s) => (s.mean > best.mean ? s : best), stats[0]);
+
+  const usage = explorationUsage(recentEvents, cfg.window);
+  const budgetLeft = usage.ratio < cfg.budget;
+
+  let chosen = greedy;
+  if (cfg.policy === 'thompson') {
+    for (const s of stats) s.sample = sampleBeta(s.alpha, s.beta, rand);
+    if (budgetLeft) chosen = stats.reduce((best, s) => (s.sample > best.sample ? s : best), stats[0]);
+  } else {
+    const total = stats.reduce((acc, s) => acc + s.success + s.fail, 0);
+    for (const s of stats) {
+      const n = s.success + s.fail;
+      s.ucb = n > 0 ? s.mean + cfg.ucbC * Math.sqrt((2 * Math.log(Math.max(total, 1) + 1)) / n) : Infinity;
+    }
+    if (budgetLeft) chosen = stats.reduce((best, s) => (s.ucb > best.ucb ? s : best), stats[0]);
+  }
+
+  const round = x => (Number.isFinite(x) ? Math.round(x * 1000) / 1000 : x === Infinity ? 'inf' : null);
+  return {
+    gene: arms[chosen.idx].gene,
+    decision: {
+      policy: cfg.policy,
+      signal_key: signalKey,
+      explored: chosen.idx !== greedy.idx,
+      greedy: greedy.gene_id,
+      budget: cfg.budget,
+      budget_left: budgetLeft,
+      exploration_used: { explored: usage.explored, window: usage.total },
+      arms: stats.map(s => ({
+        gene_id: s.gene_id,
+        match_score: s.match_score,
+        success: round(s.success),
+        fail: round(s.fail),
+        alpha: round(s.alpha),
+        beta: round(s.beta),
+        mean: round(s.mean),
+        ...(s.sample !== undefined ? { sample: round(s.sample) } : {}),
+        ...(s.ucb !== undefined ? { ucb: round(s.ucb) } : {}),
+      })),
+    },
+  };
+}
+
+module.exports = {
+  resolveBanditConfig,
+  explorationUsage,
+  chooseArm,
+  sampleBeta,
+};
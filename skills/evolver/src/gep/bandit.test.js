@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveBanditConfig, explorationUsage, chooseArm, sampleBeta } = require('./bandit');
+const { computeSignalKey } = require('./memoryGraph');
+const { seededRandom } = require('./replay');
+
+const signals = ['log_error', 'errsig:TypeError: x is undefined'];
+const signalKey = computeSignalKey(signals);
+const arms = [
+  { gene: { type: 'Gene', id: 'gene_a' }, matchScore: 2 },
+  { gene: { type: 'Gene', id: 'gene_b' }, matchScore: 1 },
+];
+
+function viewWith(stats) {
+  const edges = new Map();
+  for (const [geneId, success, fail] of stats) edges.set(`${signalKey}::${geneId}`, { signalKey, geneId, success, fail });
+  return { edges };
+}
+
+function exploredEvents(n, explored) {
+  return Array.from({ length: n }, (_, i) => ({ type: 'EvolutionEvent', meta: { selector: { bandit: { explored: i < explored } } } }));
+}
+
+test('explicit config overrides the environment and is clamped', () => {
+  const cfg = resolveBanditConfig({ policy: 'UCB', budget: 3, window: 0 });
+  assert.strictEqual(cfg.policy, 'ucb');
+  assert.strictEqual(cfg.budget, 1);
+  assert.strictEqual(cfg.window, 1);
+  assert.strictEqual(resolveBanditConfig({ policy: 'nonsense' }).policy, 'off');
+});
+
+test('the bandit is off unless EVOLVE_BANDIT turns it on', () => {
+  const prev = process.env.EVOLVE_BANDIT;
+  try {
+    delete process.env.EVOLVE_BANDIT;
+    assert.strictEqual(resolveBanditConfig().policy, 'off');
+    process.env.EVOLVE_BANDIT = 'thompson';
+    assert.strictEqual(resolveBanditConfig().policy, 'thompson');
+  } finally {
+    if (prev === undefined) delete process.env.EVOLVE_BANDIT;
+    else process.env.EVOLVE_BANDIT = prev;
+  }
+});
+
+test('exploration usage is measured against the full window', () => {
+  const usage = explorationUsage(exploredEvents(4, 2), 20);
+  assert.deepStrictEqual(usage, { explored: 2, total: 4, ratio: 0.1 });
+  assert.strictEqual(explorationUsage(exploredEvents(30, 30), 20).total, 20);
+});
+
+test('policy off leaves selection to the plain signal match', () => {
+  assert.strictEqual(chooseArm({ arms, signals, config: { policy: 'off' }, view: viewWith([]) }), null);
+});
+
+test('without history the greedy arm is the best signal match', () => {
+  const res = chooseArm({ arms, signals, config: { policy: 'ucb', budget: 0 }, view: viewWith([]) });
+  assert.strictEqual(res.decision.greedy, 'gene_a');
+  assert.strictEqual(res.gene.id, 'gene_a');
+  assert.strictEqual(res.decision.explored, false);
+});
+
+test('outcome history moves the greedy arm', () => {
+  const res = chooseArm({ arms, signals, config: { policy: 'thompson', budget: 0 }, view: viewWith([['gene_a', 0, 5], ['gene_b', 5, 0]]), random: seededRandom(1) });
+  assert.strictEqual(res.decision.greedy, 'gene_b');
+  assert.strictEqual(res.gene.id, 'gene_b');
+});
+
+test('ucb tries an untested arm while budget is left', () => {
+  const view = viewWith([['gene_a', 8, 2]]);
+  const res = chooseArm({ arms, signals, config: { policy: 'ucb', budget: 0.5, window: 10 }, view });
+  assert.strictEqual(res.decision.greedy, 'gene_a');
+  assert.strictEqual(res.gene.id, 'gene_b');
+  assert.strictEqual(res.decision.explored, true);
+});
+
+test('a spent exploration budget forces the greedy arm', () => {
+  const view = viewWith([['gene_a', 8, 2]]);
+  const res = chooseArm({ arms, signals, recentEvents: exploredEvents(10, 5), config: { policy: 'ucb', budget: 0.5, window: 10 }, view });
+  assert.strictEqual(res.decision.budget_left, false);
+  assert.strictEqual(res.gene.id, 'gene_a');
+  assert.strictEqual(res.decision.explored, false);
+});
+
+test('thompson sampling is reproducible with a seeded random source', () => {
+  const view = viewWith([['gene_a', 3, 3], ['gene_b', 3, 3]]);
+  const pick = () => chooseArm({ arms, signals, config: { policy: 'thompson', budget: 1 }, view, random: seededRandom(42) });
+  assert.deepStrictEqual(pick().decision, pick().decision);
+});
+
+test('beta samples stay in [0, 1] and follow the posterior mean', () => {
+  const random = seededRandom(7);
+  let sum = 0;
+  for (let i = 0; i < 2000; i++) {
+    const x = sampleBeta(8, 2, random);
+    assert.ok(x >= 0 && x <= 1);
+    sum += x;
+  }
+  assert.ok(Math.abs(sum / 2000 - 0.8) < 0.02, `mean ${sum / 2000}`);
+});
@@ -1,3 +1,5 @@
+const { countToolCalls, clipArgs } = require('./sessionLog');
+
 function stableHash(input) {
   // Deterministic lightweight hash (not cryptographic).
   const s = String(input || '');
@@ -56,15 +58,45 @@ function buildFiveQuestionsShape({ title, signals, evidence }) {
   };
 }
 
-function extractCapabilityCandidates({ recentSessionTranscript, signals }) {
+// Per-tool evidence from typed session records: call count, failures and a sample of arguments.
+function toolEvidenceFromRecords(records) {
+  const counts = countToolCalls(records);
+  const byCallId = new Map();
+  const out = new Map();
+  for (const r of records) {
+    if (r.kind === 'tool_call' && r.id) byCallId.set(r.id, r.name);
+  }
+  for (const [tool, count] of Object.entries(counts)) {
+    out.set(tool, { count, failed: 0, sampleArgs: null });
+  }
+  for (const r of records) {
+    if (r.kind === 'tool_call') {
+      const ev = out.get(r.name);
+      if (ev && ev.sampleArgs == null) ev.sampleArgs = clipArgs(r.args, 120);
+    } else if (r.kind === 'tool_result' && r.is_error) {
+      const ev = out.get(r.tool || byCallId.get(r.tool_call_id));
+      if (ev) ev.failed++;
+    }
+  }
+  return out;
+}
+
+function extractCapabilityCandidates({ recentSessionTranscript, sessionRecords, signals }) {
   const candidates = [];
-  const toolCalls = extractToolCalls(recentSessionTranscript);
-  const freq = countFreq(toolCalls);
+  const records = Array.isArray(sessionRecords) ? sessionRecords : [];
+  const toolEvidence = records.length > 0 ? toolEvidenceFromRecords(records) : null;
+  const freq = toolEvidence
+    ? new Map(Array.from(toolEvidence.entries()).map(([tool, ev]) => [tool, ev.count]))
+    : countFreq(extractToolCalls(recentSessionTranscript));
 
   for (const [tool, count] of freq.entries()) {
     if (count < 2) continue;
     const title = `Repeated tool usage: ${tool}`;
-    const evidence = `Observed ${count} occurrences of tool call marker for ${tool}.`;
+    const ev = toolEvidence ? toolEvidence.get(tool) : null;
+    const evidence = ev
+      ? `Observed ${count} calls to ${tool}${ev.failed ? ` (${ev.failed} failed)` : ''}.` +
+        (ev.sampleArgs ? ` Sample args: ${ev.sampleArgs}` : '')
+      : `Observed ${count} occurrences of tool call marker for ${tool}.`;
     const shape = buildFiveQuestionsShape({ title, signals, evidence });
     candidates.push({
       type: 'CapabilityCandidate',
@@ -6,7 +6,7 @@ const crypto = require('crypto');
 
 // Schema version for all GEP asset types.
 // Bump MINOR for additive fields; MAJOR for breaking changes.
-const SCHEMA_VERSION = '1.5.0';
+const SCHEMA_VERSION = '1.6.0';
 
 // Canonical JSON: deterministic serialization with sorted keys at all levels.
 // Arrays preserve order; non-finite numbers become null; undefined becomes null.
@@ -33,11 +33,11 @@ function canonicalize(obj) {
 }
 
 // Compute a content-addressable asset ID.
-// Excludes self-referential fields (asset_id itself) from the hash input.
-// Returns "sha256:<hex>".
+// Excludes self-referential fields (asset_id itself) and the detached signature (see signing.js)
+// from the hash input. Returns "sha256:<hex>".
 function computeAssetId(obj, excludeFields) {
   if (!obj || typeof obj !== 'object') return null;
-  const exclude = new Set(Array.isArray(excludeFields) ? excludeFields : ['asset_id']);
+  const exclude = new Set(Array.isArray(excludeFields) ? excludeFields : ['asset_id', 'signature']);
   const clean = {};
   for (const k of Object.keys(obj)) {
     if (exclude.has(k)) continue;
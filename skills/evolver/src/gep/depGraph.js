@@ -0,0 +1,260 @@
+// Static require() dependency graph of the workspace, for semantic blast radius.
+//
+// A one-line change to a shared module (e.g. common/feishu-client.js) is small by numstat but
+// large in effect. The graph maps every local JS module to the modules that require it, so
+// solidify can report how many modules transitively depend on the touched files and how many
+// skills they belong to. Only relative specifiers ('./x', '../x') are followed; packages and
+// dynamic requires are ignored.
+//
+// loadDependencyGraph() is what solidify uses: it keeps the specifiers of every module clean at
+// HEAD in memory/evolution/dep_graph_cache.json and only rescans the files that differ, i.e.
+// uncommitted changes plus whatever changed between the cached HEAD and the current one.
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { getEvolutionDir } = require('./paths');
+
+const JS_EXTS = ['.js', '.cjs', '.mjs'];
+const SKIP_DIRS = new Set(['node_modules', '.git', 'memory', 'logs', 'dist', 'dist-public', 'coverage', 'tmp', 'temp']);
+const MAX_FILES = 5000;
+const MAX_FILE_BYTES = 512 * 1024;
+const CACHE_VERSION = 1;
+
+const SPECIFIER_RES = [
+  /\brequire\s*\(\s*(['"])([^'"\n]+)\1\s*\)/g,
+  /\bimport\s+(?:[^'";]*?\s+from\s+)?(['"])([^'"\n]+)\1/g,
+  /\bexport\s+[^'";]*?\s+from\s+(['"])([^'"\n]+)\1/g,
+];
+
+function toRel(root, abs) {
+  return path.relative(root, abs).split(path.sep).join('/');
+}
+
+function listModules(root, maxFiles) {
+  const out = [];
+  const stack = [root];
+  while (stack.length && out.length < maxFiles) {
+    const dir = stack.pop();
+    let entries = [];
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (e) {
+      continue;
+    }
+    for (const ent of entries) {
+      if (ent.isDirectory()) {
+        if (SKIP_DIRS.has(ent.name) || ent.name.startsWith('.')) continue;
+        stack.push(path.join(dir, ent.name));
+      } else if (ent.isFile() && JS_EXTS.includes(path.extname(ent.name))) {
+        out.push(path.join(dir, ent.name));
+        if (out.length >= maxFiles) break;
+      }
+    }
+  }
+  return out;
+}
+
+function extractSpecifiers(source) {
+  const out = new Set();
+  for (const re of SPECIFIER_RES) {
+    re.lastIndex = 0;
+    let m;
+    while ((m = re.exec(source)) !== null) {
+      const spec = m[2];
+      if (spec.startsWith('./') || spec.startsWith('../')) out.add(spec);
+    }
+  }
+  return Array.from(out);
+}
+
+// Node-style resolution of a relative specifier against the known module set.
+function resolveSpecifier(fromAbs, spec, known) {
+  const base = path.resolve(path.dirname(fromAbs), spec);
+  const candidates = [base, ...JS_EXTS.map(e => base + e), ...JS_EXTS.map(e => path.join(base, 'index' + e))];
+  for (const c of candidates) if (known.has(c)) return c;
+  return null;
+}
+
+// Relative specifiers of one module; oversized or unreadable files have none.
+function scanModule(abs) {
+  try {
+    if (fs.statSync(abs).size > MAX_FILE_BYTES) return [];
+    return extractSpecifiers(fs.readFileSync(abs, 'utf8'));
+  } catch (e) {
+    return [];
+  }
+}
+
+// specs: Map<rel, [specifier]> over every known module.
+function graphFromSpecifiers(absRoot, specs, truncated) {
+  const known = new Set(Array.from(specs.keys(), rel => path.join(absRoot, rel)));
+  const dependents = new Map();
+  for (const [fromRel, list] of specs) {
+    const abs = path.join(absRoot, fromRel);
+    for (const spec of list) {
+      const target = resolveSpecifier(abs, spec, known);
+      if (!target || target === abs) continue;
+      const rel = toRel(absRoot, target);
+      if (!dependents.has(rel)) dependents.set(rel, new Set());
+      dependents.get(rel).add(fromRel);
+    }
+  }
+  return { root: absRoot, dependents, modules: specs.size, truncated: !!truncated };
+}
+
+// Returns { root, dependents: Map<rel, Set<rel>>, modules }. dependents maps a module to the
+// modules that require it directly.
+function buildDependencyGraph({ root, maxFiles = MAX_FILES } = {}) {
+  const absRoot = path.resolve(root);
+  const files = listModules(absRoot, maxFiles);
+  const specs = new Map(files.map(abs => [toRel(absRoot, abs), scanModule(abs)]));
+  return graphFromSpecifiers(absRoot, specs, files.length >= maxFiles);
+}
+
+function defaultCachePath() {
+  return path.join(getEvolutionDir(), 'dep_graph_cache.json');
+}
+
+function gitLines(args, cwd) {
+  const out = execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], timeout: 60000 });
+  return out.split('\n').map(l => l.trim()).filter(Boolean);
+}
+
+// Same filter listModules applies while walking.
+function isModulePath(rel) {
+  const parts = rel.split('/');
+  if (parts.slice(0, -1).some(d => SKIP_DIRS.has(d) || d.startsWith('.'))) return false;
+  return JS_EXTS.includes(path.extname(rel));
+}
+
+function readCache(file) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return data && data.version === CACHE_VERSION && data.specifiers && typeof data.specifiers === 'object' ? data : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeCache(file, data) {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp.${process.pid}`;
+    fs.writeFileSync(tmp, JSON.stringify(data) + '\n', 'utf8');
+    fs.renameSync(tmp, file);
+  } catch (e) {
+    console.warn(`[DepGraph] Cache write failed (non-fatal): ${e.message}`);
+  }
+}
+
+// buildDependencyGraph for a git root, reusing the cached scan of an earlier HEAD. Outside git
+// (or with an unknown cached HEAD) it falls back to a full scan, which then seeds the cache.
+function loadDependencyGraph({ root, maxFiles = MAX_FILES, cachePath = defaultCachePath() } = {}) {
+  const absRoot = path.resolve(root);
+  let head;
+  let dirty;
+  try {
+    head = gitLines(['rev-parse', 'HEAD'], absRoot)[0];
+    dirty = gitLines(['diff', '--name-only', '--relative', '--no-renames', 'HEAD'], absRoot)
+      .concat(gitLines(['ls-files', '--others', '--exclude-standard'], absRoot));
+  } catch (e) {
+    return buildDependencyGraph({ root: absRoot, maxFiles });
+  }
+
+  const cache = readCache(cachePath);
+  let specs = null;
+  let truncated = false;
+  let rescan = new Set(dirty);
+  if (cache && cache.max_files === maxFiles) {
+    try {
+      const moved = cache.head === head ? [] : gitLines(['diff', '--name-only', '--relative', '--no-renames', cache.head, head], absRoot);
+      specs = new Map(Object.entries(cache.specifiers));
+      truncated = !!cache.truncated;
+      for (const rel of moved.concat(cache.unscanned || [])) rescan.add(rel);
+    } catch (e) {
+      specs = null; // the cached HEAD is gone (e.g. history rewritten)
+    }
+  }
+  if (!specs) {
+    const files = listModules(absRoot, maxFiles);
+    specs = new Map(files.map(abs => [toRel(absRoot, abs), null]));
+    truncated = files.length >= maxFiles;
+    rescan = new Set(specs.keys());
+    for (const rel of dirty) rescan.add(rel);
+  }
+
+  for (const rel of rescan) {
+    const abs = path.join(absRoot, rel);
+    if (isModulePath(rel) && fs.existsSync(abs)) specs.set(rel, scanModule(abs));
+    else specs.delete(rel);
+  }
+
+  // Files with uncommitted changes are not cached: the next load rescans them either way.
+  const dirtySet = new Set(dirty);
+  const clean = {};
+  for (const [rel, list] of specs) if (!dirtySet.has(rel)) clean[rel] = list;
+  writeCache(cachePath, { version: CACHE_VERSION, head, max_files: maxFiles, truncated, specifiers: clean, unscanned: dirty });
+  return graphFromSpecifiers(absRoot, specs, truncated);
+}
+
+function transitiveDependents(graph, rel) {
+  const seen = new Set();
+  const queue = [rel];
+  while (queue.length) {
+    const cur = queue.shift();
+    for (const dep of graph.dependents.get(cur) || []) {
+      if (dep === rel || seen.has(dep)) continue;
+      seen.add(dep);
+      queue.push(dep);
+    }
+  }
+  return seen;
+}
+
+// skills/<name>/... belongs to skill <name>; anything else is shared workspace code.
+function skillOf(rel) {
+  const m = String(rel).match(/^skills\/([^/]+)\//);
+  return m ? m[1] : null;
+}
+
+// Dependency-weighted radius of a change. changedFiles are relative to graph.root.
+function analyzeDependencyImpact(graph, changedFiles) {
+  const touched = (Array.isArray(changedFiles) ? changedFiles : [])
+    .map(f => String(f || '').replace(/\\/g, '/').replace(/^\.\/+/, ''))
+    .filter(f => JS_EXTS.includes(path.extname(f)));
+  const all = new Set();
+  const skills = new Set();
+  const perFile = [];
+  for (const rel of touched) {
+    const deps = transitiveDependents(graph, rel);
+    const fileSkills = new Set();
+    for (const d of deps) {
+      all.add(d);
+      const s = skillOf(d);
+      if (s) fileSkills.add(s);
+    }
+    const own = skillOf(rel);
+    if (own) fileSkills.add(own);
+    for (const s of fileSkills) skills.add(s);
+    perFile.push({ file: rel, dependents: deps.size, skills: fileSkills.size });
+  }
+  // Touched modules are counted as changed files, not as dependents of each other.
+  for (const rel of touched) all.delete(rel);
+  perFile.sort((a, b) => b.dependents - a.dependents);
+  return {
+    dependents: all.size,
+    skills_affected: skills.size,
+    skills: Array.from(skills).sort(),
+    top_files: perFile.slice(0, 10),
+    modules_scanned: graph.modules,
+    truncated: !!graph.truncated,
+  };
+}
+
+module.exports = {
+  buildDependencyGraph,
+  loadDependencyGraph,
+  analyzeDependencyImpact,
+  transitiveDependents,
+};
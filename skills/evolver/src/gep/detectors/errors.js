@@ -0,0 +1,89 @@
+// Defensive detectors: runtime errors, error signatures and recurring failures.
+
+var { isFailureRecord } = require('../sessionLog');
+
+// One-line description of a failed tool result or LLM error record.
+function describeFailure(rec) {
+  if (rec.kind === 'llm_error') {
+    return 'LLM error ' + [rec.provider, rec.status].filter(function (x) { return x != null; }).join(' ') + ': ' + rec.message;
+  }
+  return (rec.tool || 'tool') + (rec.exit_code != null ? ' exit ' + rec.exit_code : '') + ': ' + rec.text;
+}
+
+var errorDetector = {
+  id: 'log_error',
+  priority: 100,
+  suppressionKey: 'log_error',
+  repair: true,
+  match: function (ctx) {
+    if (ctx.records.some(isFailureRecord)) return true;
+    return /\[error|error:|exception|fail|failed|iserror":true/.test(ctx.lower);
+  },
+};
+
+// Error signature (more reproducible than a coarse "log_error" tag).
+var errsigDetector = {
+  id: 'errsig',
+  priority: 95,
+  suppressionKey: 'errsig',
+  repair: true,
+  match: function (ctx) {
+    var errLine = ctx.lines.find(function (l) {
+      return /\b(typeerror|referenceerror|syntaxerror)\b\s*:|error\s*:|exception\s*:|\[error/i.test(l);
+    });
+    if (!errLine) {
+      // Fall back to the first structured failure (tool exit code or provider error).
+      var rec = ctx.records.find(isFailureRecord);
+      if (!rec) return null;
+      errLine = describeFailure(rec);
+    }
+    return 'errsig:' + errLine.replace(/\s+/g, ' ').slice(0, 260);
+  },
+};
+
+// Count repeated identical errors -- these indicate systemic issues that need automated fixes.
+var recurringErrorDetector = {
+  id: 'recurring_error',
+  priority: 60,
+  suppressionKey: function (signal) {
+    if (signal === 'recurring_error') return 'recurring_error';
+    if (signal.startsWith('recurring_errsig')) return 'recurring_errsig';
+    return null;
+  },
+  repair: function (signal) {
+    return signal.startsWith('recurring_errsig');
+  },
+  match: function (ctx) {
+    var errorCounts = {};
+    var bump = function (raw) {
+      // Normalize to a short key
+      var key = String(raw).replace(/\s+/g, ' ').slice(0, 100);
+      errorCounts[key] = (errorCounts[key] || 0) + 1;
+    };
+    var failures = ctx.records.filter(isFailureRecord);
+    for (var r = 0; r < failures.length; r++) bump(describeFailure(failures[r]));
+    // Failures rendered from records were counted above; scan only the remaining text.
+    var text = failures.length > 0
+      ? ctx.lines.filter(function (l) { return !/^\[(TOOL|LLM) ERROR\]/.test(l); }).join('\n')
+      : ctx.corpus;
+    var errPatterns = text.match(/(?:LLM error|"error"|"status":\s*"error")[^}]{0,200}/gi) || [];
+    for (var i = 0; i < errPatterns.length; i++) bump(errPatterns[i]);
+    var recurring = Object.entries(errorCounts).filter(function (e) { return e[1] >= 3; });
+    if (recurring.length === 0) return null;
+    // Include the top recurring error signature for the agent to diagnose
+    var top = recurring.sort(function (a, b) { return b[1] - a[1]; })[0];
+    return ['recurring_error', 'recurring_errsig(' + top[1] + 'x):' + top[0].slice(0, 150)];
+  },
+};
+
+// Unsupported input type (e.g. GIF, video formats the LLM can't handle).
+var unsupportedInputDetector = {
+  id: 'unsupported_input_type',
+  priority: 55,
+  suppressionKey: 'unsupported_input_type',
+  match: function (ctx) {
+    return /unsupported mime|unsupported.*type|invalid.*mime/i.test(ctx.lower);
+  },
+};
+
+module.exports = [errorDetector, errsigDetector, recurringErrorDetector, unsupportedInputDetector];
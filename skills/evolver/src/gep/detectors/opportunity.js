@@ -0,0 +1,53 @@
+// Opportunity detectors (innovation / feature requests).
+
+// user_feature_request: user explicitly asks for a new capability.
+var featureRequestDetector = {
+  id: 'user_feature_request',
+  priority: 50,
+  suppressionKey: 'user_feature_request',
+  match: function (ctx) {
+    // Action verbs + object patterns that indicate a feature request
+    if (/\b(add|implement|create|build|make|develop|write|design)\b[^.?!\n]{3,60}\b(feature|function|module|capability|tool|support|endpoint|command|option|mode)\b/i.test(ctx.corpus)) {
+      return true;
+    }
+    // Also catch direct "I want/need X" patterns
+    return /\b(i want|i need|we need|please add|can you add|could you add|let'?s add)\b/i.test(ctx.lower);
+  },
+};
+
+// user_improvement_suggestion: user suggests making something better.
+var improvementDetector = {
+  id: 'user_improvement_suggestion',
+  priority: 45,
+  suppressionKey: 'user_improvement_suggestion',
+  match: function (ctx) {
+    // Only fire if there is no active error (to distinguish from repair requests)
+    if (ctx.signals.includes('log_error')) return false;
+    return /\b(should be|could be better|improve|enhance|upgrade|refactor|clean up|simplify|streamline)\b/i.test(ctx.lower);
+  },
+};
+
+// perf_bottleneck: performance issues detected.
+var perfDetector = {
+  id: 'perf_bottleneck',
+  priority: 40,
+  suppressionKey: 'perf_bottleneck',
+  match: function (ctx) {
+    return /\b(slow|timeout|timed?\s*out|latency|bottleneck|took too long|performance issue|high cpu|high memory|oom|out of memory)\b/i.test(ctx.lower);
+  },
+};
+
+// capability_gap: something is explicitly unsupported or missing.
+var capabilityGapDetector = {
+  id: 'capability_gap',
+  priority: 35,
+  suppressionKey: 'capability_gap',
+  match: function (ctx) {
+    // Only fire if it is not just a missing file/config signal
+    var s = ctx.signals;
+    if (s.includes('memory_missing') || s.includes('user_missing') || s.includes('session_logs_missing')) return false;
+    return /\b(not supported|cannot|doesn'?t support|no way to|missing feature|unsupported|not available|not implemented|no support for)\b/i.test(ctx.lower);
+  },
+};
+
+module.exports = [featureRequestDetector, improvementDetector, perfDetector, capabilityGapDetector];
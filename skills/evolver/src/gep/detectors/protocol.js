@@ -0,0 +1,10 @@
+// Protocol-specific drift detector: prompt activity without any EvolutionEvent output.
+
+module.exports = {
+  id: 'protocol_drift',
+  priority: 80,
+  suppressionKey: 'protocol_drift',
+  match: function (ctx) {
+    return ctx.lower.includes('prompt') && !ctx.lower.includes('evolutionevent');
+  },
+};
@@ -0,0 +1,28 @@
+// Missing resource detectors (memory files, integration keys, session logs).
+// Most of these are cosmetic: they are dropped whenever an actionable signal exists.
+
+function includesDetector(id, priority, needles, cosmetic) {
+  return {
+    id: id,
+    priority: priority,
+    suppressionKey: id,
+    cosmetic: !!cosmetic,
+    match: function (ctx) {
+      for (var i = 0; i < needles.length; i++) {
+        if (ctx.lower.includes(needles[i])) return true;
+      }
+      return false;
+    },
+  };
+}
+
+module.exports = [
+  includesDetector('memory_missing', 90, ['memory.md missing'], true),
+  includesDetector('user_missing', 89, ['user.md missing'], true),
+  includesDetector('integration_key_missing', 88, ['key missing']),
+  includesDetector('session_logs_missing', 87, ['no session logs found', 'no jsonl files'], true),
+  includesDetector('path_outside_workspace', 86, ['path.resolve(__dirname, \'../../../']),
+  // Detection is off (pgrep/ps aux matched evolver's own logs); the entry only marks the
+  // signal cosmetic when an older skill detector still emits it.
+  includesDetector('windows_shell_incompatible', 85, [], true),
+];
@@ -0,0 +1,43 @@
+// Tool usage analytics: flag tools that dominate the recent transcript.
+
+module.exports = {
+  id: 'tool_usage',
+  priority: 20,
+  // Keep the tool name in the key so heavy use of one tool does not mute another.
+  suppressionKey: function (signal) {
+    if (signal.startsWith('high_tool_usage:') || signal.startsWith('repeated_tool_usage:')) return signal;
+    return null;
+  },
+  match: function (ctx) {
+    var toolUsage = {};
+
+    if (ctx.records.length > 0) {
+      for (var r = 0; r < ctx.records.length; r++) {
+        var rec = ctx.records[r];
+        if (rec.kind !== 'tool_call') continue;
+        // Exec commands that are benign loops (like watchdog checks) are not counted.
+        var command = rec.args && typeof rec.args === 'object' ? String(rec.args.command || '') : '';
+        if (rec.name === 'exec' && /^node\s+[\w\/\.-]+\.js\s+ensure\b/.test(command.trim())) continue;
+        toolUsage[rec.name] = (toolUsage[rec.name] || 0) + 1;
+      }
+    } else {
+      var toolMatches = ctx.corpus.match(/\[TOOL:\s*(\w+)\]/g) || [];
+      var benignExecCount = (ctx.corpus.match(/exec: (node\s+[\w\/\.-]+\.js\s+ensure)/g) || []).length;
+      for (var i = 0; i < toolMatches.length; i++) {
+        var toolName = toolMatches[i].match(/\[TOOL:\s*(\w+)\]/)[1];
+        toolUsage[toolName] = (toolUsage[toolName] || 0) + 1;
+      }
+      if (toolUsage['exec']) {
+        toolUsage['exec'] = Math.max(0, toolUsage['exec'] - benignExecCount);
+      }
+    }
+
+    var out = [];
+    Object.keys(toolUsage).forEach(function (tool) {
+      if (toolUsage[tool] >= 5) out.push('high_tool_usage:' + tool);
+      // Repeated exec usage is often a sign of manual loops or inefficient automation
+      if (tool === 'exec' && toolUsage[tool] >= 3) out.push('repeated_tool_usage:exec');
+    });
+    return out;
+  },
+};
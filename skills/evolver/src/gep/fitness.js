@@ -0,0 +1,173 @@
+// Multi-factor fitness for solidified evolution cycles.
+//
+// Replaces the old constant outcome score (0.85 success / 0.2 failure) with a weighted
+// combination of evidence, each factor in [0, 1]:
+//   validation     - share of the gene's validation commands that passed
+//   blast          - files touched relative to the gene's constraints.max_files (smaller is better)
+//   errsig_cleared - share of the triggering errsigs that are gone from the next cycle's signals
+//   runtime        - validation runtime vs the median of earlier runs of the same gene
+// A factor with no evidence (no validation commands, no errsig, no max_files, no runtime
+// history) is marked `known: false` and left out: the score is the weighted mean over the
+// factors that are known, so missing evidence neither rewards nor dilutes the cycle. With no
+// known factor at all the score is NEUTRAL.
+//
+// errsig_cleared can only be known one cycle later. solidify() stores a provisional score
+// with the factor marked `pending`; settleFitness() finalizes it once the next cycle's
+// signals have been extracted.
+
+const { normalizeErrorSignature } = require('./signalSimilarity');
+
+const WEIGHTS = {
+  validation: 0.4,
+  blast: 0.2,
+  errsig_cleared: 0.25,
+  runtime: 0.15,
+};
+const NEUTRAL = 0.5;
+// A failed cycle must never look good enough to broadcast or publish.
+const FAILED_SCORE_CAP = 0.3;
+const RUNTIME_HISTORY = 5;
+
+function clamp01(x) {
+  const n = Number(x);
+  if (!Number.isFinite(n)) return 0;
+  return Math.max(0, Math.min(1, n));
+}
+
+function round3(x) {
+  return Number.isFinite(x) ? Math.round(x * 1000) / 1000 : null;
+}
+
+function median(values) {
+  const list = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (list.length === 0) return null;
+  const mid = Math.floor(list.length / 2);
+  return list.length % 2 ? list[mid] : (list[mid - 1] + list[mid]) / 2;
+}
+
+function validationFactor(gene, validation) {
+  const declared = Array.isArray(gene && gene.validation) ? gene.validation.filter(c => String(c || '').trim()).length : 0;
+  const results = validation && Array.isArray(validation.results) ? validation.results : [];
+  // runValidations stops at the first failure, so commands that never ran count as not passed.
+  const total = Math.max(declared, results.length);
+  if (total === 0) return { value: NEUTRAL, known: false, passed: 0, total: 0 };
+  const passed = results.filter(r => r && r.ok).length;
+  return { value: passed / total, known: true, passed, total };
+}
+
+function blastFactor(gene, blast) {
+  const files = Number(blast && blast.files) || 0;
+  const maxFiles = gene && gene.constraints ? Number(gene.constraints.max_files) : NaN;
+  // No change at all is no evidence that the cycle did anything useful: it counts as NEUTRAL
+  // instead of dropping out, so an empty cycle cannot score on validation alone.
+  if (files === 0) return { value: NEUTRAL, known: true, files, max_files: Number.isFinite(maxFiles) ? maxFiles : null, ratio: 0 };
+  if (!Number.isFinite(maxFiles) || maxFiles <= 0) return { value: NEUTRAL, known: false, files, max_files: null, ratio: null };
+  const ratio = files / maxFiles;
+  // Linear: touching 10% of the budget scores 0.95, the full budget 0.5, twice the budget 0.
+  return { value: clamp01(1 - 0.5 * ratio), known: true, files, max_files: maxFiles, ratio: round3(ratio) };
+}
+
+function triggeringErrsigs(signals) {
+  const out = [];
+  for (const s of Array.isArray(signals) ? signals : []) {
+    const str = String(s || '');
+    const m = str.match(/^(?:errsig|recurring_errsig(?:\(\d+x\))?):(.*)$/);
+    if (!m) continue;
+    const norm = normalizeErrorSignature(m[1]);
+    if (norm && !out.includes(norm)) out.push(norm);
+  }
+  return out;
+}
+
+function errsigFactor(triggering, nextSignals) {
+  if (triggering.length === 0) return { value: NEUTRAL, known: false, triggering: 0, cleared: null, pending: false };
+  if (!Array.isArray(nextSignals)) return { value: NEUTRAL, known: false, triggering: triggering.length, cleared: null, pending: true };
+  const remaining = new Set(triggeringErrsigs(nextSignals));
+  const cleared = triggering.filter(e => !remaining.has(e)).length;
+  return { value: cleared / triggering.length, known: true, triggering: triggering.length, cleared, pending: false };
+}
+
+// Median validation runtime of earlier successful runs of the same gene.
+function runtimeBaseline(geneId, recentEvents) {
+  if (!geneId) return null;
+  const durations = [];
+  const list = Array.isArray(recentEvents) ? recentEvents : [];
+  for (let i = list.length - 1; i >= 0 && durations.length < RUNTIME_HISTORY; i--) {
+    const ev = list[i];
+    if (!ev || ev.type !== 'EvolutionEvent') continue;
+    if (!Array.isArray(ev.genes_used) || !ev.genes_used.includes(geneId)) continue;
+    if (!ev.outcome || ev.outcome.status !== 'success') continue;
+    const report = ev.meta && ev.meta.validation_report ? ev.meta.validation_report : null;
+    const ms = report ? Number(report.duration_ms) : NaN;
+    if (Number.isFinite(ms) && ms > 0) durations.push(ms);
+  }
+  return median(durations);
+}
+
+function runtimeFactor(geneId, validation, recentEvents) {
+  const startedAt = validation ? Number(validation.startedAt) : NaN;
+  const finishedAt = validation ? Number(validation.finishedAt) : NaN;
+  const current = Number.isFinite(startedAt) && Number.isFinite(finishedAt) ? finishedAt - startedAt : null;
+  const baseline = runtimeBaseline(geneId, recentEvents);
+  if (current == null || !baseline) return { value: NEUTRAL, known: false, duration_ms: current, baseline_ms: baseline, delta: null };
+  const delta = (current - baseline) / baseline;
+  // Half as fast scores 0.25, twice as slow 0; a 50% speed-up scores 0.75.
+  return { value: clamp01(NEUTRAL - 0.5 * delta), known: true, duration_ms: current, baseline_ms: baseline, delta: round3(delta) };
+}
+
+// Weighted mean over the known factors. Breakdowns stored before `known` existed count every
+// factor as known, which is how they were scored.
+function combine(factors, success) {
+  let raw = 0;
+  let weight = 0;
+  for (const k of Object.keys(WEIGHTS)) {
+    if (factors[k].known === false) continue;
+    raw += WEIGHTS[k] * factors[k].value;
+    weight += WEIGHTS[k];
+  }
+  const score = weight > 0 ? raw / weight : NEUTRAL;
+  return clamp01(success ? score : Math.min(score, FAILED_SCORE_CAP));
+}
+
+function toBreakdown(factors, { success, score }) {
+  const out = { weights: { ...WEIGHTS }, success: !!success, score: round3(score) };
+  for (const k of Object.keys(factors)) out[k] = { ...factors[k], value: round3(factors[k].value) };
+  return out;
+}
+
+// Score a cycle at solidify time. nextSignals is normally unknown here (errsig_cleared pending).
+function computeFitness({ success, gene, validation, blast, signals, recentEvents, nextSignals }) {
+  const factors = {
+    validation: validationFactor(gene, validation),
+    blast: blastFactor(gene, blast),
+    errsig_cleared: errsigFactor(triggeringErrsigs(signals), nextSignals),
+    runtime: runtimeFactor(gene && gene.id ? gene.id : null, validation, recentEvents),
+  };
+  const score = combine(factors, success);
+  return { score: round3(score), breakdown: toBreakdown(factors, { success, score }) };
+}
+
+// Finalize a provisional breakdown with the signals of the following cycle.
+// Returns null when there is nothing to settle.
+function settleFitness(breakdown, { signals, nextSignals }) {
+  if (!breakdown || !breakdown.errsig_cleared || !breakdown.errsig_cleared.pending) return null;
+  const factors = {};
+  for (const k of Object.keys(WEIGHTS)) {
+    factors[k] = breakdown[k] && typeof breakdown[k] === 'object' ? { ...breakdown[k] } : { value: NEUTRAL, known: false };
+    factors[k].value = Number.isFinite(Number(factors[k].value)) ? Number(factors[k].value) : NEUTRAL;
+  }
+  factors.errsig_cleared = errsigFactor(triggeringErrsigs(signals), nextSignals);
+  const score = combine(factors, !!breakdown.success);
+  return {
+    score: round3(score),
+    breakdown: { ...toBreakdown(factors, { success: breakdown.success, score }), provisional_score: breakdown.score },
+  };
+}
+
+module.exports = {
+  FITNESS_WEIGHTS: WEIGHTS,
+  FAILED_SCORE_CAP,
+  computeFitness,
+  settleFitness,
+  triggeringErrsigs,
+};
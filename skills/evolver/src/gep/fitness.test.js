@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { computeFitness, settleFitness, FAILED_SCORE_CAP } = require('./fitness');
+
+const gene = { id: 'gene_fix', validation: ['node -v', 'node -e "1"'], constraints: { max_files: 20 } };
+const passed = { results: [{ ok: true }, { ok: true }], startedAt: 1000, finishedAt: 1400 };
+
+function fitness(overrides = {}) {
+  return computeFitness({ success: true, gene, validation: passed, blast: { files: 3 }, signals: [], recentEvents: [], ...overrides });
+}
+
+test('factors without evidence are left out of the score', () => {
+  const r = fitness();
+  assert.strictEqual(r.breakdown.errsig_cleared.known, false);
+  assert.strictEqual(r.breakdown.runtime.known, false);
+  // (0.4 * 1 + 0.2 * 0.925) / 0.6
+  assert.strictEqual(r.score, 0.975);
+});
+
+test('a clean cycle clears the default publish threshold before the errsig settles', () => {
+  for (const files of [1, 3, 5, 8]) {
+    const r = fitness({ blast: { files }, signals: ['errsig:TypeError: x is undefined'] });
+    assert.strictEqual(r.breakdown.errsig_cleared.pending, true);
+    assert.ok(r.score >= 0.78, `${files} files scored ${r.score}`);
+  }
+});
+
+test('a gene without max_files is scored on the remaining factors', () => {
+  const r = fitness({ gene: { id: 'gene_fix', validation: ['node -v'] }, validation: { results: [{ ok: true }] } });
+  assert.strictEqual(r.breakdown.blast.known, false);
+  assert.strictEqual(r.score, 1);
+});
+
+test('an empty change counts as neutral rather than dropping out', () => {
+  const r = fitness({ blast: { files: 0 } });
+  assert.strictEqual(r.breakdown.blast.known, true);
+  assert.ok(r.score < fitness().score);
+});
+
+test('failed cycles are capped', () => {
+  const r = fitness({ success: false });
+  assert.strictEqual(r.score, FAILED_SCORE_CAP);
+});
+
+test('validation commands that never ran count as not passed', () => {
+  const r = fitness({ validation: { results: [{ ok: false }] } });
+  assert.strictEqual(r.breakdown.validation.value, 0);
+  assert.strictEqual(r.breakdown.validation.total, 2);
+});
+
+test('no evidence at all scores neutral', () => {
+  const r = computeFitness({ success: true, gene: {}, blast: {} });
+  assert.strictEqual(r.score, 0.5);
+});
+
+test('runtime is compared with earlier successful runs of the gene', () => {
+  const earlier = { type: 'EvolutionEvent', genes_used: ['gene_fix'], outcome: { status: 'success' }, meta: { validation_report: { duration_ms: 800 } } };
+  const r = fitness({ recentEvents: [earlier] });
+  assert.strictEqual(r.breakdown.runtime.known, true);
+  assert.strictEqual(r.breakdown.runtime.baseline_ms, 800);
+  assert.strictEqual(r.breakdown.runtime.value, 0.75);
+});
+
+test('settleFitness resolves the pending errsig factor', () => {
+  const signals = ['errsig:TypeError: x is undefined'];
+  const provisional = fitness({ signals });
+  const cleared = settleFitness(provisional.breakdown, { signals, nextSignals: [] });
+  assert.strictEqual(cleared.breakdown.errsig_cleared.value, 1);
+  assert.strictEqual(cleared.breakdown.provisional_score, provisional.score);
+  const stuck = settleFitness(provisional.breakdown, { signals, nextSignals: signals });
+  assert.strictEqual(stuck.breakdown.errsig_cleared.value, 0);
+  assert.ok(stuck.score < provisional.score);
+  assert.strictEqual(settleFitness(cleared.breakdown, { signals, nextSignals: [] }), null);
+});
+
+test('breakdowns stored before `known` existed settle with every factor counted', () => {
+  const legacy = {
+    success: true,
+    score: 0.7,
+    validation: { value: 1 },
+    blast: { value: 0.5 },
+    errsig_cleared: { value: 0.5, pending: true },
+    runtime: { value: 0.5 },
+  };
+  const settled = settleFitness(legacy, { signals: ['errsig:boom'], nextSignals: [] });
+  // 0.4 * 1 + 0.2 * 0.5 + 0.25 * 1 + 0.15 * 0.5
+  assert.strictEqual(settled.score, 0.825);
+});
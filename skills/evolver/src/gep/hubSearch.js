@@ -4,6 +4,7 @@
 // Two modes: direct (skip local reasoning) | reference (inject into prompt as strong hint)
 
 const { getNodeId } = require('./a2aProtocol');
+const { matchPatternToSignals } = require('./selector');
 
 const DEFAULT_MIN_REUSE_SCORE = 0.72;
 const DEFAULT_REUSE_MODE = 'reference'; // 'direct' | 'reference'
@@ -63,18 +64,55 @@ function pickBestMatch(results, threshold) {
   };
 }
 
+/**
+ * Offline stand-in for the hub's search endpoint: keep assets whose trigger
+ * (Capsule) or signals_match (Gene) hits at least one signal.
+ */
+function searchLocalAssets(assets, signals, limit) {
+  return (Array.isArray(assets) ? assets : [])
+    .filter(a => {
+      const pats = Array.isArray(a.trigger) ? a.trigger : Array.isArray(a.signals_match) ? a.signals_match : [];
+      return pats.some(p => matchPatternToSignals(p, signals));
+    })
+    .slice(0, limit);
+}
+
+function toHit(pick) {
+  return {
+    hit: true,
+    match: pick.match,
+    score: pick.score,
+    mode: pick.mode,
+    asset_id: pick.match.asset_id || null,
+    source_node_id: pick.match.source_node_id || null,
+  };
+}
+
 /**
  * Search the hub for reusable capsules matching the given signals.
  * Returns { hit: true, match, score, mode } or { hit: false }.
+ * opts.assets: search this local list instead of the network (simulate mode).
  */
 async function hubSearch(signals, opts) {
+  const signalList = Array.isArray(signals) ? signals.filter(Boolean) : [];
+  const threshold = (opts && Number.isFinite(opts.threshold)) ? opts.threshold : getMinReuseScore();
+
+  if (opts && Array.isArray(opts.assets)) {
+    if (signalList.length === 0) return { hit: false, reason: 'no_signals' };
+    const limit = Number.isFinite(opts.limit) ? opts.limit : 5;
+    const assets = searchLocalAssets(opts.assets, signalList, limit);
+    if (assets.length === 0) return { hit: false, reason: 'stub_no_results' };
+    const pick = pickBestMatch(assets, threshold);
+    if (!pick) return { hit: false, reason: 'below_threshold', candidates: assets.length };
+    console.log(`[HubSearch] Stub hit: ${pick.match.asset_id || pick.match.id} (score=${pick.score}, mode=${pick.mode})`);
+    return toHit(pick);
+  }
+
   const hubUrl = getHubUrl();
   if (!hubUrl) return { hit: false, reason: 'no_hub_url' };
 
-  const signalList = Array.isArray(signals) ? signals.filter(Boolean) : [];
   if (signalList.length === 0) return { hit: false, reason: 'no_signals' };
 
-  const threshold = (opts && Number.isFinite(opts.threshold)) ? opts.threshold : getMinReuseScore();
   const limit = (opts && Number.isFinite(opts.limit)) ? opts.limit : 5;
   const timeout = (opts && Number.isFinite(opts.timeoutMs)) ? opts.timeoutMs : 8000;
 
@@ -107,14 +145,7 @@ async function hubSearch(signals, opts) {
 
     console.log(`[HubSearch] Hit: ${pick.match.asset_id || pick.match.local_id} (score=${pick.score}, mode=${pick.mode})`);
 
-    return {
-      hit: true,
-      match: pick.match,
-      score: pick.score,
-      mode: pick.mode,
-      asset_id: pick.match.asset_id || null,
-      source_node_id: pick.match.source_node_id || null,
-    };
+    return toHit(pick);
   } catch (err) {
     // Hub unreachable is non-fatal; fall through to normal evolve
     console.log(`[HubSearch] Failed (non-fatal): ${err.message}`);
@@ -124,6 +155,7 @@ async function hubSearch(signals, opts) {
 
 module.exports = {
   hubSearch,
+  searchLocalAssets,
   scoreHubResult,
   pickBestMatch,
   getReuseMode,
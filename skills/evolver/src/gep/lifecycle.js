@@ -0,0 +1,248 @@
+// Gene and capsule lifecycle: active, probation, deprecated, retired.
+//
+//   probation   new auto-generated or externally promoted genes; selectable, but they have to
+//               prove themselves before they count as active
+//   active      the default for genes without a lifecycle record
+//   deprecated  only selected when no active/probation gene matches; when superseded_by names
+//               a live gene, the selector uses that gene instead
+//   retired     never selected, exported or merged into
+//
+// The state lives on the asset as `lifecycle: { state, since, reason, superseded_by, history }`.
+// Capsules use the same record; a capsule is also skipped while its gene is retired.
+// applyLifecycleRules() moves genes between states from their memory-graph outcome rates
+// (decayed success/fail counts, Laplace-smoothed like the rest of the graph); the gene CLI
+// (scripts/gene_lifecycle.js) does the same by hand.
+
+const { computeAssetId } = require('./contentHash');
+
+const STATES = ['active', 'probation', 'deprecated', 'retired'];
+const HISTORY_MAX = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RULES = {
+  // probation -> active
+  promote_min_attempts: 3,
+  promote_min_rate: 0.6,
+  // active/probation -> deprecated
+  deprecate_min_attempts: 5,
+  deprecate_max_rate: 0.3,
+  // deprecated -> active again when outcomes recover (drift or fallback use)
+  restore_min_rate: 0.6,
+  // deprecated -> retired, and probation genes that never got an outcome
+  retire_after_days: 14,
+  stale_probation_days: 30,
+};
+
+function isLifecycleAutomationEnabled() {
+  const v = String(process.env.EVOLVE_GENE_LIFECYCLE || 'on').toLowerCase().trim();
+  return !['off', 'false', '0', 'manual'].includes(v);
+}
+
+function lifecycleState(asset) {
+  const s = asset && asset.lifecycle && asset.lifecycle.state ? String(asset.lifecycle.state) : 'active';
+  return STATES.includes(s) ? s : 'active';
+}
+
+function supersededBy(gene) {
+  return gene && gene.lifecycle && gene.lifecycle.superseded_by ? String(gene.lifecycle.superseded_by) : null;
+}
+
+function isAutoGene(gene) {
+  return !!(gene && typeof gene.id === 'string' && gene.id.startsWith('gene_auto_'));
+}
+
+// Lifecycle record for a gene entering its first state (no history yet).
+function initialLifecycle(state, reason, nowIso) {
+  return { state, since: nowIso || new Date().toISOString(), reason: reason || null };
+}
+
+// Move a gene or capsule to a new state in place. Returns false when nothing changed.
+function setLifecycleState(asset, state, { reason = null, supersededBy: successor, nowIso } = {}) {
+  if (!asset || !STATES.includes(state)) return false;
+  const prev = asset.lifecycle && typeof asset.lifecycle === 'object' ? asset.lifecycle : null;
+  const prevState = lifecycleState(asset);
+  const nextSuccessor = successor !== undefined ? successor || null : prev ? prev.superseded_by || null : null;
+  if (prevState === state && (prev ? prev.superseded_by || null : null) === nextSuccessor) return false;
+  const at = nowIso || new Date().toISOString();
+  const history = prev && Array.isArray(prev.history) ? prev.history.slice() : [];
+  history.push({ from: prevState, to: state, at, reason: reason || null });
+  asset.lifecycle = {
+    state,
+    since: at,
+    reason: reason || null,
+    superseded_by: state === 'active' || state === 'probation' ? null : nextSuccessor,
+    history: history.slice(-HISTORY_MAX),
+  };
+  asset.asset_id = computeAssetId(asset);
+  return true;
+}
+
+function outcomeStats(view, geneId) {
+  const agg = view && view.geneOutcomes ? view.geneOutcomes.get(String(geneId)) : null;
+  const success = agg ? Number(agg.success) || 0 : 0;
+  const fail = agg ? Number(agg.fail) || 0 : 0;
+  return {
+    success,
+    fail,
+    attempts: success + fail,
+    rate: (success + 1) / (success + fail + 2),
+    last_ts: agg ? agg.last_ts : null,
+  };
+}
+
+function daysSince(iso, nowMs) {
+  const t = Date.parse(iso || '');
+  return Number.isFinite(t) ? (nowMs - t) / DAY_MS : 0;
+}
+
+// The transition a gene's record calls for, or null.
+function evaluateGene(gene, stats, { genesById, nowMs, rules = RULES }) {
+  const state = lifecycleState(gene);
+  const since = gene.lifecycle && gene.lifecycle.since;
+  const fmt = `${stats.success.toFixed(1)}/${stats.attempts.toFixed(1)} success, rate ${stats.rate.toFixed(2)}`;
+  if (state === 'retired') return null;
+  if (state === 'probation') {
+    if (stats.attempts >= rules.promote_min_attempts && stats.rate >= rules.promote_min_rate) {
+      return { to: 'active', reason: `proven on probation (${fmt})` };
+    }
+    if (stats.attempts === 0 && isAutoGene(gene) && daysSince(since, nowMs) >= rules.stale_probation_days) {
+      return { to: 'retired', reason: `no outcomes in ${rules.stale_probation_days} days of probation` };
+    }
+  }
+  if ((state === 'active' || state === 'probation') &&
+      stats.attempts >= rules.deprecate_min_attempts && stats.rate <= rules.deprecate_max_rate) {
+    return { to: 'deprecated', reason: `low success rate (${fmt})` };
+  }
+  if (state === 'deprecated') {
+    const successor = supersededBy(gene);
+    const successorLive = successor && genesById.has(successor) && lifecycleState(genesById.get(successor)) !== 'retired';
+    if (!successor && stats.attempts >= rules.promote_min_attempts && stats.rate >= rules.restore_min_rate) {
+      return { to: 'active', reason: `outcomes recovered (${fmt})` };
+    }
+    // Builtin and hand-written genes are only ever deprecated automatically; retiring them is a
+    // manual decision. Auto genes and superseded genes retire after the grace period.
+    if ((isAutoGene(gene) || successorLive) && daysSince(since, nowMs) >= rules.retire_after_days) {
+      return { to: 'retired', reason: successorLive ? `superseded by ${successor}` : `deprecated for ${rules.retire_after_days}+ days` };
+    }
+  }
+  return null;
+}
+
+// Evaluate every gene against its outcomes. Returns { transitions: [{ gene_id, from, to, reason, stats }] }.
+function evaluateLifecycle({ genes, view, nowMs = Date.now(), rules = RULES }) {
+  const list = Array.isArray(genes) ? genes.filter(g => g && g.type === 'Gene' && g.id) : [];
+  const genesById = new Map(list.map(g => [String(g.id), g]));
+  const transitions = [];
+  for (const gene of list) {
+    const stats = outcomeStats(view, gene.id);
+    const t = evaluateGene(gene, stats, { genesById, nowMs, rules });
+    if (t) transitions.push({ gene_id: String(gene.id), from: lifecycleState(gene), to: t.to, reason: t.reason, stats });
+  }
+  return { transitions };
+}
+
+// Evaluate and (unless dryRun) persist the rule-driven transitions. EVOLVE_GENE_LIFECYCLE=off
+// (or manual) disables this during cycles; force is for the CLI.
+// Returns { genes, transitions } where genes carries the updated lifecycle records.
+function applyLifecycleRules({ genes, view, nowMs = Date.now(), dryRun = false, force = false, upsert } = {}) {
+  if (!force && !isLifecycleAutomationEnabled()) return { genes, transitions: [] };
+  const v = view || require('./memoryGraph').loadMemoryGraphView();
+  const { transitions } = evaluateLifecycle({ genes, view: v, nowMs });
+  if (transitions.length === 0 || dryRun) return { genes, transitions };
+  const save = upsert || require('./assetStore').upsertGene;
+  const byId = new Map(transitions.map(t => [t.gene_id, t]));
+  const nowIso = new Date(nowMs).toISOString();
+  const updated = genes.map(g => {
+    const t = g && byId.get(String(g.id));
+    if (!t) return g;
+    const copy = JSON.parse(JSON.stringify(g));
+    if (setLifecycleState(copy, t.to, { reason: t.reason, nowIso })) save(copy);
+    return copy;
+  });
+  return { genes: updated, transitions };
+}
+
+// Order-insensitive key of a gene's signals_match, for finding duplicates.
+function signalsMatchKey(gene) {
+  const list = gene && Array.isArray(gene.signals_match) ? gene.signals_match : [];
+  return Array.from(new Set(list.map(s => String(s).trim().toLowerCase()).filter(Boolean))).sort().join('|');
+}
+
+const STATE_RANK = { active: 0, probation: 1, deprecated: 2, retired: 3 };
+
+// Groups of live genes with identical signals_match. The first gene of each group is the one
+// to keep: best state, hand-written over auto-generated, then the better outcome record.
+function findMergeGroups(genes, view) {
+  const groups = new Map();
+  for (const g of Array.isArray(genes) ? genes : []) {
+    if (!g || g.type !== 'Gene' || !g.id || lifecycleState(g) === 'retired') continue;
+    const key = signalsMatchKey(g);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(g);
+  }
+  const out = [];
+  for (const [key, list] of groups) {
+    if (list.length < 2) continue;
+    const ranked = list
+      .map(g => ({ gene: g, stats: outcomeStats(view, g.id) }))
+      .sort((a, b) =>
+        STATE_RANK[lifecycleState(a.gene)] - STATE_RANK[lifecycleState(b.gene)] ||
+        Number(isAutoGene(a.gene)) - Number(isAutoGene(b.gene)) ||
+        b.stats.rate - a.stats.rate ||
+        b.stats.attempts - a.stats.attempts ||
+        String(a.gene.id).localeCompare(String(b.gene.id))
+      );
+    out.push({ signals_key: key, keep: ranked[0].gene, merge: ranked.slice(1).map(x => x.gene) });
+  }
+  return out;
+}
+
+// A gene whose validation commands this node would run as its own: a local gene, or a peer's
+// gene signed by a trusted key. Anything else keeps its commands to itself.
+function ownsCommands(gene) {
+  const a2a = gene && gene.a2a && typeof gene.a2a === 'object' ? gene.a2a : null;
+  return !a2a || !!(a2a.signer && a2a.signer.trusted);
+}
+
+// Fold `merged` genes into `keeper`: the keeper gains the validation commands of merged local or
+// trusted-signer genes that pass the safety check, the others are deprecated with superseded_by
+// pointing at the keeper. Mutates and returns the changed genes.
+function mergeGenes(keeper, merged, { nowIso } = {}) {
+  const { isValidationCommandAllowed } = require('./solidify');
+  const changed = [];
+  const validation = Array.isArray(keeper.validation) ? keeper.validation.slice() : [];
+  for (const g of merged) {
+    if (!ownsCommands(g)) continue;
+    for (const c of Array.isArray(g.validation) ? g.validation : []) {
+      if (!validation.includes(c) && isValidationCommandAllowed(c)) validation.push(c);
+    }
+  }
+  if (validation.length !== (Array.isArray(keeper.validation) ? keeper.validation.length : 0)) {
+    keeper.validation = validation;
+    keeper.asset_id = computeAssetId(keeper);
+    changed.push(keeper);
+  }
+  for (const g of merged) {
+    if (setLifecycleState(g, 'deprecated', { reason: `merged into ${keeper.id} (identical signals_match)`, supersededBy: keeper.id, nowIso })) {
+      changed.push(g);
+    }
+  }
+  return changed;
+}
+
+module.exports = {
+  STATES,
+  RULES,
+  isLifecycleAutomationEnabled,
+  lifecycleState,
+  supersededBy,
+  initialLifecycle,
+  setLifecycleState,
+  outcomeStats,
+  evaluateLifecycle,
+  applyLifecycleRules,
+  signalsMatchKey,
+  findMergeGroups,
+  mergeGenes,
+};
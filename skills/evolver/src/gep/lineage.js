@@ -0,0 +1,310 @@
+// Lineage of EvolutionEvents: every event's `parent` names the event it built on, so the
+// history forms a forest. buildLineage() reconstructs it from events.jsonl order.
+//
+// A branch is a run of events without a fork: it starts at a root or at a child of a fork
+// (a node with more than one child) and ends at the next fork or at a leaf. Branch stats count
+// the branch's own events and its whole subtree, which is what tells a productive line of
+// evolution from a dead end. Events whose parent is missing (truncated history, foreign
+// events) become roots marked `orphan`.
+
+function isSuccess(ev) {
+  return !!(ev && ev.outcome && ev.outcome.status === 'success');
+}
+
+function eventTime(ev) {
+  return ev && ev.meta && ev.meta.at ? ev.meta.at : ev && ev.created_at ? ev.created_at : null;
+}
+
+// Build the tree from events in chronological order. Returns
+// { nodes: Map<id, node>, roots: [node], order: [id] } where
+// node = { id, parent, children: [node], event, depth, orphan }.
+function buildLineage(events) {
+  const nodes = new Map();
+  const order = [];
+  for (const ev of Array.isArray(events) ? events : []) {
+    if (!ev || ev.type !== 'EvolutionEvent' || typeof ev.id !== 'string' || !ev.id) continue;
+    // A rewritten event keeps its place but takes the latest content.
+    if (nodes.has(ev.id)) {
+      nodes.get(ev.id).event = ev;
+      continue;
+    }
+    nodes.set(ev.id, { id: ev.id, parent: null, children: [], event: ev, depth: 0, orphan: false });
+    order.push(ev.id);
+  }
+  const rank = new Map(order.map((id, i) => [id, i]));
+  const roots = [];
+  for (const id of order) {
+    const node = nodes.get(id);
+    const parentId = node.event.parent ? String(node.event.parent) : null;
+    const parent = parentId && parentId !== id ? nodes.get(parentId) : null;
+    // Only link to an earlier event; this also rules out cycles in corrupted histories.
+    if (parent && rank.get(parentId) < rank.get(id)) {
+      node.parent = parentId;
+      parent.children.push(node);
+    } else {
+      node.orphan = !!parentId;
+      roots.push(node);
+    }
+  }
+  const stack = roots.map(n => [n, 0]);
+  while (stack.length) {
+    const [node, depth] = stack.pop();
+    node.depth = depth;
+    for (const child of node.children) stack.push([child, depth + 1]);
+  }
+  return { nodes, roots, order };
+}
+
+function getNode(tree, id) {
+  const node = tree.nodes.get(String(id || ''));
+  if (!node) throw new Error(`event not found in lineage: ${id}`);
+  return node;
+}
+
+// The event and its ancestors, nearest first.
+function ancestors(tree, id) {
+  const out = [];
+  let node = getNode(tree, id);
+  while (node) {
+    out.push(node);
+    node = node.parent ? tree.nodes.get(node.parent) : null;
+  }
+  return out;
+}
+
+// Nearest event both a and b descend from (either may be the ancestor itself); null when they
+// sit in different trees.
+function commonAncestor(tree, a, b) {
+  const seen = new Set(ancestors(tree, a).map(n => n.id));
+  return ancestors(tree, b).find(n => seen.has(n.id)) || null;
+}
+
+// All events below id, in chronological order.
+function descendants(tree, id) {
+  const out = [];
+  const stack = getNode(tree, id).children.slice();
+  while (stack.length) {
+    const node = stack.pop();
+    out.push(node);
+    stack.push(...node.children);
+  }
+  const rank = new Map(tree.order.map((x, i) => [x, i]));
+  return out.sort((x, y) => rank.get(x.id) - rank.get(y.id));
+}
+
+// The first event that recorded the capsule (the cycle that produced it), or null.
+function capsuleOrigin(tree, capsuleId) {
+  const key = String(capsuleId || '');
+  for (const id of tree.order) {
+    const node = tree.nodes.get(id);
+    if (node.event.capsule_id && String(node.event.capsule_id) === key) return node;
+  }
+  return null;
+}
+
+function subtreeStats(node, memo) {
+  if (memo.has(node.id)) return memo.get(node.id);
+  // Iterative post-order: lineage chains can be thousands of events deep.
+  const stack = [[node, false]];
+  while (stack.length) {
+    const [n, expanded] = stack.pop();
+    if (memo.has(n.id)) continue;
+    if (!expanded) {
+      stack.push([n, true]);
+      for (const c of n.children) if (!memo.has(c.id)) stack.push([c, false]);
+      continue;
+    }
+    const st = { events: 1, success: isSuccess(n.event) ? 1 : 0 };
+    for (const c of n.children) {
+      const cs = memo.get(c.id);
+      st.events += cs.events;
+      st.success += cs.success;
+    }
+    memo.set(n.id, st);
+  }
+  return memo.get(node.id);
+}
+
+function rate(success, total) {
+  return total > 0 ? success / total : 0;
+}
+
+// Split the forest into branches. Returns [{ id, parent_branch, fork_event, head, tail, depth,
+// events, success, rate, subtree: { events, success, rate }, genes, intents }], in the order
+// their first event occurred.
+function listBranches(tree) {
+  const memo = new Map();
+  const branches = [];
+  const stack = tree.roots.slice().reverse().map(n => ({ start: n, parentBranch: null, fork: null }));
+  while (stack.length) {
+    const { start, parentBranch, fork } = stack.pop();
+    const members = [start];
+    let node = start;
+    while (node.children.length === 1) {
+      node = node.children[0];
+      members.push(node);
+    }
+    const success = members.filter(n => isSuccess(n.event)).length;
+    const sub = subtreeStats(start, memo);
+    const genes = new Set();
+    const intents = {};
+    for (const n of members) {
+      for (const g of Array.isArray(n.event.genes_used) ? n.event.genes_used : []) genes.add(String(g));
+      const intent = n.event.intent || 'unknown';
+      intents[intent] = (intents[intent] || 0) + 1;
+    }
+    branches.push({
+      id: start.id,
+      parent_branch: parentBranch,
+      fork_event: fork,
+      head: start.id,
+      tail: node.id,
+      depth: start.depth,
+      orphan: start.orphan,
+      events: members.length,
+      success,
+      rate: rate(success, members.length),
+      subtree: { events: sub.events, success: sub.success, rate: rate(sub.success, sub.events) },
+      genes: Array.from(genes),
+      intents,
+      from: eventTime(start.event),
+      to: eventTime(node.event),
+    });
+    for (const child of node.children.slice().reverse()) {
+      stack.push({ start: child, parentBranch: start.id, fork: node.id });
+    }
+  }
+  const rank = new Map(tree.order.map((x, i) => [x, i]));
+  return branches.sort((a, b) => rank.get(a.head) - rank.get(b.head));
+}
+
+function lineageSummary(tree) {
+  let forks = 0;
+  let maxDepth = 0;
+  let success = 0;
+  for (const node of tree.nodes.values()) {
+    if (node.children.length > 1) forks += 1;
+    if (node.depth > maxDepth) maxDepth = node.depth;
+    if (isSuccess(node.event)) success += 1;
+  }
+  return {
+    events: tree.nodes.size,
+    roots: tree.roots.length,
+    orphans: tree.roots.filter(n => n.orphan).length,
+    forks,
+    max_depth: maxDepth,
+    success,
+    rate: rate(success, tree.nodes.size),
+  };
+}
+
+// Nodes to export: everything, or the subtree under rootId.
+function exportNodes(tree, rootId) {
+  if (!rootId) return tree.order.map(id => tree.nodes.get(id));
+  return [getNode(tree, rootId)].concat(descendants(tree, rootId));
+}
+
+function nodeLabel(node) {
+  const ev = node.event;
+  const parts = [node.id];
+  const gene = Array.isArray(ev.genes_used) && ev.genes_used.length ? ev.genes_used[0] : null;
+  parts.push([ev.intent || '?', gene].filter(Boolean).join(' '));
+  const status = ev.outcome && ev.outcome.status ? ev.outcome.status : 'unknown';
+  const score = ev.outcome && Number.isFinite(Number(ev.outcome.score)) ? ` ${Number(ev.outcome.score).toFixed(2)}` : '';
+  parts.push(`${status}${score}`);
+  if (ev.capsule_id) parts.push(`capsule ${ev.capsule_id}`);
+  return parts;
+}
+
+function dotString(s) {
+  return `"${String(s).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// Graphviz DOT; success nodes are green, failures red.
+function toDot(tree, { rootId } = {}) {
+  const list = exportNodes(tree, rootId);
+  const included = new Set(list.map(n => n.id));
+  const lines = ['digraph lineage {', '  rankdir=TB;', '  node [shape=box, style="rounded,filled", fontname="Helvetica", fontsize=10];'];
+  for (const node of list) {
+    const fill = isSuccess(node.event) ? '#d4f7d4' : node.event.outcome ? '#f7d4d4' : '#eeeeee';
+    const label = nodeLabel(node).map(p => String(p).replace(/\\/g, '\\\\').replace(/"/g, '\\"')).join('\\n');
+    lines.push(`  ${dotString(node.id)} [label="${label}", fillcolor="${fill}"${node.orphan ? ', style="rounded,filled,dashed"' : ''}];`);
+  }
+  for (const node of list) {
+    if (node.parent && included.has(node.parent)) lines.push(`  ${dotString(node.parent)} -> ${dotString(node.id)};`);
+  }
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+// Mermaid flowchart. Event ids are not valid Mermaid node ids, so nodes are numbered.
+function toMermaid(tree, { rootId } = {}) {
+  const list = exportNodes(tree, rootId);
+  const ids = new Map(list.map((n, i) => [n.id, `e${i}`]));
+  const lines = ['graph TD'];
+  for (const node of list) {
+    const label = nodeLabel(node).map(p => String(p).replace(/"/g, '#quot;')).join('<br/>');
+    lines.push(`  ${ids.get(node.id)}["${label}"]`);
+  }
+  for (const node of list) {
+    if (node.parent && ids.has(node.parent)) lines.push(`  ${ids.get(node.parent)} --> ${ids.get(node.id)}`);
+  }
+  const ok = list.filter(n => isSuccess(n.event)).map(n => ids.get(n.id));
+  const failed = list.filter(n => !isSuccess(n.event) && n.event.outcome).map(n => ids.get(n.id));
+  lines.push('  classDef success fill:#d4f7d4,stroke:#2e7d32;');
+  lines.push('  classDef failed fill:#f7d4d4,stroke:#c62828;');
+  if (ok.length) lines.push(`  class ${ok.join(',')} success;`);
+  if (failed.length) lines.push(`  class ${failed.join(',')} failed;`);
+  return lines.join('\n') + '\n';
+}
+
+// Nested JSON: { summary, branches, roots: [{ id, parent, intent, genes_used, outcome, capsule_id, at, children }] }.
+function toJson(tree, { rootId } = {}) {
+  const memo = new Map();
+  const build = start => {
+    const stack = [[start, null]];
+    let top = null;
+    while (stack.length) {
+      const [node, into] = stack.pop();
+      const ev = node.event;
+      const sub = subtreeStats(node, memo);
+      const item = {
+        id: node.id,
+        parent: node.parent,
+        orphan: node.orphan || undefined,
+        intent: ev.intent || null,
+        genes_used: Array.isArray(ev.genes_used) ? ev.genes_used : [],
+        outcome: ev.outcome || null,
+        capsule_id: ev.capsule_id || null,
+        at: eventTime(ev),
+        subtree: { events: sub.events, success: sub.success, rate: rate(sub.success, sub.events) },
+        children: [],
+      };
+      if (into) into.push(item);
+      else top = item;
+      for (const child of node.children.slice().reverse()) stack.push([child, item.children]);
+    }
+    return top;
+  };
+  const starts = rootId ? [getNode(tree, rootId)] : tree.roots;
+  const inScope = rootId ? new Set(exportNodes(tree, rootId).map(n => n.id)) : null;
+  return {
+    summary: lineageSummary(tree),
+    branches: listBranches(tree).filter(b => !inScope || inScope.has(b.head)),
+    roots: starts.map(build),
+  };
+}
+
+module.exports = {
+  isSuccess,
+  buildLineage,
+  ancestors,
+  commonAncestor,
+  descendants,
+  capsuleOrigin,
+  listBranches,
+  lineageSummary,
+  toDot,
+  toMermaid,
+  toJson,
+};
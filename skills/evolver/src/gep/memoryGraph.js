@@ -3,6 +3,21 @@ const path = require('path');
 const { getMemoryDir } = require('./paths');
 const { normalizePersonalityState, isValidPersonalityState, personalityKey } = require('./personality');
 const { isValidMutation, normalizeMutation } = require('./mutation');
+const { normalizeErrorSignature, buildSignalSimilarity } = require('./signalSimilarity');
+const { validateAsset, assertValidAsset, formatErrors } = require('./schema');
+
+// Minimum TF-IDF cosine similarity for a historical signal key to contribute to advice.
+const DEFAULT_SIMILARITY_THRESHOLD = 0.34;
+
+// Half-lives used for signal->gene edges and gene->outcome priors.
+const EDGE_HALF_LIFE_DAYS = 30;
+const GENE_HALF_LIFE_DAYS = 45;
+
+// Compaction defaults: fold once the live JSONL exceeds COMPACT_LINES, keep KEEP_TAIL live.
+// COMPACT_LINES stays below the 2000-line read window so no live event is ever skipped.
+const DEFAULT_COMPACT_LINES = 1500;
+const DEFAULT_KEEP_TAIL = 500;
+const MAX_SNAPSHOT_SIGNAL_KEYS = 500;
 
 function ensureDir(dir) {
   try {
@@ -24,25 +39,6 @@ function nowIso() {
   return new Date().toISOString();
 }
 
-function normalizeErrorSignature(text) {
-  const s = String(text || '').trim();
-  if (!s) return null;
-  return (
-    s
-      .toLowerCase()
-      // normalize Windows paths
-      .replace(/[a-z]:\\[^ \n\r\t]+/gi, '<path>')
-      // normalize Unix paths
-      .replace(/\/[^ \n\r\t]+/g, '<path>')
-      // normalize hex and numbers
-      .replace(/\b0x[0-9a-f]+\b/gi, '<hex>')
-      .replace(/\b\d+\b/g, '<n>')
-      // normalize whitespace
-      .replace(/\s+/g, ' ')
-      .slice(0, 220)
-  );
-}
-
 function normalizeSignalsForMatching(signals) {
   const list = Array.isArray(signals) ? signals : [];
   const out = [];
@@ -88,6 +84,7 @@ function memoryGraphStatePath() {
 }
 
 function appendJsonl(filePath, obj) {
+  if (obj && obj.type === 'MemoryGraphEvent') assertValidAsset(obj, 'MemoryGraphEvent');
   const dir = path.dirname(filePath);
   ensureDir(dir);
   fs.appendFileSync(filePath, JSON.stringify(obj) + '\n', 'utf8');
@@ -112,6 +109,20 @@ function writeJsonAtomic(filePath, obj) {
   fs.renameSync(tmp, filePath);
 }
 
+let invalidEventsWarned = false;
+
+// Malformed graph events are dropped on read (warned once per process) so one bad line
+// cannot poison the aggregates.
+function isReadableGraphEvent(ev) {
+  if (!ev || ev.type !== 'MemoryGraphEvent') return !!ev;
+  const res = validateAsset(ev, 'MemoryGraphEvent');
+  if (!res.ok && !invalidEventsWarned) {
+    invalidEventsWarned = true;
+    console.warn(`[Schema] Skipping invalid MemoryGraphEvent ${ev.id || '(no id)'}: ${formatErrors(res.errors)}`);
+  }
+  return res.ok;
+}
+
 function tryReadMemoryGraphEvents(limitLines = 2000) {
   try {
     const p = memoryGraphPath();
@@ -130,39 +141,49 @@ function tryReadMemoryGraphEvents(limitLines = 2000) {
           return null;
         }
       })
-      .filter(Boolean);
+      .filter(isReadableGraphEvent);
   } catch (e) {
     return [];
   }
 }
 
-function jaccard(aList, bList) {
-  const aNorm = normalizeSignalsForMatching(aList);
-  const bNorm = normalizeSignalsForMatching(bList);
-  const a = new Set((Array.isArray(aNorm) ? aNorm : []).map(String));
-  const b = new Set((Array.isArray(bNorm) ? bNorm : []).map(String));
-  if (a.size === 0 && b.size === 0) return 1;
-  if (a.size === 0 || b.size === 0) return 0;
-  let inter = 0;
-  for (const x of a) if (b.has(x)) inter++;
-  const union = a.size + b.size - inter;
-  return union === 0 ? 0 : inter / union;
+function similarityThreshold() {
+  const n = Number(process.env.MEMORY_GRAPH_SIMILARITY_THRESHOLD);
+  return Number.isFinite(n) && n > 0 && n <= 1 ? n : DEFAULT_SIMILARITY_THRESHOLD;
 }
 
-function decayWeight(updatedAtIso, halfLifeDays) {
+function decayWeight(updatedAtIso, halfLifeDays, nowMs = Date.now()) {
   const hl = Number(halfLifeDays);
   if (!Number.isFinite(hl) || hl <= 0) return 1;
   const t = Date.parse(updatedAtIso);
   if (!Number.isFinite(t)) return 1;
-  const ageDays = (Date.now() - t) / (1000 * 60 * 60 * 24);
+  const ageDays = (nowMs - t) / (1000 * 60 * 60 * 24);
   if (!Number.isFinite(ageDays) || ageDays <= 0) return 1;
   // Exponential half-life decay: weight = 0.5^(age/hl)
   return Math.pow(0.5, ageDays / hl);
 }
 
-function aggregateEdges(events) {
+// Adds one outcome event to an edge or gene aggregate, in place.
+function addOutcome(map, k, init, ev, weight) {
+  const cur = map.get(k) || { ...init, success: 0, fail: 0, last_ts: null, last_score: null };
+  const status = ev.outcome && ev.outcome.status ? String(ev.outcome.status) : 'unknown';
+  if (status === 'success') cur.success += weight;
+  else if (status === 'failed') cur.fail += weight;
+
+  const ts = ev.ts || ev.created_at || ev.at;
+  if (ts && (!cur.last_ts || Date.parse(ts) > Date.parse(cur.last_ts))) {
+    cur.last_ts = ts;
+    cur.last_score =
+      ev.outcome && Number.isFinite(Number(ev.outcome.score)) ? Number(ev.outcome.score) : cur.last_score;
+  }
+  map.set(k, cur);
+}
+
+function aggregateEdges(events, opts) {
   // Aggregate by (signal_key, gene_id) from outcome events.
   // Laplace smoothing to avoid 0/1 extremes.
+  // opts.weight(ev) lets compaction fold events with decay already applied.
+  const weightOf = opts && typeof opts.weight === 'function' ? opts.weight : () => 1;
   const map = new Map();
   for (const ev of events) {
     if (!ev || ev.type !== 'MemoryGraphEvent') continue;
@@ -170,43 +191,21 @@ function aggregateEdges(events) {
     const signalKey = ev.signal && ev.signal.key ? String(ev.signal.key) : '(none)';
     const geneId = ev.gene && ev.gene.id ? String(ev.gene.id) : null;
     if (!geneId) continue;
-
-    const k = `${signalKey}::${geneId}`;
-    const cur = map.get(k) || { signalKey, geneId, success: 0, fail: 0, last_ts: null, last_score: null };
-    const status = ev.outcome && ev.outcome.status ? String(ev.outcome.status) : 'unknown';
-    if (status === 'success') cur.success += 1;
-    else if (status === 'failed') cur.fail += 1;
-
-    const ts = ev.ts || ev.created_at || ev.at;
-    if (ts && (!cur.last_ts || Date.parse(ts) > Date.parse(cur.last_ts))) {
-      cur.last_ts = ts;
-      cur.last_score =
-        ev.outcome && Number.isFinite(Number(ev.outcome.score)) ? Number(ev.outcome.score) : cur.last_score;
-    }
-    map.set(k, cur);
+    addOutcome(map, `${signalKey}::${geneId}`, { signalKey, geneId }, ev, weightOf(ev));
   }
   return map;
 }
 
-function aggregateGeneOutcomes(events) {
+function aggregateGeneOutcomes(events, opts) {
   // Aggregate by gene_id from outcome events (gene -> outcome success probability).
+  const weightOf = opts && typeof opts.weight === 'function' ? opts.weight : () => 1;
   const map = new Map();
   for (const ev of events) {
     if (!ev || ev.type !== 'MemoryGraphEvent') continue;
     if (ev.kind !== 'outcome') continue;
     const geneId = ev.gene && ev.gene.id ? String(ev.gene.id) : null;
     if (!geneId) continue;
-    const cur = map.get(geneId) || { geneId, success: 0, fail: 0, last_ts: null, last_score: null };
-    const status = ev.outcome && ev.outcome.status ? String(ev.outcome.status) : 'unknown';
-    if (status === 'success') cur.success += 1;
-    else if (status === 'failed') cur.fail += 1;
-    const ts = ev.ts || ev.created_at || ev.at;
-    if (ts && (!cur.last_ts || Date.parse(ts) > Date.parse(cur.last_ts))) {
-      cur.last_ts = ts;
-      cur.last_score =
-        ev.outcome && Number.isFinite(Number(ev.outcome.score)) ? Number(ev.outcome.score) : cur.last_score;
-    }
-    map.set(geneId, cur);
+    addOutcome(map, geneId, { geneId }, ev, weightOf(ev));
   }
   return map;
 }
@@ -218,33 +217,330 @@ function edgeExpectedSuccess(edge, opts) {
   const total = succ + fail;
   const p = (succ + 1) / (total + 2); // Laplace smoothing
   const halfLifeDays = opts && Number.isFinite(Number(opts.half_life_days)) ? Number(opts.half_life_days) : 30;
-  const w = decayWeight(e.last_ts || '', halfLifeDays);
+  const nowMs = opts && Number.isFinite(Number(opts.now_ms)) ? Number(opts.now_ms) : Date.now();
+  const w = decayWeight(e.last_ts || '', halfLifeDays, nowMs);
   return { p, w, total, value: p * w };
 }
 
-function getMemoryAdvice({ signals, genes, driftEnabled }) {
-  const events = tryReadMemoryGraphEvents(2000);
-  const edges = aggregateEdges(events);
-  const geneOutcomes = aggregateGeneOutcomes(events);
+// ---------------------------------------------------------------------------
+// Compaction: fold old events into a persisted edge/outcome snapshot (decay applied
+// at fold time) and rotate the folded JSONL lines into archives. Readers merge
+// snapshot + live tail, so nothing learned drops out of the 2000-line read window.
+// ---------------------------------------------------------------------------
+
+function memoryGraphSnapshotPath() {
+  const live = memoryGraphPath();
+  return path.join(path.dirname(live), `${path.basename(live, '.jsonl')}_snapshot.json`);
+}
+
+function memoryGraphArchiveDir() {
+  const live = memoryGraphPath();
+  return path.join(path.dirname(live), `${path.basename(live, '.jsonl')}_archive`);
+}
+
+function envPositiveInt(name, fallback) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function readMemoryGraphSnapshot() {
+  const snap = readJsonIfExists(memoryGraphSnapshotPath(), null);
+  if (!snap || snap.type !== 'MemoryGraphSnapshot') return null;
+  return snap;
+}
+
+// After an interrupted compaction the live file may still start with events that the
+// snapshot already folded; skip everything up to and including folded_through.
+function dropFoldedEvents(events, snapshot) {
+  const throughId = snapshot && snapshot.folded_through ? snapshot.folded_through.id : null;
+  if (!throughId) return events;
+  const idx = events.findIndex(ev => ev && ev.id === throughId);
+  return idx >= 0 ? events.slice(idx + 1) : events;
+}
+
+// Snapshot aggregates decayed from compaction time to now.
+function snapshotAggregate(snapshot, field, keyOf, halfLifeDays, nowMs) {
+  const map = new Map();
+  const list = snapshot && Array.isArray(snapshot[field]) ? snapshot[field] : [];
+  const w = snapshot ? decayWeight(snapshot.compacted_at || '', halfLifeDays, nowMs) : 1;
+  for (const item of list) {
+    if (!item) continue;
+    map.set(keyOf(item), {
+      ...item,
+      success: (Number(item.success) || 0) * w,
+      fail: (Number(item.fail) || 0) * w,
+    });
+  }
+  return map;
+}
+
+function mergeAggregates(base, extra) {
+  const out = new Map(base);
+  for (const [k, cur] of extra.entries()) {
+    const prev = out.get(k);
+    if (!prev) {
+      out.set(k, { ...cur });
+      continue;
+    }
+    const curNewer = cur.last_ts && (!prev.last_ts || Date.parse(cur.last_ts) > Date.parse(prev.last_ts));
+    out.set(k, {
+      ...prev,
+      success: (Number(prev.success) || 0) + (Number(cur.success) || 0),
+      fail: (Number(prev.fail) || 0) + (Number(cur.fail) || 0),
+      last_ts: curNewer ? cur.last_ts : prev.last_ts,
+      last_score: curNewer ? cur.last_score : prev.last_score,
+    });
+  }
+  return out;
+}
+
+const edgeKeyOf = e => `${e.signalKey}::${e.geneId}`;
+const geneKeyOf = e => String(e.geneId);
+
+// Aggregated view over `events` (plus an optional snapshot) as seen at nowMs.
+// Replay builds views over historical prefixes; everything else uses loadMemoryGraphView().
+function buildMemoryGraphView(events, { snapshot = null, nowMs = Date.now() } = {}) {
+  return {
+    events,
+    snapshot,
+    nowMs,
+    edges: mergeAggregates(
+      snapshotAggregate(snapshot, 'edges', edgeKeyOf, EDGE_HALF_LIFE_DAYS, nowMs),
+      aggregateEdges(events)
+    ),
+    geneOutcomes: mergeAggregates(
+      snapshotAggregate(snapshot, 'gene_outcomes', geneKeyOf, GENE_HALF_LIFE_DAYS, nowMs),
+      aggregateGeneOutcomes(events)
+    ),
+    signalKeys: snapshot && Array.isArray(snapshot.signal_keys) ? snapshot.signal_keys : [],
+  };
+}
+
+// buildMemoryGraphView over a growing history prefix without rescanning it (replay). add() events
+// in history order; view(nowMs) equals buildMemoryGraphView(events added so far, { nowMs }). The
+// historical signal keys are carried in signalKeys, first occurrence first, which is the order
+// explainMemoryAdvice would have read them from the events.
+function createMemoryGraphViewBuilder() {
+  const edges = new Map();
+  const geneOutcomes = new Map();
+  const signalKeys = [];
+  const seenKeys = new Set();
+  return {
+    add(ev) {
+      if (!ev || ev.type !== 'MemoryGraphEvent') return;
+      const signalKey = ev.signal && ev.signal.key ? String(ev.signal.key) : '(none)';
+      if (!seenKeys.has(signalKey)) {
+        seenKeys.add(signalKey);
+        signalKeys.push({ key: signalKey, signals: ev.signal && Array.isArray(ev.signal.signals) ? ev.signal.signals : [] });
+      }
+      const geneId = ev.gene && ev.gene.id ? String(ev.gene.id) : null;
+      if (ev.kind !== 'outcome' || !geneId) return;
+      addOutcome(edges, `${signalKey}::${geneId}`, { signalKey, geneId }, ev, 1);
+      addOutcome(geneOutcomes, geneId, { geneId }, ev, 1);
+    },
+    view(nowMs = Date.now()) {
+      return { events: [], snapshot: null, nowMs, edges, geneOutcomes, signalKeys };
+    },
+  };
+}
+
+// Snapshot + live tail, merged. All readers of edge/outcome statistics go through here.
+function loadMemoryGraphView() {
+  const snapshot = readMemoryGraphSnapshot();
+  return buildMemoryGraphView(dropFoldedEvents(tryReadMemoryGraphEvents(2000), snapshot), { snapshot });
+}
+
+// Full history in time order: rotated archives (oldest first) followed by the live file.
+// Unlike loadMemoryGraphView this is unbounded; meant for offline tools such as replay.
+function readMemoryGraphHistory() {
+  const events = [];
+  const dir = memoryGraphArchiveDir();
+  const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter(f => f.endsWith('.jsonl')).sort() : [];
+  const sources = files.map(f => path.join(dir, f)).concat([memoryGraphPath()]);
+  const seen = new Set();
+  for (const p of sources) {
+    let raw = '';
+    try {
+      raw = fs.readFileSync(p, 'utf8');
+    } catch (e) {
+      continue;
+    }
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      let ev;
+      try {
+        ev = JSON.parse(line);
+      } catch (e) {
+        continue;
+      }
+      if (!ev || ev.type !== 'MemoryGraphEvent' || !isReadableGraphEvent(ev)) continue;
+      // An interrupted compaction can leave the same event in an archive and the live file.
+      if (ev.id && seen.has(ev.id)) continue;
+      if (ev.id) seen.add(ev.id);
+      events.push(ev);
+    }
+  }
+  return events;
+}
+
+function foldSignalKeys(previous, events) {
+  const byKey = new Map();
+  for (const item of Array.isArray(previous) ? previous : []) {
+    if (item && item.key) byKey.set(item.key, item);
+  }
+  for (const ev of events) {
+    if (!ev || ev.type !== 'MemoryGraphEvent' || !ev.signal || !ev.signal.key) continue;
+    const ts = ev.ts || null;
+    const prev = byKey.get(ev.signal.key);
+    if (prev && prev.last_ts && ts && Date.parse(prev.last_ts) >= Date.parse(ts)) continue;
+    byKey.set(ev.signal.key, {
+      key: String(ev.signal.key),
+      signals: Array.isArray(ev.signal.signals) ? ev.signal.signals : [],
+      last_ts: ts,
+    });
+  }
+  return Array.from(byKey.values())
+    .sort((a, b) => (Date.parse(b.last_ts) || 0) - (Date.parse(a.last_ts) || 0))
+    .slice(0, MAX_SNAPSHOT_SIGNAL_KEYS);
+}
+
+function pruneArchives(archiveDir, keep) {
+  if (!keep) return;
+  try {
+    const files = fs
+      .readdirSync(archiveDir)
+      .filter(f => f.endsWith('.jsonl'))
+      .sort();
+    for (const f of files.slice(0, Math.max(0, files.length - keep))) {
+      fs.unlinkSync(path.join(archiveDir, f));
+    }
+  } catch (e) {}
+}
+
+// Fold everything but the newest KEEP_TAIL lines into the snapshot once the live file
+// exceeds COMPACT_LINES (or unconditionally with force). Returns null when nothing was done.
+function compactMemoryGraph({ force = false } = {}) {
+  const livePath = memoryGraphPath();
+  if (!fs.existsSync(livePath)) return null;
+  const raw = fs.readFileSync(livePath, 'utf8');
+  const lines = raw
+    .split('\n')
+    .map(l => l.trim())
+    .filter(Boolean);
+
+  const threshold = envPositiveInt('MEMORY_GRAPH_COMPACT_LINES', DEFAULT_COMPACT_LINES);
+  const keepTail = Math.min(envPositiveInt('MEMORY_GRAPH_KEEP_TAIL', DEFAULT_KEEP_TAIL), threshold);
+  if (!force && lines.length <= threshold) return null;
+  const cut = force ? lines.length - Math.min(keepTail, lines.length) : lines.length - keepTail;
+  if (cut <= 0) return null;
+
+  const foldLines = lines.slice(0, cut);
+  const tailLines = lines.slice(cut);
+  const previous = readMemoryGraphSnapshot();
+  const parsed = foldLines
+    .map(l => {
+      try {
+        return JSON.parse(l);
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+  const foldEvents = dropFoldedEvents(parsed, previous);
+
+  const nowMs = Date.now();
+  const ts = new Date(nowMs).toISOString();
+  const weightFor = halfLifeDays => ev => decayWeight(ev.ts || ev.created_at || ev.at || '', halfLifeDays, nowMs);
+  const edges = mergeAggregates(
+    snapshotAggregate(previous, 'edges', edgeKeyOf, EDGE_HALF_LIFE_DAYS, nowMs),
+    aggregateEdges(foldEvents, { weight: weightFor(EDGE_HALF_LIFE_DAYS) })
+  );
+  const geneOutcomes = mergeAggregates(
+    snapshotAggregate(previous, 'gene_outcomes', geneKeyOf, GENE_HALF_LIFE_DAYS, nowMs),
+    aggregateGeneOutcomes(foldEvents, { weight: weightFor(GENE_HALF_LIFE_DAYS) })
+  );
+
+  // 1) archive the folded lines, 2) persist the snapshot, 3) truncate the live file.
+  // A crash between 2 and 3 is safe: folded_through makes readers skip the stale head.
+  const archiveDir = memoryGraphArchiveDir();
+  ensureDir(archiveDir);
+  const archiveName = `${path.basename(livePath, '.jsonl')}_${ts.replace(/[:.]/g, '-')}.jsonl`;
+  fs.writeFileSync(path.join(archiveDir, archiveName), foldLines.join('\n') + '\n', 'utf8');
+  pruneArchives(archiveDir, envPositiveInt('MEMORY_GRAPH_ARCHIVE_KEEP', 0));
+
+  const lastFolded = [...parsed].reverse().find(ev => ev && ev.id);
+  const snapshot = {
+    type: 'MemoryGraphSnapshot',
+    schema_version: 1,
+    compacted_at: ts,
+    events_folded: ((previous && Number(previous.events_folded)) || 0) + foldEvents.length,
+    folded_through: lastFolded
+      ? { id: lastFolded.id, ts: lastFolded.ts || null }
+      : (previous && previous.folded_through) || null,
+    half_life_days: { edge: EDGE_HALF_LIFE_DAYS, gene: GENE_HALF_LIFE_DAYS },
+    edges: Array.from(edges.values()),
+    gene_outcomes: Array.from(geneOutcomes.values()),
+    signal_keys: foldSignalKeys(previous && previous.signal_keys, foldEvents),
+    archives: [...((previous && Array.isArray(previous.archives)) ? previous.archives : []), archiveName],
+  };
+  writeJsonAtomic(memoryGraphSnapshotPath(), snapshot);
+
+  // Keep anything appended while we were compacting.
+  const latest = fs.readFileSync(livePath, 'utf8');
+  const appended = latest.length > raw.length && latest.startsWith(raw) ? latest.slice(raw.length) : '';
+  const tmp = `${livePath}.tmp`;
+  fs.writeFileSync(tmp, (tailLines.length ? tailLines.join('\n') + '\n' : '') + appended, 'utf8');
+  fs.renameSync(tmp, livePath);
+
+  return {
+    folded: foldEvents.length,
+    kept: tailLines.length,
+    archive: path.join(archiveDir, archiveName),
+    snapshot: memoryGraphSnapshotPath(),
+  };
+}
+
+// Full reasoning behind getMemoryAdvice: recalled signal keys and a per-gene breakdown
+// (best edge, prior, ban reason). Used by scripts/memory_graph_query.js explain.
+// opts.view / opts.similarityThreshold let replay evaluate advice against historical state.
+function explainMemoryAdvice({ signals, genes, driftEnabled, view: viewOverride, similarityThreshold: thresholdOverride }) {
+  const view = viewOverride || loadMemoryGraphView();
+  const { events, edges, geneOutcomes } = view;
+  const nowMs = Number.isFinite(view.nowMs) ? view.nowMs : Date.now();
   const curSignals = Array.isArray(signals) ? signals : [];
   const curKey = computeSignalKey(curSignals);
 
   const bannedGeneIds = new Set();
   const scoredGeneIds = [];
 
-  // Similarity: consider exact key first, then any key with overlap.
+  // Similarity: consider exact key first, then historical keys whose signals are semantically
+  // close (normalized error tokens, weighted signal families, TF-IDF cosine).
   const seenKeys = new Set();
   const candidateKeys = [];
   candidateKeys.push({ key: curKey, sim: 1 });
   seenKeys.add(curKey);
 
+  const historical = new Map();
   for (const ev of events) {
     if (!ev || ev.type !== 'MemoryGraphEvent') continue;
     const k = ev.signal && ev.signal.key ? String(ev.signal.key) : '(none)';
-    if (seenKeys.has(k)) continue;
+    if (k === curKey || historical.has(k)) continue;
     const sigs = ev.signal && Array.isArray(ev.signal.signals) ? ev.signal.signals : [];
-    const sim = jaccard(curSignals, sigs);
-    if (sim >= 0.34) {
+    historical.set(k, sigs);
+  }
+  // Keys that only survive in the compacted snapshot are still recallable.
+  for (const item of view.signalKeys) {
+    if (!item || !item.key || item.key === curKey || historical.has(item.key)) continue;
+    historical.set(String(item.key), Array.isArray(item.signals) ? item.signals : []);
+  }
+
+  const similarity = buildSignalSimilarity([curSignals, ...historical.values()]);
+  const threshold =
+    Number.isFinite(Number(thresholdOverride)) && Number(thresholdOverride) > 0 ? Number(thresholdOverride) : similarityThreshold();
+  for (const [k, sigs] of historical.entries()) {
+    if (seenKeys.has(k)) continue;
+    const sim = similarity.similarity(curSignals, sigs);
+    if (sim >= threshold) {
       candidateKeys.push({ key: k, sim });
       seenKeys.add(k);
     }
@@ -256,20 +552,32 @@ function getMemoryAdvice({ signals, genes, driftEnabled }) {
       if (!g || g.type !== 'Gene' || !g.id) continue;
       const k = `${ck.key}::${g.id}`;
       const edge = edges.get(k);
-      const cur = byGene.get(g.id) || { geneId: g.id, best: 0, attempts: 0, prior: 0, prior_attempts: 0 };
+      const cur = byGene.get(g.id) || {
+        geneId: g.id,
+        best: 0,
+        best_key: null,
+        best_sim: null,
+        attempts: 0,
+        prior: 0,
+        prior_attempts: 0,
+      };
 
       // Signal->Gene edge score (if available)
       if (edge) {
-        const ex = edgeExpectedSuccess(edge, { half_life_days: 30 });
+        const ex = edgeExpectedSuccess(edge, { half_life_days: EDGE_HALF_LIFE_DAYS, now_ms: nowMs });
         const weighted = ex.value * ck.sim;
-        if (weighted > cur.best) cur.best = weighted;
+        if (weighted > cur.best) {
+          cur.best = weighted;
+          cur.best_key = ck.key;
+          cur.best_sim = ck.sim;
+        }
         cur.attempts = Math.max(cur.attempts, ex.total);
       }
 
       // Gene->Outcome prior (independent of signal): stabilizer when signal edges are sparse.
       const gEdge = geneOutcomes.get(String(g.id));
       if (gEdge) {
-        const gx = edgeExpectedSuccess(gEdge, { half_life_days: 45 });
+        const gx = edgeExpectedSuccess(gEdge, { half_life_days: GENE_HALF_LIFE_DAYS, now_ms: nowMs });
         cur.prior = Math.max(cur.prior, gx.value);
         cur.prior_attempts = Math.max(cur.prior_attempts, gx.total);
       }
@@ -280,15 +588,17 @@ function getMemoryAdvice({ signals, genes, driftEnabled }) {
 
   for (const [geneId, info] of byGene.entries()) {
     const combined = info.best > 0 ? info.best + info.prior * 0.12 : info.prior * 0.4;
-    scoredGeneIds.push({ geneId, score: combined, attempts: info.attempts, prior: info.prior });
+    let banReason = null;
     // Low-efficiency path suppression (unless drift is explicit).
     if (!driftEnabled && info.attempts >= 2 && info.best < 0.18) {
-      bannedGeneIds.add(geneId);
+      banReason = 'low_edge_success';
     }
     // Also suppress genes with consistently poor global outcomes when signal edges are sparse.
     if (!driftEnabled && info.attempts < 2 && info.prior_attempts >= 3 && info.prior < 0.12) {
-      bannedGeneIds.add(geneId);
+      banReason = 'poor_gene_prior';
     }
+    if (banReason) bannedGeneIds.add(geneId);
+    scoredGeneIds.push({ ...info, score: combined, banned: !!banReason, ban_reason: banReason });
   }
 
   scoredGeneIds.sort((a, b) => b.score - a.score);
@@ -301,16 +611,25 @@ function getMemoryAdvice({ signals, genes, driftEnabled }) {
     const top = scoredGeneIds.find(x => x && x.geneId === preferredGeneId);
     if (top && Number.isFinite(Number(top.prior)) && top.prior > 0) explanation.push(`gene_prior:${top.prior.toFixed(3)}`);
   }
+  const recalled = candidateKeys.slice(1).sort((a, b) => b.sim - a.sim);
+  if (recalled.length) explanation.push(`similar_keys:${recalled.length}(top=${recalled[0].sim.toFixed(2)})`);
   if (driftEnabled) explanation.push('random_drift:enabled');
 
   return {
     currentSignalKey: curKey,
+    candidateKeys,
+    genes: scoredGeneIds,
     preferredGeneId,
     bannedGeneIds,
     explanation,
   };
 }
 
+function getMemoryAdvice(opts) {
+  const { currentSignalKey, preferredGeneId, bannedGeneIds, explanation } = explainMemoryAdvice(opts);
+  return { currentSignalKey, preferredGeneId, bannedGeneIds, explanation };
+}
+
 function recordSignalSnapshot({ signals, observations }) {
   const signalKey = computeSignalKey(signals);
   const ts = nowIso();
@@ -575,8 +894,7 @@ function inferOutcomeEnhanced({ prevHadError, currentHasError, baselineObserved,
 }
 
 function buildConfidenceEdgeEvent({ signalKey, signals, geneId, geneCategory, outcomeEventId, halfLifeDays }) {
-  const events = tryReadMemoryGraphEvents(2000);
-  const edges = aggregateEdges(events);
+  const { edges } = loadMemoryGraphView();
   const k = `${signalKey}::${geneId}`;
   const edge = edges.get(k) || { success: 0, fail: 0, last_ts: null };
   const ex = edgeExpectedSuccess(edge, { half_life_days: halfLifeDays });
@@ -604,8 +922,7 @@ function buildConfidenceEdgeEvent({ signalKey, signals, geneId, geneCategory, ou
 }
 
 function buildGeneOutcomeConfidenceEvent({ geneId, geneCategory, outcomeEventId, halfLifeDays }) {
-  const events = tryReadMemoryGraphEvents(2000);
-  const geneOutcomes = aggregateGeneOutcomes(events);
+  const { geneOutcomes } = loadMemoryGraphView();
   const edge = geneOutcomes.get(String(geneId)) || { success: 0, fail: 0, last_ts: null };
   const ex = edgeExpectedSuccess(edge, { half_life_days: halfLifeDays });
   const ts = nowIso();
@@ -682,7 +999,7 @@ function recordOutcomeFromState({ signals, observations }) {
     },
     confidence: {
       // This is an interpretable, decayed success estimate derived from outcomes; aggregation is computed at read-time.
-      half_life_days: 30,
+      half_life_days: EDGE_HALF_LIFE_DAYS,
     },
     observed: observations && typeof observations === 'object' ? observations : null,
     baseline: last.baseline_observed || null,
@@ -702,7 +1019,7 @@ function recordOutcomeFromState({ signals, observations }) {
         geneId: String(last.gene_id),
         geneCategory: last.gene_category || null,
         outcomeEventId: ev.id,
-        halfLifeDays: 30,
+        halfLifeDays: EDGE_HALF_LIFE_DAYS,
       });
       appendJsonl(memoryGraphPath(), edgeEv);
 
@@ -710,7 +1027,7 @@ function recordOutcomeFromState({ signals, observations }) {
         geneId: String(last.gene_id),
         geneCategory: last.gene_category || null,
         outcomeEventId: ev.id,
-        halfLifeDays: 45,
+        halfLifeDays: GENE_HALF_LIFE_DAYS,
       });
       appendJsonl(memoryGraphPath(), geneEv);
     }
@@ -724,7 +1041,8 @@ function recordOutcomeFromState({ signals, observations }) {
   return ev;
 }
 
-function recordExternalCandidate({ asset, source, signals }) {
+// signer: { node_id, key_id, trusted, reason } from signing.verifySignature(), when checked.
+function recordExternalCandidate({ asset, source, signals, signer = null }) {
   // Append-only annotation: external assets enter as candidates only.
   // This does not affect outcome aggregation (which only uses kind === 'outcome').
   const a = asset && typeof asset === 'object' ? asset : null;
@@ -743,6 +1061,7 @@ function recordExternalCandidate({ asset, source, signals }) {
     external: {
       source: source || 'external',
       received_at: ts,
+      signer: signer || null,
     },
     asset: { type, id },
     candidate: {
@@ -757,15 +1076,52 @@ function recordExternalCandidate({ asset, source, signals }) {
   return ev;
 }
 
+// An external asset was revoked by its publisher, quarantined after failed reports from peers,
+// or released from quarantine (see a2aInbox.js). Annotation only, like external_candidate.
+function recordExternalAssetStatus({ asset, status, nodeId = null, reason = null, originAssetId = null, messageId = null, tally = null }) {
+  const type = asset && asset.type ? String(asset.type) : null;
+  const id = asset && asset.id ? String(asset.id) : null;
+  if (!type || !id || !status) return null;
+  const ts = nowIso();
+  const ev = {
+    type: 'MemoryGraphEvent',
+    kind: 'external_asset_status',
+    id: `mge_${Date.now()}_${stableHash(`${type}|${id}|${status}|${ts}`)}`,
+    ts,
+    asset: { type, id, origin_asset_id: originAssetId },
+    external: {
+      status: String(status),
+      node_id: nodeId,
+      reason,
+      message_id: messageId,
+      tally,
+    },
+  };
+  appendJsonl(memoryGraphPath(), ev);
+  return ev;
+}
+
 module.exports = {
+  EDGE_HALF_LIFE_DAYS,
+  GENE_HALF_LIFE_DAYS,
   memoryGraphPath,
   computeSignalKey,
   tryReadMemoryGraphEvents,
+  compactMemoryGraph,
+  readMemoryGraphSnapshot,
+  memoryGraphArchiveDir,
+  loadMemoryGraphView,
+  buildMemoryGraphView,
+  createMemoryGraphViewBuilder,
+  readMemoryGraphHistory,
+  edgeExpectedSuccess,
   getMemoryAdvice,
+  explainMemoryAdvice,
   recordSignalSnapshot,
   recordHypothesis,
   recordAttempt,
   recordOutcomeFromState,
   recordExternalCandidate,
+  recordExternalAssetStatus,
 };
 
@@ -19,10 +19,12 @@ const localGraph = require('./memoryGraph');
 //   recordHypothesis({ signals, mutation, personality_state, selectedGene, selector, driftEnabled, selectedBy, capsulesUsed, observations }) => { hypothesisId, signalKey }
 //   recordAttempt({ signals, mutation, personality_state, selectedGene, selector, driftEnabled, selectedBy, hypothesisId, capsulesUsed, observations }) => { actionId, signalKey }
 //   recordOutcome({ signals, observations }) => event | null
-//   recordExternalCandidate({ asset, source, signals }) => event | null
+//   recordExternalCandidate({ asset, source, signals, signer }) => event | null
+//   recordExternalAssetStatus({ asset, status, nodeId, reason, originAssetId, messageId, tally }) => event | null
 //   memoryGraphPath() => string
 //   computeSignalKey(signals) => string
 //   tryReadMemoryGraphEvents(limit) => event[]
+//   compact({ force }) => { folded, kept, archive, snapshot } | null
 // ---------------------------------------------------------------------------
 
 // ---------------------------------------------------------------------------
@@ -56,6 +58,10 @@ const localAdapter = {
     return localGraph.recordExternalCandidate(opts);
   },
 
+  recordExternalAssetStatus(opts) {
+    return localGraph.recordExternalAssetStatus(opts);
+  },
+
   memoryGraphPath() {
     return localGraph.memoryGraphPath();
   },
@@ -67,6 +73,10 @@ const localAdapter = {
   tryReadMemoryGraphEvents(limit) {
     return localGraph.tryReadMemoryGraphEvents(limit);
   },
+
+  compact(opts) {
+    return localGraph.compactMemoryGraph(opts);
+  },
 };
 
 // ---------------------------------------------------------------------------
@@ -172,6 +182,14 @@ function buildRemoteAdapter() {
       return ev;
     },
 
+    recordExternalAssetStatus(opts) {
+      const ev = localGraph.recordExternalAssetStatus(opts);
+      if (ev) {
+        remoteCall('/kg/ingest', { kind: 'external_asset_status', event: ev }).catch(() => {});
+      }
+      return ev;
+    },
+
     memoryGraphPath() {
       return localGraph.memoryGraphPath();
     },
@@ -183,6 +201,11 @@ function buildRemoteAdapter() {
     tryReadMemoryGraphEvents(limit) {
       return localGraph.tryReadMemoryGraphEvents(limit);
     },
+
+    // Compaction is local bookkeeping; the remote graph keeps its own history.
+    compact(opts) {
+      return localGraph.compactMemoryGraph(opts);
+    },
   };
 }
 
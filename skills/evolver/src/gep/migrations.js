@@ -0,0 +1,124 @@
+// Versioned migrations for stored GEP assets.
+//
+// Each step upgrades assets below its `to` version and stamps that schema_version. Assets
+// without a schema_version predate 1.5.0. Steps fill in what older producers left out; they never
+// invent outcomes. Anything still missing is reported by the schema validator. Migrated assets
+// get a fresh asset_id because their content changed. Assets from a newer schema_version are
+// left alone.
+//
+// assetStore migrates in memory on every read; `node index.js migrate` writes the upgraded
+// assets back (see assetStore.migrateStoredAssets).
+
+const { computeAssetId, SCHEMA_VERSION } = require('./contentHash');
+
+// Asset types that carry a schema_version. MemoryGraphEvent, CapabilityCandidate, Mutation and
+// PersonalityState are validated but not versioned.
+const VERSIONED_TYPES = ['Gene', 'Capsule', 'EvolutionEvent', 'ValidationReport'];
+
+function toList(v) {
+  if (Array.isArray(v)) return v.map(x => String(x));
+  if (typeof v === 'string' && v) return [v];
+  return [];
+}
+
+function orNull(v) {
+  return v === undefined ? null : v;
+}
+
+const MIGRATIONS = [
+  {
+    to: '1.5.0',
+    description: 'content-addressed assets: schema_version everywhere, list fields normalized',
+    up: {
+      Gene(g) {
+        g.signals_match = toList(g.signals_match);
+        g.strategy = toList(g.strategy);
+        g.validation = toList(g.validation);
+        if (g.preconditions !== undefined) g.preconditions = toList(g.preconditions);
+        if (!g.constraints || typeof g.constraints !== 'object') g.constraints = {};
+      },
+      Capsule(c) {
+        c.trigger = toList(c.trigger);
+        c.gene = orNull(c.gene);
+        if (typeof c.summary !== 'string') c.summary = '';
+        if (!c.outcome || typeof c.outcome !== 'object') c.outcome = { status: 'unknown', score: null };
+        if (c.confidence === undefined && Number.isFinite(Number(c.outcome.score))) c.confidence = Number(c.outcome.score);
+      },
+      EvolutionEvent(e) {
+        e.parent = orNull(e.parent);
+        e.signals = toList(e.signals);
+        e.genes_used = toList(e.genes_used);
+        // Mutation and personality became mandatory in GEP 1.4; older events record them as unknown.
+        e.mutation_id = orNull(e.mutation_id);
+        e.personality_state = orNull(e.personality_state);
+      },
+      ValidationReport(r) {
+        r.gene_id = orNull(r.gene_id);
+      },
+    },
+  },
+  {
+    to: '1.6.0',
+    description: 'validation resource usage and sandbox on ValidationReport; dependents in blast_radius; lifecycle',
+    up: {
+      ValidationReport(r) {
+        if (r.sandbox === undefined) r.sandbox = null;
+        r.commands = (Array.isArray(r.commands) ? r.commands : []).map(c => {
+          if (!c || typeof c !== 'object') return c;
+          return {
+            ...c,
+            exit_code: orNull(c.exit_code),
+            duration_ms: orNull(c.duration_ms),
+            resources: c.resources && typeof c.resources === 'object'
+              ? c.resources
+              : { cpu_ms: null, peak_rss_kb: null, limit_exceeded: null },
+          };
+        });
+      },
+    },
+  },
+];
+
+function parseVersion(v) {
+  const m = String(v || '').match(/^(\d+)\.(\d+)\.(\d+)$/);
+  return m ? [Number(m[1]), Number(m[2]), Number(m[3])] : [0, 0, 0];
+}
+
+function compareVersions(a, b) {
+  const x = parseVersion(a);
+  const y = parseVersion(b);
+  for (let i = 0; i < 3; i++) if (x[i] !== y[i]) return x[i] - y[i];
+  return 0;
+}
+
+function needsMigration(obj) {
+  if (!obj || typeof obj !== 'object' || !VERSIONED_TYPES.includes(obj.type)) return false;
+  return compareVersions(obj.schema_version, SCHEMA_VERSION) < 0;
+}
+
+// Upgrade one asset to SCHEMA_VERSION. Returns { asset, from, to, steps }; asset is the input
+// itself when nothing applied, otherwise an upgraded copy.
+function migrateAsset(obj) {
+  if (!needsMigration(obj)) return { asset: obj, from: obj && obj.schema_version, to: obj && obj.schema_version, steps: [] };
+  const from = obj.schema_version || null;
+  const asset = JSON.parse(JSON.stringify(obj));
+  const steps = [];
+  for (const m of MIGRATIONS) {
+    if (compareVersions(asset.schema_version, m.to) >= 0) continue;
+    const up = m.up[asset.type];
+    if (up) up(asset);
+    asset.schema_version = m.to;
+    steps.push(m.to);
+  }
+  if (compareVersions(asset.schema_version, SCHEMA_VERSION) < 0) asset.schema_version = SCHEMA_VERSION;
+  asset.asset_id = computeAssetId(asset);
+  return { asset, from, to: asset.schema_version, steps };
+}
+
+module.exports = {
+  MIGRATIONS,
+  VERSIONED_TYPES,
+  compareVersions,
+  needsMigration,
+  migrateAsset,
+};
@@ -50,7 +50,7 @@ function hasOpportunitySignal(signals) {
   return false;
 }
 
-function mutationCategoryFromContext({ signals, driftEnabled }) {
+function mutationCategoryFromContext({ signals, driftEnabled, strategy }) {
   if (hasErrorishSignal(signals)) return 'repair';
   if (driftEnabled) return 'innovate';
   // Auto-innovate: opportunity signals present and no errors
@@ -58,8 +58,8 @@ function mutationCategoryFromContext({ signals, driftEnabled }) {
   // Consult strategy preset: if the configured strategy favors innovation,
   // default to innovate instead of optimize when there is nothing specific to do.
   try {
-    var strategy = require('./strategy').resolveStrategy();
-    if (strategy && typeof strategy.innovate === 'number' && strategy.innovate >= 0.5) return 'innovate';
+    var active = strategy || require('./strategy').resolveStrategy();
+    if (active && typeof active.innovate === 'number' && active.innovate >= 0.5) return 'innovate';
   } catch (_) {}
   return 'optimize';
 }
@@ -103,9 +103,10 @@ function buildMutation({
   allowHighRisk = false,
   target,
   expected_effect,
+  strategy,
 } = {}) {
   const ts = nowTsMs();
-  const category = mutationCategoryFromContext({ signals, driftEnabled: !!driftEnabled });
+  const category = mutationCategoryFromContext({ signals, driftEnabled: !!driftEnabled, strategy });
   const triggerSignals = uniqStrings(signals);
 
   const base = {
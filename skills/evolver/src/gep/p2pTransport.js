@@ -0,0 +1,509 @@
+// Hub-less A2A transport: nodes on the same network gossip with each other directly.
+//
+// Peers come from A2A_P2P_PEERS (comma-separated base URLs), from `scripts/a2a_p2p.js add`, and
+// from hellos signed by a trusted key: hello messages that advertise capabilities.p2p_url, and,
+// when discovery is on, the hello reply of a URL heard in a UDP multicast announcement
+// (mDNS-style, A2A_P2P_MULTICAST, default 239.255.42.99:4299). An announcement alone is only a
+// URL to say hello to, once per A2A_P2P_PEER_TTL_MS. Learned peers expire after
+// A2A_P2P_PEER_TTL_MS without contact; added and A2A_P2P_PEERS peers do not, and they are the only
+// peers synced with when their hello reply is not signed by a trusted key.
+//
+// A reachable node runs startP2PNode(), an HTTP listener (127.0.0.1 unless A2A_P2P_HOST says
+// otherwise) that accepts the same POST /a2a/<message_type> messages a hub does (they land in the
+// file transport's inbox, in inbox/p2p.jsonl, rotated to p2p.jsonl.1 past A2A_P2P_INBOX_MAX_BYTES)
+// and serves its inventory for anti-entropy:
+//   GET  /p2p/inventory   { node_id, gene_count, capsule_count, ids: [asset_id] }
+//   POST /p2p/assets      { ids } -> { assets }   (signed, as a2a_export would publish them)
+//
+// send() fans a message out to every peer. receive() returns what peers pushed plus the result
+// of one anti-entropy round: hello to each peer, compare inventories, fetch the asset ids this node
+// has not seen yet. Only locally broadcast-eligible assets are served, so external assets travel
+// further only after a node has promoted them. Requests to and from each peer share a token
+// bucket of A2A_P2P_RATE_PER_MIN (default 30) per minute.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const dgram = require('dgram');
+const { getGepAssetsDir, getMemoryDir } = require('./paths');
+const { verifyAssetId } = require('./contentHash');
+const { verifyMessage } = require('./signing');
+const a2aProto = require('./a2aProtocol');
+
+const DEFAULT_PORT = 4298;
+const DEFAULT_MULTICAST = '239.255.42.99:4299';
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const DEFAULT_INBOX_MAX_BYTES = 20 * 1024 * 1024;
+const MAX_SEEN_IDS = 5000;
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function ratePerMinute() {
+  return envNumber('A2A_P2P_RATE_PER_MIN', 30);
+}
+
+function peerTtlMs() {
+  return envNumber('A2A_P2P_PEER_TTL_MS', 10 * 60 * 1000);
+}
+
+function maxFetch() {
+  return envNumber('A2A_P2P_MAX_FETCH', 50);
+}
+
+function normalizeUrl(url) {
+  const u = String(url || '').trim().replace(/\/+$/, '');
+  return /^https?:\/\//.test(u) ? u : '';
+}
+
+// Same directory the file transport reads its inbox from.
+function inboxPath() {
+  return path.join(process.env.A2A_DIR || path.join(getGepAssetsDir(), 'a2a'), 'inbox', 'p2p.jsonl');
+}
+
+// Pushed messages are appended until the inbox passes the cap; then it moves to p2p.jsonl.1
+// (replacing the previous one, which the file transport no longer reads) and starts over.
+function appendInbox(msg) {
+  const file = inboxPath();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  try {
+    if (fs.statSync(file).size >= envNumber('A2A_P2P_INBOX_MAX_BYTES', DEFAULT_INBOX_MAX_BYTES)) fs.renameSync(file, `${file}.1`);
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn(`[P2P] Inbox rotation failed: ${e.message}`);
+  }
+  fs.appendFileSync(file, JSON.stringify(msg) + '\n', 'utf8');
+}
+
+function statePath() {
+  return path.join(getMemoryDir(), 'a2a', 'p2p_state.json');
+}
+
+function readState() {
+  try {
+    if (fs.existsSync(statePath())) {
+      const data = JSON.parse(fs.readFileSync(statePath(), 'utf8'));
+      return { peers: data.peers || {}, seen: Array.isArray(data.seen) ? data.seen : [] };
+    }
+  } catch (e) {
+    console.warn(`[P2P] Unreadable peer state ${statePath()}: ${e.message}`);
+  }
+  return { peers: {}, seen: [] };
+}
+
+function writeState(state) {
+  const file = statePath();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp.${process.pid}`;
+  const seen = state.seen.slice(-MAX_SEEN_IDS);
+  fs.writeFileSync(tmp, JSON.stringify({ peers: state.peers, seen }, null, 2) + '\n', 'utf8');
+  fs.renameSync(tmp, file);
+}
+
+// --- Peers ---
+
+function rememberPeer(url, info = {}) {
+  const u = normalizeUrl(url);
+  if (!u || u === selfUrl()) return null;
+  const state = readState();
+  const prev = state.peers[u] || { url: u, source: info.source || 'hello', added_at: new Date().toISOString() };
+  // A peer added by hand stays static even when it later says hello.
+  const source = prev.source === 'static' ? 'static' : info.source || prev.source;
+  const next = { ...prev, ...info, url: u, source, last_seen: new Date().toISOString() };
+  state.peers[u] = next;
+  writeState(state);
+  return next;
+}
+
+function addPeer(url) {
+  if (!normalizeUrl(url)) throw new Error(`not an http(s) URL: ${url}`);
+  return rememberPeer(url, { source: 'static' });
+}
+
+function removePeer(url) {
+  const state = readState();
+  const u = normalizeUrl(url);
+  if (!state.peers[u]) return false;
+  delete state.peers[u];
+  writeState(state);
+  return true;
+}
+
+// Static peers plus learned peers seen within the TTL, excluding this node.
+function listPeers() {
+  const state = readState();
+  const now = Date.now();
+  const out = new Map();
+  for (const p of Object.values(state.peers)) {
+    const fresh = p.source === 'static' || now - Date.parse(p.last_seen || 0) < peerTtlMs();
+    if (fresh) out.set(p.url, p);
+  }
+  for (const raw of String(process.env.A2A_P2P_PEERS || '').split(',')) {
+    const u = normalizeUrl(raw);
+    if (u && !out.has(u)) out.set(u, { url: u, source: 'env' });
+  }
+  const me = a2aProto.getNodeId();
+  return [...out.values()].filter(p => p.url !== selfUrl() && p.node_id !== me);
+}
+
+// --- Rate limiting ---
+
+const buckets = new Map();
+
+// One token per request; each peer's bucket refills to ratePerMinute() over a minute.
+function takeToken(key) {
+  const cap = ratePerMinute();
+  const now = Date.now();
+  const b = buckets.get(key) || { tokens: cap, at: now };
+  b.tokens = Math.min(cap, b.tokens + ((now - b.at) / 60000) * cap);
+  b.at = now;
+  buckets.set(key, b);
+  if (b.tokens < 1) return false;
+  b.tokens -= 1;
+  return true;
+}
+
+// --- Inventory ---
+
+let listening = null;
+
+function selfUrl() {
+  if (process.env.A2A_P2P_URL) return normalizeUrl(process.env.A2A_P2P_URL);
+  return listening ? listening.url : null;
+}
+
+function lanAddress() {
+  for (const list of Object.values(os.networkInterfaces())) {
+    for (const a of list || []) {
+      if (a.family === 'IPv4' && !a.internal) return a.address;
+    }
+  }
+  return '127.0.0.1';
+}
+
+// Assets this node shares: the same set a2a_export publishes.
+function sharedAssets() {
+  const { loadGenes, loadCapsules, readAllEvents } = require('./assetStore');
+  const { exportEligibleCapsules, exportEligibleGenes } = require('./a2a');
+  const genes = loadGenes();
+  const capsules = loadCapsules();
+  const eligible = exportEligibleCapsules({ capsules, events: readAllEvents() }).concat(exportEligibleGenes({ genes }));
+  return { genes, capsules, assets: eligible.filter(a => a.asset_id) };
+}
+
+function inventory() {
+  const { genes, capsules, assets } = sharedAssets();
+  return {
+    node_id: a2aProto.getNodeId(),
+    gene_count: genes.length,
+    capsule_count: capsules.length,
+    ids: assets.map(a => a.asset_id),
+  };
+}
+
+// Everything this node already has or was already offered: local assets, staged external
+// candidates and ids fetched in earlier rounds.
+function knownIds(state) {
+  const { loadGenes, loadCapsules, readRecentExternalCandidates } = require('./assetStore');
+  const ids = new Set(state.seen);
+  for (const a of loadGenes().concat(loadCapsules(), readRecentExternalCandidates(MAX_SEEN_IDS))) {
+    if (a && a.asset_id) ids.add(a.asset_id);
+  }
+  return ids;
+}
+
+// --- Client side ---
+
+async function request(peerUrl, method, route, body) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), envNumber('A2A_P2P_TIMEOUT_MS', 5000));
+  try {
+    const res = await fetch(peerUrl + route, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: controller.signal,
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(`${route}: HTTP ${res.status}${data && data.error ? ` ${data.error}` : ''}`);
+    return data;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function buildP2PHello() {
+  const { genes, capsules } = sharedAssets();
+  const url = selfUrl();
+  return a2aProto.buildHello({ capabilities: url ? { p2p_url: url } : {}, geneCount: genes.length, capsuleCount: capsules.length });
+}
+
+// The signature check of a hello, or null when it is not signed by a trusted key.
+function trustedHello(msg) {
+  if (!a2aProto.isValidProtocolMessage(msg) || msg.message_type !== 'hello') return null;
+  const sig = verifyMessage(msg);
+  return sig.valid && sig.trusted ? sig : null;
+}
+
+const probedAt = new Map();
+
+// Say hello to an announced URL and add it as a peer if a trusted key signed the reply.
+async function probePeer(url, source) {
+  const u = normalizeUrl(url);
+  if (!u || u === selfUrl() || readState().peers[u]) return null;
+  const last = probedAt.get(u);
+  if (last && Date.now() - last < peerTtlMs()) return null;
+  probedAt.set(u, Date.now());
+  if (!takeToken(u)) return null;
+  try {
+    const reply = await request(u, 'POST', '/a2a/hello', buildP2PHello());
+    const sig = trustedHello(reply);
+    if (!sig) return null;
+    const info = reply.payload || {};
+    return rememberPeer(u, { node_id: sig.node_id, gene_count: info.gene_count, capsule_count: info.capsule_count, source });
+  } catch (e) {
+    return null;
+  }
+}
+
+// Fan a message out to every peer. Never rejects; per-peer failures are in the result.
+async function p2pSend(message, opts = {}) {
+  const peers = opts.peers || listPeers();
+  const results = await Promise.all(peers.map(async p => {
+    if (!takeToken(p.url)) return { url: p.url, ok: false, error: 'rate_limited' };
+    try {
+      await request(p.url, 'POST', `/a2a/${message.message_type}`, message);
+      return { url: p.url, ok: true };
+    } catch (e) {
+      return { url: p.url, ok: false, error: e.message };
+    }
+  }));
+  return { ok: results.some(r => r.ok), peers: results };
+}
+
+async function syncPeer(peer, known, hello) {
+  const out = { url: peer.url, node_id: peer.node_id || null, offered: 0, missing: 0, fetched: [], error: null };
+  if (!takeToken(peer.url)) return { ...out, error: 'rate_limited' };
+  const reply = await request(peer.url, 'POST', '/a2a/hello', hello);
+  const sig = trustedHello(reply);
+  if (sig) {
+    const info = reply.payload || {};
+    out.node_id = sig.node_id;
+    rememberPeer(peer.url, { node_id: out.node_id, gene_count: info.gene_count, capsule_count: info.capsule_count, source: peer.source });
+  } else if (peer.source !== 'static' && peer.source !== 'env') {
+    // A learned peer must keep proving who it is; a configured one was vouched for by hand.
+    return { ...out, error: 'hello reply not signed by a trusted key' };
+  }
+
+  if (!takeToken(peer.url)) return { ...out, error: 'rate_limited' };
+  const inv = await request(peer.url, 'GET', '/p2p/inventory');
+  const offered = Array.isArray(inv.ids) ? inv.ids.map(String) : [];
+  const missing = offered.filter(id => !known.has(id));
+  out.offered = offered.length;
+  out.missing = missing.length;
+  if (!missing.length) return out;
+
+  if (!takeToken(peer.url)) return { ...out, error: 'rate_limited' };
+  const wanted = new Set(missing.slice(0, maxFetch()));
+  const got = await request(peer.url, 'POST', '/p2p/assets', { ids: [...wanted] });
+  for (const asset of Array.isArray(got.assets) ? got.assets : []) {
+    // Anything we did not ask for, or whose content does not hash to its id, is dropped here;
+    // signatures and schema are checked by a2a_ingest.
+    if (!asset || !wanted.has(asset.asset_id) || !verifyAssetId(asset)) continue;
+    wanted.delete(asset.asset_id);
+    known.add(asset.asset_id);
+    out.fetched.push(asset);
+  }
+  return out;
+}
+
+// One anti-entropy round with every peer. Returns { assets, peers: [per-peer summary] }.
+async function syncWithPeers(opts = {}) {
+  const state = readState();
+  const known = knownIds(state);
+  const hello = buildP2PHello();
+  const peers = opts.peers || listPeers();
+  const summaries = [];
+  const assets = [];
+  for (const peer of peers) {
+    let res;
+    try {
+      res = await syncPeer(peer, known, hello);
+    } catch (e) {
+      res = { url: peer.url, node_id: peer.node_id || null, fetched: [], error: e.message };
+    }
+    assets.push(...res.fetched);
+    summaries.push({ ...res, fetched: res.fetched.length });
+  }
+  const fresh = readState();
+  fresh.seen = [...new Set(fresh.seen.concat(assets.map(a => a.asset_id)))];
+  writeState(fresh);
+  return { assets, peers: summaries };
+}
+
+function readInbox() {
+  try {
+    return fs.readFileSync(inboxPath(), 'utf8').split('\n').filter(Boolean).map(l => {
+      try { return JSON.parse(l); } catch (e) { return null; }
+    }).filter(Boolean);
+  } catch (e) {
+    return [];
+  }
+}
+
+// Messages peers pushed, then the assets fetched by an anti-entropy round.
+async function p2pReceive(opts = {}) {
+  const round = await syncWithPeers(opts);
+  return readInbox().concat(round.assets);
+}
+
+function p2pList() {
+  return listPeers().map(p => p.url);
+}
+
+// --- Server side ---
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', c => {
+      size += c.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(c);
+    });
+    req.on('end', () => {
+      try {
+        const text = Buffer.concat(chunks).toString('utf8');
+        resolve(text.trim() ? JSON.parse(text) : {});
+      } catch (e) {
+        reject(Object.assign(new Error(`invalid JSON: ${e.message}`), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+async function handle(req) {
+  const url = new URL(req.url, 'http://peer.local');
+  const parts = url.pathname.split('/').filter(Boolean);
+  if (req.method === 'GET' && url.pathname === '/health') return { ok: true, node_id: a2aProto.getNodeId() };
+  if (req.method === 'GET' && url.pathname === '/p2p/inventory') return { ok: true, ...inventory() };
+  if (req.method === 'POST' && url.pathname === '/p2p/assets') {
+    const body = await readBody(req);
+    const ids = new Set((Array.isArray(body.ids) ? body.ids : []).slice(0, maxFetch()).map(String));
+    const assets = sharedAssets().assets.filter(a => ids.has(a.asset_id)).map(a => a2aProto.signAsset(a));
+    return { ok: true, assets };
+  }
+  if (req.method === 'POST' && parts[0] === 'a2a' && parts.length === 2 && a2aProto.VALID_MESSAGE_TYPES.includes(parts[1])) {
+    const msg = await readBody(req);
+    if (!a2aProto.isValidProtocolMessage(msg) || msg.message_type !== parts[1]) {
+      throw Object.assign(new Error('not a gep-a2a protocol message'), { status: 400 });
+    }
+    // Forged or tampered messages stop here; whether the signer is trusted is ingest's call.
+    const sig = verifyMessage(msg);
+    if (sig.signed && !sig.valid) throw Object.assign(new Error(`signature check failed: ${sig.reason}`), { status: 401 });
+    if (sig.reason === 'node_id_mismatch') throw Object.assign(new Error('signature check failed: node_id_mismatch'), { status: 401 });
+    const p = msg.payload || {};
+    // Anyone can say hello; only a trusted key gets its URL into the peer list.
+    if (msg.message_type === 'hello' && p.capabilities && p.capabilities.p2p_url && sig.valid && sig.trusted) {
+      rememberPeer(p.capabilities.p2p_url, { node_id: String(msg.sender_id), gene_count: p.gene_count, capsule_count: p.capsule_count, source: 'hello' });
+    }
+    appendInbox(msg);
+    if (msg.message_type === 'hello') return buildP2PHello();
+    return { ok: true, message_id: msg.message_id };
+  }
+  throw Object.assign(new Error(`no route for ${req.method} ${url.pathname}`), { status: 404 });
+}
+
+function startDiscovery(url) {
+  const [group, portText] = String(process.env.A2A_P2P_MULTICAST || DEFAULT_MULTICAST).split(':');
+  const port = Number(portText) || 4299;
+  const me = a2aProto.getNodeId();
+  const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+  const announce = () => {
+    const msg = Buffer.from(JSON.stringify({ protocol: a2aProto.PROTOCOL_NAME, kind: 'p2p_announce', node_id: me, url }));
+    socket.send(msg, port, group, () => {});
+  };
+  socket.on('error', e => console.warn(`[P2P] Discovery disabled: ${e.message}`));
+  // Announcements are unauthenticated: they only name a URL to say hello to (see probePeer).
+  socket.on('message', buf => {
+    try {
+      const m = JSON.parse(buf.toString('utf8'));
+      if (m && m.kind === 'p2p_announce' && m.node_id !== me && m.url) probePeer(m.url, 'discovery');
+    } catch (e) {}
+  });
+  socket.bind(port, () => {
+    try {
+      socket.addMembership(group);
+      socket.setMulticastLoopback(true);
+    } catch (e) {
+      console.warn(`[P2P] Multicast unavailable: ${e.message}`);
+    }
+    announce();
+  });
+  const timer = setInterval(announce, envNumber('A2A_P2P_ANNOUNCE_MS', 30000));
+  timer.unref();
+  return () => {
+    clearInterval(timer);
+    try { socket.close(); } catch (e) {}
+  };
+}
+
+// Start this node's listener. Port 0 picks a free port. Resolves to { server, url, close }.
+function startP2PNode({ port = envNumber('A2A_P2P_PORT', DEFAULT_PORT), host = process.env.A2A_P2P_HOST || '127.0.0.1', discovery = false } = {}) {
+  const server = http.createServer((req, res) => {
+    const peer = req.socket.remoteAddress || 'unknown';
+    const reply = (status, body) => {
+      const text = JSON.stringify(body);
+      res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(text) });
+      res.end(text);
+    };
+    if (!takeToken(`in:${peer}`)) return reply(429, { ok: false, error: 'rate limited' });
+    handle(req)
+      .then(body => reply(200, body))
+      .catch(err => reply(err.status || 500, { ok: false, error: err.message }));
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.removeListener('error', reject);
+      const addr = server.address();
+      const advertised = host === '0.0.0.0' || host === '::' ? lanAddress() : host;
+      const url = selfUrl() || `http://${advertised}:${addr.port}`;
+      listening = { url };
+      const stopDiscovery = discovery ? startDiscovery(url) : () => {};
+      resolve({
+        server,
+        url,
+        close: () => new Promise(done => {
+          stopDiscovery();
+          listening = null;
+          server.close(() => done());
+          if (typeof server.closeAllConnections === 'function') server.closeAllConnections();
+        }),
+      });
+    });
+  });
+}
+
+a2aProto.registerTransport('p2p', { send: p2pSend, receive: p2pReceive, list: p2pList });
+
+module.exports = {
+  addPeer,
+  removePeer,
+  listPeers,
+  inventory,
+  syncWithPeers,
+  probePeer,
+  startP2PNode,
+  p2pSend,
+  p2pReceive,
+  p2pList,
+};
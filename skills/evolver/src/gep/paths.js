@@ -31,6 +31,11 @@ function getSkillsDir() {
   return process.env.SKILLS_DIR || path.join(getWorkspaceRoot(), 'skills');
 }
 
+function getOpenclawConfigPath() {
+  // openclaw.json lives next to the workspace directory (e.g. ~/.openclaw/openclaw.json)
+  return process.env.OPENCLAW_CONFIG_PATH || path.join(path.resolve(getWorkspaceRoot(), '..'), 'openclaw.json');
+}
+
 module.exports = {
   getRepoRoot,
   getWorkspaceRoot,
@@ -39,5 +44,6 @@ module.exports = {
   getEvolutionDir,
   getGepAssetsDir,
   getSkillsDir,
+  getOpenclawConfigPath,
 };
 
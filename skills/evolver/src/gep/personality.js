@@ -252,7 +252,8 @@ function savePersonalityModel(model) {
   return out;
 }
 
-function selectPersonalityForRun({ driftEnabled, signals, recentEvents } = {}) {
+// persist=false (simulate) computes the same selection without saving the model.
+function selectPersonalityForRun({ driftEnabled, signals, recentEvents, persist = true } = {}) {
   const model = loadPersonalityModel();
   const base = normalizePersonalityState(model.current);
   const stats = model.stats || {};
@@ -290,7 +291,9 @@ function selectPersonalityForRun({ driftEnabled, signals, recentEvents } = {}) {
   }
 
   // Persist updated current state.
-  const saved = savePersonalityModel(model);
+  const saved = persist
+    ? savePersonalityModel(model)
+    : { current: normalizePersonalityState(model.current), stats: model.stats || {} };
   const key = personalityKey(saved.current);
   const known = !!(saved.stats && saved.stats[key]);
 
@@ -163,12 +163,18 @@ function buildGepPrompt({
   externalCandidatesPreview,
   hubMatchedBlock,
   cycleId,
+  strategy,
 }) {
   const parentValue = parentEventId ? `"${parentEventId}"` : 'null';
   const selectedGeneId = selectedGene && selectedGene.id ? selectedGene.id : 'gene_<name>';
   const envFingerprint = captureEnvFingerprint();
   const cycleLabel = cycleId ? ` Cycle #${cycleId}` : '';
 
+  // Workspace evolution strategy preset (intent balance for this cycle)
+  const evolutionStrategyLine = strategy && strategy.ratios
+    ? `\nEvolution Strategy: ${strategy.label} (repair ${Math.round(strategy.ratios.repair * 100)}% / optimize ${Math.round(strategy.ratios.optimize * 100)}% / innovate ${Math.round(strategy.ratios.innovate * 100)}%)${strategy.reason ? ` -- ${strategy.reason}` : ''}.`
+    : '';
+
   // Extract strategy from selected gene if available
   let strategyBlock = "";
   if (selectedGene && selectedGene.strategy && Array.isArray(selectedGene.strategy)) {
@@ -204,7 +210,7 @@ II. Directives & Logic
 
 1. Intent: Use Selector decision: ${JSON.stringify(selector || {})}
 2. Selection: Selected Gene "${selectedGeneId}".
-${strategyBlock}
+${strategyBlock}${evolutionStrategyLine}
 
 3. Execution: Apply changes (tool calls). Repair/Optimize: small/reversible. Innovate: new skills in \`skills/<name>/\`.
 4. Validation: Run gene's validation steps. Fail = ROLLBACK.
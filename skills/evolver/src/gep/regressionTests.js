@@ -0,0 +1,251 @@
+// Regression tests synthesized by solidify for repaired error signatures.
+//
+// Gene validations are mostly `node -e "require(...)"` smoke checks, which only prove that
+// modules still load. When a repair cycle succeeds on an errsig, solidify writes a small test
+// that pins the fix, from the evidence evolve.run() captured out of the session log:
+//   - the workspace modules named in the error's stack frames must load, and
+//   - the failing command (when it was `node <script in the workspace> [args]`) is replayed and
+//     must no longer print the error message.
+// The test lives at <assets>/tests/<gene_id>/<errsig-hash>.test.js. It must pass against the fixed
+// code before it is kept; then its command is appended to the gene's `validation` list.
+//
+// Tests run under the validation runner (scrubbed env, resource limits), so a replayed command
+// never sees credentials.
+
+const fs = require('fs');
+const path = require('path');
+const { getGepAssetsDir, getRepoRoot, getWorkspaceRoot } = require('./paths');
+const { normalizeErrorSignature } = require('./signalSimilarity');
+
+const MAX_EVIDENCE = 3;
+// Generated tests kept per gene; the oldest are dropped from `validation` first.
+const MAX_TESTS_PER_GENE = 5;
+const TEST_DIR_NAME = 'tests';
+const STACK_FILE_RE = /(?:\(|\s|^)((?:[A-Za-z]:)?[\\/][^\s():]+\.(?:c|m)?js):\d+(?::\d+)?/g;
+// A plain `node <args>` line: no shell syntax, quotes, escapes or line breaks. It is replayed with
+// execFile semantics (split on blanks, no shell), so nothing else could run anyway.
+const REPLAY_SAFE_RE = /^node[ \t]+[^`$;&|<>"'\\\r\n]+$/;
+const SCRIPT_RE = /\.(?:c|m)?js$/;
+
+// Arguments to replay a command with, or null. Only `node <relative script> [args]` qualifies,
+// where the script is a file inside the workspace and no argument is an option: node flags such
+// as -e, -p or --require would run code taken from the session log in every later validation.
+function replayArgs(command, workspaceRoot) {
+  const c = String(command || '').trim();
+  if (!REPLAY_SAFE_RE.test(c)) return null;
+  const args = c.split(/[ \t]+/).slice(1);
+  if (!args.length || args.some(a => a.startsWith('-'))) return null;
+  const script = args[0];
+  if (path.isAbsolute(script) || !SCRIPT_RE.test(script)) return null;
+  const abs = path.resolve(workspaceRoot, script);
+  if (!toWorkspaceRel(abs, workspaceRoot)) return null;
+  try {
+    if (!fs.statSync(abs).isFile()) return null;
+  } catch (e) {
+    return null;
+  }
+  return args;
+}
+
+function stableHash(input) {
+  const s = String(input || '');
+  let h = 2166136261;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+function errsigMessage(signal) {
+  const m = String(signal || '').match(/^(?:errsig|recurring_errsig(?:\(\d+x\))?):(.*)$/);
+  return m ? m[1].trim() : null;
+}
+
+// The message part of an error line, without the stack and volatile details: what the replayed
+// command must not print again.
+function errorNeedle(message) {
+  const text = String(message || '').replace(/\s+/g, ' ');
+  // Prefer the "SomeError: message" part; errsigs often start with a transcript prefix.
+  const named = text.match(/\b[A-Z][A-Za-z]*(?:Error|Exception)\b:? .*?(?= at | \.\.\.|$)/);
+  const head = (named ? named[0] : text.split(/\s+at\s+/)[0]).trim();
+  // Paths and numbers change between runs; keep the text before the first of them.
+  const stable = head.split(/(?:[A-Za-z]:)?[\\/][^\s]+|\b\d+\b/)[0].trim();
+  return (stable.length >= 12 ? stable : head).slice(0, 120);
+}
+
+function toWorkspaceRel(absFile, workspaceRoot) {
+  const rel = path.relative(workspaceRoot, path.resolve(absFile));
+  if (!rel || rel.startsWith('..') || path.isAbsolute(rel)) return null;
+  if (rel.split(path.sep).includes('node_modules')) return null;
+  return rel.split(path.sep).join('/');
+}
+
+function commandOf(call) {
+  const args = call && call.args && typeof call.args === 'object' ? call.args : null;
+  if (!args) return null;
+  const cmd = args.command || args.cmd || null;
+  return typeof cmd === 'string' && cmd.trim() ? cmd.trim() : null;
+}
+
+// Evidence for each errsig among the signals, from the typed session records.
+// Returns [{ signal, errsig, needle, tool, command, modules, excerpt }].
+function captureErrsigEvidence({ signals, records, workspaceRoot = getWorkspaceRoot() }) {
+  const list = Array.isArray(records) ? records : [];
+  const out = [];
+  for (const signal of Array.isArray(signals) ? signals : []) {
+    if (out.length >= MAX_EVIDENCE) break;
+    const message = errsigMessage(signal);
+    if (!message) continue;
+    const errsig = normalizeErrorSignature(message);
+    const needle = errorNeedle(message);
+    const probe = needle.toLowerCase();
+    const idx = list.findIndex(
+      r => r && r.kind === 'tool_result' && r.is_error && probe && String(r.text || '').toLowerCase().includes(probe)
+    );
+    const result = idx >= 0 ? list[idx] : null;
+    let call = null;
+    if (result) {
+      call = list.find(r => r && r.kind === 'tool_call' && result.tool_call_id && r.id === result.tool_call_id) || null;
+      for (let i = idx - 1; !call && i >= 0; i--) {
+        if (list[i] && list[i].kind === 'tool_call') call = list[i];
+      }
+    }
+    const text = result ? String(result.text || '') : message;
+    const modules = [];
+    let m;
+    STACK_FILE_RE.lastIndex = 0;
+    while ((m = STACK_FILE_RE.exec(text)) !== null && modules.length < 5) {
+      const rel = toWorkspaceRel(m[1], workspaceRoot);
+      if (rel && !modules.includes(rel)) modules.push(rel);
+    }
+    out.push({
+      signal: String(signal),
+      errsig,
+      needle,
+      tool: call && call.name ? String(call.name) : result && result.tool ? String(result.tool) : null,
+      command: commandOf(call),
+      modules,
+      excerpt: text.slice(0, 400),
+    });
+  }
+  return out;
+}
+
+// Library modules are required; scripts (no exports) are only syntax-checked so the test never
+// runs a CLI's main code.
+function moduleChecks(modules, workspaceRoot) {
+  return modules.map(rel => {
+    let src = '';
+    try {
+      src = fs.readFileSync(path.join(workspaceRoot, rel), 'utf8');
+    } catch (e) {}
+    return { file: rel, mode: /\bmodule\.exports\b|\bexports\.[A-Za-z_$]/.test(src) ? 'require' : 'check' };
+  });
+}
+
+function renderTest({ gene, evidence, eventId, workspaceRoot }) {
+  const replay = replayArgs(evidence.command, workspaceRoot);
+  return `// Regression test generated by evolver solidify. Do not edit; delete the file and its
+// validation entry in genes.json to retire it.
+// gene: ${gene.id}
+// event: ${eventId || '(unknown)'}
+// errsig: ${String(evidence.errsig || '').replace(/\n/g, ' ')}
+'use strict';
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// Validation runs with cwd = the evolver skill directory; the workspace is two levels up.
+const ROOT = process.env.EVOLVER_WORKSPACE_ROOT || path.resolve(process.cwd(), '..', '..');
+const MODULES = ${JSON.stringify(moduleChecks(evidence.modules, workspaceRoot))};
+// Arguments to node, run without a shell.
+const REPLAY = ${JSON.stringify(replay)};
+const NEEDLE = ${JSON.stringify(evidence.needle)};
+
+let failed = 0;
+for (const m of MODULES) {
+  const file = path.join(ROOT, m.file);
+  try {
+    if (m.mode === 'require') {
+      require(file);
+    } else {
+      const r = spawnSync(process.execPath, ['--check', file], { encoding: 'utf8', timeout: 30000 });
+      if (r.status !== 0) throw new Error(String(r.stderr || 'syntax check failed').trim());
+    }
+  } catch (e) {
+    failed += 1;
+    console.error('FAIL ' + m.mode + ' ' + m.file + ': ' + (e && e.message ? e.message : e));
+  }
+}
+if (REPLAY) {
+  const r = spawnSync(process.execPath, REPLAY, { cwd: ROOT, encoding: 'utf8', timeout: 60000 });
+  const output = String(r.stdout || '') + String(r.stderr || '');
+  if (output.toLowerCase().includes(NEEDLE.toLowerCase())) {
+    failed += 1;
+    console.error('FAIL replay reproduced the error: ' + NEEDLE);
+  }
+}
+if (failed) process.exit(1);
+console.log('ok ' + ${JSON.stringify(path.basename(String(gene.id)))});
+`;
+}
+
+function testsDirFor(geneId) {
+  return path.join(getGepAssetsDir(), TEST_DIR_NAME, String(geneId).replace(/[^A-Za-z0-9._-]/g, '_'));
+}
+
+// Validation command for a test file: relative to the evolver directory when possible.
+function testCommand(absFile) {
+  const rel = path.relative(getRepoRoot(), absFile);
+  const p = rel && !rel.startsWith('..') && !path.isAbsolute(rel) ? rel.split(path.sep).join('/') : absFile;
+  return `node ${p}`;
+}
+
+// Write a test for one piece of evidence. Returns { file, command } or null when the evidence
+// pins nothing (no module and no replayable command).
+function writeRegressionTest({ gene, evidence, eventId, workspaceRoot = getWorkspaceRoot() }) {
+  if (!gene || !gene.id || !evidence) return null;
+  const replayable = !!replayArgs(evidence.command, workspaceRoot);
+  if (!replayable && (!Array.isArray(evidence.modules) || evidence.modules.length === 0)) return null;
+  const dir = testsDirFor(gene.id);
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `errsig_${stableHash(evidence.errsig || evidence.needle)}.test.js`);
+  fs.writeFileSync(file, renderTest({ gene, evidence, eventId, workspaceRoot }), 'utf8');
+  return { file, command: testCommand(file) };
+}
+
+function isGeneratedTestCommand(cmd) {
+  return /(?:^|[\\/ ])tests[\\/][^\\/ ]+[\\/]errsig_[0-9a-f]{8}\.test\.js$/.test(String(cmd || '').trim());
+}
+
+// Generated tests are written to the live assets directory after the sandbox was checked out and
+// stay untracked until someone commits them, so a sandbox worktree usually lacks them (and never
+// has them when GEP_ASSETS_DIR is outside the repo). Point such commands at the live file then.
+function resolveTestCommand(cmd, cwd) {
+  const c = String(cmd || '').trim();
+  if (!isGeneratedTestCommand(c)) return c;
+  const file = c.replace(/^node\s+/, '');
+  if (path.isAbsolute(file) || fs.existsSync(path.join(cwd, file))) return c;
+  const live = path.join(getRepoRoot(), file);
+  return fs.existsSync(live) ? `node ${live}` : c;
+}
+
+// Append test commands to the gene's validation, keeping at most MAX_TESTS_PER_GENE generated ones.
+// Returns the commands that were dropped.
+function addTestsToGene(gene, commands) {
+  const validation = Array.isArray(gene.validation) ? gene.validation.slice() : [];
+  for (const c of commands) if (!validation.includes(c)) validation.push(c);
+  const generated = validation.filter(isGeneratedTestCommand);
+  const dropped = generated.slice(0, Math.max(0, generated.length - MAX_TESTS_PER_GENE));
+  gene.validation = validation.filter(c => !dropped.includes(c));
+  return dropped;
+}
+
+module.exports = {
+  captureErrsigEvidence,
+  writeRegressionTest,
+  addTestsToGene,
+  isGeneratedTestCommand,
+  resolveTestCommand,
+  errorNeedle,
+};
@@ -0,0 +1,176 @@
+// Offline replay of gene selection over memory-graph history.
+//
+// Every outcome in the graph is a decision point: the signals the cycle saw, the gene it
+// actually used and whether that worked. Replay re-runs getMemoryAdvice + selectGeneAndCapsule
+// for each point with a candidate policy, using only the graph as it was before the attempt
+// (a historical prefix, decayed to the attempt's timestamp), and scores the choices:
+//   success_recall     - share of successful outcomes where the policy picked the gene that succeeded
+//   failure_avoidance  - share of failed outcomes where the policy picked some other gene
+//   ban rates          - how often advice banned anything, and the actual gene on success/failure
+//   diversity          - distinct genes chosen and normalized entropy of the choice distribution
+//
+// A policy is { genes, capsules, bandit, similarity_threshold, drift }; missing fields fall
+// back to the live configuration (assets/gep, EVOLVE_BANDIT*, MEMORY_GRAPH_SIMILARITY_THRESHOLD).
+//
+// The graph alone is enough: live selection reads nothing else (advice, bandit edges and
+// lifecycle priors all come from the graph view), so it reproduces each decision's inputs. The
+// outcomes scored are the graph's too, i.e. whether the next cycle still saw the error; the
+// solidify outcomes in events.jsonl are not consulted, as the selector never learns from them.
+// The view is built incrementally as the replay walks forward, one pass over the history.
+
+const { createMemoryGraphViewBuilder, explainMemoryAdvice, computeSignalKey } = require('./memoryGraph');
+const { selectGeneAndCapsule } = require('./selector');
+const { resolveBanditConfig } = require('./bandit');
+
+function round3(x) {
+  return Number.isFinite(x) ? Math.round(x * 1000) / 1000 : null;
+}
+
+function ratio(a, b) {
+  return b > 0 ? round3(a / b) : null;
+}
+
+// Deterministic PRNG (mulberry32) so Thompson-sampling replays are reproducible.
+function seededRandom(seed) {
+  let t = (Number(seed) >>> 0) || 1;
+  return () => {
+    t = (t + 0x6d2b79f5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Decision points in history order. The decision happened at the attempt; if the attempt was
+// not found (e.g. older history missing) the outcome's own position is used.
+function buildDecisionPoints(events) {
+  const attemptIndex = new Map();
+  events.forEach((ev, i) => {
+    if (ev && ev.kind === 'attempt' && ev.action && ev.action.id) attemptIndex.set(String(ev.action.id), i);
+  });
+  const points = [];
+  events.forEach((ev, i) => {
+    if (!ev || ev.kind !== 'outcome') return;
+    const geneId = ev.gene && ev.gene.id ? String(ev.gene.id) : null;
+    const status = ev.outcome && ev.outcome.status ? String(ev.outcome.status) : null;
+    if (!geneId || (status !== 'success' && status !== 'failed')) return;
+    const signals = ev.signal && Array.isArray(ev.signal.signals) ? ev.signal.signals.map(String) : [];
+    const actionId = ev.action && ev.action.id ? String(ev.action.id) : null;
+    const index = actionId && attemptIndex.has(actionId) ? attemptIndex.get(actionId) : i;
+    points.push({
+      index,
+      ts: (events[index] && events[index].ts) || ev.ts || null,
+      outcome_id: ev.id || null,
+      signals,
+      signal_key: ev.signal && ev.signal.key ? String(ev.signal.key) : computeSignalKey(signals),
+      actual_gene: geneId,
+      status,
+    });
+  });
+  return points.sort((a, b) => a.index - b.index);
+}
+
+function distribution(ids) {
+  const counts = new Map();
+  for (const id of ids) counts.set(id, (counts.get(id) || 0) + 1);
+  const total = ids.length;
+  let entropy = 0;
+  for (const c of counts.values()) {
+    const p = c / total;
+    entropy -= p * Math.log(p);
+  }
+  const top = Array.from(counts.entries()).sort((a, b) => b[1] - a[1])[0] || null;
+  return {
+    distinct_genes: counts.size,
+    // Normalized to [0, 1]: 0 = always the same gene, 1 = uniform over the genes used.
+    entropy: counts.size > 1 ? round3(entropy / Math.log(counts.size)) : 0,
+    top_gene: top ? top[0] : null,
+    top_share: top ? ratio(top[1], total) : null,
+  };
+}
+
+function summarizeReplay(rows) {
+  const successes = rows.filter(r => r.status === 'success');
+  const failures = rows.filter(r => r.status === 'failed');
+  return {
+    decisions: rows.length,
+    agreement: ratio(rows.filter(r => r.chosen === r.actual_gene).length, rows.length),
+    success_recall: ratio(successes.filter(r => r.chosen === r.actual_gene).length, successes.length),
+    failure_avoidance: ratio(failures.filter(r => r.chosen && r.chosen !== r.actual_gene).length, failures.length),
+    no_selection_rate: ratio(rows.filter(r => !r.chosen).length, rows.length),
+    ban_rate: ratio(rows.filter(r => r.banned.length > 0).length, rows.length),
+    banned_success_rate: ratio(successes.filter(r => r.banned.includes(r.actual_gene)).length, successes.length),
+    banned_failure_rate: ratio(failures.filter(r => r.banned.includes(r.actual_gene)).length, failures.length),
+    exploration_rate: ratio(rows.filter(r => r.explored).length, rows.length),
+    diversity: distribution(rows.filter(r => r.chosen).map(r => r.chosen)),
+    actual_diversity: distribution(rows.map(r => r.actual_gene)),
+  };
+}
+
+function replayPolicy({ events, points, policy, seed = 1 }) {
+  const p = policy || {};
+  const genes = Array.isArray(p.genes) ? p.genes : [];
+  const capsules = Array.isArray(p.capsules) ? p.capsules : [];
+  const bandit = resolveBanditConfig(p.bandit);
+  const driftEnabled = !!p.drift;
+  const random = seededRandom(seed);
+  // The policy's own past decisions, so the bandit's exploration budget behaves as it would live.
+  const replayedEvents = [];
+  const rows = [];
+  // Points are in history order: the view grows to events[0, pt.index) before each decision.
+  const history = createMemoryGraphViewBuilder();
+  let cursor = 0;
+
+  for (const pt of points) {
+    while (cursor < pt.index) history.add(events[cursor++]);
+    const nowMs = Date.parse(pt.ts || '');
+    const view = history.view(Number.isFinite(nowMs) ? nowMs : Date.now());
+    const advice = explainMemoryAdvice({
+      signals: pt.signals,
+      genes,
+      driftEnabled,
+      view,
+      similarityThreshold: p.similarity_threshold,
+    });
+    const { selectedGene, selector } = selectGeneAndCapsule({
+      genes,
+      capsules,
+      signals: pt.signals,
+      memoryAdvice: advice,
+      driftEnabled,
+      recentEvents: replayedEvents,
+      bandit,
+      random,
+      memoryView: view,
+    });
+    replayedEvents.push({ type: 'EvolutionEvent', meta: { selector } });
+    rows.push({
+      outcome_id: pt.outcome_id,
+      ts: pt.ts,
+      signal_key: pt.signal_key,
+      actual_gene: pt.actual_gene,
+      status: pt.status,
+      chosen: selectedGene && selectedGene.id ? selectedGene.id : null,
+      preferred: advice.preferredGeneId || null,
+      banned: Array.from(advice.bannedGeneIds || []),
+      explored: !!(selector && selector.bandit && selector.bandit.explored),
+    });
+  }
+  return { rows, summary: summarizeReplay(rows) };
+}
+
+// events: full memory-graph history (readMemoryGraphHistory()). limit: replay only the
+// last N decision points (history before them still counts).
+function replaySelection({ events, policy, seed, limit }) {
+  const list = (Array.isArray(events) ? events : []).filter(ev => ev && ev.type === 'MemoryGraphEvent');
+  let points = buildDecisionPoints(list);
+  if (Number.isFinite(Number(limit)) && Number(limit) > 0) points = points.slice(-Math.floor(Number(limit)));
+  return replayPolicy({ events: list, points, policy, seed });
+}
+
+module.exports = {
+  buildDecisionPoints,
+  replaySelection,
+  summarizeReplay,
+  seededRandom,
+};
@@ -0,0 +1,289 @@
+// Revert one EvolutionEvent: undo the commit(s) its cycle landed, re-validate, and record it.
+//
+// Promoted cycles commit with `Evolver-Event`, `Evolver-Run` and `Evolver-Cycle` trailers (see
+// solidify.buildCycleCommitMessage); older events fall back to meta.sandbox.commit. The inverse
+// patch is applied to the live workspace through the index, the original gene's validation runs
+// against the result, and only then is the revert committed. A failed validation puts the files
+// back. Either way a `revert`-intent EvolutionEvent is appended, and on success the original
+// capsule's confidence is lowered with a2a.lowerConfidence.
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { getRepoRoot, getEvolutionDir } = require('./paths');
+const { findEvents, getLastEventId, appendEventJsonl, getGene, loadCapsules, upsertCapsule } = require('./assetStore');
+const { computeAssetId, SCHEMA_VERSION } = require('./contentHash');
+const { lowerConfidence } = require('./a2a');
+const { commitIdentityArgs } = require('./sandbox');
+const { buildValidationReport } = require('./validationReport');
+
+const MAX_PATCH_BYTES = 64 * 1024 * 1024;
+
+// input (a patch) goes to git's stdin.
+function git(args, cwd, timeoutMs = 60000, input) {
+  return execFileSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    input,
+    stdio: [input === undefined ? 'ignore' : 'pipe', 'pipe', 'pipe'],
+    timeout: timeoutMs,
+    maxBuffer: MAX_PATCH_BYTES,
+  });
+}
+
+function tryGit(args, cwd, timeoutMs, input) {
+  try {
+    return { ok: true, out: git(args, cwd, timeoutMs, input).trim(), err: '' };
+  } catch (e) {
+    const stderr = e && e.stderr ? String(e.stderr).trim() : '';
+    return { ok: false, out: '', err: stderr || (e && e.message ? String(e.message) : 'git_failed') };
+  }
+}
+
+function revertConfidenceFactor() {
+  const n = Number(process.env.EVOLVE_REVERT_CONFIDENCE_FACTOR);
+  return Number.isFinite(n) && n >= 0 && n <= 1 ? n : 0.5;
+}
+
+function trailers(body) {
+  const out = {};
+  for (const line of String(body || '').split('\n')) {
+    const m = line.match(/^(Evolver-[A-Za-z]+):\s*(.+?)\s*$/);
+    if (m) out[m[1]] = m[2];
+  }
+  return out;
+}
+
+// Commits reachable from HEAD whose messages name this event (or its run and cycle), newest first.
+function logByTrailer(gitRoot, patterns) {
+  const args = ['log', '--format=%H%x00%B%x1e', '-F'];
+  for (const p of patterns) args.push(`--grep=${p}`);
+  const res = tryGit(args.concat(['HEAD']), gitRoot, 120000);
+  if (!res.ok || !res.out) return [];
+  return res.out
+    .split('\x1e')
+    .map(rec => rec.replace(/^\s+/, ''))
+    .filter(Boolean)
+    .map(rec => {
+      const i = rec.indexOf('\x00');
+      return { commit: rec.slice(0, i), trailers: trailers(rec.slice(i + 1)) };
+    });
+}
+
+function findCycleCommits(event, gitRoot) {
+  const meta = event.meta || {};
+  const runId = meta.run_id || null;
+  const cycleId = meta.cycle_id || null;
+  const patterns = [`Evolver-Event: ${event.id}`];
+  if (runId) patterns.push(`Evolver-Run: ${runId}`);
+  const commits = logByTrailer(gitRoot, patterns)
+    .filter(c => {
+      const t = c.trailers;
+      if (t['Evolver-Event'] === event.id) return true;
+      // Same run id and, when both sides carry one, the same cycle tag.
+      return !!runId && t['Evolver-Run'] === runId && (!cycleId || !t['Evolver-Cycle'] || t['Evolver-Cycle'] === cycleId);
+    })
+    .map(c => c.commit);
+  const recorded = meta.sandbox && meta.sandbox.commit ? String(meta.sandbox.commit) : null;
+  if (recorded && !commits.includes(recorded) && tryGit(['merge-base', '--is-ancestor', recorded, 'HEAD'], gitRoot).ok) {
+    commits.push(recorded);
+  }
+  return commits;
+}
+
+function findRevertCommit(eventId, gitRoot) {
+  const hit = logByTrailer(gitRoot, [`Evolver-Reverts: ${eventId}`]).find(c => c.trailers['Evolver-Reverts'] === eventId);
+  return hit ? hit.commit : null;
+}
+
+// Inverse of one commit against its first parent.
+function inversePatch(commit, gitRoot) {
+  const parent = tryGit(['rev-parse', '--verify', '--quiet', `${commit}^`], gitRoot);
+  if (!parent.ok || !parent.out) throw new Error(`commit ${commit.slice(0, 12)} has no parent to revert to`);
+  return git(['diff', '--binary', '--full-index', commit, parent.out], gitRoot, 120000);
+}
+
+function patchStats(patch, gitRoot) {
+  const res = tryGit(['apply', '--numstat'], gitRoot, 60000, patch);
+  let files = 0;
+  let lines = 0;
+  for (const row of res.ok ? res.out.split('\n') : []) {
+    const [add, del] = row.split('\t');
+    if (!row.trim()) continue;
+    files += 1;
+    lines += (Number(add) || 0) + (Number(del) || 0);
+  }
+  return { files, lines };
+}
+
+function writePatches(eventId, patches) {
+  const dir = path.join(getEvolutionDir(), 'reverts');
+  fs.mkdirSync(dir, { recursive: true });
+  const files = patches.map((p, i) => {
+    const file = path.join(dir, `${eventId}.${i + 1}.patch`);
+    fs.writeFileSync(file, p.patch, 'utf8');
+    return file;
+  });
+  return { dir, files };
+}
+
+function loadEvent(eventId) {
+  const hits = findEvents({ type: 'EvolutionEvent', id: String(eventId || '') });
+  return hits.length ? hits[hits.length - 1] : null;
+}
+
+// Plan the revert without touching the workspace. Throws when the event cannot be reverted.
+function planRevert(eventId, { repoRoot = getRepoRoot(), force = false } = {}) {
+  const event = loadEvent(eventId);
+  if (!event) throw new Error(`EvolutionEvent not found: ${eventId}`);
+  if (!event.outcome || event.outcome.status !== 'success') {
+    throw new Error(`event ${eventId} did not succeed (${event.outcome ? event.outcome.status : 'no outcome'}); a failed cycle lands no commit`);
+  }
+  const gitRoot = tryGit(['rev-parse', '--show-toplevel'], repoRoot);
+  if (!gitRoot.ok) throw new Error(`not a git repository: ${repoRoot}`);
+  const already = findRevertCommit(event.id, gitRoot.out);
+  if (already && !force) throw new Error(`event ${eventId} was already reverted by ${already.slice(0, 12)} (use --force to revert again)`);
+  const commits = findCycleCommits(event, gitRoot.out);
+  if (commits.length === 0) {
+    throw new Error(`no commit found for event ${eventId}: the cycle ran without a sandbox, or its commit predates the Evolver-* trailers`);
+  }
+  const patches = commits.map(commit => ({ commit, patch: inversePatch(commit, gitRoot.out) }));
+  const geneId = Array.isArray(event.genes_used) && event.genes_used.length ? String(event.genes_used[0]) : null;
+  return { event, gitRoot: gitRoot.out, repoRoot, commits, patches, gene: geneId ? getGene(geneId) : null, geneId };
+}
+
+function unapply(applied, gitRoot) {
+  for (const patch of applied.slice().reverse()) tryGit(['apply', '-R', '--index'], gitRoot, 60000, patch);
+}
+
+function lowerCapsuleConfidence(capsuleId, eventId) {
+  if (!capsuleId) return null;
+  const capsule = loadCapsules().find(c => c && c.type === 'Capsule' && String(c.id) === String(capsuleId));
+  if (!capsule) return null;
+  const lowered = lowerConfidence(capsule, { source: `revert:${eventId}`, factor: revertConfidenceFactor() });
+  if (!lowered) return null;
+  // lowerConfidence stages an external copy; only its confidence applies to the local capsule.
+  const before = capsule.confidence;
+  capsule.confidence = lowered.confidence;
+  if (capsule.a2a && typeof capsule.a2a === 'object') capsule.a2a.eligible_to_broadcast = false;
+  capsule.asset_id = computeAssetId(capsule);
+  upsertCapsule(capsule);
+  return { id: capsule.id, confidence_before: before, confidence_after: capsule.confidence };
+}
+
+// Revert an event. Returns { ok, dryRun, event_id, commits, blast, validation, revert_commit, revert_event, capsule, reason }.
+async function revertEvent(eventId, { dryRun = false, force = false, reason = null, repoRoot = getRepoRoot() } = {}) {
+  const plan = planRevert(eventId, { repoRoot, force });
+  const { event, gitRoot } = plan;
+  const patches = plan.patches.map(p => p.patch);
+  const blast = patches.reduce(
+    (acc, p) => {
+      const st = patchStats(p, gitRoot);
+      return { files: acc.files + st.files, lines: acc.lines + st.lines };
+    },
+    { files: 0, lines: 0 }
+  );
+  const summary = { event_id: event.id, commits: plan.commits, blast, gene_id: plan.geneId };
+
+  if (tryGit(['diff', '--cached', '--quiet'], gitRoot).ok === false) {
+    throw new Error('the git index has staged changes; commit or unstage them before reverting');
+  }
+  // Patches apply in sequence (newest commit first), so only the first can be checked up front.
+  const check = tryGit(['apply', '--check', '--index'], gitRoot, 60000, patches[0]);
+  if (!check.ok) return { ok: false, dryRun, ...summary, reason: `inverse patch does not apply: ${check.err.split('\n')[0]}` };
+  if (dryRun) return { ok: true, dryRun, ...summary, reason: 'dry_run' };
+
+  const { files: patchFiles } = writePatches(event.id, plan.patches);
+  summary.patches = patchFiles;
+  const applied = [];
+  for (const patch of patches) {
+    const res = tryGit(['apply', '--index'], gitRoot, 60000, patch);
+    if (!res.ok) {
+      unapply(applied, gitRoot);
+      return { ok: false, dryRun, ...summary, reason: `inverse patch does not apply: ${res.err.split('\n')[0]}` };
+    }
+    applied.push(patch);
+  }
+
+  const { runValidations } = require('./solidify');
+  const startedAt = Date.now();
+  const validation = plan.gene ? await runValidations(plan.gene, { repoRoot }) : { ok: true, results: [], sandbox: null };
+  const report = buildValidationReport({
+    geneId: plan.geneId,
+    commands: validation.results.map(r => r.cmd),
+    results: validation.results,
+    startedAt,
+    finishedAt: Date.now(),
+    sandbox: validation.sandbox,
+  });
+
+  let revertCommit = null;
+  let failure = validation.ok ? null : 'validation_failed';
+  const ts = new Date().toISOString();
+  const revertEventId = `evt_${Date.parse(ts)}`;
+  if (!failure) {
+    const shortCommits = plan.commits.map(c => c.slice(0, 12)).join(', ');
+    const message = [
+      `evolver: revert ${event.id}`,
+      '',
+      `Reverts ${shortCommits}${reason ? `: ${reason}` : '.'}`,
+      '',
+      `Evolver-Event: ${revertEventId}`,
+      `Evolver-Reverts: ${event.id}`,
+    ].join('\n');
+    const c = tryGit([...commitIdentityArgs(gitRoot), 'commit', '--no-verify', '-m', message], gitRoot);
+    if (c.ok) revertCommit = tryGit(['rev-parse', 'HEAD'], gitRoot).out;
+    else failure = `git_commit_failed: ${c.err.split('\n')[0]}`;
+  }
+  if (failure) unapply(applied, gitRoot);
+
+  const ok = !failure;
+  const revert = {
+    type: 'EvolutionEvent',
+    schema_version: SCHEMA_VERSION,
+    id: revertEventId,
+    parent: getLastEventId(),
+    intent: 'revert',
+    signals: Array.isArray(event.signals) ? event.signals : [],
+    genes_used: Array.isArray(event.genes_used) ? event.genes_used : [],
+    mutation_id: null,
+    personality_state: event.personality_state || null,
+    blast_radius: blast,
+    outcome: { status: ok ? 'success' : 'failed', score: ok ? 1 : 0 },
+    capsule_id: null,
+    validation_report_id: report.id,
+    meta: {
+      at: ts,
+      signal_key: event.meta && event.meta.signal_key ? event.meta.signal_key : null,
+      revert: {
+        event_id: event.id,
+        commits: plan.commits,
+        revert_commit: revertCommit,
+        patches: patchFiles,
+        reason: reason || null,
+        failure,
+      },
+      validation_ok: validation.ok,
+      validation: validation.results.map(r => ({ cmd: r.cmd, ok: r.ok })),
+    },
+  };
+  revert.asset_id = computeAssetId(revert);
+  appendEventJsonl(report);
+  appendEventJsonl(revert);
+
+  let capsule = null;
+  if (ok) {
+    try {
+      capsule = lowerCapsuleConfidence(event.capsule_id, event.id);
+    } catch (e) {
+      console.warn(`[Revert] Could not lower capsule confidence (non-fatal): ${e.message}`);
+    }
+  }
+  return { ok, dryRun, ...summary, validation, revert_commit: revertCommit, revert_event: revert, capsule, reason: failure };
+}
+
+module.exports = {
+  findCycleCommits,
+  planRevert,
+  revertEvent,
+};
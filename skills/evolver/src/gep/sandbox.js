@@ -0,0 +1,140 @@
+// Git-worktree sandbox for hand-agent edits.
+//
+// evolve.run() creates a dedicated worktree on a throwaway branch (evolver/<run_id>) at the
+// live HEAD; the executor edits only inside it. solidify() measures and validates the sandbox
+// and, on success, commits it and fast-forwards the live branch onto it. A failed cycle just
+// drops the worktree and branch, so uncommitted human edits in the live workspace are never
+// touched by a rollback.
+//
+// EVOLVE_SANDBOX=off restores the old behaviour (edit the live workspace, roll back with
+// git reset). Without git, or when the worktree cannot be created, the cycle also runs live.
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { getRepoRoot } = require('./paths');
+
+const BRANCH_PREFIX = 'evolver/';
+
+function git(args, cwd, timeoutMs = 60000) {
+  return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'], timeout: timeoutMs }).trim();
+}
+
+function tryGit(args, cwd, timeoutMs) {
+  try {
+    return { ok: true, out: git(args, cwd, timeoutMs), err: '' };
+  } catch (e) {
+    const stderr = e && e.stderr ? String(e.stderr).trim() : '';
+    return { ok: false, out: '', err: stderr || (e && e.message ? String(e.message) : 'git_failed') };
+  }
+}
+
+function isSandboxEnabled() {
+  const v = String(process.env.EVOLVE_SANDBOX || 'worktree').toLowerCase().trim();
+  return !['off', 'false', '0', 'live', 'none'].includes(v);
+}
+
+// Worktrees live under the git dir by default so they never show up as untracked files.
+function sandboxBaseDir(gitRoot) {
+  if (process.env.EVOLVE_SANDBOX_DIR) return path.resolve(process.env.EVOLVE_SANDBOX_DIR);
+  const common = git(['rev-parse', '--git-common-dir'], gitRoot);
+  return path.join(path.resolve(gitRoot, common), 'evolver-worktrees');
+}
+
+function safeRunId(runId) {
+  return String(runId || `run_${Date.now()}`).replace(/[^A-Za-z0-9._-]/g, '_').slice(0, 80);
+}
+
+// Returns the sandbox record stored in last_run.sandbox, or { mode: 'live', reason }.
+function createSandbox({ runId, repoRoot = getRepoRoot() } = {}) {
+  if (!isSandboxEnabled()) return { mode: 'live', reason: 'disabled' };
+  try {
+    const gitRoot = git(['rev-parse', '--show-toplevel'], repoRoot);
+    const baseHead = git(['rev-parse', 'HEAD'], gitRoot);
+    const id = safeRunId(runId);
+    const branch = `${BRANCH_PREFIX}${id}`;
+    const worktree = path.join(sandboxBaseDir(gitRoot), id);
+    fs.mkdirSync(path.dirname(worktree), { recursive: true });
+    git(['worktree', 'add', '-b', branch, worktree, baseHead], gitRoot, 120000);
+    // The evolver's own directory inside the sandbox (the repo may be a whole workspace).
+    const subdir = path.relative(gitRoot, path.resolve(repoRoot));
+    return {
+      mode: 'worktree',
+      branch,
+      base_head: baseHead,
+      git_root: gitRoot,
+      path: worktree,
+      repo_root: subdir ? path.join(worktree, subdir) : worktree,
+      created_at: new Date().toISOString(),
+    };
+  } catch (e) {
+    const msg = e && e.stderr ? String(e.stderr).trim() : e && e.message ? e.message : String(e);
+    console.warn(`[Sandbox] Worktree unavailable, editing the live workspace: ${msg}`);
+    return { mode: 'live', reason: msg.slice(0, 200) };
+  }
+}
+
+function isActiveSandbox(sandbox) {
+  return !!(sandbox && sandbox.mode === 'worktree' && sandbox.path && fs.existsSync(sandbox.path));
+}
+
+function commitIdentityArgs(cwd) {
+  const email = tryGit(['config', 'user.email'], cwd);
+  if (email.ok && email.out) return [];
+  return ['-c', 'user.name=evolver', '-c', 'user.email=evolver@localhost'];
+}
+
+// Commit everything in the sandbox and fast-forward the live branch onto it.
+// Fails (and leaves the live workspace untouched) if the live HEAD moved since the sandbox was
+// created, or if uncommitted live edits overlap the files the cycle changed.
+function promoteSandbox(sandbox, { message } = {}) {
+  if (!isActiveSandbox(sandbox)) return { ok: false, reason: 'sandbox_missing' };
+  const wt = sandbox.path;
+  const add = tryGit(['add', '-A'], wt);
+  if (!add.ok) return { ok: false, reason: `git_add_failed: ${add.err}` };
+  const staged = tryGit(['diff', '--cached', '--quiet'], wt);
+  let commit = null;
+  if (!staged.ok) {
+    const c = tryGit(
+      [...commitIdentityArgs(wt), 'commit', '--no-verify', '-m', String(message || `evolver: ${sandbox.branch}`)],
+      wt
+    );
+    if (!c.ok) return { ok: false, reason: `git_commit_failed: ${c.err}` };
+    commit = git(['rev-parse', 'HEAD'], wt);
+  }
+  if (!commit) return { ok: true, promoted: false, commit: null, reason: 'no_changes' };
+
+  const liveHead = tryGit(['rev-parse', 'HEAD'], sandbox.git_root);
+  if (!liveHead.ok || liveHead.out !== sandbox.base_head) {
+    return { ok: false, commit, reason: `live_head_moved: ${liveHead.out || liveHead.err}` };
+  }
+  const merge = tryGit(['merge', '--ff-only', sandbox.branch], sandbox.git_root, 120000);
+  if (!merge.ok) return { ok: false, commit, reason: `fast_forward_failed: ${merge.err.split('\n')[0]}` };
+  return { ok: true, promoted: true, commit };
+}
+
+// True when the sandbox branch has commits beyond the HEAD it was created from.
+function sandboxHasCommits(sandbox) {
+  if (!sandbox || !sandbox.branch || !sandbox.base_head || !sandbox.git_root) return false;
+  const count = tryGit(['rev-list', '--count', `${sandbox.base_head}..${sandbox.branch}`], sandbox.git_root);
+  return count.ok && Number(count.out) > 0;
+}
+
+// Remove the worktree and its branch. keepBranch leaves the commits for manual inspection.
+function discardSandbox(sandbox, { keepBranch = false } = {}) {
+  if (!sandbox || sandbox.mode !== 'worktree' || !sandbox.git_root) return false;
+  const removed = tryGit(['worktree', 'remove', '--force', sandbox.path], sandbox.git_root, 120000);
+  if (!removed.ok) tryGit(['worktree', 'prune'], sandbox.git_root);
+  if (!keepBranch && sandbox.branch) tryGit(['branch', '-D', sandbox.branch], sandbox.git_root);
+  return removed.ok;
+}
+
+module.exports = {
+  isSandboxEnabled,
+  createSandbox,
+  isActiveSandbox,
+  commitIdentityArgs,
+  promoteSandbox,
+  sandboxHasCommits,
+  discardSandbox,
+};
@@ -0,0 +1,181 @@
+// JSON-Schema validation for GEP assets.
+//
+// The schemas live in src/gep/schemas/*.schema.json (draft-07, referenced by `urn:gep:schema:*`
+// ids) so other tools can use them as they are. The validator below implements the subset they
+// use: type, const, enum, required, properties, additionalProperties, items, min/maxItems,
+// minLength, pattern, minimum, maximum, anyOf and $ref. Errors carry a JSON pointer to the
+// offending field, e.g. `/personality_state/rigor: must be <= 1`.
+//
+// assetStore validates (after migrating to the current schema_version) on every read and
+// write; A2A ingest and promotion reject invalid assets with the same messages.
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_DIR = path.join(__dirname, 'schemas');
+const ASSET_TYPES = [
+  'Gene',
+  'Capsule',
+  'EvolutionEvent',
+  'Mutation',
+  'PersonalityState',
+  'ValidationReport',
+  'MemoryGraphEvent',
+  'CapabilityCandidate',
+];
+
+let registry = null;
+
+function loadSchemas() {
+  if (registry) return registry;
+  const byId = new Map();
+  const byType = new Map();
+  for (const f of fs.readdirSync(SCHEMA_DIR).filter(n => n.endsWith('.schema.json')).sort()) {
+    const schema = JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, f), 'utf8'));
+    byId.set(schema.$id, schema);
+    if (ASSET_TYPES.includes(schema.title)) byType.set(schema.title, schema);
+  }
+  registry = { byId, byType };
+  return registry;
+}
+
+function getSchema(type) {
+  return loadSchemas().byType.get(String(type)) || null;
+}
+
+function resolveRef(ref) {
+  const [id, pointer] = String(ref).split('#');
+  let node = loadSchemas().byId.get(id);
+  if (!node) throw new Error(`unknown schema reference: ${ref}`);
+  for (const part of String(pointer || '').split('/').filter(Boolean)) {
+    node = node ? node[part] : undefined;
+  }
+  if (!node) throw new Error(`unresolvable schema reference: ${ref}`);
+  return node;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function typeMatches(expected, value) {
+  const actual = typeOf(value);
+  return (Array.isArray(expected) ? expected : [expected]).some(t => t === actual || (t === 'number' && actual === 'integer'));
+}
+
+function describe(value) {
+  const s = JSON.stringify(value);
+  return s && s.length > 40 ? `${s.slice(0, 37)}...` : String(s);
+}
+
+function check(schema, value, ptr, errors) {
+  if (schema.$ref) return check(resolveRef(schema.$ref), value, ptr, errors);
+  const at = ptr || '/';
+  if (schema.anyOf) {
+    const branches = schema.anyOf.map(s => {
+      const errs = [];
+      check(s, value, ptr, errs);
+      return errs;
+    });
+    if (!branches.some(errs => errs.length === 0)) {
+      // Report the branch that got furthest rather than all of them: one whose type matched
+      // (errors below this path), then the fewest errors.
+      const rank = errs => (errs.some(e => e.path === at) ? 1000 : 0) + errs.length;
+      const closest = branches.reduce((a, b) => (rank(b) < rank(a) ? b : a));
+      errors.push(...closest);
+    }
+    return;
+  }
+  if ('const' in schema && value !== schema.const) {
+    errors.push({ path: at, message: `must be ${describe(schema.const)}, got ${describe(value)}` });
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `must be one of ${schema.enum.join(', ')}, got ${describe(value)}` });
+    return;
+  }
+  if (schema.type && !typeMatches(schema.type, value)) {
+    const expected = Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type;
+    errors.push({ path: at, message: `must be ${expected}, got ${typeOf(value)}` });
+    return;
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      errors.push({ path: at, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: at, message: `must match ${schema.pattern}, got ${describe(value)}` });
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) errors.push({ path: at, message: `must be >= ${schema.minimum}, got ${value}` });
+    if (schema.maximum != null && value > schema.maximum) errors.push({ path: at, message: `must be <= ${schema.maximum}, got ${value}` });
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push({ path: at, message: `must have at least ${schema.minItems} item(s)` });
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push({ path: at, message: `must have at most ${schema.maxItems} item(s)` });
+    if (schema.items) value.forEach((item, i) => check(schema.items, item, `${ptr}/${i}`, errors));
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const key of schema.required || []) {
+      if (!(key in value) || value[key] === undefined) errors.push({ path: `${ptr}/${key}`, message: 'is required' });
+    }
+    const props = schema.properties || {};
+    for (const key of Object.keys(value)) {
+      if (props[key]) {
+        if (value[key] !== undefined) check(props[key], value[key], `${ptr}/${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${ptr}/${key}`, message: 'is not allowed' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        check(schema.additionalProperties, value[key], `${ptr}/${key}`, errors);
+      }
+    }
+  }
+}
+
+// Validate obj against the schema for `type` (default: obj.type).
+// Returns { ok, type, errors: [{ path, message }] }.
+function validateAsset(obj, type) {
+  const t = type || (obj && typeof obj === 'object' ? obj.type : null);
+  const schema = t ? getSchema(t) : null;
+  if (!schema) {
+    return { ok: false, type: t || null, errors: [{ path: '/type', message: `unknown asset type ${describe(t)}` }] };
+  }
+  const errors = [];
+  check(schema, obj, '', errors);
+  return { ok: errors.length === 0, type: t, errors };
+}
+
+function formatErrors(errors, max = 5) {
+  const list = Array.isArray(errors) ? errors : [];
+  const shown = list.slice(0, max).map(e => `${e.path}: ${e.message}`);
+  if (list.length > max) shown.push(`(+${list.length - max} more)`);
+  return shown.join('; ');
+}
+
+function describeAsset(obj, type) {
+  const id = obj && typeof obj === 'object' && obj.id ? ` ${obj.id}` : '';
+  return `${type || (obj && obj.type) || 'asset'}${id}`;
+}
+
+// Throws an Error listing the schema violations; err.validationErrors holds the raw list.
+function assertValidAsset(obj, type) {
+  const res = validateAsset(obj, type);
+  if (res.ok) return obj;
+  const err = new Error(`Invalid ${describeAsset(obj, res.type)}: ${formatErrors(res.errors)}`);
+  err.validationErrors = res.errors;
+  throw err;
+}
+
+module.exports = {
+  ASSET_TYPES,
+  SCHEMA_DIR,
+  getSchema,
+  validateAsset,
+  assertValidAsset,
+  formatErrors,
+  describeAsset,
+};
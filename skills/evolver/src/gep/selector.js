@@ -1,3 +1,7 @@
+const { chooseArm, resolveBanditConfig } = require('./bandit');
+const { lifecycleState, supersededBy } = require('./lifecycle');
+const { isWithdrawnA2AAsset } = require('./a2a');
+
 function matchPatternToSignals(pattern, signals) {
   if (!pattern || !signals || signals.length === 0) return false;
   const p = String(pattern);
@@ -31,15 +35,43 @@ function scoreGene(gene, signals) {
   return score;
 }
 
+// Follow superseded_by from a deprecated gene to the first live successor (or the gene itself).
+function resolveSuccessor(gene, byId) {
+  let cur = gene;
+  for (let hops = 0; hops < 5 && lifecycleState(cur) === 'deprecated'; hops++) {
+    const next = byId.get(supersededBy(cur));
+    if (!next || lifecycleState(next) === 'retired') break;
+    cur = next;
+  }
+  return cur;
+}
+
+// Matching genes, best first. Lifecycle: retired genes never match, a deprecated gene stands in
+// for its successor, and deprecated genes are only kept when no active/probation gene matches.
+// At equal score active genes go before probation ones.
+function rankGenes(genes, signals) {
+  const list = Array.isArray(genes) ? genes : [];
+  const byId = new Map(list.filter(g => g && g.id).map(g => [String(g.id), g]));
+  const best = new Map();
+  for (const g of list) {
+    const score = scoreGene(g, signals);
+    if (score <= 0 || lifecycleState(g) === 'retired') continue;
+    const gene = resolveSuccessor(g, byId);
+    const cur = best.get(gene.id);
+    if (!cur || score > cur.score) best.set(gene.id, { gene, score });
+  }
+  const scored = Array.from(best.values());
+  const live = scored.filter(x => lifecycleState(x.gene) !== 'deprecated');
+  const tier = x => (lifecycleState(x.gene) === 'probation' ? 1 : 0);
+  return (live.length ? live : scored).sort((a, b) => b.score - a.score || tier(a) - tier(b));
+}
+
 function selectGene(genes, signals, opts) {
   const bannedGeneIds = opts && opts.bannedGeneIds ? opts.bannedGeneIds : new Set();
   const driftEnabled = !!(opts && opts.driftEnabled);
   const preferredGeneId = opts && typeof opts.preferredGeneId === 'string' ? opts.preferredGeneId : null;
 
-  const scored = genes
-    .map(g => ({ gene: g, score: scoreGene(g, signals) }))
-    .filter(x => x.score > 0)
-    .sort((a, b) => b.score - a.score);
+  const scored = rankGenes(genes, signals);
 
   if (scored.length === 0) return { selected: null, alternatives: [] };
 
@@ -66,8 +98,15 @@ function selectGene(genes, signals, opts) {
   };
 }
 
-function selectCapsule(capsules, signals) {
+// genes (optional) lets the selector skip capsules whose gene is retired. Revoked or
+// quarantined A2A capsules are never reused.
+function selectCapsule(capsules, signals, genes) {
+  const retiredGenes = new Set(
+    (Array.isArray(genes) ? genes : []).filter(g => g && lifecycleState(g) === 'retired').map(g => String(g.id))
+  );
   const scored = (capsules || [])
+    .filter(c => c && lifecycleState(c) !== 'retired' && lifecycleState(c) !== 'deprecated' && !retiredGenes.has(String(c.gene)))
+    .filter(c => !isWithdrawnA2AAsset(c))
     .map(c => {
       const triggers = Array.isArray(c.trigger) ? c.trigger : [];
       const score = triggers.reduce((acc, t) => (matchPatternToSignals(t, signals) ? acc + 1 : acc), 0);
@@ -78,17 +117,43 @@ function selectCapsule(capsules, signals) {
   return scored.length ? scored[0].capsule : null;
 }
 
-function selectGeneAndCapsule({ genes, capsules, signals, memoryAdvice, driftEnabled }) {
+// Bandit selection among matching, non-banned genes. Returns null when the bandit is off
+// or there is nothing to choose from, so the caller falls back to selectGene().
+function selectGeneWithBandit(genes, signals, { bannedGeneIds, preferredGeneId, driftEnabled, recentEvents, bandit, random, memoryView }) {
+  const config = resolveBanditConfig(bandit);
+  if (config.policy === 'off') return null;
+  const scored = rankGenes(genes, signals);
+  const eligible = driftEnabled ? scored : scored.filter(x => x.gene && !bannedGeneIds.has(x.gene.id));
+  if (eligible.length === 0) return null;
+
+  const arms = eligible.map(x => ({
+    gene: x.gene,
+    // Memory-graph preference (which also sees similar signal keys) counts as one extra match.
+    matchScore: x.score + (preferredGeneId && x.gene.id === preferredGeneId ? 1 : 0),
+  }));
+  const choice = chooseArm({ arms, signals, recentEvents, config, random, view: memoryView });
+  if (!choice) return null;
+  return {
+    selected: choice.gene,
+    alternatives: eligible.filter(x => x.gene.id !== choice.gene.id).slice(0, 4).map(x => x.gene),
+    bandit: choice.decision,
+  };
+}
+
+function selectGeneAndCapsule({ genes, capsules, signals, memoryAdvice, driftEnabled, recentEvents, bandit, random, memoryView }) {
   const bannedGeneIds =
     memoryAdvice && memoryAdvice.bannedGeneIds instanceof Set ? memoryAdvice.bannedGeneIds : new Set();
   const preferredGeneId = memoryAdvice && memoryAdvice.preferredGeneId ? memoryAdvice.preferredGeneId : null;
 
-  const { selected, alternatives } = selectGene(genes, signals, {
-    bannedGeneIds,
-    preferredGeneId,
-    driftEnabled: !!driftEnabled,
-  });
-  const capsule = selectCapsule(capsules, signals);
+  const opts = { bannedGeneIds, preferredGeneId, driftEnabled: !!driftEnabled };
+  let banditResult = null;
+  try {
+    banditResult = selectGeneWithBandit(genes, signals, { ...opts, recentEvents, bandit, random, memoryView });
+  } catch (e) {
+    console.warn(`[Selector] Bandit selection failed, using signal match: ${e.message}`);
+  }
+  const { selected, alternatives } = banditResult || selectGene(genes, signals, opts);
+  const capsule = selectCapsule(capsules, signals, genes);
   const selector = buildSelectorDecision({
     gene: selected,
     capsule,
@@ -96,6 +161,7 @@ function selectGeneAndCapsule({ genes, capsules, signals, memoryAdvice, driftEna
     alternatives,
     memoryAdvice,
     driftEnabled,
+    bandit: banditResult ? banditResult.bandit : null,
   });
   return {
     selectedGene: selected,
@@ -104,9 +170,10 @@ function selectGeneAndCapsule({ genes, capsules, signals, memoryAdvice, driftEna
   };
 }
 
-function buildSelectorDecision({ gene, capsule, signals, alternatives, memoryAdvice, driftEnabled }) {
+function buildSelectorDecision({ gene, capsule, signals, alternatives, memoryAdvice, driftEnabled, bandit }) {
   const reason = [];
   if (gene) reason.push('signals match gene.signals_match');
+  if (gene && lifecycleState(gene) !== 'active') reason.push(`gene lifecycle: ${lifecycleState(gene)}`);
   if (capsule) reason.push('capsule trigger matches signals');
   if (!gene) reason.push('no matching gene found; new gene may be required');
   if (signals && signals.length) reason.push(`signals: ${signals.join(', ')}`);
@@ -117,12 +184,20 @@ function buildSelectorDecision({ gene, capsule, signals, alternatives, memoryAdv
   if (driftEnabled) {
     reason.push('random_drift_override: true');
   }
+  if (bandit) {
+    reason.push(
+      `bandit(${bandit.policy}): ${bandit.explored ? `explore over greedy ${bandit.greedy}` : 'exploit'}` +
+        (bandit.budget_left ? '' : ' (exploration budget exhausted)')
+    );
+  }
 
-  return {
+  const decision = {
     selected: gene ? gene.id : null,
     reason,
     alternatives: Array.isArray(alternatives) ? alternatives.map(g => g.id) : [],
   };
+  if (bandit) decision.bandit = bandit;
+  return decision;
 }
 
 module.exports = {
@@ -130,5 +205,6 @@ module.exports = {
   selectGene,
   selectCapsule,
   buildSelectorDecision,
+  matchPatternToSignals,
 };
 
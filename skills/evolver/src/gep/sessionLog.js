@@ -0,0 +1,280 @@
+// Session log parser: turns OpenClaw session JSONL into typed records.
+//
+// Record kinds:
+//   { kind: 'message',     role, text, ts }
+//   { kind: 'tool_call',   name, args, id, ts }
+//   { kind: 'tool_result', tool, tool_call_id, is_error, exit_code, text, ts }
+//   { kind: 'llm_error',   provider, model, status, message, ts }
+//
+// Signals, capability candidates and memory-graph evidence are computed from
+// these records; formatSessionRecords() renders the compact transcript used in prompts.
+
+const MESSAGE_PREVIEW_CHARS = 300;
+const TOOL_RESULT_PREVIEW_CHARS = 200;
+
+function oneLine(text) {
+  return String(text || '').replace(/\n+/g, ' ');
+}
+
+function stringifyContent(content) {
+  if (content == null) return '';
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .map(c => {
+        if (typeof c === 'string') return c;
+        if (c && c.type === 'text') return String(c.text || '');
+        return '';
+      })
+      .filter(Boolean)
+      .join(' ');
+  }
+  return JSON.stringify(content);
+}
+
+function toExitCode(value) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  return Number.isInteger(n) ? n : null;
+}
+
+function parseExitCode(details, text) {
+  if (details && typeof details === 'object') {
+    const fromDetails = toExitCode(details.exitCode != null ? details.exitCode : details.exit_code);
+    if (fromDetails != null) return fromDetails;
+  }
+  const m = String(text || '').match(/(?:exited with code|exit code:?)\s*(-?\d+)/i);
+  return m ? toExitCode(m[1]) : null;
+}
+
+// Providers report HTTP failures in free text ("429 Too Many Requests", "status: 503").
+function parseHttpStatus(message, explicit) {
+  const direct = toExitCode(explicit);
+  if (direct != null) return direct;
+  const s = String(message || '');
+  const m =
+    s.match(/\bstatus(?:\s*code)?\s*[:=]?\s*([45]\d\d)\b/i) ||
+    s.match(/^\s*([45]\d\d)\b/) ||
+    s.match(/\b([45]\d\d)\s+[A-Z][a-z]/);
+  return m ? Number(m[1]) : null;
+}
+
+function isToolCallPart(part) {
+  return part && (part.type === 'toolCall' || part.type === 'tool_use' || part.type === 'toolUse');
+}
+
+function buildToolResult({ tool, toolCallId, isError, details, text, ts }) {
+  const exitCode = parseExitCode(details, text);
+  return {
+    kind: 'tool_result',
+    tool: tool ? String(tool) : null,
+    tool_call_id: toolCallId ? String(toolCallId) : null,
+    is_error: !!isError || (exitCode != null && exitCode !== 0),
+    exit_code: exitCode,
+    text: String(text || ''),
+    ts: ts || null,
+  };
+}
+
+function parseMessageRecord(data) {
+  const msg = data.message;
+  const ts = data.timestamp || msg.timestamp || null;
+  const role = String(msg.role || 'unknown');
+
+  if (role === 'toolResult' || role === 'tool') {
+    return [
+      buildToolResult({
+        tool: msg.toolName || msg.name,
+        toolCallId: msg.toolCallId || msg.tool_call_id,
+        isError: msg.isError,
+        details: msg.details,
+        text: stringifyContent(msg.content),
+        ts,
+      }),
+    ];
+  }
+
+  const out = [];
+  const parts = Array.isArray(msg.content) ? msg.content : null;
+  const text = parts ? stringifyContent(parts) : stringifyContent(msg.content);
+  if (text.trim()) out.push({ kind: 'message', role, text, ts });
+
+  if (parts) {
+    for (const part of parts) {
+      if (!isToolCallPart(part)) continue;
+      out.push({
+        kind: 'tool_call',
+        name: String(part.name || 'unknown'),
+        args: part.arguments !== undefined ? part.arguments : part.input !== undefined ? part.input : part.args,
+        id: part.id ? String(part.id) : null,
+        ts,
+      });
+    }
+  }
+
+  if (msg.errorMessage) {
+    const message = typeof msg.errorMessage === 'string' ? msg.errorMessage : JSON.stringify(msg.errorMessage);
+    out.push({
+      kind: 'llm_error',
+      provider: msg.provider ? String(msg.provider) : null,
+      model: msg.model ? String(msg.model) : null,
+      status: parseHttpStatus(message, msg.status != null ? msg.status : msg.statusCode),
+      message,
+      ts,
+    });
+  }
+  return out;
+}
+
+// Older session writers emit a top-level { type: 'tool_result', tool_result: {...} } record.
+function parseLegacyToolResult(data) {
+  const tr = data.tool_result && typeof data.tool_result === 'object' ? data.tool_result : {};
+  let text = '';
+  if (tr.output) text = typeof tr.output === 'string' ? tr.output : JSON.stringify(tr.output);
+  else if (data.tool_result) text = JSON.stringify(data.tool_result);
+  if (data.content) text = stringifyContent(data.content);
+  return buildToolResult({
+    tool: tr.name || tr.tool || data.name,
+    toolCallId: tr.id || data.tool_call_id,
+    isError: tr.isError || data.isError || tr.status === 'error',
+    details: tr,
+    text,
+    ts: data.timestamp || null,
+  });
+}
+
+function parseSessionLog(jsonlContent) {
+  const records = [];
+  const lines = String(jsonlContent || '').split('\n');
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    let data;
+    try {
+      data = JSON.parse(line);
+    } catch (e) {
+      // Tail reads usually start mid-line; skip anything that is not a full record.
+      continue;
+    }
+    if (!data || typeof data !== 'object') continue;
+    if (data.type === 'message' && data.message && typeof data.message === 'object') {
+      records.push(...parseMessageRecord(data));
+    } else if (data.type === 'tool_result') {
+      records.push(parseLegacyToolResult(data));
+    }
+  }
+  return records;
+}
+
+function isFailureRecord(record) {
+  if (!record) return false;
+  if (record.kind === 'llm_error') return true;
+  return record.kind === 'tool_result' && !!record.is_error;
+}
+
+function renderRecord(record, { includeToolOutput }) {
+  if (record.kind === 'message') {
+    const text = record.text.trim();
+    // Skip heartbeats and silent replies to save noise.
+    if (text === 'HEARTBEAT_OK' || text.includes('NO_REPLY')) return '';
+    return `**${record.role.toUpperCase()}**: ${oneLine(text).slice(0, MESSAGE_PREVIEW_CHARS)}`;
+  }
+  if (record.kind === 'tool_call') return `[TOOL: ${record.name}]`;
+  if (record.kind === 'llm_error') {
+    const who = [record.provider, record.model].filter(Boolean).join('/');
+    const meta = [who, record.status != null ? String(record.status) : ''].filter(Boolean).join(' ');
+    return `[LLM ERROR]${meta ? ` (${meta})` : ''} ${oneLine(record.message).slice(0, MESSAGE_PREVIEW_CHARS)}`;
+  }
+  if (record.kind === 'tool_result') {
+    const text = record.text;
+    const tool = record.tool ? `${record.tool}: ` : '';
+    const preview = oneLine(text).slice(0, TOOL_RESULT_PREVIEW_CHARS) + (text.length > TOOL_RESULT_PREVIEW_CHARS ? '...' : '');
+    if (record.is_error) {
+      const code = record.exit_code != null ? ` (exit ${record.exit_code})` : '';
+      return `[TOOL ERROR] ${tool}${preview}${code}`;
+    }
+    if (!includeToolOutput) return '';
+    // Only show significant output; generic short successes are noise.
+    if (text.length < 50 && (text.includes('success') || text.includes('done'))) return '';
+    if (text.trim() === '' || text === '{}') return '';
+    return `[TOOL RESULT] ${tool}${preview}`;
+  }
+  return '';
+}
+
+// Render records as the compact "**ROLE**: text" transcript, collapsing identical runs.
+// With includeToolOutput=false only failed tool results are kept, which is what signal
+// detection wants: successful output that happens to mention "failed" is not an error.
+function formatSessionRecords(records, { includeToolOutput = true } = {}) {
+  const result = [];
+  let lastLine = '';
+  let repeatCount = 0;
+
+  const flushRepeats = () => {
+    if (repeatCount > 0) {
+      result.push(`   ... [Repeated ${repeatCount} times] ...`);
+      repeatCount = 0;
+    }
+  };
+
+  for (const record of Array.isArray(records) ? records : []) {
+    const entry = renderRecord(record, { includeToolOutput });
+    if (!entry) continue;
+    if (entry === lastLine) {
+      repeatCount++;
+    } else {
+      flushRepeats();
+      result.push(entry);
+      lastLine = entry;
+    }
+  }
+  flushRepeats();
+  return result.join('\n');
+}
+
+function countToolCalls(records) {
+  const counts = {};
+  for (const r of Array.isArray(records) ? records : []) {
+    if (r && r.kind === 'tool_call') counts[r.name] = (counts[r.name] || 0) + 1;
+  }
+  return counts;
+}
+
+function clipArgs(args, maxChars) {
+  if (args == null) return null;
+  const s = typeof args === 'string' ? args : JSON.stringify(args);
+  return s.length > maxChars ? s.slice(0, maxChars) + '...' : s;
+}
+
+// Short, bounded summary for memory-graph evidence (never the full transcript).
+function summarizeSessionRecords(records, { maxItems = 5 } = {}) {
+  const list = Array.isArray(records) ? records : [];
+  const toolFailures = list.filter(r => r.kind === 'tool_result' && r.is_error);
+  const llmErrors = list.filter(r => r.kind === 'llm_error');
+  return {
+    records: list.length,
+    messages: list.filter(r => r.kind === 'message').length,
+    tool_calls: countToolCalls(list),
+    tool_results: list.filter(r => r.kind === 'tool_result').length,
+    error_count: toolFailures.length + llmErrors.length,
+    tool_failures: toolFailures.slice(-maxItems).map(r => ({
+      tool: r.tool,
+      exit_code: r.exit_code,
+      text: oneLine(r.text).slice(0, 160),
+    })),
+    llm_errors: llmErrors.slice(-maxItems).map(r => ({
+      provider: r.provider,
+      model: r.model,
+      status: r.status,
+      message: oneLine(r.message).slice(0, 160),
+    })),
+  };
+}
+
+module.exports = {
+  parseSessionLog,
+  formatSessionRecords,
+  isFailureRecord,
+  countToolCalls,
+  clipArgs,
+  summarizeSessionRecords,
+};
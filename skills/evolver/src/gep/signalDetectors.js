@@ -0,0 +1,333 @@
+// Signal detector registry.
+//
+// A detector is a small module describing one signal family:
+//   {
+//     id:             'perf_bottleneck',            // signal name (or prefix, e.g. 'errsig' -> 'errsig:...')
+//     priority:       40,                            // higher runs first; later detectors see earlier signals
+//     suppressionKey: 'perf_bottleneck' | fn(sig),   // de-dup key used by analyzeRecentHistory
+//     match:          fn(ctx) => bool | string | string[],
+//     cosmetic:       false,                         // dropped when any actionable signal exists
+//     repair:         false | fn(sig),               // stripped when innovation is forced
+//   }
+//
+// match(ctx) receives { corpus, lower, lines, records, signals } where `records` are the
+// typed session records from sessionLog.js (empty when only text is available) and
+// `signals` holds what higher-priority detectors already emitted. Returning true emits
+// the detector id.
+//
+// Sources (later sources override earlier ones with the same id):
+//   1. built-ins in src/gep/detectors/
+//   2. <skill>/signal_detectors/*.js for every installed skill
+//   3. <workspace>/signal_detectors/*.js, EVOLVER_SIGNAL_DETECTORS_DIR and
+//      openclaw.json -> evolver.signals.detectorDirs
+//   4. openclaw.json -> evolver.signals.detectors: module paths, or declarative
+//      { id, pattern, flags, priority, suppressionKey, cosmetic, repair } entries
+//   5. registerDetector() at runtime
+//
+// openclaw.json -> evolver.signals.disable removes detectors by id.
+//
+// The registry is cached per process. runDetectors() re-stats openclaw.json, the detector
+// dirs and the detector modules they hold, and reloads when any size or mtime changed, so a
+// long-running loop picks up edited, added and removed detectors on its next cycle.
+
+var fs = require('fs');
+var path = require('path');
+var { getWorkspaceRoot, getSkillsDir, getOpenclawConfigPath } = require('./paths');
+
+var BUILTIN_DIR = path.join(__dirname, 'detectors');
+var DETECTOR_DIR_NAME = 'signal_detectors';
+
+var registry = null; // Map<id, detector>, loaded lazily
+var registryStamp = null; // sourceStamp() at load time
+var runtimeDetectors = [];
+
+function readJsonIfExists(filePath, fallback) {
+  try {
+    if (!fs.existsSync(filePath)) return fallback;
+    var raw = fs.readFileSync(filePath, 'utf8');
+    if (!raw.trim()) return fallback;
+    return JSON.parse(raw);
+  } catch (e) {
+    return fallback;
+  }
+}
+
+function readSignalsConfig() {
+  var cfg = readJsonIfExists(getOpenclawConfigPath(), {});
+  var sig = cfg && cfg.evolver && cfg.evolver.signals && typeof cfg.evolver.signals === 'object' ? cfg.evolver.signals : {};
+  return {
+    detectors: Array.isArray(sig.detectors) ? sig.detectors : [],
+    detectorDirs: Array.isArray(sig.detectorDirs) ? sig.detectorDirs.map(String) : [],
+    disable: Array.isArray(sig.disable) ? sig.disable.map(String) : [],
+  };
+}
+
+function normalizeDetector(raw, source) {
+  if (!raw || typeof raw !== 'object') return null;
+  var id = typeof raw.id === 'string' ? raw.id.trim() : '';
+  if (!id || typeof raw.match !== 'function') {
+    console.warn('[SignalDetectors] Ignoring invalid detector from ' + source + ' (needs id and match())');
+    return null;
+  }
+  var priority = Number(raw.priority);
+  var sk = raw.suppressionKey;
+  return {
+    id: id,
+    priority: Number.isFinite(priority) ? priority : 0,
+    suppressionKey: typeof sk === 'function' || (typeof sk === 'string' && sk) ? sk : id,
+    match: raw.match,
+    cosmetic: !!raw.cosmetic,
+    repair: typeof raw.repair === 'function' ? raw.repair : !!raw.repair,
+    source: source,
+  };
+}
+
+// Declarative detector for openclaw.json (JSON cannot carry functions).
+function buildPatternDetector(spec, source) {
+  if (!spec || typeof spec.id !== 'string' || typeof spec.pattern !== 'string') {
+    console.warn('[SignalDetectors] Ignoring config detector without id/pattern from ' + source);
+    return null;
+  }
+  var re;
+  try {
+    re = new RegExp(spec.pattern, typeof spec.flags === 'string' ? spec.flags : 'i');
+  } catch (e) {
+    console.warn('[SignalDetectors] Invalid pattern for detector ' + spec.id + ': ' + e.message);
+    return null;
+  }
+  var signal = typeof spec.signal === 'string' && spec.signal ? spec.signal : spec.id;
+  return normalizeDetector({
+    id: spec.id,
+    priority: spec.priority,
+    suppressionKey: spec.suppressionKey,
+    cosmetic: spec.cosmetic,
+    repair: spec.repair,
+    match: function (ctx) {
+      re.lastIndex = 0;
+      return re.test(ctx.corpus) ? signal : null;
+    },
+  }, source);
+}
+
+function loadDetectorModule(filePath) {
+  var mod;
+  try {
+    // Drop a previously required copy so a reload sees edits to the file.
+    delete require.cache[require.resolve(filePath)];
+    mod = require(filePath);
+  } catch (e) {
+    console.warn('[SignalDetectors] Failed to load ' + filePath + ': ' + e.message);
+    return [];
+  }
+  var list = Array.isArray(mod) ? mod : mod && Array.isArray(mod.detectors) ? mod.detectors : [mod];
+  return list.map(function (d) { return normalizeDetector(d, filePath); }).filter(Boolean);
+}
+
+function loadDetectorsFromDir(dir) {
+  try {
+    if (!dir || !fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) return [];
+  } catch (e) {
+    return [];
+  }
+  var files = fs.readdirSync(dir).filter(function (f) { return f.endsWith('.js'); }).sort();
+  var out = [];
+  for (var i = 0; i < files.length; i++) {
+    out = out.concat(loadDetectorModule(path.join(dir, files[i])));
+  }
+  return out;
+}
+
+function listExtraDetectorDirs(cfg) {
+  var dirs = [];
+  var skillsDir = getSkillsDir();
+  try {
+    if (fs.existsSync(skillsDir)) {
+      fs.readdirSync(skillsDir, { withFileTypes: true })
+        .filter(function (d) { return d.isDirectory(); })
+        .map(function (d) { return d.name; })
+        .sort()
+        .forEach(function (name) { dirs.push(path.join(skillsDir, name, DETECTOR_DIR_NAME)); });
+    }
+  } catch (e) {}
+  dirs.push(path.join(getWorkspaceRoot(), DETECTOR_DIR_NAME));
+  if (process.env.EVOLVER_SIGNAL_DETECTORS_DIR) dirs.push(process.env.EVOLVER_SIGNAL_DETECTORS_DIR);
+  for (var i = 0; i < cfg.detectorDirs.length; i++) {
+    dirs.push(path.resolve(getWorkspaceRoot(), cfg.detectorDirs[i]));
+  }
+  return dirs;
+}
+
+function loadConfigDetectors(cfg) {
+  var out = [];
+  var source = getOpenclawConfigPath();
+  for (var i = 0; i < cfg.detectors.length; i++) {
+    var entry = cfg.detectors[i];
+    if (typeof entry === 'string') {
+      out = out.concat(loadDetectorModule(path.resolve(getWorkspaceRoot(), entry)));
+    } else {
+      var d = buildPatternDetector(entry, source);
+      if (d) out.push(d);
+    }
+  }
+  return out;
+}
+
+function statStamp(filePath) {
+  try {
+    var st = fs.statSync(filePath);
+    return filePath + '@' + st.mtimeMs + ':' + st.size;
+  } catch (e) {
+    return filePath + '@-';
+  }
+}
+
+// Fingerprint of every source the registry is loaded from (built-ins only change on upgrade).
+function sourceStamp(cfg) {
+  var parts = [statStamp(getOpenclawConfigPath())];
+  var dirs = listExtraDetectorDirs(cfg);
+  for (var i = 0; i < dirs.length; i++) {
+    parts.push(statStamp(dirs[i]));
+    try {
+      fs.readdirSync(dirs[i]).filter(function (f) { return f.endsWith('.js'); }).sort().forEach(function (f) {
+        parts.push(statStamp(path.join(dirs[i], f)));
+      });
+    } catch (e) {}
+  }
+  for (var j = 0; j < cfg.detectors.length; j++) {
+    if (typeof cfg.detectors[j] === 'string') parts.push(statStamp(path.resolve(getWorkspaceRoot(), cfg.detectors[j])));
+  }
+  return parts.join('|');
+}
+
+function loadRegistry() {
+  var cfg = readSignalsConfig();
+  registryStamp = sourceStamp(cfg);
+  var all = loadDetectorsFromDir(BUILTIN_DIR);
+  var dirs = listExtraDetectorDirs(cfg);
+  for (var i = 0; i < dirs.length; i++) all = all.concat(loadDetectorsFromDir(dirs[i]));
+  all = all.concat(loadConfigDetectors(cfg)).concat(runtimeDetectors);
+
+  var disabled = new Set(cfg.disable);
+  var map = new Map();
+  for (var j = 0; j < all.length; j++) {
+    if (disabled.has(all[j].id)) continue;
+    map.set(all[j].id, all[j]);
+  }
+  return map;
+}
+
+function getDetectors() {
+  if (!registry) registry = loadRegistry();
+  // Array.prototype.sort is stable, so equal priorities keep registration order.
+  return Array.from(registry.values()).sort(function (a, b) { return b.priority - a.priority; });
+}
+
+function registerDetector(detector) {
+  var d = normalizeDetector(detector, 'runtime');
+  if (!d) throw new Error('registerDetector: detector must have an id and a match() function');
+  runtimeDetectors.push(d);
+  if (registry) registry.set(d.id, d);
+  return d;
+}
+
+// Drop the cached registry so the next call re-reads dirs and openclaw.json.
+function resetDetectors() {
+  registry = null;
+  registryStamp = null;
+  runtimeDetectors = [];
+}
+
+// Reload the registry when a detector source changed since it was loaded.
+function refreshDetectors() {
+  if (registry && sourceStamp(readSignalsConfig()) !== registryStamp) registry = null;
+}
+
+function toSignalList(result, detector) {
+  if (!result) return [];
+  if (result === true) return [detector.id];
+  if (typeof result === 'string') return [result];
+  if (Array.isArray(result)) return result.filter(function (s) { return typeof s === 'string' && s; });
+  return [];
+}
+
+function runDetectors(corpus, opts) {
+  var text = String(corpus || '');
+  var records = opts && Array.isArray(opts.records) ? opts.records : [];
+  var ctx = {
+    corpus: text,
+    lower: text.toLowerCase(),
+    lines: text.split('\n').map(function (l) { return String(l || '').trim(); }).filter(Boolean),
+    records: records,
+    signals: [],
+  };
+  refreshDetectors();
+  var detectors = getDetectors();
+  for (var i = 0; i < detectors.length; i++) {
+    var d = detectors[i];
+    try {
+      var emitted = toSignalList(d.match(ctx), d);
+      for (var k = 0; k < emitted.length; k++) ctx.signals.push(emitted[k]);
+    } catch (e) {
+      console.warn('[SignalDetectors] Detector ' + d.id + ' failed: ' + e.message);
+    }
+  }
+  return ctx.signals;
+}
+
+function ownsSignal(detector, signal) {
+  if (typeof detector.suppressionKey === 'function') return detector.suppressionKey(signal) != null;
+  return signal === detector.id || signal.startsWith(detector.id + ':');
+}
+
+function findOwner(signal) {
+  var detectors = getDetectors();
+  for (var i = 0; i < detectors.length; i++) {
+    try {
+      if (ownsSignal(detectors[i], signal)) return detectors[i];
+    } catch (e) {}
+  }
+  return null;
+}
+
+// Normalize a signal into the key used for frequency counting and suppression
+// (e.g. every "errsig:<text>" collapses to "errsig").
+function getSuppressionKey(signal) {
+  var s = String(signal);
+  var d = findOwner(s);
+  if (!d) return s;
+  if (typeof d.suppressionKey === 'function') {
+    try {
+      var k = d.suppressionKey(s);
+      return k ? String(k) : s;
+    } catch (e) {
+      return s;
+    }
+  }
+  return d.suppressionKey;
+}
+
+function isCosmeticSignal(signal) {
+  var d = findOwner(String(signal));
+  return !!(d && d.cosmetic);
+}
+
+function isRepairSignal(signal) {
+  var s = String(signal);
+  var d = findOwner(s);
+  if (!d) return false;
+  if (typeof d.repair === 'function') {
+    try { return !!d.repair(s); } catch (e) { return false; }
+  }
+  return !!d.repair;
+}
+
+module.exports = {
+  getDetectors,
+  registerDetector,
+  resetDetectors,
+  runDetectors,
+  loadDetectorsFromDir,
+  getSuppressionKey,
+  isCosmeticSignal,
+  isRepairSignal,
+};
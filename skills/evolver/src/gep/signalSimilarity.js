@@ -0,0 +1,139 @@
+// Signal similarity for memory-graph recall.
+//
+// Signals are turned into weighted feature vectors and compared with TF-IDF cosine
+// similarity, computed locally over the signal sets seen in the memory graph:
+//   - errsig:<text> / recurring_errsig(Nx):<text> are normalized (paths, numbers, hex
+//     stripped) and split into tokens, so "the same bug, slightly different text" overlaps.
+//   - family:detail signals (high_tool_usage:exec) contribute both the family and the detail.
+//   - plain signals (log_error, perf_bottleneck) are a single feature.
+// Family weights decide how much each kind of evidence counts towards similarity.
+
+const FAMILY_WEIGHTS = {
+  errsig: 2.0,
+  recurring_errsig: 1.5,
+  high_tool_usage: 0.5,
+  repeated_tool_usage: 0.5,
+};
+const DEFAULT_FAMILY_WEIGHT = 1.0;
+
+const STOPWORDS = new Set(['a', 'an', 'and', 'at', 'by', 'for', 'in', 'is', 'of', 'on', 'or', 'the', 'to', 'with']);
+const PLACEHOLDER_TOKENS = new Set(['path', 'n', 'hex']);
+
+function normalizeErrorSignature(text) {
+  const s = String(text || '').trim();
+  if (!s) return null;
+  return (
+    s
+      .toLowerCase()
+      // normalize Windows paths
+      .replace(/[a-z]:\\[^ \n\r\t]+/gi, '<path>')
+      // normalize Unix paths
+      .replace(/\/[^ \n\r\t]+/g, '<path>')
+      // normalize hex and numbers
+      .replace(/\b0x[0-9a-f]+\b/gi, '<hex>')
+      .replace(/\b\d+\b/g, '<n>')
+      // normalize whitespace
+      .replace(/\s+/g, ' ')
+      .slice(0, 220)
+  );
+}
+
+function tokenizeErrorSignature(text) {
+  const norm = normalizeErrorSignature(text);
+  if (!norm) return [];
+  return norm
+    .split(/[^a-z0-9_$]+/)
+    .filter(t => t.length >= 2 && !STOPWORDS.has(t) && !PLACEHOLDER_TOKENS.has(t) && !/^\d+$/.test(t));
+}
+
+// Split a signal into its family and free-text detail.
+function parseSignal(signal) {
+  const s = String(signal || '').trim();
+  if (!s) return null;
+  const recurring = s.match(/^recurring_errsig(?:\(\d+x\))?:(.*)$/);
+  if (recurring) return { family: 'recurring_errsig', detail: recurring[1], text: true };
+  if (s.startsWith('errsig:')) return { family: 'errsig', detail: s.slice('errsig:'.length), text: true };
+  const idx = s.indexOf(':');
+  if (idx > 0) return { family: s.slice(0, idx), detail: s.slice(idx + 1), text: false };
+  return { family: s, detail: '', text: false };
+}
+
+function familyWeight(family) {
+  return Object.prototype.hasOwnProperty.call(FAMILY_WEIGHTS, family) ? FAMILY_WEIGHTS[family] : DEFAULT_FAMILY_WEIGHT;
+}
+
+// Raw term frequencies for one signal set: Map<feature, { tf, weight }>.
+function signalFeatures(signals) {
+  const features = new Map();
+  const add = (feature, weight) => {
+    const cur = features.get(feature) || { tf: 0, weight };
+    cur.tf += 1;
+    cur.weight = Math.max(cur.weight, weight);
+    features.set(feature, cur);
+  };
+  for (const raw of Array.isArray(signals) ? signals : []) {
+    const sig = parseSignal(raw);
+    if (!sig) continue;
+    const w = familyWeight(sig.family);
+    add(`fam:${sig.family}`, w);
+    if (!sig.detail) continue;
+    if (sig.text) {
+      for (const tok of tokenizeErrorSignature(sig.detail)) add(`${sig.family}~${tok}`, w);
+    } else {
+      add(`${sig.family}:${sig.detail}`, w);
+    }
+  }
+  return features;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  for (const [k, v] of a) {
+    na += v * v;
+    const o = b.get(k);
+    if (o) dot += v * o;
+  }
+  for (const v of b.values()) nb += v * v;
+  if (na === 0 || nb === 0) return 0;
+  return dot / Math.sqrt(na * nb);
+}
+
+// Build a similarity function over a collection of signal sets (the "documents").
+// Rare features (a specific error token) weigh more than ubiquitous ones (fam:log_error).
+function buildSignalSimilarity(documents) {
+  const docs = (Array.isArray(documents) ? documents : []).map(signalFeatures);
+  const df = new Map();
+  for (const d of docs) {
+    for (const k of d.keys()) df.set(k, (df.get(k) || 0) + 1);
+  }
+  const n = docs.length;
+  const idf = k => Math.log((n + 1) / ((df.get(k) || 0) + 1)) + 1;
+
+  const vectorize = signals => {
+    const vec = new Map();
+    for (const [k, f] of signalFeatures(signals)) {
+      vec.set(k, (1 + Math.log(f.tf)) * idf(k) * f.weight);
+    }
+    return vec;
+  };
+
+  return {
+    vectorize,
+    similarity(aSignals, bSignals) {
+      const a = vectorize(aSignals);
+      const b = vectorize(bSignals);
+      if (a.size === 0 && b.size === 0) return 1;
+      return cosine(a, b);
+    },
+  };
+}
+
+module.exports = {
+  FAMILY_WEIGHTS,
+  normalizeErrorSignature,
+  tokenizeErrorSignature,
+  signalFeatures,
+  buildSignalSimilarity,
+};
@@ -1,3 +1,6 @@
+var { runDetectors, getSuppressionKey, isCosmeticSignal, isRepairSignal } = require('./signalDetectors');
+var { formatSessionRecords } = require('./sessionLog');
+
 // Opportunity signal names (shared with mutation.js and personality.js).
 var OPPORTUNITY_SIGNALS = [
   'user_feature_request',
@@ -49,8 +52,8 @@ function analyzeRecentHistory(recentEvents) {
     var sigs = Array.isArray(evt.signals) ? evt.signals : [];
     for (var k = 0; k < sigs.length; k++) {
       var s = String(sigs[k]);
-      // Normalize: ignore errsig details for frequency counting
-      var key = s.startsWith('errsig:') ? 'errsig' : s.startsWith('recurring_errsig') ? 'recurring_errsig' : s;
+      // Normalize via the owning detector (e.g. errsig details are ignored for frequency counting)
+      var key = getSuppressionKey(s);
       signalFreq[key] = (signalFreq[key] || 0) + 1;
     }
     var genes = Array.isArray(evt.genes_used) ? evt.genes_used : [];
@@ -84,138 +87,31 @@ function analyzeRecentHistory(recentEvents) {
   return { suppressedSignals: suppressedSignals, recentIntents: recentIntents, consecutiveRepairCount: consecutiveRepairCount, emptyCycleCount: emptyCycleCount, signalFreq: signalFreq, geneFreq: geneFreq };
 }
 
-function extractSignals({ recentSessionTranscript, todayLog, memorySnippet, userSnippet, recentEvents }) {
-  var signals = [];
+function extractSignals({ recentSessionTranscript, sessionRecords, todayLog, memorySnippet, userSnippet, recentEvents }) {
+  // Prefer typed session records: successful tool output is left out of the corpus so that a
+  // result which merely mentions "failed" is not mistaken for an error. The flattened
+  // transcript is only used when no records are available (e.g. "[NO SESSION LOGS FOUND]").
+  var records = Array.isArray(sessionRecords) ? sessionRecords : [];
+  var sessionText = records.length > 0
+    ? formatSessionRecords(records, { includeToolOutput: false })
+    : String(recentSessionTranscript || '');
   var corpus = [
-    String(recentSessionTranscript || ''),
+    sessionText,
     String(todayLog || ''),
     String(memorySnippet || ''),
     String(userSnippet || ''),
   ].join('\n');
-  var lower = corpus.toLowerCase();
 
   // Analyze recent evolution history for de-duplication
   var history = analyzeRecentHistory(recentEvents || []);
 
-  // --- Defensive signals (errors, missing resources) ---
-
-  var errorHit = /\[error|error:|exception|fail|failed|iserror":true/.test(lower);
-  if (errorHit) signals.push('log_error');
-
-  // Error signature (more reproducible than a coarse "log_error" tag).
-  try {
-    var lines = corpus
-      .split('\n')
-      .map(function (l) { return String(l || '').trim(); })
-      .filter(Boolean);
-
-    var errLine =
-      lines.find(function (l) { return /\b(typeerror|referenceerror|syntaxerror)\b\s*:|error\s*:|exception\s*:|\[error/i.test(l); }) ||
-      null;
-
-    if (errLine) {
-      var clipped = errLine.replace(/\s+/g, ' ').slice(0, 260);
-      signals.push('errsig:' + clipped);
-    }
-  } catch (e) {}
-
-  if (lower.includes('memory.md missing')) signals.push('memory_missing');
-  if (lower.includes('user.md missing')) signals.push('user_missing');
-  if (lower.includes('key missing')) signals.push('integration_key_missing');
-  if (lower.includes('no session logs found') || lower.includes('no jsonl files')) signals.push('session_logs_missing');
-  // if (lower.includes('pgrep') || lower.includes('ps aux')) signals.push('windows_shell_incompatible');
-  if (lower.includes('path.resolve(__dirname, \'../../../')) signals.push('path_outside_workspace');
-
-  // Protocol-specific drift signals
-  if (lower.includes('prompt') && !lower.includes('evolutionevent')) signals.push('protocol_drift');
-
-  // --- Recurring error detection (robustness signals) ---
-  // Count repeated identical errors -- these indicate systemic issues that need automated fixes
-  try {
-    var errorCounts = {};
-    var errPatterns = corpus.match(/(?:LLM error|"error"|"status":\s*"error")[^}]{0,200}/gi) || [];
-    for (var ep = 0; ep < errPatterns.length; ep++) {
-      // Normalize to a short key
-      var key = errPatterns[ep].replace(/\s+/g, ' ').slice(0, 100);
-      errorCounts[key] = (errorCounts[key] || 0) + 1;
-    }
-    var recurringErrors = Object.entries(errorCounts).filter(function (e) { return e[1] >= 3; });
-    if (recurringErrors.length > 0) {
-      signals.push('recurring_error');
-      // Include the top recurring error signature for the agent to diagnose
-      var topErr = recurringErrors.sort(function (a, b) { return b[1] - a[1]; })[0];
-      signals.push('recurring_errsig(' + topErr[1] + 'x):' + topErr[0].slice(0, 150));
-    }
-  } catch (e) {}
-
-  // --- Unsupported input type (e.g. GIF, video formats the LLM can't handle) ---
-  if (/unsupported mime|unsupported.*type|invalid.*mime/i.test(lower)) {
-    signals.push('unsupported_input_type');
-  }
-
-  // --- Opportunity signals (innovation / feature requests) ---
-
-  // user_feature_request: user explicitly asks for a new capability
-  // Look for action verbs + object patterns that indicate a feature request
-  if (/\b(add|implement|create|build|make|develop|write|design)\b[^.?!\n]{3,60}\b(feature|function|module|capability|tool|support|endpoint|command|option|mode)\b/i.test(corpus)) {
-    signals.push('user_feature_request');
-  }
-  // Also catch direct "I want/need X" patterns
-  if (/\b(i want|i need|we need|please add|can you add|could you add|let'?s add)\b/i.test(lower)) {
-    signals.push('user_feature_request');
-  }
-
-  // user_improvement_suggestion: user suggests making something better
-  if (/\b(should be|could be better|improve|enhance|upgrade|refactor|clean up|simplify|streamline)\b/i.test(lower)) {
-    // Only fire if there is no active error (to distinguish from repair requests)
-    if (!errorHit) signals.push('user_improvement_suggestion');
-  }
-
-  // perf_bottleneck: performance issues detected
-  if (/\b(slow|timeout|timed?\s*out|latency|bottleneck|took too long|performance issue|high cpu|high memory|oom|out of memory)\b/i.test(lower)) {
-    signals.push('perf_bottleneck');
-  }
-
-  // capability_gap: something is explicitly unsupported or missing
-  if (/\b(not supported|cannot|doesn'?t support|no way to|missing feature|unsupported|not available|not implemented|no support for)\b/i.test(lower)) {
-    // Only fire if it is not just a missing file/config signal
-    if (!signals.includes('memory_missing') && !signals.includes('user_missing') && !signals.includes('session_logs_missing')) {
-      signals.push('capability_gap');
-    }
-  }
-
-  // --- Tool Usage Analytics ---
-  var toolUsage = {};
-  var toolMatches = corpus.match(/\[TOOL:\s*(\w+)\]/g) || [];
-  
-  // Extract exec commands to identify benign loops (like watchdog checks)
-  var execCommands = corpus.match(/exec: (node\s+[\w\/\.-]+\.js\s+ensure)/g) || [];
-  var benignExecCount = execCommands.length;
-
-  for (var i = 0; i < toolMatches.length; i++) {
-    var toolName = toolMatches[i].match(/\[TOOL:\s*(\w+)\]/)[1];
-    toolUsage[toolName] = (toolUsage[toolName] || 0) + 1;
-  }
-  
-  // Adjust exec count by subtracting benign commands
-  if (toolUsage['exec']) {
-    toolUsage['exec'] = Math.max(0, toolUsage['exec'] - benignExecCount);
-  }
-  
-  Object.keys(toolUsage).forEach(function(tool) {
-    if (toolUsage[tool] >= 5) {
-      signals.push('high_tool_usage:' + tool);
-    }
-    // Detect repeated exec usage (often a sign of manual loops or inefficient automation)
-    if (tool === 'exec' && toolUsage[tool] >= 3) {
-      signals.push('repeated_tool_usage:exec');
-    }
-  });
+  // --- Detection: every signal family is a registered detector (see signalDetectors.js) ---
+  var signals = runDetectors(corpus, { records: records });
 
   // --- Signal prioritization ---
   // Remove cosmetic signals when actionable signals exist
   var actionable = signals.filter(function (s) {
-    return s !== 'user_missing' && s !== 'memory_missing' && s !== 'session_logs_missing' && s !== 'windows_shell_incompatible';
+    return !isCosmeticSignal(s);
   });
   // If we have actionable signals, drop the cosmetic ones
   if (actionable.length > 0) {
@@ -226,9 +122,7 @@ function extractSignals({ recentSessionTranscript, todayLog, memorySnippet, user
   if (history.suppressedSignals.size > 0) {
     var beforeDedup = signals.length;
     signals = signals.filter(function (s) {
-      // Normalize signal key for comparison
-      var key = s.startsWith('errsig:') ? 'errsig' : s.startsWith('recurring_errsig') ? 'recurring_errsig' : s;
-      return !history.suppressedSignals.has(key);
+      return !history.suppressedSignals.has(getSuppressionKey(s));
     });
     if (beforeDedup > 0 && signals.length === 0) {
       // All signals were suppressed = system is stable but stuck in a loop
@@ -241,9 +135,7 @@ function extractSignals({ recentSessionTranscript, todayLog, memorySnippet, user
   // --- Force innovation after 3+ consecutive repairs ---
   if (history.consecutiveRepairCount >= 3) {
     // Remove repair-only signals (log_error, errsig) and inject innovation signals
-    signals = signals.filter(function (s) {
-      return s !== 'log_error' && !s.startsWith('errsig:') && !s.startsWith('recurring_errsig');
-    });
+    signals = signals.filter(function (s) { return !isRepairSignal(s); });
     if (signals.length === 0) {
       signals.push('repair_loop_detected');
       signals.push('stable_success_plateau');
@@ -256,9 +148,7 @@ function extractSignals({ recentSessionTranscript, todayLog, memorySnippet, user
   // If >= 50% of last 8 cycles produced no code changes, the evolver is spinning idle.
   // Strip repair signals and force innovate to break the empty loop.
   if (history.emptyCycleCount >= 4) {
-    signals = signals.filter(function (s) {
-      return s !== 'log_error' && !s.startsWith('errsig:') && !s.startsWith('recurring_errsig');
-    });
+    signals = signals.filter(function (s) { return !isRepairSignal(s); });
     if (!signals.includes('empty_cycle_loop_detected')) signals.push('empty_cycle_loop_detected');
     if (!signals.includes('stable_success_plateau')) signals.push('stable_success_plateau');
   }
@@ -0,0 +1,237 @@
+// Ed25519 node identity and detached signatures for A2A messages and assets.
+//
+// Each node generates one key pair on first use and keeps it in memory/a2a/node_key.json (mode
+// 0600; A2A_KEY_FILE overrides). signObject() attaches a `signature` block:
+//
+//   { alg: 'ed25519', node_id, key_id, public_key, signed_at, value }
+//
+// `value` signs contentHash.canonicalize() of the object with the block minus `value`, so the
+// claimed node id and key are covered too. The block is excluded from asset_id (see
+// contentHash.computeAssetId): who signed an asset does not change what it is.
+//
+// A valid signature only proves the holder of public_key signed the content. Whether that key
+// speaks for node_id is decided by the local trust store, memory/a2a/trust_store.json
+// (A2A_TRUST_STORE overrides), managed with scripts/a2a_trust.js. The node's own key is always
+// trusted.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getMemoryDir } = require('./paths');
+const { canonicalize } = require('./contentHash');
+
+const ALG = 'ed25519';
+const SIGNATURE_POLICIES = ['off', 'verify', 'require'];
+
+function keyFilePath() {
+  return process.env.A2A_KEY_FILE ? path.resolve(process.env.A2A_KEY_FILE) : path.join(getMemoryDir(), 'a2a', 'node_key.json');
+}
+
+function trustStorePath() {
+  return process.env.A2A_TRUST_STORE ? path.resolve(process.env.A2A_TRUST_STORE) : path.join(getMemoryDir(), 'a2a', 'trust_store.json');
+}
+
+function isSigningEnabled() {
+  return String(process.env.A2A_SIGN || 'true').toLowerCase() !== 'false';
+}
+
+// key_id: short fingerprint of the SPKI-encoded public key (base64).
+function keyIdFor(publicKeyB64) {
+  const der = Buffer.from(String(publicKeyB64 || ''), 'base64');
+  return `${ALG}:${crypto.createHash('sha256').update(der).digest('hex').slice(0, 24)}`;
+}
+
+function writeFileAtomic(file, text, mode) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp.${process.pid}`;
+  fs.writeFileSync(tmp, text, { encoding: 'utf8', mode });
+  fs.renameSync(tmp, file);
+}
+
+let cachedKey = null;
+
+// Load the node key pair, generating and persisting it on first use.
+// Returns { key_id, public_key, privateKey (KeyObject), created_at }.
+function loadOrCreateNodeKey() {
+  const file = keyFilePath();
+  if (cachedKey && cachedKey.file === file) return cachedKey;
+  let stored = null;
+  try {
+    if (fs.existsSync(file)) stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`unreadable node key ${file}: ${e.message}`);
+  }
+  if (!stored) {
+    const pair = crypto.generateKeyPairSync(ALG);
+    const publicKey = pair.publicKey.export({ type: 'spki', format: 'der' }).toString('base64');
+    stored = {
+      alg: ALG,
+      key_id: keyIdFor(publicKey),
+      public_key: publicKey,
+      private_key: pair.privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      created_at: new Date().toISOString(),
+    };
+    writeFileAtomic(file, JSON.stringify(stored, null, 2) + '\n', 0o600);
+  }
+  cachedKey = {
+    file,
+    key_id: stored.key_id || keyIdFor(stored.public_key),
+    public_key: stored.public_key,
+    privateKey: crypto.createPrivateKey(stored.private_key),
+    created_at: stored.created_at || null,
+  };
+  return cachedKey;
+}
+
+function signingInput(obj, block) {
+  const { value, ...unsigned } = block;
+  const clean = {};
+  for (const k of Object.keys(obj)) {
+    if (k !== 'signature') clean[k] = obj[k];
+  }
+  clean.signature = unsigned;
+  return Buffer.from(canonicalize(clean), 'utf8');
+}
+
+// Returns a copy of obj with a fresh `signature` block (any previous one is replaced).
+function signObject(obj, { nodeId } = {}) {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) throw new Error('signObject: object required');
+  const key = loadOrCreateNodeKey();
+  const block = {
+    alg: ALG,
+    node_id: nodeId ? String(nodeId) : require('./a2aProtocol').getNodeId(),
+    key_id: key.key_id,
+    public_key: key.public_key,
+    signed_at: new Date().toISOString(),
+  };
+  const out = { ...obj };
+  delete out.signature;
+  block.value = crypto.sign(null, signingInput(out, block), key.privateKey).toString('base64');
+  out.signature = block;
+  return out;
+}
+
+function readTrustStore() {
+  const file = trustStorePath();
+  try {
+    if (!fs.existsSync(file)) return { keys: [] };
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { ...data, keys: Array.isArray(data.keys) ? data.keys : [] };
+  } catch (e) {
+    console.warn(`[Signing] Unreadable trust store ${file}: ${e.message}`);
+    return { keys: [] };
+  }
+}
+
+function writeTrustStore(store) {
+  writeFileAtomic(trustStorePath(), JSON.stringify({ ...store, keys: store.keys || [] }, null, 2) + '\n', 0o644);
+}
+
+// Trust publicKey (base64 SPKI) to speak for nodeId. Replaces an existing entry for the same key.
+function trustKey({ nodeId, publicKey, label = null }) {
+  if (!nodeId) throw new Error('trustKey: node id required');
+  try {
+    crypto.createPublicKey({ key: Buffer.from(String(publicKey || ''), 'base64'), format: 'der', type: 'spki' });
+  } catch (e) {
+    throw new Error(`trustKey: not a base64 SPKI public key: ${e.message}`);
+  }
+  const entry = { key_id: keyIdFor(publicKey), node_id: String(nodeId), public_key: String(publicKey), label, added_at: new Date().toISOString() };
+  const store = readTrustStore();
+  store.keys = store.keys.filter(k => k && k.key_id !== entry.key_id).concat([entry]);
+  writeTrustStore(store);
+  return entry;
+}
+
+function untrustKey(keyId) {
+  const store = readTrustStore();
+  const before = store.keys.length;
+  store.keys = store.keys.filter(k => k && k.key_id !== String(keyId));
+  if (store.keys.length === before) return false;
+  writeTrustStore(store);
+  return true;
+}
+
+// Check obj.signature. Returns { signed, valid, trusted, node_id, key_id, reason }:
+//   reason is null when valid and trusted, otherwise one of unsigned, malformed_signature,
+//   key_id_mismatch, bad_signature, untrusted_key, node_id_mismatch (the key is trusted for a
+//   different node) or impersonation (the node is known under another key).
+function verifySignature(obj, { trustStore } = {}) {
+  const sig = obj && typeof obj === 'object' ? obj.signature : null;
+  const res = { signed: false, valid: false, trusted: false, node_id: null, key_id: null, reason: 'unsigned' };
+  if (!sig || typeof sig !== 'object') return res;
+  res.signed = true;
+  res.node_id = sig.node_id ? String(sig.node_id) : null;
+  res.key_id = sig.key_id ? String(sig.key_id) : null;
+  if (sig.alg !== ALG || !sig.public_key || !sig.value || !res.node_id) return { ...res, reason: 'malformed_signature' };
+  if (keyIdFor(sig.public_key) !== res.key_id) return { ...res, reason: 'key_id_mismatch' };
+  let ok = false;
+  try {
+    const publicKey = crypto.createPublicKey({ key: Buffer.from(String(sig.public_key), 'base64'), format: 'der', type: 'spki' });
+    ok = crypto.verify(null, signingInput(obj, sig), publicKey, Buffer.from(String(sig.value), 'base64'));
+  } catch (e) {
+    ok = false;
+  }
+  if (!ok) return { ...res, reason: 'bad_signature' };
+  res.valid = true;
+
+  let own = null;
+  try {
+    own = loadOrCreateNodeKey();
+  } catch (e) {}
+  if (own && own.key_id === res.key_id) return { ...res, trusted: true, reason: null };
+  const store = trustStore || readTrustStore();
+  const entry = store.keys.find(k => k && k.key_id === res.key_id);
+  if (entry) {
+    if (entry.node_id && String(entry.node_id) !== res.node_id) return { ...res, reason: 'node_id_mismatch' };
+    return { ...res, trusted: true, reason: null };
+  }
+  if (store.keys.some(k => k && String(k.node_id) === res.node_id)) return { ...res, reason: 'impersonation' };
+  return { ...res, reason: 'untrusted_key' };
+}
+
+// A protocol message is only as good as its signer: the signature must also name the sender.
+function verifyMessage(msg, opts) {
+  const res = verifySignature(msg, opts);
+  if (res.valid && msg && msg.sender_id && String(msg.sender_id) !== res.node_id) {
+    return { ...res, trusted: false, reason: 'node_id_mismatch' };
+  }
+  return res;
+}
+
+// How inbound A2A content is checked (A2A_SIGNATURE_POLICY): off, verify (default) or require.
+function signaturePolicy() {
+  const policy = String(process.env.A2A_SIGNATURE_POLICY || 'verify').toLowerCase().trim();
+  if (!SIGNATURE_POLICIES.includes(policy)) {
+    throw new Error(`Invalid A2A_SIGNATURE_POLICY: ${policy}. Use ${SIGNATURE_POLICIES.join(', ')}.`);
+  }
+  return policy;
+}
+
+// Why a signature check fails inbound content, or null. Forged, tampered and impersonating
+// signatures always fail; under `require` so does anything not signed by a trusted key.
+function signatureProblem(sig, policy) {
+  if (sig.signed && !sig.valid) return `signature check failed: ${sig.reason}`;
+  if (sig.reason === 'node_id_mismatch' || sig.reason === 'impersonation') {
+    return `signature check failed: ${sig.reason} (node ${sig.node_id}, key ${sig.key_id})`;
+  }
+  if (policy === 'require' && !sig.trusted) return `trusted signature required: ${sig.reason}`;
+  return null;
+}
+
+module.exports = {
+  ALG,
+  SIGNATURE_POLICIES,
+  keyFilePath,
+  trustStorePath,
+  isSigningEnabled,
+  keyIdFor,
+  loadOrCreateNodeKey,
+  signObject,
+  verifySignature,
+  verifyMessage,
+  signaturePolicy,
+  signatureProblem,
+  readTrustStore,
+  trustKey,
+  untrustKey,
+};
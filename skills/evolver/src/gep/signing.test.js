@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evolver-signing-'));
+const ownKeyFile = path.join(dir, 'own_key.json');
+const peerKeyFile = path.join(dir, 'peer_key.json');
+process.env.A2A_KEY_FILE = ownKeyFile;
+process.env.A2A_TRUST_STORE = path.join(dir, 'trust_store.json');
+
+const signing = require('./signing');
+const { computeAssetId } = require('./contentHash');
+
+// Sign as another node: the key file decides whose key signs.
+function signAsPeer(obj, nodeId = 'node_peer') {
+  process.env.A2A_KEY_FILE = peerKeyFile;
+  try {
+    return { signed: signing.signObject(obj, { nodeId }), key: signing.loadOrCreateNodeKey() };
+  } finally {
+    process.env.A2A_KEY_FILE = ownKeyFile;
+  }
+}
+
+const asset = { type: 'Capsule', id: 'capsule_1', summary: 'fix the flaky parser', outcome: { status: 'success', score: 0.9 } };
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('the node key is created once, private and reused', () => {
+  const key = signing.loadOrCreateNodeKey();
+  assert.strictEqual(key.key_id, signing.keyIdFor(key.public_key));
+  assert.strictEqual(fs.statSync(ownKeyFile).mode & 0o777, 0o600);
+  assert.strictEqual(signing.loadOrCreateNodeKey().key_id, key.key_id);
+});
+
+test('own signatures verify and are trusted', () => {
+  const signed = signing.signObject(asset, { nodeId: 'node_self' });
+  const res = signing.verifySignature(signed);
+  assert.deepStrictEqual(
+    { signed: res.signed, valid: res.valid, trusted: res.trusted, node_id: res.node_id, reason: res.reason },
+    { signed: true, valid: true, trusted: true, node_id: 'node_self', reason: null }
+  );
+});
+
+test('the signature does not change the asset id', () => {
+  const signed = signing.signObject(asset, { nodeId: 'node_self' });
+  assert.strictEqual(computeAssetId(signed), computeAssetId(asset));
+});
+
+test('tampered content and a swapped claimed node fail', () => {
+  const signed = signing.signObject(asset, { nodeId: 'node_self' });
+  const tampered = { ...signed, summary: 'something else' };
+  assert.strictEqual(signing.verifySignature(tampered).reason, 'bad_signature');
+  const renamed = { ...signed, signature: { ...signed.signature, node_id: 'node_other' } };
+  assert.strictEqual(signing.verifySignature(renamed).reason, 'bad_signature');
+  const rekeyed = { ...signed, signature: { ...signed.signature, key_id: 'ed25519:000000000000000000000000' } };
+  assert.strictEqual(signing.verifySignature(rekeyed).reason, 'key_id_mismatch');
+  assert.strictEqual(signing.verifySignature(asset).reason, 'unsigned');
+});
+
+test('peer keys are untrusted until added to the trust store', () => {
+  const { signed, key } = signAsPeer(asset);
+  const before = signing.verifySignature(signed);
+  assert.strictEqual(before.valid, true);
+  assert.strictEqual(before.trusted, false);
+  assert.strictEqual(before.reason, 'untrusted_key');
+
+  signing.trustKey({ nodeId: 'node_peer', publicKey: key.public_key, label: 'test peer' });
+  assert.strictEqual(signing.verifySignature(signed).trusted, true);
+
+  assert.strictEqual(signing.untrustKey(key.key_id), true);
+  assert.strictEqual(signing.verifySignature(signed).trusted, false);
+  assert.strictEqual(signing.untrustKey(key.key_id), false);
+});
+
+test('a trusted key cannot speak for another node, and a known node cannot switch keys', () => {
+  const { key } = signAsPeer(asset);
+  signing.trustKey({ nodeId: 'node_peer', publicKey: key.public_key });
+  try {
+    const { signed: asOther } = signAsPeer(asset, 'node_other');
+    assert.strictEqual(signing.verifySignature(asOther).reason, 'node_id_mismatch');
+
+    const store = { keys: [{ key_id: 'ed25519:ffffffffffffffffffffffff', node_id: 'node_known', public_key: 'x' }] };
+    const { signed: impostor } = signAsPeer(asset, 'node_known');
+    assert.strictEqual(signing.verifySignature(impostor, { trustStore: store }).reason, 'impersonation');
+  } finally {
+    signing.untrustKey(key.key_id);
+  }
+});
+
+test('a message signature must name its sender', () => {
+  const msg = signing.signObject({ protocol: 'gep-a2a', message_type: 'hello', sender_id: 'node_self', payload: {} }, { nodeId: 'node_self' });
+  assert.strictEqual(signing.verifyMessage(msg).reason, null);
+  const spoofed = signing.signObject({ ...msg, sender_id: 'node_victim' }, { nodeId: 'node_self' });
+  const res = signing.verifyMessage(spoofed);
+  assert.strictEqual(res.valid, true);
+  assert.strictEqual(res.trusted, false);
+  assert.strictEqual(res.reason, 'node_id_mismatch');
+});
+
+test('trustKey rejects anything that is not a public key', () => {
+  assert.throws(() => signing.trustKey({ nodeId: 'node_peer', publicKey: 'not-a-key' }), /not a base64 SPKI public key/);
+  assert.throws(() => signing.trustKey({ publicKey: signing.loadOrCreateNodeKey().public_key }), /node id required/);
+});
+
+test('signature policy decides what inbound content fails', () => {
+  const unsigned = signing.verifySignature(asset);
+  const { signed } = signAsPeer(asset);
+  const untrusted = signing.verifySignature(signed);
+  const forged = signing.verifySignature({ ...signed, summary: 'forged' });
+  assert.strictEqual(signing.signatureProblem(unsigned, 'verify'), null);
+  assert.strictEqual(signing.signatureProblem(untrusted, 'verify'), null);
+  assert.match(signing.signatureProblem(forged, 'off'), /bad_signature/);
+  assert.match(signing.signatureProblem(unsigned, 'require'), /trusted signature required: unsigned/);
+  assert.match(signing.signatureProblem(untrusted, 'require'), /untrusted_key/);
+});
+
+test('an unknown policy is a configuration error', () => {
+  process.env.A2A_SIGNATURE_POLICY = 'strict';
+  try {
+    assert.throws(() => signing.signaturePolicy(), /Invalid A2A_SIGNATURE_POLICY/);
+  } finally {
+    delete process.env.A2A_SIGNATURE_POLICY;
+  }
+  assert.strictEqual(signing.signaturePolicy(), 'verify');
+});
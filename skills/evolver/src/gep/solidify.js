@@ -1,10 +1,11 @@
 const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
 const { execSync } = require('child_process');
-const { loadGenes, upsertGene, appendEventJsonl, appendCapsule, upsertCapsule, getLastEventId } = require('./assetStore');
+const { loadGenes, loadCapsules, upsertGene, appendEventJsonl, appendCapsule, upsertCapsule, getLastEventId, findEvents } = require('./assetStore');
 const { computeSignalKey, memoryGraphPath } = require('./memoryGraph');
 const { computeCapsuleSuccessStreak, isBlastRadiusSafe } = require('./a2a');
-const { getRepoRoot, getMemoryDir, getEvolutionDir, getWorkspaceRoot } = require('./paths');
+const { getRepoRoot, getMemoryDir, getEvolutionDir, getOpenclawConfigPath } = require('./paths');
 const { extractSignals } = require('./signals');
 const { selectGene } = require('./selector');
 const { isValidMutation, normalizeMutation, isHighRiskMutationAllowed, isHighRiskPersonality } = require('./mutation');
@@ -17,6 +18,13 @@ const {
 const { computeAssetId, SCHEMA_VERSION } = require('./contentHash');
 const { captureEnvFingerprint } = require('./envFingerprint');
 const { buildValidationReport } = require('./validationReport');
+const { computeFitness, settleFitness } = require('./fitness');
+const { isActiveSandbox, promoteSandbox, discardSandbox } = require('./sandbox');
+const { loadDependencyGraph, analyzeDependencyImpact } = require('./depGraph');
+const { runValidationCommands } = require('./validationRunner');
+const { writeRegressionTest, addTestsToGene, resolveTestCommand } = require('./regressionTests');
+const { initialLifecycle } = require('./lifecycle');
+const { createPending } = require('./approval');
 
 function nowIso() {
   return new Date().toISOString();
@@ -112,8 +120,7 @@ function readOpenclawConstraintPolicy() {
     includeExtensions: ['.js', '.cjs', '.mjs', '.ts', '.tsx', '.json', '.yaml', '.yml', '.toml', '.ini', '.sh'],
   };
   try {
-    const root = path.resolve(getWorkspaceRoot(), '..');
-    const cfgPath = path.join(root, 'openclaw.json');
+    const cfgPath = getOpenclawConfigPath();
     if (!fs.existsSync(cfgPath)) return defaults;
     const obj = readJsonIfExists(cfgPath, {});
     const pol =
@@ -178,6 +185,35 @@ function isConstraintCountedPath(relPath, policy) {
   return false;
 }
 
+// Content hashes of the live workspace's uncommitted, constraint-counted files (the evolver's own
+// memory/ and assets/ writes do not count). evolve.run() records it next to a worktree sandbox;
+// solidify() compares it again to catch a Hand agent that edited the live tree instead.
+function snapshotLiveChanges(repoRoot) {
+  const tracked = tryRunCmd('git diff --name-only --relative HEAD', { cwd: repoRoot, timeoutMs: 60000 });
+  const untracked = tryRunCmd('git ls-files --others --exclude-standard', { cwd: repoRoot, timeoutMs: 60000 });
+  if (!tracked.ok || !untracked.ok) return null;
+  const policy = readOpenclawConstraintPolicy();
+  const out = {};
+  const rels = `${tracked.out}\n${untracked.out}`.split('\n').map(normalizeRelPath).filter(Boolean);
+  for (const rel of rels) {
+    if (!isConstraintCountedPath(rel, policy)) continue;
+    try {
+      out[rel] = crypto.createHash('sha256').update(fs.readFileSync(path.join(repoRoot, rel))).digest('hex');
+    } catch (e) {
+      out[rel] = 'missing';
+    }
+  }
+  return out;
+}
+
+// Paths whose live state differs between two snapshotLiveChanges() results.
+function liveChangesSince(baseline, current) {
+  const changed = new Set();
+  for (const rel of Object.keys(current || {})) if (baseline[rel] !== current[rel]) changed.add(rel);
+  for (const rel of Object.keys(baseline || {})) if (!current || !(rel in current)) changed.add(rel);
+  return Array.from(changed).sort();
+}
+
 function parseNumstatRows(text) {
   const rows = [];
   const lines = String(text || '').split('\n').map(l => l.trim()).filter(Boolean);
@@ -234,15 +270,38 @@ function computeBlastRadius({ repoRoot, baselineUntracked }) {
     }
   }
   const churn = stagedUnstagedChurn + untrackedLines;
+  const dependency = computeDependencyImpact({ repoRoot, changedFiles: countedFiles });
   return {
     files: filesCount,
     lines: churn,
+    dependents: dependency ? dependency.dependents : 0,
+    skills_affected: dependency ? dependency.skills_affected : 0,
+    dependency,
     changed_files: countedFiles,
     ignored_files: ignoredFiles,
     all_changed_files: changedFiles,
   };
 }
 
+// Transitive require() dependents of the touched modules across the git workspace.
+// Non-fatal: without git or on scan errors the radius falls back to files/lines only.
+function computeDependencyImpact({ repoRoot, changedFiles }) {
+  try {
+    const top = tryRunCmd('git rev-parse --show-toplevel', { cwd: repoRoot, timeoutMs: 10000 });
+    const root = top.ok && String(top.out).trim() ? String(top.out).trim() : repoRoot;
+    // git diff paths are relative to the top level, untracked ones to repoRoot.
+    const files = changedFiles.map(f => {
+      if (fs.existsSync(path.join(root, f))) return f;
+      const abs = path.join(repoRoot, f);
+      return fs.existsSync(abs) ? path.relative(root, abs).split(path.sep).join('/') : f;
+    });
+    return analyzeDependencyImpact(loadDependencyGraph({ root }), files);
+  } catch (e) {
+    console.warn(`[Solidify] Dependency graph failed (non-fatal): ${e.message}`);
+    return null;
+  }
+}
+
 function isForbiddenPath(relPath, forbiddenPaths) {
   const rel = String(relPath || '').replace(/\\/g, '/').replace(/^\.\/+/, '');
   const list = Array.isArray(forbiddenPaths) ? forbiddenPaths : [];
@@ -263,6 +322,12 @@ function checkConstraints({ gene, blast }) {
   if (Number.isFinite(maxFiles) && maxFiles > 0) {
     if (Number(blast.files) > maxFiles) violations.push(`max_files exceeded: ${blast.files} > ${maxFiles}`);
   }
+  const maxDependents = Number(constraints.max_dependents);
+  if (Number.isFinite(maxDependents) && maxDependents >= 0 && blast.dependency) {
+    if (Number(blast.dependents) > maxDependents) {
+      violations.push(`max_dependents exceeded: ${blast.dependents} > ${maxDependents}`);
+    }
+  }
   const forbidden = Array.isArray(constraints.forbidden_paths) ? constraints.forbidden_paths : [];
   for (const f of blast.all_changed_files || blast.changed_files || []) {
     if (isForbiddenPath(f, forbidden)) violations.push(`forbidden_path touched: ${f}`);
@@ -305,6 +370,16 @@ function buildEventId(tsIso) {
   return `evt_${Number.isFinite(t) ? t : Date.now()}`;
 }
 
+// Commit message for a promoted cycle. The trailers let `node index.js revert <event_id>` find
+// the commit again by event id, run id or cycle tag.
+function buildCycleCommitMessage({ geneId, eventId, signals, lastRun }) {
+  const lines = [`evolver: ${geneId || 'cycle'} (${eventId})`, '', `signals: ${signals.slice(0, 8).join(', ') || '(none)'}`, ''];
+  lines.push(`Evolver-Event: ${eventId}`);
+  if (lastRun && lastRun.run_id) lines.push(`Evolver-Run: ${lastRun.run_id}`);
+  if (lastRun && lastRun.cycle_id) lines.push(`Evolver-Cycle: ${lastRun.cycle_id}`);
+  return lines.join('\n');
+}
+
 function buildCapsuleId(tsIso) {
   const t = Date.parse(tsIso);
   return `capsule_${Number.isFinite(t) ? t : Date.now()}`;
@@ -389,6 +464,8 @@ function detectDestructiveChanges({ repoRoot, changedFiles, baselineUntracked })
 }
 
 // --- Validation command safety ---
+const BROADCAST_MIN_SCORE = 0.7;
+
 const VALIDATION_ALLOWED_PREFIXES = ['node ', 'npm ', 'npx '];
 
 function isValidationCommandAllowed(cmd) {
@@ -401,24 +478,61 @@ function isValidationCommandAllowed(cmd) {
   return true;
 }
 
-function runValidations(gene, opts = {}) {
+// Every command is checked before any of them runs; the allowed ones then go through the
+// sandboxed runner (scrubbed env, resource limits, optional read-only copy, see validationRunner.js).
+async function runValidations(gene, opts = {}) {
   const repoRoot = opts.repoRoot || getRepoRoot();
-  const timeoutMs = Number.isFinite(Number(opts.timeoutMs)) ? Number(opts.timeoutMs) : 180000;
   const validation = Array.isArray(gene && gene.validation) ? gene.validation : [];
-  const results = [];
+  const commands = validation.map(c => String(c || '').trim()).filter(Boolean);
   const startedAt = Date.now();
-  for (const cmd of validation) {
-    const c = String(cmd || '').trim();
-    if (!c) continue;
-    if (!isValidationCommandAllowed(c)) {
-      results.push({ cmd: c, ok: false, out: '', err: 'BLOCKED: validation command rejected by safety check (allowed prefixes: node/npm/npx; shell operators prohibited)' });
-      return { ok: false, results, startedAt, finishedAt: Date.now() };
+  const blocked = commands.find(c => !isValidationCommandAllowed(c));
+  if (blocked) {
+    const results = [{ cmd: blocked, ok: false, out: '', err: 'BLOCKED: validation command rejected by safety check (allowed prefixes: node/npm/npx; shell operators prohibited)' }];
+    return { ok: false, results, startedAt, finishedAt: Date.now(), sandbox: null };
+  }
+  return runValidationCommands(commands.map(c => resolveTestCommand(c, repoRoot)), { cwd: repoRoot, limits: opts.limits });
+}
+
+// Write a regression test per captured errsig, keep the ones that pass against the fixed code in
+// workRoot, and append them to the gene's validation list (see regressionTests.js).
+async function synthesizeRegressionTests({ gene, evidence, eventId, workRoot }) {
+  const out = [];
+  const added = [];
+  for (const ev of evidence) {
+    let written = null;
+    try {
+      written = writeRegressionTest({ gene, evidence: ev, eventId, workspaceRoot: path.resolve(workRoot, '..', '..') });
+    } catch (e) {
+      out.push({ errsig: ev.errsig || null, status: 'error', reason: e.message });
+      continue;
+    }
+    if (!written) {
+      out.push({ errsig: ev.errsig || null, status: 'skipped', reason: 'no_module_or_replayable_command' });
+      continue;
+    }
+    const run = await runValidationCommands([resolveTestCommand(written.command, workRoot)], { cwd: workRoot });
+    if (run.ok) {
+      added.push(written.command);
+      out.push({ errsig: ev.errsig || null, status: 'added', command: written.command });
+    } else {
+      try {
+        fs.unlinkSync(written.file);
+      } catch (e) {}
+      const r = run.results[0] || {};
+      out.push({ errsig: ev.errsig || null, status: 'rejected', reason: String(r.err || r.out || 'test_failed').slice(0, 300) });
     }
-    const r = tryRunCmd(c, { cwd: repoRoot, timeoutMs });
-    results.push({ cmd: c, ok: r.ok, out: String(r.out || ''), err: String(r.err || '') });
-    if (!r.ok) return { ok: false, results, startedAt, finishedAt: Date.now() };
   }
-  return { ok: true, results, startedAt, finishedAt: Date.now() };
+  if (added.length) {
+    const dropped = addTestsToGene(gene, added);
+    for (const c of dropped) {
+      try {
+        fs.unlinkSync(path.resolve(getRepoRoot(), c.replace(/^node\s+/, '')));
+      } catch (e) {}
+    }
+    gene.asset_id = computeAssetId(gene);
+    upsertGene(gene);
+  }
+  return out;
 }
 
 function rollbackTracked(repoRoot) {
@@ -504,6 +618,8 @@ function buildAutoGene({ signals, intent }) {
       ],
     },
     validation: ['node -e "require(\'./src/gep/solidify\'); console.log(\'ok\')"'],
+    // Auto genes start on probation; lifecycle rules promote or retire them from their outcomes.
+    lifecycle: initialLifecycle('probation', 'auto-generated: no existing gene matched the signals'),
   };
   gene.asset_id = computeAssetId(gene);
   return gene;
@@ -535,7 +651,9 @@ function readRecentSessionInputs() {
   return { recentSessionTranscript, todayLog: todayLogContent, memorySnippet, userSnippet };
 }
 
-function solidify({ intent, summary, dryRun = false, rollbackOnFailure = true } = {}) {
+// approval: { id, decision: 'approve'|'reject', by, reason } when resolving a review-mode cycle
+// (see approval.js); review-mode cycles without one are queued instead of landing.
+async function solidify({ intent, summary, dryRun = false, rollbackOnFailure = true, approval = null } = {}) {
   const repoRoot = getRepoRoot();
   const state = readStateForSolidify();
   const lastRun = state && state.last_run ? state.last_run : null;
@@ -572,17 +690,18 @@ function solidify({ intent, summary, dryRun = false, rollbackOnFailure = true }
 
   const ensured = ensureGene({ genes, selectedGene, signals, intent, dryRun: !!dryRun });
   const geneUsed = ensured.gene;
-  const blast = computeBlastRadius({
-    repoRoot,
-    baselineUntracked: lastRun && Array.isArray(lastRun.baseline_untracked) ? lastRun.baseline_untracked : [],
-  });
+  // Sandboxed cycles are measured and validated inside their worktree, which started clean.
+  const sandbox = lastRun && isActiveSandbox(lastRun.sandbox) ? lastRun.sandbox : null;
+  const workRoot = sandbox ? sandbox.repo_root : repoRoot;
+  const baselineUntracked = sandbox ? [] : lastRun && Array.isArray(lastRun.baseline_untracked) ? lastRun.baseline_untracked : [];
+  const blast = computeBlastRadius({ repoRoot: workRoot, baselineUntracked });
   const constraintCheck = checkConstraints({ gene: geneUsed, blast });
 
   // Critical safety: detect destructive changes to core dependencies.
   const destructiveViolations = detectDestructiveChanges({
-    repoRoot,
+    repoRoot: workRoot,
     changedFiles: blast.all_changed_files || blast.changed_files || [],
-    baselineUntracked: lastRun && Array.isArray(lastRun.baseline_untracked) ? lastRun.baseline_untracked : [],
+    baselineUntracked,
   });
   if (destructiveViolations.length > 0) {
     for (const v of destructiveViolations) {
@@ -592,12 +711,26 @@ function solidify({ intent, summary, dryRun = false, rollbackOnFailure = true }
     console.error(`[Solidify] CRITICAL: Destructive changes detected: ${destructiveViolations.join('; ')}`);
   }
 
+  // The executor must edit only the worktree: live edits made during the cycle would be measured,
+  // validated and promoted by nobody. An approval re-run skips this: the check passed when the
+  // cycle was queued, and the reviewer may edit the live tree in the meantime.
+  if (sandbox && !approval && lastRun.baseline_live_changes) {
+    const current = snapshotLiveChanges(repoRoot);
+    const strayEdits = current ? liveChangesSince(lastRun.baseline_live_changes, current) : [];
+    if (strayEdits.length > 0) {
+      constraintCheck.violations.push(`live workspace changed during sandboxed cycle: ${strayEdits.slice(0, 5).join(', ')}${strayEdits.length > 5 ? ` (+${strayEdits.length - 5} more)` : ''}`);
+      constraintCheck.ok = false;
+      console.error(`[Sandbox] Live workspace edited outside the worktree: ${strayEdits.join(', ')}`);
+    }
+  }
+
   // Capture environment fingerprint before validation.
   const envFp = captureEnvFingerprint();
 
-  let validation = { ok: true, results: [], startedAt: null, finishedAt: null };
-  if (geneUsed) {
-    validation = runValidations(geneUsed, { repoRoot, timeoutMs: 180000 });
+  const rejected = !!(approval && approval.decision === 'reject');
+  let validation = { ok: true, results: [], startedAt: null, finishedAt: null, sandbox: null };
+  if (geneUsed && !rejected) {
+    validation = await runValidations(geneUsed, { repoRoot: workRoot });
   }
 
   // Build standardized ValidationReport (machine-readable, interoperable).
@@ -608,12 +741,67 @@ function solidify({ intent, summary, dryRun = false, rollbackOnFailure = true }
     envFp: envFp,
     startedAt: validation.startedAt,
     finishedAt: validation.finishedAt,
+    sandbox: validation.sandbox,
   });
 
-  const success = constraintCheck.ok && validation.ok && protocolViolations.length === 0;
+  let success = constraintCheck.ok && validation.ok && protocolViolations.length === 0;
+
+  // Review mode: a cycle that passed every check waits for a human before it lands or is recorded.
+  if (success && !dryRun && lastRun && lastRun.review_mode && !approval) {
+    const record = createPending({
+      lastRun, intent, summary, signals, gene: geneUsed, mutation, personalityState,
+      blast, constraintCheck, validation, sandbox, workRoot, baselineUntracked,
+    });
+    console.log(`[Approval] Cycle queued for review: ${record.id} (${blast.files} files, ${blast.lines} lines)`);
+    return { ok: false, pending: true, approval: record, event: null, capsule: null, gene: geneUsed, constraintCheck, validation, validationReport, blast, promotion: null, publishResult: null };
+  }
+  if (rejected) success = false;
   const ts = nowIso();
+  const eventId = buildEventId(ts);
+
+  // Promote the sandbox before anything is recorded: a cycle that cannot land is a failed cycle.
+  let promotion = null;
+  if (sandbox && success && !dryRun) {
+    promotion = promoteSandbox(sandbox, {
+      message: buildCycleCommitMessage({ geneId: geneUsed && geneUsed.id, eventId, signals, lastRun }),
+    });
+    if (!promotion.ok) {
+      success = false;
+      console.error(`[Sandbox] Promotion failed: ${promotion.reason}`);
+    }
+  }
+  // Pin repaired error signatures with regression tests once the fix has landed (and before the
+  // sandbox goes away): a cycle that fails or cannot be promoted must not grow the gene's validation.
+  let regressionTests = null;
+  const repairCycle = ((mutation && mutation.category) || (geneUsed && geneUsed.category)) === 'repair';
+  const errsigEvidence = lastRun && Array.isArray(lastRun.errsig_evidence) ? lastRun.errsig_evidence : [];
+  if (success && !dryRun && repairCycle && geneUsed && errsigEvidence.length) {
+    try {
+      regressionTests = await synthesizeRegressionTests({ gene: geneUsed, evidence: errsigEvidence, eventId, workRoot });
+    } catch (e) {
+      console.warn(`[Solidify] Regression test synthesis failed (non-fatal): ${e.message}`);
+    }
+  }
+
   const outcomeStatus = success ? 'success' : 'failed';
-  const score = clamp01(success ? 0.85 : 0.2);
+  const recentEvents = (() => {
+    try {
+      return findEvents({ type: 'EvolutionEvent', limit: 80 });
+    } catch (e) {
+      return [];
+    }
+  })();
+  const fitness = computeFitness({ success, gene: geneUsed, validation, blast, signals, recentEvents });
+  const score = clamp01(fitness.score);
+  const prevSolid = state && state.last_solidify ? state.last_solidify : null;
+  const previousFitness =
+    prevSolid && prevSolid.fitness && prevSolid.fitness.settled_at
+      ? {
+          event_id: prevSolid.event_id || null,
+          score: prevSolid.outcome ? prevSolid.outcome.score : null,
+          errsig_cleared: prevSolid.fitness.errsig_cleared || null,
+        }
+      : null;
 
   const selectedCapsuleId =
     lastRun && typeof lastRun.selected_capsule_id === 'string' && lastRun.selected_capsule_id.trim()
@@ -630,14 +818,14 @@ function solidify({ intent, summary, dryRun = false, rollbackOnFailure = true }
   const event = {
     type: 'EvolutionEvent',
     schema_version: SCHEMA_VERSION,
-    id: buildEventId(ts),
+    id: eventId,
     parent: parentEventId || null,
     intent: derivedIntent,
     signals,
     genes_used: geneUsed && geneUsed.id ? [geneUsed.id] : [],
     mutation_id: mutation && mutation.id ? mutation.id : null,
     personality_state: personalityState || null,
-    blast_radius: { files: blast.files, lines: blast.lines },
+    blast_radius: { files: blast.files, lines: blast.lines, dependents: blast.dependents, skills: blast.skills_affected },
     outcome: { status: outcomeStatus, score },
     capsule_id: capsuleId,
     source_type: sourceType,
@@ -647,8 +835,13 @@ function solidify({ intent, summary, dryRun = false, rollbackOnFailure = true }
     meta: {
       at: ts,
       signal_key: signalKey,
+      run_id: lastRun && lastRun.run_id ? String(lastRun.run_id) : null,
+      cycle_id: lastRun && lastRun.cycle_id ? String(lastRun.cycle_id) : null,
       selector: lastRun && lastRun.selector ? lastRun.selector : null,
+      strategy: lastRun && lastRun.strategy ? lastRun.strategy : null,
       blast_radius_estimate: lastRun && lastRun.blast_radius_estimate ? lastRun.blast_radius_estimate : null,
+      dependency_impact: blast.dependency,
+      regression_tests: regressionTests,
       mutation: mutation || null,
       personality: {
         key: personalityKeyUsed,
@@ -667,6 +860,21 @@ function solidify({ intent, summary, dryRun = false, rollbackOnFailure = true }
       validation_report: validationReport,
       protocol_ok: protocolViolations.length === 0,
       protocol_violations: protocolViolations,
+      approval: approval
+        ? { id: approval.id || null, decision: approval.decision, by: approval.by || null, reason: approval.reason || null, at: ts }
+        : null,
+      sandbox: sandbox
+        ? {
+            branch: sandbox.branch,
+            base_head: sandbox.base_head,
+            promoted: !!(promotion && promotion.promoted),
+            commit: promotion && promotion.commit ? promotion.commit : null,
+            reason: promotion && promotion.reason ? promotion.reason : null,
+          }
+        : null,
+      fitness: fitness.breakdown,
+      // The previous cycle's score, finalized with this cycle's signals (see settleLastFitness).
+      previous_fitness: previousFitness,
       memory_graph: memoryGraphPath(),
     },
   };
@@ -693,7 +901,7 @@ function solidify({ intent, summary, dryRun = false, rollbackOnFailure = true }
       gene: geneUsed && geneUsed.id ? geneUsed.id : prevCapsule && prevCapsule.gene ? prevCapsule.gene : null,
       summary: s || (prevCapsule && prevCapsule.summary ? String(prevCapsule.summary) : autoSummary),
       confidence: clamp01(score),
-      blast_radius: { files: blast.files, lines: blast.lines },
+      blast_radius: { files: blast.files, lines: blast.lines, dependents: blast.dependents, skills: blast.skills_affected },
       outcome: { status: 'success', score },
       success_streak: 1,
       env_fingerprint: envFp,
@@ -705,7 +913,11 @@ function solidify({ intent, summary, dryRun = false, rollbackOnFailure = true }
   }
 
   // Bug fix: dry-run must NOT trigger rollback (it should only observe, not mutate).
-  if (!dryRun && !success && rollbackOnFailure) {
+  if (!dryRun && sandbox) {
+    // The live workspace was never touched: promoted or not, the worktree is done.
+    // Keep the branch when it holds a commit that could not be promoted, or when asked not to roll back.
+    if (success || rollbackOnFailure) discardSandbox(sandbox, { keepBranch: !success && !!(promotion && promotion.commit) });
+  } else if (!dryRun && !success && rollbackOnFailure) {
     rollbackTracked(repoRoot);
     rollbackNewUntrackedFiles({ repoRoot, baselineUntracked: lastRun && lastRun.baseline_untracked ? lastRun.baseline_untracked : [] });
   }
@@ -720,7 +932,7 @@ function solidify({ intent, summary, dryRun = false, rollbackOnFailure = true }
       capsule.a2a = {
         eligible_to_broadcast:
           isBlastRadiusSafe(capsule.blast_radius) &&
-          (capsule.outcome.score || 0) >= 0.7 &&
+          (capsule.outcome.score || 0) >= BROADCAST_MIN_SCORE &&
           (capsule.success_streak || 0) >= 2,
       };
       capsule.asset_id = computeAssetId(capsule);
@@ -736,6 +948,7 @@ function solidify({ intent, summary, dryRun = false, rollbackOnFailure = true }
   const runId = lastRun && lastRun.run_id ? String(lastRun.run_id) : stableHash(`${parentEventId || 'root'}|${geneId || 'none'}|${signalKey}`);
   state.last_solidify = {
     run_id: runId, at: ts, event_id: event.id, capsule_id: capsuleId, outcome: event.outcome,
+    signals, fitness: fitness.breakdown,
   };
   if (!dryRun) writeStateForSolidify(state);
 
@@ -811,14 +1024,51 @@ function solidify({ intent, summary, dryRun = false, rollbackOnFailure = true }
     }
   }
 
-  return { ok: success, event, capsule, gene: geneUsed, constraintCheck, validation, validationReport, blast, publishResult };
+  return { ok: success, event, capsule, gene: geneUsed, constraintCheck, validation, validationReport, blast, promotion, publishResult };
+}
+
+// Finalize the last solidified cycle once the next cycle's signals are known: the
+// errsig_cleared fitness factor needs them. Updates the solidify state and the capsule score.
+function settleLastFitness({ signals }) {
+  const state = readStateForSolidify();
+  const last = state && state.last_solidify ? state.last_solidify : null;
+  if (!last || !last.fitness || last.fitness.settled_at) return null;
+  const settled = settleFitness(last.fitness, { signals: last.signals, nextSignals: signals });
+  if (!settled) return null;
+  last.fitness = { ...settled.breakdown, settled_at: nowIso() };
+  last.outcome = { ...(last.outcome || {}), score: settled.score };
+  writeStateForSolidify(state);
+
+  if (last.capsule_id) {
+    try {
+      const capsule = loadCapsules().find(c => c && c.type === 'Capsule' && String(c.id) === String(last.capsule_id));
+      if (capsule) {
+        capsule.confidence = settled.score;
+        capsule.outcome = { ...(capsule.outcome || { status: 'success' }), score: settled.score };
+        capsule.a2a = {
+          eligible_to_broadcast:
+            isBlastRadiusSafe(capsule.blast_radius) &&
+            settled.score >= BROADCAST_MIN_SCORE &&
+            (capsule.success_streak || 0) >= 2,
+        };
+        capsule.asset_id = computeAssetId(capsule);
+        upsertCapsule(capsule);
+      }
+    } catch (e) {
+      console.warn(`[Fitness] Capsule score update failed (non-fatal): ${e.message}`);
+    }
+  }
+  return { event_id: last.event_id || null, score: settled.score, fitness: last.fitness };
 }
 
 module.exports = {
   solidify,
+  settleLastFitness,
+  runValidations,
   readStateForSolidify,
   writeStateForSolidify,
   isValidationCommandAllowed,
+  snapshotLiveChanges,
   isCriticalProtectedPath,
   detectDestructiveChanges,
 };
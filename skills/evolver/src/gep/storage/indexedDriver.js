@@ -0,0 +1,392 @@
+// Indexed storage driver: append-only record logs plus an offset index over events.jsonl.
+//
+// Layout under <assets>/store/:
+//   manifest.json       written by the migration; its presence makes this the default driver
+//   genes.log.jsonl     one Gene per line, latest line per id wins (compacted when mostly stale)
+//   capsules.log.jsonl  same for Capsules
+//   events.idx.jsonl    one row per line of <assets>/events.jsonl:
+//                       { o: byte offset, l: byte length, id, type, t: ms, sk: signal key,
+//                         g: gene ids, c: capsule id }
+//
+// events.jsonl stays the data file (the wrapper reports and scripts read it directly). The
+// index is derived: rows are appended for lines written since the last look, and it is rebuilt
+// if the data file shrank or no longer matches. Queries filter the in-memory rows and read only
+// the matching lines at their offsets, so a cycle no longer parses the whole history.
+//
+// Pure JS on purpose: node:sqlite is not available on every supported Node version and the
+// skill has no npm dependencies.
+
+const fs = require('fs');
+const path = require('path');
+const { getGepAssetsDir } = require('../paths');
+const jsonDriver = require('./jsonDriver');
+const { eventKeys, normalizeQuery, keysMatch, takeLast, capsuleTriggers } = require('./query');
+
+const STORE_VERSION = 1;
+// Compact a record log once it holds this many times more lines than live records.
+const COMPACT_RATIO = 3;
+const COMPACT_MIN_LINES = 200;
+const READ_CHUNK = 1024 * 1024;
+
+function storeDir() { return path.join(getGepAssetsDir(), 'store'); }
+function manifestPath() { return path.join(storeDir(), 'manifest.json'); }
+function genesLogPath() { return path.join(storeDir(), 'genes.log.jsonl'); }
+function capsulesLogPath() { return path.join(storeDir(), 'capsules.log.jsonl'); }
+function eventsIndexPath() { return path.join(storeDir(), 'events.idx.jsonl'); }
+
+function isInitialized() {
+  return fs.existsSync(manifestPath());
+}
+
+function fileSize(p) {
+  try { return fs.statSync(p).size; } catch (e) { return 0; }
+}
+
+// Read bytes [start, end) of a file and return the complete lines in it with their offsets.
+// A trailing partial line (a writer mid-append) is left for the next read.
+function readLines(p, start, end) {
+  const out = [];
+  if (end <= start) return { lines: out, end: start };
+  const fd = fs.openSync(p, 'r');
+  try {
+    let pos = start;
+    let carry = Buffer.alloc(0);
+    let carryAt = start;
+    while (pos < end) {
+      const buf = Buffer.alloc(Math.min(READ_CHUNK, end - pos));
+      const n = fs.readSync(fd, buf, 0, buf.length, pos);
+      if (n <= 0) break;
+      pos += n;
+      const chunk = carry.length ? Buffer.concat([carry, buf.subarray(0, n)]) : buf.subarray(0, n);
+      let from = 0;
+      let nl;
+      while ((nl = chunk.indexOf(10, from)) !== -1) {
+        out.push({ o: carryAt + from, l: nl - from + 1, text: chunk.toString('utf8', from, nl) });
+        from = nl + 1;
+      }
+      carryAt += from;
+      carry = Buffer.from(chunk.subarray(from));
+    }
+    return { lines: out, end: carryAt };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function parseLine(text) {
+  const s = String(text || '').trim();
+  if (!s) return null;
+  try { return JSON.parse(s); } catch (e) { return null; }
+}
+
+// --- Record logs (genes, capsules) ---
+
+const logCache = new Map();
+
+// Map<id, record> for a log, refreshed from the bytes appended since the last call.
+function loadLog(p) {
+  const size = fileSize(p);
+  let cache = logCache.get(p);
+  if (!cache || size < cache.end) cache = { end: 0, lines: 0, map: new Map(), version: 0 };
+  if (size > cache.end) {
+    const { lines, end } = readLines(p, cache.end, size);
+    for (const line of lines) {
+      const rec = parseLine(line.text);
+      cache.lines += 1;
+      if (rec && rec.id) cache.map.set(String(rec.id), rec);
+    }
+    cache.end = end;
+    cache.version += 1;
+  }
+  logCache.set(p, cache);
+  return cache;
+}
+
+function writeLog(p, records) {
+  jsonDriver.ensureDir(path.dirname(p));
+  const tmp = `${p}.tmp`;
+  fs.writeFileSync(tmp, records.map(r => JSON.stringify(r)).join('\n') + (records.length ? '\n' : ''), 'utf8');
+  fs.renameSync(tmp, p);
+  logCache.delete(p);
+}
+
+function appendRecord(p, rec) {
+  ensureImported();
+  fs.appendFileSync(p, JSON.stringify(rec) + '\n', 'utf8');
+  const cache = loadLog(p);
+  if (cache.lines >= COMPACT_MIN_LINES && cache.lines > cache.map.size * COMPACT_RATIO) {
+    writeLog(p, Array.from(cache.map.values()));
+  }
+}
+
+// First use without a migration (EVOLVER_STORAGE=indexed): seed the logs from the JSON files.
+function ensureImported() {
+  if (!fs.existsSync(genesLogPath())) writeLog(genesLogPath(), jsonDriver.loadGenes());
+  if (!fs.existsSync(capsulesLogPath())) writeLog(capsulesLogPath(), jsonDriver.loadCapsules());
+}
+
+function loadGenes() {
+  ensureImported();
+  return Array.from(loadLog(genesLogPath()).map.values());
+}
+
+function loadCapsules() {
+  ensureImported();
+  return Array.from(loadLog(capsulesLogPath()).map.values());
+}
+
+function getGene(id) {
+  ensureImported();
+  return loadLog(genesLogPath()).map.get(String(id || '')) || null;
+}
+
+let triggerIndex = { cache: null, version: -1, map: new Map() };
+
+function findCapsulesByTrigger(signals) {
+  ensureImported();
+  const cache = loadLog(capsulesLogPath());
+  if (triggerIndex.cache !== cache || triggerIndex.version !== cache.version) {
+    const map = new Map();
+    for (const [id, c] of cache.map) {
+      for (const t of capsuleTriggers(c)) {
+        if (!map.has(t)) map.set(t, new Set());
+        map.get(t).add(id);
+      }
+    }
+    triggerIndex = { cache, version: cache.version, map };
+  }
+  const ids = new Set();
+  for (const s of Array.isArray(signals) ? signals : [signals]) {
+    for (const id of triggerIndex.map.get(String(s || '').trim().toLowerCase()) || []) ids.add(id);
+  }
+  // Keep store order, like a scan would.
+  return Array.from(cache.map.values()).filter(c => ids.has(String(c.id)));
+}
+
+function upsertGene(geneObj) {
+  if (!geneObj || !geneObj.id) return;
+  appendRecord(genesLogPath(), geneObj);
+}
+
+function upsertCapsule(capsuleObj) {
+  if (!capsuleObj || capsuleObj.type !== 'Capsule' || !capsuleObj.id) return;
+  appendRecord(capsulesLogPath(), capsuleObj);
+}
+
+// The JSON driver keeps duplicate capsule ids and dedupes on read; a log does the same.
+function appendCapsule(capsuleObj) {
+  if (!capsuleObj || !capsuleObj.id) return;
+  appendRecord(capsulesLogPath(), capsuleObj);
+}
+
+// --- Event index ---
+
+let eventIndex = null;
+
+function emptyIndex() {
+  return { end: 0, rows: [], byId: new Map(), bySk: new Map(), byGene: new Map(), byCapsule: new Map(), verified: false };
+}
+
+function pushTo(map, key, i) {
+  if (!key) return;
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(i);
+}
+
+function addRow(idx, row) {
+  const i = idx.rows.length;
+  idx.rows.push(row);
+  idx.end = row.o + row.l;
+  if (row.id) idx.byId.set(row.id, i);
+  pushTo(idx.bySk, row.sk, i);
+  pushTo(idx.byCapsule, row.c, i);
+  for (const g of row.g || []) pushTo(idx.byGene, g, i);
+}
+
+function rowFor(line) {
+  const keys = eventKeys(parseLine(line.text));
+  const row = { o: line.o, l: line.l };
+  if (!keys) return row;
+  if (keys.id) row.id = keys.id;
+  if (keys.type) row.type = keys.type;
+  if (keys.t != null) row.t = keys.t;
+  if (keys.sk) row.sk = keys.sk;
+  if (keys.g.length) row.g = keys.g;
+  if (keys.c) row.c = keys.c;
+  return row;
+}
+
+function readEventAt(fd, row) {
+  const buf = Buffer.alloc(row.l);
+  const n = fs.readSync(fd, buf, 0, row.l, row.o);
+  return parseLine(buf.toString('utf8', 0, n));
+}
+
+function loadIndexFile() {
+  const idx = emptyIndex();
+  const p = eventsIndexPath();
+  const size = fileSize(p);
+  if (!size) return idx;
+  for (const line of readLines(p, 0, size).lines) {
+    const row = parseLine(line.text);
+    // Rows must be contiguous; anything else means a damaged index.
+    if (!row || typeof row.o !== 'number' || typeof row.l !== 'number' || row.o !== idx.end) return null;
+    addRow(idx, row);
+  }
+  return idx;
+}
+
+// The index still describes the data file if its last row reads back as the same event.
+function verifyIndex(idx) {
+  if (idx.rows.length === 0) return true;
+  const last = idx.rows[idx.rows.length - 1];
+  if (fileSize(jsonDriver.eventsPath()) < idx.end) return false;
+  const fd = fs.openSync(jsonDriver.eventsPath(), 'r');
+  try {
+    const ev = readEventAt(fd, last);
+    return last.id ? !!ev && ev.id === last.id : true;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function rebuildEventIndex() {
+  jsonDriver.ensureDir(storeDir());
+  fs.writeFileSync(eventsIndexPath(), '', 'utf8');
+  eventIndex = emptyIndex();
+  eventIndex.verified = true;
+  return syncEventIndex();
+}
+
+// Bring the index up to date with events.jsonl and return it.
+function syncEventIndex() {
+  const dataPath = jsonDriver.eventsPath();
+  const size = fileSize(dataPath);
+  if (!eventIndex) {
+    const loaded = loadIndexFile();
+    if (!loaded) return rebuildEventIndex();
+    eventIndex = loaded;
+  }
+  if (!eventIndex.verified) {
+    if (!verifyIndex(eventIndex)) return rebuildEventIndex();
+    eventIndex.verified = true;
+  }
+  if (size < eventIndex.end) return rebuildEventIndex();
+  if (size > eventIndex.end) {
+    const { lines } = readLines(dataPath, eventIndex.end, size);
+    if (lines.length) {
+      const rows = lines.map(rowFor);
+      jsonDriver.ensureDir(storeDir());
+      fs.appendFileSync(eventsIndexPath(), rows.map(r => JSON.stringify(r)).join('\n') + '\n', 'utf8');
+      rows.forEach(r => addRow(eventIndex, r));
+    }
+  }
+  return eventIndex;
+}
+
+function appendEvent(eventObj) {
+  jsonDriver.appendEvent(eventObj);
+}
+
+function rewriteEvents(events) {
+  jsonDriver.rewriteEvents(events);
+  rebuildEventIndex();
+}
+
+function readAllEvents() {
+  return jsonDriver.readAllEvents();
+}
+
+function getLastEventId() {
+  const idx = syncEventIndex();
+  for (let i = idx.rows.length - 1; i >= 0; i--) {
+    if (jsonDriver.isParentEvent(idx.rows[i])) return idx.rows[i].id;
+  }
+  return null;
+}
+
+// Candidate row numbers from the most selective key index in the query, or null for all rows.
+function candidateRows(idx, q) {
+  const lists = [];
+  if (q.id) lists.push(idx.byId.has(q.id) ? [idx.byId.get(q.id)] : []);
+  if (q.signalKey) lists.push(idx.bySk.get(q.signalKey) || []);
+  if (q.geneId) lists.push(idx.byGene.get(q.geneId) || []);
+  if (q.capsuleId) lists.push(idx.byCapsule.get(q.capsuleId) || []);
+  if (lists.length === 0) return null;
+  return lists.reduce((a, b) => (b.length < a.length ? b : a));
+}
+
+function findEvents(query) {
+  const q = normalizeQuery(query);
+  const idx = syncEventIndex();
+  const candidates = candidateRows(idx, q);
+  const matched = [];
+  // Walk newest first so a limit stops the scan early.
+  const count = candidates ? candidates.length : idx.rows.length;
+  for (let k = count - 1; k >= 0; k--) {
+    const row = idx.rows[candidates ? candidates[k] : k];
+    // Blank or unparsable lines have a row (to keep offsets contiguous) but no keys.
+    if ((!row.id && !row.type) || !keysMatch(row, q)) continue;
+    matched.push(row);
+    if (q.limit && matched.length >= q.limit) break;
+  }
+  if (matched.length === 0) return [];
+  matched.reverse();
+  const fd = fs.openSync(jsonDriver.eventsPath(), 'r');
+  try {
+    return takeLast(matched.map(row => readEventAt(fd, row)).filter(Boolean), q.limit);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Rewrite the store from the JSON files and mark this driver active.
+function importFromJson() {
+  writeLog(genesLogPath(), jsonDriver.loadGenes());
+  writeLog(capsulesLogPath(), jsonDriver.loadCapsules());
+  rebuildEventIndex();
+  jsonDriver.writeJsonAtomic(manifestPath(), { driver: 'indexed', version: STORE_VERSION, migrated_at: new Date().toISOString() });
+}
+
+// Write the current genes and capsules back to genes.json / capsules.json and deactivate.
+function exportToJson() {
+  const genes = loadGenes();
+  const capsules = loadCapsules();
+  const currentGenes = jsonDriver.readJsonIfExists(jsonDriver.genesPath(), jsonDriver.getDefaultGenes());
+  const currentCapsules = jsonDriver.readJsonIfExists(jsonDriver.capsulesPath(), jsonDriver.getDefaultCapsules());
+  jsonDriver.writeJsonAtomic(jsonDriver.genesPath(), { version: currentGenes.version || 1, genes });
+  jsonDriver.writeJsonAtomic(jsonDriver.capsulesPath(), { version: currentCapsules.version || 1, capsules });
+  try { fs.unlinkSync(manifestPath()); } catch (e) {}
+}
+
+function stats() {
+  ensureImported();
+  const idx = syncEventIndex();
+  const genes = loadLog(genesLogPath());
+  const capsules = loadLog(capsulesLogPath());
+  return {
+    driver: 'indexed',
+    initialized: isInitialized(),
+    genes: genes.map.size,
+    capsules: capsules.map.size,
+    events: idx.rows.filter(r => r.id).length,
+    log_lines: { genes: genes.lines, capsules: capsules.lines },
+    keys: { signal_keys: idx.bySk.size, genes: idx.byGene.size, capsules: idx.byCapsule.size },
+    bytes: {
+      genes: fileSize(genesLogPath()),
+      capsules: fileSize(capsulesLogPath()),
+      events: fileSize(jsonDriver.eventsPath()),
+      events_index: fileSize(eventsIndexPath()),
+    },
+  };
+}
+
+module.exports = {
+  name: 'indexed',
+  loadGenes, loadCapsules, getGene, findCapsulesByTrigger,
+  upsertGene, appendCapsule, upsertCapsule,
+  appendEvent, readAllEvents, getLastEventId, findEvents, rewriteEvents,
+  stats,
+  isInitialized, importFromJson, exportToJson, rebuildEventIndex,
+  storeDir,
+};
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const assetsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evolver-indexed-'));
+process.env.GEP_ASSETS_DIR = assetsDir;
+
+const DRIVER = require.resolve('./indexedDriver');
+let driver = require(DRIVER);
+
+const eventsPath = path.join(assetsDir, 'events.jsonl');
+const indexPath = path.join(assetsDir, 'store', 'events.idx.jsonl');
+
+function event(id, extra = {}) {
+  return { type: 'EvolutionEvent', id, genes_used: ['gene_a'], meta: { signal_key: 'sk_1' }, ...extra };
+}
+
+function writeEvents(events) {
+  fs.writeFileSync(eventsPath, events.map(e => `${JSON.stringify(e)}\n`).join(''), 'utf8');
+}
+
+// A fresh module has no in-memory index, like a new process reading the index file.
+function reloadDriver() {
+  delete require.cache[DRIVER];
+  driver = require(DRIVER);
+}
+
+test.after(() => fs.rmSync(assetsDir, { recursive: true, force: true }));
+
+test.beforeEach(() => {
+  writeEvents([]);
+  driver.rebuildEventIndex();
+});
+
+test('lines longer than a read chunk are carried over intact', () => {
+  const big = 'x'.repeat(1024 * 1024 + 17);
+  writeEvents([event('evt_1'), event('evt_2', { payload: big }), event('evt_3')]);
+  const found = driver.findEvents({ geneId: 'gene_a' });
+  assert.deepStrictEqual(found.map(e => e.id), ['evt_1', 'evt_2', 'evt_3']);
+  assert.strictEqual(found[1].payload.length, big.length);
+  assert.strictEqual(driver.getLastEventId(), 'evt_3');
+});
+
+test('a trailing partial line waits until the writer finishes it', () => {
+  writeEvents([event('evt_1')]);
+  const partial = JSON.stringify(event('evt_2'));
+  fs.appendFileSync(eventsPath, partial.slice(0, 20), 'utf8');
+  assert.deepStrictEqual(driver.findEvents({}).map(e => e.id), ['evt_1']);
+  fs.appendFileSync(eventsPath, `${partial.slice(20)}\n`, 'utf8');
+  assert.deepStrictEqual(driver.findEvents({}).map(e => e.id), ['evt_1', 'evt_2']);
+});
+
+test('the last event id skips standalone reports', () => {
+  writeEvents([event('evt_1'), { type: 'ValidationReport', id: 'vr_1' }]);
+  assert.strictEqual(driver.getLastEventId(), 'evt_1');
+});
+
+test('queries read only the lines their keys select', () => {
+  writeEvents([
+    event('evt_1'),
+    event('evt_2', { genes_used: ['gene_b'], meta: { signal_key: 'sk_2' } }),
+    event('evt_3', { capsule_id: 'cap_1' }),
+  ]);
+  assert.deepStrictEqual(driver.findEvents({ geneId: 'gene_b' }).map(e => e.id), ['evt_2']);
+  assert.deepStrictEqual(driver.findEvents({ signalKey: 'sk_1' }).map(e => e.id), ['evt_1', 'evt_3']);
+  assert.deepStrictEqual(driver.findEvents({ capsuleId: 'cap_1' }).map(e => e.id), ['evt_3']);
+  assert.deepStrictEqual(driver.findEvents({ limit: 2 }).map(e => e.id), ['evt_2', 'evt_3']);
+});
+
+test('the index is rebuilt when the data file is truncated', () => {
+  writeEvents([event('evt_1'), event('evt_2'), event('evt_3')]);
+  assert.strictEqual(driver.getLastEventId(), 'evt_3');
+  writeEvents([event('evt_9')]);
+  assert.strictEqual(driver.getLastEventId(), 'evt_9');
+  assert.deepStrictEqual(driver.findEvents({}).map(e => e.id), ['evt_9']);
+});
+
+test('a stale index file is detected on load and rebuilt', () => {
+  writeEvents([event('evt_1'), event('evt_2')]);
+  driver.findEvents({});
+  // Same size or larger, but different events: only the last-row check can tell.
+  writeEvents([event('evt_7'), event('evt_8'), event('evt_99')]);
+  reloadDriver();
+  assert.deepStrictEqual(driver.findEvents({}).map(e => e.id), ['evt_7', 'evt_8', 'evt_99']);
+  const rows = fs.readFileSync(indexPath, 'utf8').trim().split('\n').map(l => JSON.parse(l));
+  assert.deepStrictEqual(rows.map(r => r.id), ['evt_7', 'evt_8', 'evt_99']);
+});
+
+test('a damaged index file is rebuilt', () => {
+  writeEvents([event('evt_1'), event('evt_2')]);
+  driver.findEvents({});
+  fs.writeFileSync(indexPath, '{"o":5,"l":3}\n', 'utf8');
+  reloadDriver();
+  assert.deepStrictEqual(driver.findEvents({}).map(e => e.id), ['evt_1', 'evt_2']);
+});
+
+test('record logs are compacted once they are mostly stale', () => {
+  const genesLog = path.join(assetsDir, 'store', 'genes.log.jsonl');
+  const lines = () => fs.readFileSync(genesLog, 'utf8').trim().split('\n').filter(Boolean).length;
+  driver.upsertGene({ type: 'Gene', id: 'gene_keep', version: 0 });
+  const before = lines();
+  for (let i = 1; i < 200; i++) driver.upsertGene({ type: 'Gene', id: 'gene_hot', version: i });
+  assert.ok(lines() < before + 199, `log was not compacted (${lines()} lines)`);
+  const genes = driver.loadGenes();
+  assert.strictEqual(driver.getGene('gene_hot').version, 199);
+  assert.strictEqual(driver.getGene('gene_keep').version, 0);
+  assert.strictEqual(genes.filter(g => g.id === 'gene_hot').length, 1);
+});
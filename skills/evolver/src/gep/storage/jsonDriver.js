@@ -0,0 +1,240 @@
+// JSON/JSONL storage driver: the original on-disk layout.
+//
+// genes.json and capsules.json are rewritten whole on every upsert (legacy genes.jsonl /
+// capsules.jsonl are merged on read), and events.jsonl is scanned in full for every query.
+// Simple and diff-friendly; the indexed driver is the one to use once history grows.
+
+const fs = require('fs');
+const path = require('path');
+const { getGepAssetsDir } = require('../paths');
+const { eventKeys, normalizeQuery, keysMatch, takeLast, capsuleTriggers } = require('./query');
+
+function ensureDir(dir) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+function readJsonIfExists(filePath, fallback) {
+  try {
+    if (!fs.existsSync(filePath)) return fallback;
+    const raw = fs.readFileSync(filePath, 'utf8');
+    if (!raw.trim()) return fallback;
+    return JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+function writeJsonAtomic(filePath, obj) {
+  const dir = path.dirname(filePath);
+  ensureDir(dir);
+  const tmp = `${filePath}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(obj, null, 2) + '\n', 'utf8');
+  fs.renameSync(tmp, filePath);
+}
+
+function getDefaultGenes() {
+  return {
+    version: 1,
+    genes: [
+      {
+        type: 'Gene', id: 'gene_gep_repair_from_errors', category: 'repair',
+        signals_match: ['error', 'exception', 'failed', 'unstable'],
+        preconditions: ['signals contains error-related indicators'],
+        strategy: [
+          'Extract structured signals from logs and user instructions',
+          'Select an existing Gene by signals match (no improvisation)',
+          'Estimate blast radius (files, lines) before editing',
+          'Apply smallest reversible patch',
+          'Validate using declared validation steps; rollback on failure',
+          'Solidify knowledge: append EvolutionEvent, update Gene/Capsule store',
+        ],
+        constraints: { max_files: 12, forbidden_paths: ['.git', 'node_modules'] },
+        validation: [
+          'node -e "require(\'./src/evolve\'); require(\'./src/gep/solidify\'); console.log(\'ok\')"',
+          'node -e "require(\'./src/gep/selector\'); require(\'./src/gep/memoryGraph\'); console.log(\'ok\')"',
+        ],
+      },
+      {
+        type: 'Gene', id: 'gene_gep_optimize_prompt_and_assets', category: 'optimize',
+        signals_match: ['protocol', 'gep', 'prompt', 'audit', 'reusable'],
+        preconditions: ['need stricter, auditable evolution protocol outputs'],
+        strategy: [
+          'Extract signals and determine selection rationale via Selector JSON',
+          'Prefer reusing existing Gene/Capsule; only create if no match exists',
+          'Refactor prompt assembly to embed assets (genes, capsules, parent event)',
+          'Reduce noise and ambiguity; enforce strict output schema',
+          'Validate by running node index.js run and ensuring no runtime errors',
+          'Solidify: record EvolutionEvent, update Gene definitions, create Capsule on success',
+        ],
+        constraints: { max_files: 20, forbidden_paths: ['.git', 'node_modules'] },
+        validation: ['node -e "require(\'./src/evolve\'); require(\'./src/gep/prompt\'); console.log(\'ok\')"'],
+      },
+    ],
+  };
+}
+
+function getDefaultCapsules() { return { version: 1, capsules: [] }; }
+function genesPath() { return path.join(getGepAssetsDir(), 'genes.json'); }
+function capsulesPath() { return path.join(getGepAssetsDir(), 'capsules.json'); }
+function capsulesJsonlPath() { return path.join(getGepAssetsDir(), 'capsules.jsonl'); }
+function eventsPath() { return path.join(getGepAssetsDir(), 'events.jsonl'); }
+
+function loadGenes() {
+  const jsonGenes = readJsonIfExists(genesPath(), getDefaultGenes()).genes || [];
+  const jsonlGenes = [];
+  try {
+    const p = path.join(getGepAssetsDir(), 'genes.jsonl');
+    if (fs.existsSync(p)) {
+      const raw = fs.readFileSync(p, 'utf8');
+      raw.split('\n').forEach(line => {
+        if (line.trim()) {
+          try {
+            const parsed = JSON.parse(line);
+            if (parsed && parsed.type === 'Gene') jsonlGenes.push(parsed);
+          } catch(e) {}
+        }
+      });
+    }
+  } catch(e) {}
+
+  // Combine and deduplicate by ID (JSONL takes precedence if newer, but here we just merge)
+  const combined = [...jsonGenes, ...jsonlGenes];
+  const unique = new Map();
+  combined.forEach(g => {
+    if (g && g.id) unique.set(String(g.id), g);
+  });
+  return Array.from(unique.values());
+}
+
+function loadCapsules() {
+  const legacy = readJsonIfExists(capsulesPath(), getDefaultCapsules()).capsules || [];
+  const jsonlCapsules = [];
+  try {
+    const p = capsulesJsonlPath();
+    if (fs.existsSync(p)) {
+      const raw = fs.readFileSync(p, 'utf8');
+      raw.split('\n').forEach(line => {
+        if (line.trim()) {
+            try { jsonlCapsules.push(JSON.parse(line)); } catch(e) {}
+        }
+      });
+    }
+  } catch(e) {}
+  
+  // Combine and deduplicate by ID
+  const combined = [...legacy, ...jsonlCapsules];
+  const unique = new Map();
+  combined.forEach(c => {
+      if (c && c.id) unique.set(String(c.id), c);
+  });
+  return Array.from(unique.values());
+}
+
+// events.jsonl also holds standalone records (trial ValidationReports); only EvolutionEvents, and
+// untyped lines from before `type` was written, make up the parent chain.
+function isParentEvent(ev) {
+  return !!ev && typeof ev.id === 'string' && (!ev.type || ev.type === 'EvolutionEvent');
+}
+
+// Id of the last EvolutionEvent, the parent of the next one.
+function getLastEventId() {
+  try {
+    const p = eventsPath();
+    if (!fs.existsSync(p)) return null;
+    const raw = fs.readFileSync(p, 'utf8');
+    const lines = raw.split('\n').map(l => l.trim()).filter(Boolean);
+    for (let i = lines.length - 1; i >= 0; i--) {
+      let ev = null;
+      try { ev = JSON.parse(lines[i]); } catch { continue; }
+      if (isParentEvent(ev)) return ev.id;
+    }
+    return null;
+  } catch { return null; }
+}
+
+function readAllEvents() {
+  try {
+    const p = eventsPath();
+    if (!fs.existsSync(p)) return [];
+    const raw = fs.readFileSync(p, 'utf8');
+    return raw.split('\n').map(l => l.trim()).filter(Boolean).map(l => {
+      try { return JSON.parse(l); } catch { return null; }
+    }).filter(Boolean);
+  } catch { return []; }
+}
+
+function appendEvent(eventObj) {
+  const dir = getGepAssetsDir(); ensureDir(dir);
+  fs.appendFileSync(eventsPath(), JSON.stringify(eventObj) + '\n', 'utf8');
+}
+
+// Replace events.jsonl with `events` (used by schema migrations). The previous file is kept
+// as events.jsonl.pre-migrate.
+function rewriteEvents(events) {
+  const p = eventsPath();
+  ensureDir(path.dirname(p));
+  if (fs.existsSync(p)) fs.copyFileSync(p, `${p}.pre-migrate`);
+  const tmp = `${p}.tmp`;
+  fs.writeFileSync(tmp, events.map(ev => JSON.stringify(ev) + '\n').join(''), 'utf8');
+  fs.renameSync(tmp, p);
+}
+
+function getGene(id) {
+  const key = String(id || '');
+  return loadGenes().find(g => g && String(g.id) === key) || null;
+}
+
+function findCapsulesByTrigger(signals) {
+  const wanted = new Set((Array.isArray(signals) ? signals : [signals]).map(s => String(s || '').trim().toLowerCase()));
+  return loadCapsules().filter(c => capsuleTriggers(c).some(t => wanted.has(t)));
+}
+
+function findEvents(query) {
+  const q = normalizeQuery(query);
+  return takeLast(readAllEvents().filter(ev => keysMatch(eventKeys(ev), q)), q.limit);
+}
+
+function upsertGene(geneObj) {
+  const current = readJsonIfExists(genesPath(), getDefaultGenes());
+  const genes = Array.isArray(current.genes) ? current.genes : [];
+  const idx = genes.findIndex(g => g && g.id === geneObj.id);
+  if (idx >= 0) genes[idx] = geneObj; else genes.push(geneObj);
+  writeJsonAtomic(genesPath(), { version: current.version || 1, genes });
+}
+
+function appendCapsule(capsuleObj) {
+  const current = readJsonIfExists(capsulesPath(), getDefaultCapsules());
+  const capsules = Array.isArray(current.capsules) ? current.capsules : [];
+  capsules.push(capsuleObj);
+  writeJsonAtomic(capsulesPath(), { version: current.version || 1, capsules });
+}
+
+function upsertCapsule(capsuleObj) {
+  if (!capsuleObj || capsuleObj.type !== 'Capsule' || !capsuleObj.id) return;
+  const current = readJsonIfExists(capsulesPath(), getDefaultCapsules());
+  const capsules = Array.isArray(current.capsules) ? current.capsules : [];
+  const idx = capsules.findIndex(c => c && c.type === 'Capsule' && String(c.id) === String(capsuleObj.id));
+  if (idx >= 0) capsules[idx] = capsuleObj; else capsules.push(capsuleObj);
+  writeJsonAtomic(capsulesPath(), { version: current.version || 1, capsules });
+}
+
+function stats() {
+  const size = p => { try { return fs.statSync(p).size; } catch (e) { return 0; } };
+  return {
+    driver: 'json',
+    genes: loadGenes().length,
+    capsules: loadCapsules().length,
+    events: readAllEvents().length,
+    bytes: { genes: size(genesPath()), capsules: size(capsulesPath()), events: size(eventsPath()) },
+  };
+}
+
+module.exports = {
+  name: 'json',
+  loadGenes, loadCapsules, getGene, findCapsulesByTrigger,
+  upsertGene, appendCapsule, upsertCapsule,
+  appendEvent, readAllEvents, getLastEventId, findEvents, rewriteEvents,
+  stats,
+  isParentEvent, readJsonIfExists, writeJsonAtomic, ensureDir, getDefaultGenes, getDefaultCapsules,
+  genesPath, capsulesPath, eventsPath,
+};
@@ -0,0 +1,71 @@
+// Event keys and query matching shared by the storage drivers.
+//
+// A query is { type, id, signalKey, geneId, capsuleId, since, until, limit }; every field is
+// optional. since/until are ISO strings or epoch ms. limit keeps the most recent matches;
+// results are always in file (chronological) order.
+
+function toMs(v) {
+  if (v == null || v === '') return null;
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+  const t = Date.parse(String(v));
+  return Number.isFinite(t) ? t : null;
+}
+
+// The indexed fields of an event line. Field names are short because one row per event is
+// kept in the index file.
+function eventKeys(ev) {
+  if (!ev || typeof ev !== 'object') return null;
+  const meta = ev.meta && typeof ev.meta === 'object' ? ev.meta : {};
+  const genes = new Set();
+  if (Array.isArray(ev.genes_used)) ev.genes_used.forEach(g => g && genes.add(String(g)));
+  if (ev.gene_id) genes.add(String(ev.gene_id));
+  const sk = meta.signal_key || (ev.signal && ev.signal.key) || null;
+  return {
+    id: typeof ev.id === 'string' ? ev.id : null,
+    type: ev.type ? String(ev.type) : null,
+    t: toMs(meta.at || ev.created_at || ev.ts || ev.timestamp),
+    sk: sk ? String(sk) : null,
+    g: Array.from(genes),
+    c: ev.capsule_id ? String(ev.capsule_id) : null,
+  };
+}
+
+function normalizeQuery(query) {
+  const q = query && typeof query === 'object' ? query : {};
+  const limit = Number(q.limit);
+  return {
+    type: q.type ? String(q.type) : null,
+    id: q.id ? String(q.id) : null,
+    signalKey: q.signalKey ? String(q.signalKey) : null,
+    geneId: q.geneId ? String(q.geneId) : null,
+    capsuleId: q.capsuleId ? String(q.capsuleId) : null,
+    since: toMs(q.since),
+    until: toMs(q.until),
+    limit: Number.isFinite(limit) && limit > 0 ? Math.floor(limit) : null,
+  };
+}
+
+// keys: the eventKeys() of an event (or an index row with the same fields).
+function keysMatch(keys, q) {
+  if (!keys) return false;
+  if (q.type && keys.type !== q.type) return false;
+  if (q.id && keys.id !== q.id) return false;
+  if (q.signalKey && keys.sk !== q.signalKey) return false;
+  if (q.geneId && !(Array.isArray(keys.g) && keys.g.includes(q.geneId))) return false;
+  if (q.capsuleId && keys.c !== q.capsuleId) return false;
+  if (q.since != null && (keys.t == null || keys.t < q.since)) return false;
+  if (q.until != null && (keys.t == null || keys.t > q.until)) return false;
+  return true;
+}
+
+function takeLast(list, limit) {
+  return limit && list.length > limit ? list.slice(list.length - limit) : list;
+}
+
+// Lower-cased trigger strings of a capsule, as matched by findCapsulesByTrigger.
+function capsuleTriggers(capsule) {
+  const list = capsule && Array.isArray(capsule.trigger) ? capsule.trigger : [];
+  return list.map(t => String(t || '').trim().toLowerCase()).filter(Boolean);
+}
+
+module.exports = { toMs, eventKeys, normalizeQuery, keysMatch, takeLast, capsuleTriggers };
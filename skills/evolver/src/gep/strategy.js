@@ -2,12 +2,38 @@
 // Controls the balance between repair, optimize, and innovate intents.
 //
 // Usage: set EVOLVE_STRATEGY env var to one of: balanced, innovate, harden, repair-only
-// Default: balanced
+// (or any custom preset name). Default: balanced
 //
 // Each strategy defines:
 //   repair/optimize/innovate  - target allocation ratios (inform the LLM prompt)
 //   repairLoopThreshold       - repair ratio in last 8 cycles that triggers forced innovation
 //   label                     - human-readable name injected into the GEP prompt
+//
+// Workspace configuration (assets/gep/strategies.json, overridden by openclaw.json ->
+// evolver.strategy):
+//   {
+//     "default": "balanced",
+//     "presets": { "careful": { "extends": "harden", "innovate": 0.1, "label": "Careful" } },
+//     "schedule": [
+//       { "strategy": "harden",      "when": { "release_tag_within_hours": 24 } },
+//       { "strategy": "repair-only", "when": { "error_rate_above": 0.5, "window": 10 } },
+//       { "strategy": "innovate",    "when": { "days": ["sat", "sun"] } }
+//     ]
+//   }
+// Schedule rules are checked in order; the first rule whose conditions all hold wins.
+// Conditions:
+//   release_tag_within_hours  - a git tag matching tag_pattern (default ^v?\d+\.\d+) was created that recently
+//   error_rate_above          - share of the last `window` EvolutionEvents that failed or were
+//                               triggered by error signals (log_error / errsig)
+//   days                      - local weekdays: "sun".."sat" or 0..6
+//   hours                     - local [from, to) hour range, may wrap midnight (e.g. [22, 6])
+//
+// Precedence: EVOLVE_STRATEGY > FORCE_INNOVATION > schedule > config default > balanced.
+
+var fs = require('fs');
+var path = require('path');
+var { execSync } = require('child_process');
+var { getRepoRoot, getGepAssetsDir, getOpenclawConfigPath } = require('./paths');
 
 var STRATEGIES = {
   'balanced': {
@@ -44,20 +70,240 @@ var STRATEGIES = {
   },
 };
 
-function resolveStrategy() {
-  var name = String(process.env.EVOLVE_STRATEGY || 'balanced').toLowerCase().trim();
-  // Backward compatibility: FORCE_INNOVATION=true maps to 'innovate'
-  if (!process.env.EVOLVE_STRATEGY) {
-    var fi = String(process.env.FORCE_INNOVATION || process.env.EVOLVE_FORCE_INNOVATION || '').toLowerCase();
-    if (fi === 'true') name = 'innovate';
+var DEFAULT_STRATEGY = 'balanced';
+var DEFAULT_TAG_PATTERN = '^v?\\d+\\.\\d+';
+var DEFAULT_ERROR_WINDOW = 10;
+var DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+var KNOWN_CONDITIONS = ['release_tag_within_hours', 'tag_pattern', 'error_rate_above', 'window', 'days', 'hours'];
+
+function readJsonIfExists(filePath, fallback) {
+  try {
+    if (!fs.existsSync(filePath)) return fallback;
+    var raw = fs.readFileSync(filePath, 'utf8');
+    if (!raw.trim()) return fallback;
+    return JSON.parse(raw);
+  } catch (e) {
+    console.warn('[Strategy] Failed to read ' + filePath + ': ' + e.message);
+    return fallback;
   }
-  var strategy = STRATEGIES[name] || STRATEGIES['balanced'];
+}
+
+function strategiesPath() {
+  return path.join(getGepAssetsDir(), 'strategies.json');
+}
+
+function normalizeName(name) {
+  return String(name || '').toLowerCase().trim();
+}
+
+// Fill a custom preset from its base and normalize ratios so they sum to 1.
+function buildPreset(name, raw, presets) {
+  var baseName = normalizeName(raw && raw.extends);
+  var base = presets[baseName] || STRATEGIES[baseName] || STRATEGIES[DEFAULT_STRATEGY];
+  var out = Object.assign({}, base);
+  ['repair', 'optimize', 'innovate', 'repairLoopThreshold'].forEach(function (k) {
+    var n = Number(raw[k]);
+    if (raw[k] != null && Number.isFinite(n)) out[k] = Math.max(0, Math.min(1, n));
+  });
+  if (typeof raw.label === 'string' && raw.label.trim()) out.label = raw.label.trim();
+  else if (!presets[baseName] && !STRATEGIES[baseName]) out.label = name;
+  if (typeof raw.description === 'string') out.description = raw.description;
+  var sum = out.repair + out.optimize + out.innovate;
+  if (sum <= 0) {
+    console.warn('[Strategy] Preset "' + name + '" has no positive ratios; using ' + DEFAULT_STRATEGY + ' ratios.');
+    out.repair = STRATEGIES[DEFAULT_STRATEGY].repair;
+    out.optimize = STRATEGIES[DEFAULT_STRATEGY].optimize;
+    out.innovate = STRATEGIES[DEFAULT_STRATEGY].innovate;
+  } else if (Math.abs(sum - 1) > 1e-6) {
+    out.repair = out.repair / sum;
+    out.optimize = out.optimize / sum;
+    out.innovate = out.innovate / sum;
+  }
+  return out;
+}
+
+function loadStrategyConfig() {
+  var fileCfg = readJsonIfExists(strategiesPath(), {});
+  var oc = readJsonIfExists(getOpenclawConfigPath(), {});
+  var ocCfg = oc && oc.evolver && oc.evolver.strategy && typeof oc.evolver.strategy === 'object' ? oc.evolver.strategy : {};
+  fileCfg = fileCfg && typeof fileCfg === 'object' ? fileCfg : {};
+
+  var rawPresets = Object.assign({}, fileCfg.presets || {}, ocCfg.presets || {});
+  var presets = {};
+  Object.keys(STRATEGIES).forEach(function (k) { presets[k] = STRATEGIES[k]; });
+  // Resolve in declaration order so a preset can extend an earlier custom one.
+  Object.keys(rawPresets).forEach(function (key) {
+    var raw = rawPresets[key];
+    if (!raw || typeof raw !== 'object') return;
+    presets[normalizeName(key)] = buildPreset(normalizeName(key), raw, presets);
+  });
+
+  var schedule = Array.isArray(ocCfg.schedule) ? ocCfg.schedule : Array.isArray(fileCfg.schedule) ? fileCfg.schedule : [];
+  var defaultName = normalizeName(ocCfg.default || fileCfg.default);
+  return {
+    presets: presets,
+    schedule: schedule.filter(function (r) { return r && typeof r === 'object' && r.strategy; }),
+    defaultName: presets[defaultName] ? defaultName : DEFAULT_STRATEGY,
+  };
+}
+
+// Unix seconds of the newest tag matching `pattern`, or null.
+function latestReleaseTagTime(pattern) {
+  var re;
+  try {
+    re = new RegExp(pattern || DEFAULT_TAG_PATTERN);
+  } catch (e) {
+    console.warn('[Strategy] Invalid tag_pattern "' + pattern + '": ' + e.message);
+    return null;
+  }
+  var out;
+  try {
+    out = execSync('git for-each-ref --sort=-creatordate --count=50 --format="%(refname:short) %(creatordate:unix)" refs/tags', {
+      cwd: getRepoRoot(),
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      timeout: 4000,
+    });
+  } catch (e) {
+    return null;
+  }
+  var lines = String(out || '').split('\n');
+  for (var i = 0; i < lines.length; i++) {
+    var parts = lines[i].trim().split(' ');
+    if (parts.length < 2 || !re.test(parts[0])) continue;
+    var t = Number(parts[parts.length - 1]);
+    if (Number.isFinite(t)) return { tag: parts[0], at: t };
+  }
+  return null;
+}
+
+function isErrorEvent(ev) {
+  if (ev.outcome && ev.outcome.status === 'failed') return true;
+  var signals = Array.isArray(ev.signals) ? ev.signals : [];
+  return signals.some(function (s) {
+    s = String(s || '');
+    return s === 'log_error' || s.indexOf('errsig:') === 0 || s.indexOf('recurring_errsig') === 0;
+  });
+}
+
+function recentErrorRate(recentEvents, window) {
+  var list = (Array.isArray(recentEvents) ? recentEvents : [])
+    .filter(function (e) { return e && e.type === 'EvolutionEvent'; })
+    .slice(-window);
+  if (list.length === 0) return null;
+  return list.filter(isErrorEvent).length / list.length;
+}
+
+function dayIndex(day) {
+  if (typeof day === 'number') return day;
+  return DAY_NAMES.indexOf(String(day || '').toLowerCase().slice(0, 3));
+}
+
+function inHourRange(hour, range) {
+  var from = Number(range[0]);
+  var to = Number(range[1]);
+  if (!Number.isFinite(from) || !Number.isFinite(to)) return false;
+  return from <= to ? hour >= from && hour < to : hour >= from || hour < to;
+}
+
+// Returns a short reason string when every condition of `when` holds, otherwise null.
+function matchRule(rule, ctx) {
+  var when = rule.when && typeof rule.when === 'object' ? rule.when : {};
+  var keys = Object.keys(when);
+  var unknown = keys.filter(function (k) { return KNOWN_CONDITIONS.indexOf(k) === -1; });
+  if (unknown.length) {
+    console.warn('[Strategy] Schedule rule for "' + rule.strategy + '" has unknown condition(s): ' + unknown.join(', '));
+    return null;
+  }
+  var reasons = [];
+  var now = ctx.now;
+
+  if (when.release_tag_within_hours != null) {
+    var hours = Number(when.release_tag_within_hours);
+    var tag = ctx.latestTag(when.tag_pattern);
+    if (!tag || !Number.isFinite(hours) || now.getTime() / 1000 - tag.at > hours * 3600) return null;
+    reasons.push('release tag ' + tag.tag + ' within ' + hours + 'h');
+  }
+  if (when.error_rate_above != null) {
+    var window = Number.isFinite(Number(when.window)) && Number(when.window) > 0 ? Math.floor(Number(when.window)) : DEFAULT_ERROR_WINDOW;
+    var rate = recentErrorRate(ctx.recentEvents, window);
+    if (rate == null || !(rate > Number(when.error_rate_above))) return null;
+    reasons.push('error rate ' + rate.toFixed(2) + ' > ' + when.error_rate_above);
+  }
+  if (when.days != null) {
+    var days = (Array.isArray(when.days) ? when.days : [when.days]).map(dayIndex);
+    if (days.indexOf(now.getDay()) === -1) return null;
+    reasons.push('day ' + DAY_NAMES[now.getDay()]);
+  }
+  if (when.hours != null) {
+    if (!Array.isArray(when.hours) || when.hours.length !== 2 || !inHourRange(now.getHours(), when.hours)) return null;
+    reasons.push('hour ' + now.getHours() + ' in [' + when.hours.join(', ') + ')');
+  }
+  return reasons.length ? reasons.join(', ') : null;
+}
+
+function withMeta(presets, name, source, reason) {
+  var strategy = Object.assign({}, presets[name]);
   strategy.name = name;
+  strategy.source = source;
+  strategy.reason = reason || null;
   return strategy;
 }
 
+// ctx (optional): { recentEvents, now }. Without recentEvents, error-rate rules never match.
+function resolveStrategy(ctx) {
+  var c = ctx && typeof ctx === 'object' ? ctx : {};
+  var cfg = loadStrategyConfig();
+
+  if (process.env.EVOLVE_STRATEGY) {
+    var envName = normalizeName(process.env.EVOLVE_STRATEGY);
+    if (cfg.presets[envName]) return withMeta(cfg.presets, envName, 'env', 'EVOLVE_STRATEGY');
+    console.warn('[Strategy] Unknown EVOLVE_STRATEGY "' + envName + '"; falling back to ' + DEFAULT_STRATEGY + '.');
+    return withMeta(cfg.presets, DEFAULT_STRATEGY, 'env', 'unknown EVOLVE_STRATEGY ' + envName);
+  }
+  // Backward compatibility: FORCE_INNOVATION=true maps to 'innovate'
+  var fi = String(process.env.FORCE_INNOVATION || process.env.EVOLVE_FORCE_INNOVATION || '').toLowerCase();
+  if (fi === 'true') return withMeta(cfg.presets, 'innovate', 'env', 'FORCE_INNOVATION');
+
+  var tagCache = {};
+  var ruleCtx = {
+    now: c.now instanceof Date ? c.now : new Date(),
+    recentEvents: c.recentEvents,
+    latestTag: function (pattern) {
+      var key = pattern || DEFAULT_TAG_PATTERN;
+      if (!(key in tagCache)) tagCache[key] = latestReleaseTagTime(key);
+      return tagCache[key];
+    },
+  };
+  for (var i = 0; i < cfg.schedule.length; i++) {
+    var rule = cfg.schedule[i];
+    var name = normalizeName(rule.strategy);
+    if (!cfg.presets[name]) {
+      console.warn('[Strategy] Schedule rule ' + i + ' references unknown strategy "' + name + '".');
+      continue;
+    }
+    var reason = matchRule(rule, ruleCtx);
+    if (reason) return withMeta(cfg.presets, name, 'schedule', reason);
+  }
+
+  return withMeta(cfg.presets, cfg.defaultName, cfg.defaultName === DEFAULT_STRATEGY ? 'default' : 'config', null);
+}
+
+// Compact form recorded on EvolutionEvents and shown in reports.
+function summarizeStrategy(strategy) {
+  if (!strategy || !strategy.name) return null;
+  var r3 = function (x) { return Math.round(Number(x) * 1000) / 1000; };
+  return {
+    name: strategy.name,
+    label: strategy.label || strategy.name,
+    source: strategy.source || null,
+    reason: strategy.reason || null,
+    ratios: { repair: r3(strategy.repair), optimize: r3(strategy.optimize), innovate: r3(strategy.innovate) },
+  };
+}
+
 function getStrategyNames() {
-  return Object.keys(STRATEGIES);
+  return Object.keys(loadStrategyConfig().presets);
 }
 
-module.exports = { resolveStrategy, getStrategyNames, STRATEGIES };
+module.exports = { resolveStrategy, summarizeStrategy, getStrategyNames, loadStrategyConfig, STRATEGIES };
@@ -7,6 +7,7 @@
 // ---------------------------------------------------------------------------
 
 const { getRepoRoot } = require('./paths');
+const { isSigningEnabled, signObject } = require('./signing');
 const path = require('path');
 const fs = require('fs');
 
@@ -67,6 +68,15 @@ async function fetchTasks() {
   }
 }
 
+/**
+ * Body of a task call, signed as the node when signing is on (hubs may require it).
+ * @param {object} fields
+ * @returns {object}
+ */
+function taskCallBody(fields) {
+  return isSigningEnabled() ? signObject(fields, { nodeId: fields.node_id }) : fields;
+}
+
 /**
  * Claim a task on the Hub.
  * @param {string} taskId
@@ -84,7 +94,7 @@ async function claimTask(taskId) {
     const res = await fetch(url, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ task_id: taskId, node_id: nodeId }),
+      body: JSON.stringify(taskCallBody({ task_id: taskId, node_id: nodeId })),
       signal: controller.signal,
     });
     clearTimeout(timer);
@@ -113,7 +123,7 @@ async function completeTask(taskId, assetId) {
     const res = await fetch(url, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ task_id: taskId, asset_id: assetId, node_id: nodeId }),
+      body: JSON.stringify(taskCallBody({ task_id: taskId, asset_id: assetId, node_id: nodeId })),
       signal: controller.signal,
     });
     clearTimeout(timer);
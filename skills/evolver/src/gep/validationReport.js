@@ -4,9 +4,11 @@
 
 const { computeAssetId, SCHEMA_VERSION } = require('./contentHash');
 const { captureEnvFingerprint, envFingerprintKey } = require('./envFingerprint');
+const { validateAsset } = require('./schema');
 
 // Build a standardized ValidationReport from raw validation results.
-function buildValidationReport({ geneId, commands, results, envFp, startedAt, finishedAt }) {
+// sandbox: how the commands were isolated (validationRunner), null if they did not run.
+function buildValidationReport({ geneId, commands, results, envFp, startedAt, finishedAt, sandbox }) {
   const env = envFp || captureEnvFingerprint();
   const resultsList = Array.isArray(results) ? results : [];
   const cmdsList = Array.isArray(commands) ? commands : resultsList.map(function (r) { return r && r.cmd ? String(r.cmd) : ''; });
@@ -28,9 +30,18 @@ function buildValidationReport({ geneId, commands, results, envFp, startedAt, fi
         ok: !!r.ok,
         stdout: String(r.out || r.stdout || '').slice(0, 4000), // Updated to support both 'out' and 'stdout'
         stderr: String(r.err || r.stderr || '').slice(0, 4000), // Updated to support both 'err' and 'stderr'
+        exit_code: Number.isInteger(r.exit_code) ? r.exit_code : null,
+        duration_ms: Number.isFinite(r.duration_ms) ? r.duration_ms : null,
+        // Per-command resource usage; cpu_ms/peak_rss_kb are null where /proc is unavailable.
+        resources: {
+          cpu_ms: Number.isFinite(r.cpu_ms) ? r.cpu_ms : null,
+          peak_rss_kb: Number.isFinite(r.peak_rss_kb) ? r.peak_rss_kb : null,
+          limit_exceeded: r.limit || null,
+        },
       };
     }),
     overall_ok: overallOk,
+    sandbox: sandbox || null,
     duration_ms: durationMs,
     created_at: new Date().toISOString(),
   };
@@ -39,14 +50,9 @@ function buildValidationReport({ geneId, commands, results, envFp, startedAt, fi
   return report;
 }
 
-// Validate that an object is a well-formed ValidationReport.
+// Validate that an object is a well-formed ValidationReport (see schemas/validation_report.schema.json).
 function isValidValidationReport(obj) {
-  if (!obj || typeof obj !== 'object') return false;
-  if (obj.type !== 'ValidationReport') return false;
-  if (!obj.id || typeof obj.id !== 'string') return false;
-  if (!Array.isArray(obj.commands)) return false;
-  if (typeof obj.overall_ok !== 'boolean') return false;
-  return true;
+  return validateAsset(obj, 'ValidationReport').ok;
 }
 
 module.exports = {
@@ -0,0 +1,310 @@
+// Sandboxed runner for gene validation commands.
+//
+// Each command runs in its own child process group with:
+//   - a wall-clock limit (the group is killed on expiry),
+//   - a CPU-time limit (ulimit -t) and a memory limit (V8 heap cap plus an RSS watchdog),
+//   - a scrubbed environment: an allow-list of harmless variables, a throwaway HOME, and
+//     never any variable defined in the workspace .env files,
+//   - optionally a read-only copy of the repo as working directory.
+// Independent commands may run in parallel. Per-command CPU time and peak RSS are sampled from
+// /proc on Linux (null elsewhere) and end up in the ValidationReport.
+//
+// Configuration (env):
+//   EVOLVE_VALIDATION_TIMEOUT_MS   wall clock per command (default 180000)
+//   EVOLVE_VALIDATION_CPU_SEC      CPU seconds per command (default 120)
+//   EVOLVE_VALIDATION_MEMORY_MB    memory per command (default 1024)
+//   EVOLVE_VALIDATION_PARALLEL     commands run at once (default 1 = serial)
+//   EVOLVE_VALIDATION_READONLY     'true' = run against a read-only copy of the repo
+//   EVOLVE_VALIDATION_ENV_ALLOW    extra variable names to pass through (comma separated)
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { getRepoRoot, getWorkspaceRoot } = require('./paths');
+
+const OUTPUT_LIMIT = 64 * 1024;
+const SAMPLE_MS = 100;
+const CLK_TCK = 100;
+const BASE_ENV_ALLOW = ['PATH', 'LANG', 'LC_ALL', 'LC_CTYPE', 'TERM', 'TZ', 'NODE_ENV', 'CI'];
+// Never passed through, even when allow-listed explicitly.
+const SECRET_NAME_RE = /(TOKEN|SECRET|PASSW|CREDENTIAL|API_?KEY|PRIVATE|SESSION|COOKIE|AUTH)/i;
+const COPY_SKIP = new Set(['.git', 'node_modules', 'memory', 'logs']);
+
+function envNumber(name, fallback, min) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n >= min ? n : fallback;
+}
+
+function resolveValidationLimits(overrides) {
+  const o = overrides && typeof overrides === 'object' ? overrides : {};
+  const pick = (key, env, fallback, min) =>
+    Number.isFinite(Number(o[key])) && Number(o[key]) >= min ? Number(o[key]) : envNumber(env, fallback, min);
+  return {
+    timeoutMs: pick('timeoutMs', 'EVOLVE_VALIDATION_TIMEOUT_MS', 180000, 1000),
+    cpuSec: Math.floor(pick('cpuSec', 'EVOLVE_VALIDATION_CPU_SEC', 120, 1)),
+    memoryMb: Math.floor(pick('memoryMb', 'EVOLVE_VALIDATION_MEMORY_MB', 1024, 64)),
+    parallel: Math.floor(pick('parallel', 'EVOLVE_VALIDATION_PARALLEL', 1, 1)),
+    readOnlyCopy:
+      o.readOnlyCopy != null ? !!o.readOnlyCopy : String(process.env.EVOLVE_VALIDATION_READONLY || '').toLowerCase() === 'true',
+  };
+}
+
+// Variable names defined in the workspace and skill .env files.
+function readDotenvKeys() {
+  const keys = new Set();
+  for (const p of [path.join(getWorkspaceRoot(), '.env'), path.join(getRepoRoot(), '.env')]) {
+    let raw = '';
+    try {
+      raw = fs.readFileSync(p, 'utf8');
+    } catch (e) {
+      continue;
+    }
+    for (const line of raw.split('\n')) {
+      const m = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=/);
+      if (m) keys.add(m[1]);
+    }
+  }
+  return keys;
+}
+
+function buildScrubbedEnv({ home, memoryMb }) {
+  const extra = String(process.env.EVOLVE_VALIDATION_ENV_ALLOW || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+  const dotenvKeys = readDotenvKeys();
+  const env = {};
+  for (const name of BASE_ENV_ALLOW.concat(extra)) {
+    if (dotenvKeys.has(name) || SECRET_NAME_RE.test(name)) continue;
+    if (process.env[name] != null) env[name] = process.env[name];
+  }
+  if (!env.PATH) env.PATH = '/usr/local/bin:/usr/bin:/bin';
+  env.HOME = home;
+  env.TMPDIR = home;
+  env.npm_config_cache = path.join(home, '.npm');
+  env.npm_config_update_notifier = 'false';
+  // node/npm/npx are all node: cap the V8 heap below the RSS limit.
+  env.NODE_OPTIONS = `--max-old-space-size=${Math.max(32, Math.floor(memoryMb * 0.75))}`;
+  return env;
+}
+
+// Copy the repo (without .git/node_modules/memory/logs) and make it read-only.
+// node_modules is linked so validations can still resolve packages.
+function makeReadOnlyCopy(srcRoot, destRoot) {
+  const walk = (src, dest) => {
+    fs.mkdirSync(dest, { recursive: true });
+    for (const ent of fs.readdirSync(src, { withFileTypes: true })) {
+      const s = path.join(src, ent.name);
+      const d = path.join(dest, ent.name);
+      if (ent.isDirectory()) {
+        if (COPY_SKIP.has(ent.name)) continue;
+        walk(s, d);
+      } else if (ent.isFile()) {
+        fs.copyFileSync(s, d);
+        fs.chmodSync(d, 0o444);
+      }
+    }
+    fs.chmodSync(dest, 0o555);
+  };
+  const nm = path.join(srcRoot, 'node_modules');
+  walk(srcRoot, destRoot);
+  if (fs.existsSync(nm)) {
+    fs.chmodSync(destRoot, 0o755);
+    fs.symlinkSync(nm, path.join(destRoot, 'node_modules'), 'dir');
+    fs.chmodSync(destRoot, 0o555);
+  }
+  return destRoot;
+}
+
+function removeTree(p) {
+  const chmodAll = dir => {
+    try {
+      fs.chmodSync(dir, 0o755);
+      for (const ent of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (ent.isDirectory()) chmodAll(path.join(dir, ent.name));
+      }
+    } catch (e) {}
+  };
+  chmodAll(p);
+  try {
+    fs.rmSync(p, { recursive: true, force: true });
+  } catch (e) {
+    console.warn(`[Validation] Cleanup failed for ${p}: ${e.message}`);
+  }
+}
+
+// CPU ms and RSS kb of a process group, from /proc (Linux only).
+function sampleGroup(pgid) {
+  let cpuTicks = 0;
+  let rssKb = 0;
+  let seen = 0;
+  let pids = [];
+  try {
+    pids = fs.readdirSync('/proc').filter(n => /^\d+$/.test(n));
+  } catch (e) {
+    return null;
+  }
+  for (const pid of pids) {
+    let stat = '';
+    try {
+      stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+    } catch (e) {
+      continue;
+    }
+    // Fields after "(comm)": state ppid pgrp ... utime(14) stime(15) cutime(16) cstime(17) ... rss(24)
+    const rest = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+    if (Number(rest[2]) !== pgid) continue;
+    seen += 1;
+    cpuTicks += Number(rest[11]) + Number(rest[12]) + Number(rest[13]) + Number(rest[14]);
+    rssKb += (Number(rest[21]) * 4096) / 1024;
+  }
+  return seen ? { cpuMs: Math.round((cpuTicks * 1000) / CLK_TCK), rssKb: Math.round(rssKb) } : null;
+}
+
+function killGroup(child) {
+  try {
+    process.kill(-child.pid, 'SIGKILL');
+  } catch (e) {
+    try {
+      child.kill('SIGKILL');
+    } catch (e2) {}
+  }
+}
+
+function runOne(cmd, { cwd, env, limits }) {
+  return new Promise(resolve => {
+    const startedAt = Date.now();
+    const isWin = process.platform === 'win32';
+    // exec keeps the command in the shell's process so the CPU limit and group apply to it.
+    const shellCmd = isWin ? cmd : `ulimit -t ${limits.cpuSec} 2>/dev/null; exec ${cmd}`;
+    const child = spawn(isWin ? 'cmd.exe' : '/bin/sh', isWin ? ['/d', '/s', '/c', shellCmd] : ['-c', shellCmd], {
+      cwd,
+      env,
+      detached: !isWin,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    let out = '';
+    let err = '';
+    let limit = null;
+    let killed = false;
+    let peakRssKb = null;
+    let cpuMs = null;
+    child.stdout.on('data', d => {
+      if (out.length < OUTPUT_LIMIT) out += d.toString('utf8');
+    });
+    child.stderr.on('data', d => {
+      if (err.length < OUTPUT_LIMIT) err += d.toString('utf8');
+    });
+    const sampler =
+      process.platform === 'linux'
+        ? setInterval(() => {
+            const s = sampleGroup(child.pid);
+            if (!s) return;
+            cpuMs = Math.max(cpuMs || 0, s.cpuMs);
+            peakRssKb = Math.max(peakRssKb || 0, s.rssKb);
+            if (s.rssKb > limits.memoryMb * 1024 && !limit) {
+              limit = 'memory';
+              killed = true;
+              killGroup(child);
+            }
+          }, SAMPLE_MS)
+        : null;
+    const timer = setTimeout(() => {
+      if (!limit) limit = 'timeout';
+      killed = true;
+      killGroup(child);
+    }, limits.timeoutMs);
+    const finish = (code, signal, spawnErr) => {
+      clearTimeout(timer);
+      if (sampler) clearInterval(sampler);
+      // ulimit -t sets soft == hard, so the kernel usually sends SIGKILL rather than SIGXCPU.
+      if (!limit && signal === 'SIGXCPU') limit = 'cpu';
+      if (!limit && !killed && signal === 'SIGKILL' && (cpuMs == null || cpuMs >= limits.cpuSec * 800)) limit = 'cpu';
+      const note = limit ? `LIMIT: ${limit} exceeded` : spawnErr ? String(spawnErr.message || spawnErr) : '';
+      resolve({
+        cmd,
+        ok: !spawnErr && !limit && code === 0,
+        out: out.slice(0, OUTPUT_LIMIT),
+        err: (note ? `${note}\n` : '') + err.slice(0, OUTPUT_LIMIT),
+        exit_code: Number.isInteger(code) ? code : null,
+        signal: signal || null,
+        limit,
+        duration_ms: Date.now() - startedAt,
+        cpu_ms: cpuMs,
+        peak_rss_kb: peakRssKb,
+      });
+    };
+    let done = false;
+    child.on('error', e => {
+      if (done) return;
+      done = true;
+      finish(null, null, e);
+    });
+    child.on('close', (code, signal) => {
+      if (done) return;
+      done = true;
+      finish(code, signal, null);
+    });
+  });
+}
+
+// Run commands with the given limits. Serial runs stop at the first failure (later commands are
+// not started); with parallel > 1, running commands finish but no new ones start after a failure.
+// Results keep command order. Returns { ok, results, startedAt, finishedAt, sandbox }.
+async function runValidationCommands(commands, opts = {}) {
+  const list = (Array.isArray(commands) ? commands : []).map(c => String(c || '').trim()).filter(Boolean);
+  const limits = resolveValidationLimits(opts.limits);
+  const repoRoot = opts.cwd || getRepoRoot();
+  const startedAt = Date.now();
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'evolver-validate-'));
+  const home = path.join(tmp, 'home');
+  fs.mkdirSync(home, { recursive: true });
+  let cwd = repoRoot;
+  let readOnly = false;
+  if (limits.readOnlyCopy) {
+    try {
+      cwd = makeReadOnlyCopy(repoRoot, path.join(tmp, 'repo'));
+      readOnly = true;
+    } catch (e) {
+      console.warn(`[Validation] Read-only copy failed, using the repo directly: ${e.message}`);
+      cwd = repoRoot;
+    }
+  }
+  const env = buildScrubbedEnv({ home, memoryMb: limits.memoryMb });
+
+  const results = new Array(list.length).fill(null);
+  let next = 0;
+  let failed = false;
+  const worker = async () => {
+    while (!failed && next < list.length) {
+      const i = next++;
+      results[i] = await runOne(list[i], { cwd, env, limits });
+      if (!results[i].ok) failed = true;
+    }
+  };
+  try {
+    await Promise.all(Array.from({ length: Math.min(limits.parallel, list.length) }, worker));
+  } finally {
+    removeTree(tmp);
+  }
+  const ran = results.filter(Boolean);
+  return {
+    ok: !failed && ran.length === list.length,
+    results: ran,
+    startedAt,
+    finishedAt: Date.now(),
+    sandbox: {
+      env: 'scrubbed',
+      readonly_copy: readOnly,
+      parallel: limits.parallel,
+      limits: { timeout_ms: limits.timeoutMs, cpu_sec: limits.cpuSec, memory_mb: limits.memoryMb },
+    },
+  };
+}
+
+module.exports = {
+  runValidationCommands,
+  resolveValidationLimits,
+  buildScrubbedEnv,
+};
@@ -0,0 +1,572 @@
+// Reference A2A hub: a self-hostable stand-in for evomap-hub with no dependencies beyond Node.
+//
+// Speaks the protocol the evolver's clients already use:
+//   POST /a2a/<message_type>   hello | publish | fetch | report | decision | revoke (a2aProtocol
+//                              messages; answered with a signed message of the same type)
+//   GET  /a2a/assets/search    ?signals=a,b&status=promoted&type=Capsule&limit=5 (hubSearch.js)
+//   GET  /a2a/nodes[/<id>]     node list / one node, with reputation
+//   GET  /task?status=open     task list; POST /task creates one
+//   POST /task/claim           { task_id, node_id, signature? }            (taskReceiver.js)
+//   POST /task/complete        { task_id, asset_id, node_id, signature? }
+//   GET  /health
+//
+// Identity is trust-on-first-use: the first signed message from a node id pins its key, and
+// every later hello/publish/report/decision/revoke from that id must be signed with it. fetch is
+// read-only and may be unsigned. report and decision are votes and always need a signature, since
+// an unsigned sender_id is whatever the client claims. A task claim or completion may be signed
+// by node_id (signing.signObject over the body); a node with a pinned key must sign, and with
+// HUB_REQUIRE_SIGNATURE every node must.
+//
+// Keys cost nothing, so a signature alone does not make a voter. With HUB_VOTERS (comma-separated
+// node ids) only those nodes vote; otherwise a voter must have published an asset here first.
+//
+// Published assets must pass the asset_id check and (after migration) the schema. A signed asset
+// must be signed by its publisher. Assets start as candidates and are promoted once enough other
+// nodes vote for them: a report with validation_report.overall_ok, or a decision, counts as a
+// pass or a fail vote; each node's latest signed vote counts, and HUB_PROMOTE_MIN_REPORTS (2) passes
+// are needed. A node's reputation is the smoothed pass
+// rate of the votes on its assets, round(100 * (pass + 1) / (pass + fail + 2)), so 50 with no
+// history. Only the publisher can revoke.
+
+const http = require('http');
+const crypto = require('crypto');
+const { createHubStore } = require('./store');
+const { buildMessage, isValidProtocolMessage, VALID_MESSAGE_TYPES } = require('../gep/a2aProtocol');
+const { verifySignature } = require('../gep/signing');
+const { computeAssetId, verifyAssetId } = require('../gep/contentHash');
+const { migrateAsset } = require('../gep/migrations');
+const { validateAsset, formatErrors } = require('../gep/schema');
+const { matchPatternToSignals } = require('../gep/selector');
+const { scoreHubResult } = require('../gep/hubSearch');
+
+const PUBLISHABLE_TYPES = ['Gene', 'Capsule', 'EvolutionEvent'];
+const VOTE_TYPES = ['report', 'decision'];
+const SEARCHABLE_TYPES = ['Gene', 'Capsule'];
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// Errors carrying an HTTP status; anything else is answered with 500.
+function httpError(status, message, extra = {}) {
+  return Object.assign(new Error(message), { status }, extra);
+}
+
+function envFlag(name) {
+  return String(process.env[name] || '').toLowerCase() === 'true';
+}
+
+function listOption(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list.map(s => String(s).trim()).filter(Boolean);
+}
+
+function resolveOptions(opts = {}) {
+  const minReports = Number(opts.minReports != null ? opts.minReports : process.env.HUB_PROMOTE_MIN_REPORTS);
+  return {
+    dir: opts.dir || null,
+    nodeId: opts.nodeId || process.env.HUB_NODE_ID || null,
+    minReports: Number.isFinite(minReports) && minReports > 0 ? Math.floor(minReports) : 2,
+    voters: listOption(opts.voters != null ? opts.voters : process.env.HUB_VOTERS),
+    autoPromote: opts.autoPromote != null ? !!opts.autoPromote : envFlag('HUB_AUTO_PROMOTE'),
+    requireSignature: opts.requireSignature != null ? !!opts.requireSignature : envFlag('HUB_REQUIRE_SIGNATURE'),
+  };
+}
+
+// --- Votes, status, reputation ---
+
+// Latest signed vote per node, publisher excluded.
+function tally(entry) {
+  const latest = new Map();
+  for (const v of entry.votes || []) {
+    if (v.signed && v.node_id !== entry.source_node_id) latest.set(v.node_id, v.vote);
+  }
+  let pass = 0;
+  let fail = 0;
+  for (const vote of latest.values()) {
+    if (vote === 'pass') pass += 1;
+    else if (vote === 'fail') fail += 1;
+  }
+  return { pass, fail };
+}
+
+// Consecutive signed pass votes at the end of the history.
+function passStreak(entry) {
+  const votes = (entry.votes || []).filter(v => v.signed);
+  let n = 0;
+  for (let i = votes.length - 1; i >= 0 && votes[i].vote === 'pass'; i--) n += 1;
+  return n;
+}
+
+function statusFor(entry, options) {
+  if (entry.revoked) return 'revoked';
+  const { pass, fail } = tally(entry);
+  if (pass >= options.minReports && pass > fail) return 'promoted';
+  if (fail >= options.minReports && fail >= pass) return 'rejected';
+  return options.autoPromote ? 'promoted' : 'candidate';
+}
+
+function reputationFor(store, nodeId) {
+  let pass = 0;
+  let fail = 0;
+  for (const entry of store.listAssets()) {
+    if (entry.source_node_id !== nodeId) continue;
+    const t = tally(entry);
+    pass += t.pass;
+    fail += t.fail;
+  }
+  return { reputation_score: Math.round((100 * (pass + 1)) / (pass + fail + 2)), pass, fail };
+}
+
+function nodeView(store, node) {
+  const published = store.listAssets().filter(a => a.source_node_id === node.node_id);
+  return {
+    node_id: node.node_id,
+    key_id: node.key_id || null,
+    first_seen: node.first_seen,
+    last_seen: node.last_seen,
+    capabilities: node.hello ? node.hello.capabilities || {} : {},
+    published: published.length,
+    promoted: published.filter(a => a.status === 'promoted').length,
+    ...reputationFor(store, node.node_id),
+  };
+}
+
+// Search result: the asset's own fields plus what the hub knows about it (hubSearch reads
+// status, source_node_id, reputation_score and success_streak from the top level).
+function assetView(store, entry) {
+  const t = tally(entry);
+  return {
+    ...entry.asset,
+    asset_id: entry.asset_id,
+    local_id: entry.local_id,
+    asset_type: entry.asset_type,
+    status: entry.status,
+    source_node_id: entry.source_node_id,
+    published_at: entry.published_at,
+    success_streak: Math.max(Number(entry.asset.success_streak) || 0, passStreak(entry)),
+    reputation_score: reputationFor(store, entry.source_node_id).reputation_score,
+    reports: t,
+  };
+}
+
+function assetPatterns(asset) {
+  if (Array.isArray(asset.trigger)) return asset.trigger;
+  if (Array.isArray(asset.signals_match)) return asset.signals_match;
+  return [];
+}
+
+// Rank by the client's own reuse score, scaled by how much of the asset's trigger the query covers.
+function searchAssets(store, { signals = [], status = 'promoted', type = null, limit = 5 } = {}) {
+  const out = [];
+  for (const entry of store.listAssets()) {
+    if (!SEARCHABLE_TYPES.includes(entry.asset_type)) continue;
+    if (type && entry.asset_type !== type) continue;
+    if (status === 'any' ? entry.status === 'revoked' : entry.status !== status) continue;
+    const patterns = assetPatterns(entry.asset);
+    const matched = signals.length ? patterns.filter(p => matchPatternToSignals(p, signals)).length : patterns.length;
+    if (signals.length && matched === 0) continue;
+    const view = assetView(store, entry);
+    const coverage = patterns.length ? matched / patterns.length : 0;
+    const rank = scoreHubResult(view) * (0.5 + 0.5 * coverage);
+    out.push({ ...view, search: { matched, patterns: patterns.length, rank: Math.round(rank * 1000) / 1000 } });
+  }
+  out.sort((a, b) => b.search.rank - a.search.rank || String(b.published_at).localeCompare(String(a.published_at)));
+  return out.slice(0, limit);
+}
+
+// --- Message handling ---
+
+// Check the signature and the pinned key. Returns the signature result for the audit log.
+function authenticate(store, msg, options) {
+  const sig = verifySignature(msg, { trustStore: { keys: [] } });
+  const sender = String(msg.sender_id || '');
+  if (!sender) throw httpError(400, 'sender_id required');
+  if (sig.signed && !sig.valid) throw httpError(401, `signature check failed: ${sig.reason}`);
+  if (sig.valid && sig.node_id !== sender) throw httpError(401, 'signature check failed: node_id_mismatch');
+  const node = store.getNode(sender);
+  const readOnly = msg.message_type === 'fetch';
+  if (!sig.signed) {
+    if (options.requireSignature && !readOnly) throw httpError(401, 'signature required');
+    if (VOTE_TYPES.includes(msg.message_type)) throw httpError(401, `signature required: ${msg.message_type} is a vote`);
+    if (node && node.key_id && !readOnly) throw httpError(401, `signature required: ${sender} is pinned to ${node.key_id}`);
+    return sig;
+  }
+  if (node && node.key_id && node.key_id !== sig.key_id) {
+    throw httpError(403, `key mismatch: ${sender} is pinned to ${node.key_id}, message signed by ${sig.key_id}`);
+  }
+  return sig;
+}
+
+function findTarget(store, payload) {
+  const p = payload || {};
+  if (p.target_asset_id) {
+    const entry = store.getAsset(p.target_asset_id);
+    if (!entry) throw httpError(404, `unknown asset ${p.target_asset_id}`);
+    return entry;
+  }
+  if (p.target_local_id) {
+    const hits = store.listAssets()
+      .filter(a => a.local_id === String(p.target_local_id) && !a.revoked)
+      .sort((a, b) => String(b.published_at).localeCompare(String(a.published_at)));
+    if (!hits.length) throw httpError(404, `unknown asset ${p.target_local_id}`);
+    return hits[0];
+  }
+  throw httpError(400, 'target_asset_id or target_local_id required');
+}
+
+function acceptAsset(store, raw, sender, options) {
+  if (!raw || typeof raw !== 'object' || !PUBLISHABLE_TYPES.includes(raw.type) || !raw.id) {
+    return { ok: false, error: `not a publishable asset (${PUBLISHABLE_TYPES.join(', ')} with an id)` };
+  }
+  const assetId = raw.asset_id || computeAssetId(raw);
+  const asset = raw.asset_id ? raw : { ...raw, asset_id: assetId };
+  const base = { asset_id: assetId, local_id: raw.id };
+  if (!verifyAssetId(asset)) return { ...base, ok: false, error: 'asset_id integrity check failed' };
+  const sig = verifySignature(asset, { trustStore: { keys: [] } });
+  if (sig.signed && !sig.valid) return { ...base, ok: false, error: `signature check failed: ${sig.reason}` };
+  if (sig.valid && sig.node_id !== sender) return { ...base, ok: false, error: `asset signed by ${sig.node_id}, not the publisher` };
+  if (!sig.signed && options.requireSignature) return { ...base, ok: false, error: 'signature required' };
+  // Validate the upgraded form, but keep the asset as published so its id and signature hold.
+  const check = validateAsset(migrateAsset(asset).asset, asset.type);
+  if (!check.ok) return { ...base, ok: false, error: `schema validation failed: ${formatErrors(check.errors)}` };
+
+  const existing = store.getAsset(assetId);
+  if (existing) {
+    if (existing.source_node_id !== sender) return { ...base, ok: false, error: `already published by ${existing.source_node_id}` };
+    return { ...base, ok: true, status: existing.status, duplicate: true };
+  }
+  const entry = {
+    asset_id: assetId,
+    asset_type: asset.type,
+    local_id: String(asset.id),
+    source_node_id: sender,
+    published_at: new Date().toISOString(),
+    signed: sig.valid,
+    votes: [],
+    revoked: null,
+    asset,
+  };
+  entry.status = statusFor(entry, options);
+  store.putAsset(entry);
+  return { ...base, ok: true, status: entry.status };
+}
+
+// Why `sender` may not vote, or null.
+function voterProblem(store, sender, options) {
+  if (options.voters.length) return options.voters.includes(sender) ? null : `${sender} is not in HUB_VOTERS`;
+  if (!store.listAssets().some(a => a.source_node_id === sender)) return `${sender} has not published anything here; only publishers vote`;
+  return null;
+}
+
+function recordVote(store, entry, sender, vote, via, options, note = null) {
+  if (entry.source_node_id === sender) throw httpError(403, 'publishers cannot vote on their own assets');
+  const notVoter = voterProblem(store, sender, options);
+  if (notVoter) throw httpError(403, notVoter);
+  if (entry.revoked) throw httpError(409, `asset ${entry.asset_id} was revoked`);
+  // authenticate() only lets signed votes through; older unsigned ones stay on record but not in the tally.
+  entry.votes = (entry.votes || []).concat([{ node_id: sender, vote, via, note, signed: true, at: new Date().toISOString() }]);
+  const before = entry.status;
+  entry.status = statusFor(entry, options);
+  store.putAsset(entry);
+  return { asset_id: entry.asset_id, status: entry.status, previous_status: before, reports: tally(entry) };
+}
+
+const handlers = {
+  hello(store, msg, options) {
+    const p = msg.payload || {};
+    const node = store.touchNode(msg.sender_id, {
+      hello: {
+        capabilities: p.capabilities || {},
+        gene_count: p.gene_count != null ? p.gene_count : null,
+        capsule_count: p.capsule_count != null ? p.capsule_count : null,
+        env_fingerprint: p.env_fingerprint || null,
+        at: new Date().toISOString(),
+      },
+    });
+    const assets = store.listAssets();
+    return {
+      ok: true,
+      node: nodeView(store, node),
+      hub: {
+        node_id: options.nodeId,
+        nodes: store.listNodes().length,
+        assets: assets.length,
+        promoted: assets.filter(a => a.status === 'promoted').length,
+        open_tasks: store.listTasks().filter(t => t.status === 'open').length,
+      },
+    };
+  },
+
+  publish(store, msg, options) {
+    const p = msg.payload || {};
+    const assets = Array.isArray(p.assets) ? p.assets : p.asset ? [p.asset] : [];
+    if (!assets.length) throw httpError(400, 'publish needs payload.asset or payload.assets');
+    const results = assets.map(a => acceptAsset(store, a, String(msg.sender_id), options));
+    if (!results.some(r => r.ok)) {
+      throw httpError(422, results.map(r => r.error).join('; '), { results });
+    }
+    return { ok: true, results };
+  },
+
+  fetch(store, msg) {
+    const p = msg.payload || {};
+    const limit = Math.min(Math.max(Number(p.limit) || 50, 1), 500);
+    let entries = store.listAssets().filter(a => !a.revoked);
+    if (p.content_hash) entries = entries.filter(a => a.asset_id === String(p.content_hash));
+    else entries = entries.filter(a => a.status === 'promoted');
+    if (p.asset_type) entries = entries.filter(a => a.asset_type === p.asset_type);
+    if (p.local_id) entries = entries.filter(a => a.local_id === String(p.local_id));
+    entries.sort((a, b) => String(b.published_at).localeCompare(String(a.published_at)));
+    // Assets go out exactly as published, so receivers can check asset_id and signature.
+    const out = { ok: true, results: entries.slice(0, limit).map(a => a.asset) };
+    if (p.include_tasks) out.tasks = store.listTasks().filter(t => t.status === 'open');
+    return out;
+  },
+
+  report(store, msg, options) {
+    const p = msg.payload || {};
+    const report = p.validation_report;
+    if (!report || typeof report.overall_ok !== 'boolean') throw httpError(400, 'validation_report.overall_ok required');
+    const entry = findTarget(store, p);
+    return { ok: true, ...recordVote(store, entry, String(msg.sender_id), report.overall_ok ? 'pass' : 'fail', 'report', options, report.id || null) };
+  },
+
+  decision(store, msg, options) {
+    const p = msg.payload || {};
+    const vote = p.decision === 'accept' ? 'pass' : p.decision === 'reject' ? 'fail' : p.decision === 'quarantine' ? 'none' : null;
+    if (!vote) throw httpError(400, 'decision must be accept, reject or quarantine');
+    const entry = findTarget(store, p);
+    return { ok: true, ...recordVote(store, entry, String(msg.sender_id), vote, 'decision', options, p.reason || null) };
+  },
+
+  revoke(store, msg, options) {
+    const p = msg.payload || {};
+    const entry = findTarget(store, p);
+    if (entry.source_node_id !== String(msg.sender_id)) throw httpError(403, 'only the publisher can revoke an asset');
+    if (!entry.revoked) {
+      entry.revoked = { at: new Date().toISOString(), reason: p.reason || null };
+      entry.status = statusFor(entry, options);
+      store.putAsset(entry);
+    }
+    return { ok: true, asset_id: entry.asset_id, status: entry.status, revoked: entry.revoked };
+  },
+};
+
+function handleMessage(store, type, msg, options) {
+  if (!isValidProtocolMessage(msg)) throw httpError(400, 'not a gep-a2a protocol message');
+  if (msg.message_type !== type) throw httpError(400, `message_type ${msg.message_type} posted to /a2a/${type}`);
+  const sig = authenticate(store, msg, options);
+  const node = store.getNode(msg.sender_id);
+  if (sig.valid && !(node && node.key_id)) {
+    store.touchNode(msg.sender_id, { key_id: sig.key_id, public_key: msg.signature.public_key });
+  } else {
+    store.touchNode(msg.sender_id);
+  }
+  const payload = handlers[type](store, msg, options);
+  if (type !== 'hello' && type !== 'fetch') {
+    store.log({ message_type: type, message_id: msg.message_id, sender_id: msg.sender_id, signed: sig.valid, result: payload });
+  }
+  return buildMessage({ messageType: type, senderId: options.nodeId, payload: { ...payload, in_reply_to: msg.message_id } });
+}
+
+// --- Tasks ---
+
+// A task call speaks for body.node_id. The same pinning rules as messages apply to its signature.
+function authenticateTaskCall(store, body, options) {
+  const nodeId = String(body.node_id);
+  const sig = verifySignature(body, { trustStore: { keys: [] } });
+  if (sig.signed && !sig.valid) throw httpError(401, `signature check failed: ${sig.reason}`);
+  if (sig.valid && sig.node_id !== nodeId) throw httpError(401, 'signature check failed: node_id_mismatch');
+  const node = store.getNode(nodeId);
+  if (!sig.signed) {
+    if (options.requireSignature) throw httpError(401, 'signature required');
+    if (node && node.key_id) throw httpError(401, `signature required: ${nodeId} is pinned to ${node.key_id}`);
+    return sig;
+  }
+  if (node && node.key_id && node.key_id !== sig.key_id) {
+    throw httpError(403, `key mismatch: ${nodeId} is pinned to ${node.key_id}, request signed by ${sig.key_id}`);
+  }
+  return sig;
+}
+
+function createTask(store, body) {
+  const b = body || {};
+  if (!b.title) throw httpError(400, 'title required');
+  const signals = Array.isArray(b.signals) ? b.signals.map(String).join(',') : String(b.signals || '');
+  const task = {
+    task_id: b.task_id ? String(b.task_id) : `task_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+    title: String(b.title),
+    body: b.body ? String(b.body) : '',
+    signals,
+    bounty_id: b.bounty_id ? String(b.bounty_id) : null,
+    created_by: b.created_by ? String(b.created_by) : null,
+    created_at: new Date().toISOString(),
+    status: 'open',
+    claimed_by: null,
+    claimed_at: null,
+    completed_at: null,
+    result_asset_id: null,
+  };
+  if (store.getTask(task.task_id)) throw httpError(409, `task ${task.task_id} already exists`);
+  store.putTask(task);
+  store.log({ task: 'create', task_id: task.task_id });
+  return task;
+}
+
+function claimTask(store, body, options) {
+  const b = body || {};
+  if (!b.task_id || !b.node_id) throw httpError(400, 'task_id and node_id required');
+  authenticateTaskCall(store, b, options);
+  const task = store.getTask(b.task_id);
+  if (!task) throw httpError(404, `unknown task ${b.task_id}`);
+  if (task.status === 'claimed' && task.claimed_by === String(b.node_id)) return task;
+  if (task.status !== 'open') throw httpError(409, `task ${task.task_id} is ${task.status}${task.claimed_by ? ` by ${task.claimed_by}` : ''}`);
+  Object.assign(task, { status: 'claimed', claimed_by: String(b.node_id), claimed_at: new Date().toISOString() });
+  store.putTask(task);
+  store.log({ task: 'claim', task_id: task.task_id, node_id: task.claimed_by });
+  return task;
+}
+
+function completeTask(store, body, options) {
+  const b = body || {};
+  if (!b.task_id || !b.node_id || !b.asset_id) throw httpError(400, 'task_id, asset_id and node_id required');
+  authenticateTaskCall(store, b, options);
+  const task = store.getTask(b.task_id);
+  if (!task) throw httpError(404, `unknown task ${b.task_id}`);
+  if (task.status !== 'claimed' || task.claimed_by !== String(b.node_id)) {
+    throw httpError(409, `task ${task.task_id} is not claimed by ${b.node_id}`);
+  }
+  if (!store.getAsset(b.asset_id)) throw httpError(422, `unknown asset ${b.asset_id}: publish it first`);
+  Object.assign(task, { status: 'completed', completed_at: new Date().toISOString(), result_asset_id: String(b.asset_id) });
+  store.putTask(task);
+  store.log({ task: 'complete', task_id: task.task_id, node_id: task.claimed_by, asset_id: task.result_asset_id });
+  return task;
+}
+
+// --- HTTP ---
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(httpError(413, `request body over ${MAX_BODY_BYTES} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text.trim()) return resolve({});
+      try {
+        resolve(JSON.parse(text));
+      } catch (e) {
+        reject(httpError(400, `invalid JSON: ${e.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, body) {
+  const text = JSON.stringify(body);
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(text) });
+  res.end(text);
+}
+
+function parseUrl(raw) {
+  try {
+    const url = new URL(raw, 'http://hub.local');
+    return { url, parts: url.pathname.split('/').filter(Boolean).map(decodeURIComponent) };
+  } catch (e) {
+    throw httpError(400, `bad request url: ${e.message}`);
+  }
+}
+
+async function route(store, options, req) {
+  const { url, parts } = parseUrl(req.url);
+  const method = req.method;
+
+  if (method === 'GET' && url.pathname === '/health') return { ok: true, node_id: options.nodeId };
+  if (parts[0] === 'a2a') {
+    if (method === 'POST' && parts.length === 2 && VALID_MESSAGE_TYPES.includes(parts[1])) {
+      return handleMessage(store, parts[1], await readBody(req), options);
+    }
+    if (method === 'GET' && parts[1] === 'assets' && parts[2] === 'search' && parts.length === 3) {
+      const q = url.searchParams;
+      const signals = String(q.get('signals') || '').split(',').map(s => s.trim()).filter(Boolean);
+      const limit = Math.min(Math.max(Number(q.get('limit')) || 5, 1), 100);
+      const assets = searchAssets(store, { signals, status: q.get('status') || 'promoted', type: q.get('type') || null, limit });
+      return { ok: true, signals, assets };
+    }
+    if (method === 'GET' && parts[1] === 'nodes' && parts.length === 2) {
+      return { ok: true, nodes: store.listNodes().map(n => nodeView(store, n)) };
+    }
+    if (method === 'GET' && parts[1] === 'nodes' && parts.length === 3) {
+      const node = store.getNode(parts[2]);
+      if (!node) throw httpError(404, `unknown node ${parts[2]}`);
+      return { ok: true, node: nodeView(store, node) };
+    }
+  }
+  if (parts[0] === 'task') {
+    if (parts.length === 1 && method === 'GET') {
+      const status = url.searchParams.get('status');
+      return { ok: true, tasks: store.listTasks().filter(t => !status || t.status === status) };
+    }
+    if (parts.length === 1 && method === 'POST') return { ok: true, task: createTask(store, await readBody(req)) };
+    if (parts.length === 2 && method === 'POST' && parts[1] === 'claim') return { ok: true, task: claimTask(store, await readBody(req), options) };
+    if (parts.length === 2 && method === 'POST' && parts[1] === 'complete') return { ok: true, task: completeTask(store, await readBody(req), options) };
+  }
+  throw httpError(404, `no route for ${method} ${url.pathname}`);
+}
+
+// Returns an http.Server (not listening yet). server.hub exposes the store and options.
+function createHubServer(opts = {}) {
+  const options = resolveOptions(opts);
+  const store = opts.store || createHubStore({ dir: options.dir });
+  if (!options.nodeId) options.nodeId = `hub_${crypto.createHash('sha256').update(store.dir).digest('hex').slice(0, 12)}`;
+  const server = http.createServer((req, res) => {
+    route(store, options, req)
+      .then(body => send(res, 200, body))
+      .catch(err => {
+        const status = err && err.status ? err.status : 500;
+        if (status === 500) console.warn(`[Hub] ${req.method} ${req.url} failed: ${err && err.stack ? err.stack : err}`);
+        send(res, status, { ok: false, error: err && err.message ? err.message : String(err), ...(err && err.results ? { results: err.results } : {}) });
+      });
+  });
+  server.hub = { store, options };
+  return server;
+}
+
+// Start a hub and resolve once it is listening. Port 0 (the default) picks a free port, which is
+// what in-process tests want: point A2A_HUB_URL at `url`, then `await close()`.
+function startHubServer({ port = 0, host = '127.0.0.1', ...opts } = {}) {
+  const server = createHubServer(opts);
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.removeListener('error', reject);
+      const addr = server.address();
+      resolve({
+        server,
+        store: server.hub.store,
+        url: `http://${host}:${addr.port}`,
+        close: () => new Promise(done => {
+          server.close(() => done());
+          // fetch() keeps connections alive; do not wait for them to time out.
+          if (typeof server.closeAllConnections === 'function') server.closeAllConnections();
+        }),
+      });
+    });
+  });
+}
+
+module.exports = {
+  createHubServer,
+  startHubServer,
+  searchAssets,
+  reputationFor,
+  statusFor,
+  tally,
+};
@@ -0,0 +1,237 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evolver-hub-'));
+process.env.MEMORY_DIR = path.join(dir, 'memory');
+process.env.A2A_TRUST_STORE = path.join(dir, 'trust_store.json');
+process.env.A2A_KEY_FILE = path.join(dir, 'keys', 'node_alice.json');
+
+const { startHubServer } = require('./server');
+const proto = require('../gep/a2aProtocol');
+const signing = require('../gep/signing');
+
+let hub;
+
+// Build a message as `nodeId`, signed with that node's own key (or `keyOf`'s, to forge).
+function as(nodeId, build, { keyOf = nodeId, unsigned = false } = {}) {
+  const prevKey = process.env.A2A_KEY_FILE;
+  const prevSign = process.env.A2A_SIGN;
+  process.env.A2A_KEY_FILE = path.join(dir, 'keys', `${keyOf}.json`);
+  if (unsigned) process.env.A2A_SIGN = 'false';
+  try {
+    return build(nodeId);
+  } finally {
+    process.env.A2A_KEY_FILE = prevKey;
+    if (prevSign === undefined) delete process.env.A2A_SIGN;
+    else process.env.A2A_SIGN = prevSign;
+  }
+}
+
+async function call(method, route, body, url = hub.url) {
+  const res = await fetch(url + route, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+function post(msg, url) {
+  return call('POST', `/a2a/${msg.message_type}`, msg, url);
+}
+
+// A task call body signed by nodeId.
+function signedTask(nodeId, body) {
+  return as(nodeId, n => signing.signObject({ ...body, node_id: n }, { nodeId: n }));
+}
+
+function capsule(id, trigger = ['log_error', 'errsig:TypeError']) {
+  return {
+    type: 'Capsule',
+    schema_version: '1.6.0',
+    id,
+    trigger,
+    gene: 'gene_gep_repair_from_errors',
+    summary: `fix for ${id}`,
+    confidence: 0.9,
+    blast_radius: { files: 1, lines: 4 },
+    outcome: { status: 'success', score: 0.9 },
+    success_streak: 2,
+  };
+}
+
+function publish(nodeId, asset, opts, url) {
+  return post(as(nodeId, n => proto.buildPublish({ asset, nodeId: n }), opts), url);
+}
+
+function report(nodeId, assetId, ok, opts, url) {
+  return post(as(nodeId, n => proto.buildReport({ assetId, nodeId: n, validationReport: { id: `vr_${n}`, overall_ok: ok } }), opts), url);
+}
+
+test.before(async () => {
+  hub = await startHubServer({ dir: path.join(dir, 'hub'), minReports: 1 });
+  // Only nodes that published here may vote.
+  await publish('node_bob', capsule('capsule_bob'));
+});
+
+test.after(async () => {
+  await hub.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('health and unknown routes', async () => {
+  const health = await call('GET', '/health');
+  assert.strictEqual(health.status, 200);
+  assert.ok(health.body.node_id.startsWith('hub_'));
+  assert.strictEqual((await call('GET', '/nope')).status, 404);
+});
+
+test('a malformed url is a 400, not a crash', async () => {
+  const res = await call('GET', '/a2a/nodes/%E0%A4%A');
+  assert.strictEqual(res.status, 400);
+  assert.match(res.body.error, /bad request url/);
+  assert.strictEqual((await call('GET', '/health')).status, 200);
+});
+
+test('hello pins the sender key; another key for the same id is refused', async () => {
+  const hello = await post(as('node_alice', n => proto.buildHello({ nodeId: n })));
+  assert.strictEqual(hello.status, 200);
+  assert.strictEqual(hello.body.payload.node.node_id, 'node_alice');
+  assert.ok(hello.body.payload.node.key_id);
+
+  const forged = await post(as('node_alice', n => proto.buildHello({ nodeId: n }), { keyOf: 'node_mallory' }));
+  assert.strictEqual(forged.status, 403);
+  assert.match(forged.body.error, /key mismatch/);
+
+  const unsigned = await post(as('node_alice', n => proto.buildHello({ nodeId: n }), { unsigned: true }));
+  assert.strictEqual(unsigned.status, 401);
+});
+
+test('published assets start as candidates and are promoted by signed votes from other nodes', async () => {
+  const pub = await publish('node_alice', capsule('capsule_vote'));
+  assert.strictEqual(pub.status, 200);
+  const [result] = pub.body.payload.results;
+  assert.strictEqual(result.status, 'candidate');
+
+  const own = await report('node_alice', result.asset_id, true);
+  assert.strictEqual(own.status, 403);
+
+  const unsigned = await report('node_bob', result.asset_id, true, { unsigned: true });
+  assert.strictEqual(unsigned.status, 401);
+  assert.match(unsigned.body.error, /report is a vote/);
+  assert.strictEqual(hub.store.getAsset(result.asset_id).status, 'candidate');
+
+  const vote = await report('node_bob', result.asset_id, true);
+  assert.strictEqual(vote.status, 200);
+  assert.strictEqual(vote.body.payload.status, 'promoted');
+  assert.deepStrictEqual(vote.body.payload.reports, { pass: 1, fail: 0 });
+});
+
+test('a node that never published cannot vote', async () => {
+  const pub = await publish('node_alice', capsule('capsule_sybil'));
+  const assetId = pub.body.payload.results[0].asset_id;
+  const vote = await report('node_throwaway', assetId, true);
+  assert.strictEqual(vote.status, 403);
+  assert.match(vote.body.error, /only publishers vote/);
+  assert.strictEqual(hub.store.getAsset(assetId).status, 'candidate');
+});
+
+test('HUB_VOTERS limits who votes, and promotion takes two passes by default', async () => {
+  const other = await startHubServer({ dir: path.join(dir, 'hub_voters'), voters: ['node_bob', 'node_carol'] });
+  try {
+    const pub = await publish('node_alice', capsule('capsule_voters'), {}, other.url);
+    const assetId = pub.body.payload.results[0].asset_id;
+    await publish('node_dave', capsule('capsule_dave'), {}, other.url);
+    const outsider = await report('node_dave', assetId, true, {}, other.url);
+    assert.strictEqual(outsider.status, 403);
+    assert.match(outsider.body.error, /not in HUB_VOTERS/);
+
+    const first = await report('node_bob', assetId, true, {}, other.url);
+    assert.strictEqual(first.body.payload.status, 'candidate');
+    const second = await report('node_carol', assetId, true, {}, other.url);
+    assert.strictEqual(second.body.payload.status, 'promoted');
+  } finally {
+    await other.close();
+  }
+});
+
+test('unsigned votes already on record do not count', async () => {
+  const pub = await publish('node_alice', capsule('capsule_legacy'));
+  const entry = hub.store.getAsset(pub.body.payload.results[0].asset_id);
+  entry.votes = [{ node_id: 'node_sock', vote: 'fail', via: 'report', at: new Date().toISOString() }];
+  hub.store.putAsset(entry);
+  const vote = await report('node_bob', entry.asset_id, true);
+  assert.deepStrictEqual(vote.body.payload.reports, { pass: 1, fail: 0 });
+});
+
+test('tampered and duplicate publishes are rejected', async () => {
+  const msg = as('node_alice', n => proto.buildPublish({ asset: capsule('capsule_tamper'), nodeId: n }));
+  msg.payload.asset.summary = 'something else';
+  const tampered = await post(msg);
+  assert.strictEqual(tampered.status, 401);
+
+  await publish('node_alice', capsule('capsule_dup'));
+  const again = await publish('node_bob', capsule('capsule_dup'));
+  assert.strictEqual(again.status, 422);
+});
+
+test('search returns promoted assets matching the signals', async () => {
+  const pub = await publish('node_alice', capsule('capsule_search', ['perf_bottleneck']));
+  const assetId = pub.body.payload.results[0].asset_id;
+  let res = await call('GET', '/a2a/assets/search?signals=perf_bottleneck');
+  assert.ok(!res.body.assets.some(a => a.asset_id === assetId));
+  await report('node_bob', assetId, true);
+  res = await call('GET', '/a2a/assets/search?signals=perf_bottleneck');
+  const hit = res.body.assets.find(a => a.asset_id === assetId);
+  assert.ok(hit);
+  assert.strictEqual(hit.source_node_id, 'node_alice');
+  assert.strictEqual(hit.search.matched, 1);
+});
+
+test('only the publisher can revoke', async () => {
+  const pub = await publish('node_alice', capsule('capsule_revoke'));
+  const assetId = pub.body.payload.results[0].asset_id;
+  const revoke = n => post(as(n, id => proto.buildMessage({ messageType: 'revoke', senderId: id, payload: { target_asset_id: assetId } })));
+  assert.strictEqual((await revoke('node_bob')).status, 403);
+  const ok = await revoke('node_alice');
+  assert.strictEqual(ok.status, 200);
+  assert.strictEqual(ok.body.payload.status, 'revoked');
+  assert.strictEqual((await report('node_bob', assetId, true)).status, 409);
+});
+
+test('tasks are claimed once and completed with a published asset', async () => {
+  const created = await call('POST', '/task', { title: 'fix the parser', signals: ['log_error'] });
+  assert.strictEqual(created.status, 200);
+  const taskId = created.body.task.task_id;
+  // node_bob's key is pinned, so its task calls must be signed.
+  assert.strictEqual((await call('POST', '/task/claim', { task_id: taskId, node_id: 'node_bob' })).status, 401);
+  assert.strictEqual((await call('POST', '/task/claim', signedTask('node_bob', { task_id: taskId }))).status, 200);
+  assert.strictEqual((await call('POST', '/task/claim', { task_id: taskId, node_id: 'node_carol' })).status, 409);
+  const missing = await call('POST', '/task/complete', signedTask('node_bob', { task_id: taskId, asset_id: 'sha256:none' }));
+  assert.strictEqual(missing.status, 422);
+  const pub = await publish('node_bob', capsule('capsule_task'));
+  const done = await call('POST', '/task/complete', signedTask('node_bob', { task_id: taskId, asset_id: pub.body.payload.results[0].asset_id }));
+  assert.strictEqual(done.body.task.status, 'completed');
+  const open = await call('GET', '/task?status=open');
+  assert.ok(!open.body.tasks.some(t => t.task_id === taskId));
+});
+
+test('HUB_REQUIRE_SIGNATURE requires signed task calls', async () => {
+  const strict = await startHubServer({ dir: path.join(dir, 'hub_strict'), requireSignature: true });
+  try {
+    const created = await call('POST', '/task', { title: 'sign me' }, strict.url);
+    const taskId = created.body.task.task_id;
+    const unsigned = await call('POST', '/task/claim', { task_id: taskId, node_id: 'node_erin' }, strict.url);
+    assert.strictEqual(unsigned.status, 401);
+    const forged = { ...signedTask('node_mallory', { task_id: taskId }), node_id: 'node_erin' };
+    assert.strictEqual((await call('POST', '/task/claim', forged, strict.url)).status, 401);
+    const claim = await call('POST', '/task/claim', signedTask('node_erin', { task_id: taskId }), strict.url);
+    assert.strictEqual(claim.status, 200);
+    assert.strictEqual(claim.body.task.claimed_by, 'node_erin');
+  } finally {
+    await strict.close();
+  }
+});
@@ -0,0 +1,101 @@
+// File-backed state for the reference A2A hub (see server.js).
+//
+// Layout under the hub directory (HUB_DIR, default memory/hub):
+//   nodes.json      { nodes: { <node_id>: { key_id, public_key, first_seen, last_seen, hello } } }
+//   assets.json     { assets: { <asset_id>: { asset, asset_type, local_id, source_node_id, status,
+//                     published_at, votes: [{ node_id, vote, via, at }], revoked } } }
+//   tasks.json      { tasks: { <task_id>: { title, body, signals, bounty_id, status, ... } } }
+//   activity.jsonl  one line per accepted message or task change (audit trail, never read back)
+//
+// A hub for a handful of nodes fits in memory: the files are loaded once and every change
+// rewrites the file it touched.
+
+const fs = require('fs');
+const path = require('path');
+const { getMemoryDir } = require('../gep/paths');
+
+function defaultHubDir() {
+  return process.env.HUB_DIR ? path.resolve(process.env.HUB_DIR) : path.join(getMemoryDir(), 'hub');
+}
+
+function readJson(file, key) {
+  try {
+    if (!fs.existsSync(file)) return {};
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return data && data[key] && typeof data[key] === 'object' ? data[key] : {};
+  } catch (e) {
+    throw new Error(`unreadable hub state ${file}: ${e.message}`);
+  }
+}
+
+function writeJsonAtomic(file, obj) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp.${process.pid}`;
+  fs.writeFileSync(tmp, JSON.stringify(obj, null, 2) + '\n', 'utf8');
+  fs.renameSync(tmp, file);
+}
+
+function createHubStore({ dir } = {}) {
+  const root = dir ? path.resolve(dir) : defaultHubDir();
+  const files = {
+    nodes: path.join(root, 'nodes.json'),
+    assets: path.join(root, 'assets.json'),
+    tasks: path.join(root, 'tasks.json'),
+    activity: path.join(root, 'activity.jsonl'),
+  };
+  const state = {
+    nodes: readJson(files.nodes, 'nodes'),
+    assets: readJson(files.assets, 'assets'),
+    tasks: readJson(files.tasks, 'tasks'),
+  };
+
+  function save(kind) {
+    writeJsonAtomic(files[kind], { [kind]: state[kind] });
+  }
+
+  function log(entry) {
+    try {
+      fs.mkdirSync(root, { recursive: true });
+      fs.appendFileSync(files.activity, JSON.stringify({ at: new Date().toISOString(), ...entry }) + '\n', 'utf8');
+    } catch (e) {
+      console.warn(`[Hub] Failed to append activity log: ${e.message}`);
+    }
+  }
+
+  return {
+    dir: root,
+    log,
+
+    getNode: id => state.nodes[String(id)] || null,
+    listNodes: () => Object.values(state.nodes),
+    // Merge patch into the node record, creating it on first contact.
+    touchNode(id, patch = {}) {
+      const now = new Date().toISOString();
+      const prev = state.nodes[String(id)] || { node_id: String(id), first_seen: now };
+      state.nodes[String(id)] = { ...prev, ...patch, last_seen: now };
+      save('nodes');
+      return state.nodes[String(id)];
+    },
+
+    getAsset: id => state.assets[String(id)] || null,
+    listAssets: () => Object.values(state.assets),
+    putAsset(entry) {
+      state.assets[entry.asset_id] = entry;
+      save('assets');
+      return entry;
+    },
+
+    getTask: id => state.tasks[String(id)] || null,
+    listTasks: () => Object.values(state.tasks),
+    putTask(task) {
+      state.tasks[task.task_id] = task;
+      save('tasks');
+      return task;
+    },
+  };
+}
+
+module.exports = {
+  defaultHubDir,
+  createHubStore,
+};
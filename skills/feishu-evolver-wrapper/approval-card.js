@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+// Feishu approval cards for review-mode cycles.
+//
+// The evolver queues validated review-mode cycles under memory/evolution/pending/ (see
+// evolver/src/gep/approval.js). `notify` posts one interactive card per pending cycle (blast
+// radius, mutation, diff excerpt, Approve / Reject buttons); `action` takes the card callback
+// payload Feishu delivers to the bot's request URL (stdin or a file) and approves or rejects the
+// cycle, printing the callback response (a toast) as JSON.
+//
+// A callback only counts when it carries the app's verification token (FEISHU_VERIFICATION_TOKEN)
+// and the clicking user is listed in EVOLVE_APPROVERS (comma-separated open_id / user_id). Both
+// are required: without them every callback is refused.
+//
+// Usage:
+//   node approval-card.js notify
+//   node approval-card.js action [payload.json]   (payload on stdin when no file is given)
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { sendCard, scanForSecrets } = require('./feishu-helper.js');
+
+var approval = require('../evolver/src/gep/approval');
+
+var SENT_FILE = path.resolve(__dirname, '../../memory/evolution/approval_cards.json');
+var DIFF_EXCERPT_CHARS = 2500;
+
+function readSent() {
+    try {
+        if (fs.existsSync(SENT_FILE)) return JSON.parse(fs.readFileSync(SENT_FILE, 'utf8')) || {};
+    } catch (e) {}
+    return {};
+}
+
+function writeSent(sent) {
+    try {
+        fs.mkdirSync(path.dirname(SENT_FILE), { recursive: true });
+        var tmp = SENT_FILE + '.tmp.' + process.pid;
+        fs.writeFileSync(tmp, JSON.stringify(sent, null, 2));
+        fs.renameSync(tmp, SENT_FILE);
+    } catch (e) {
+        console.warn('[ApprovalCard] Failed to record sent cards:', e.message);
+    }
+}
+
+function diffExcerpt(id) {
+    var diff = approval.readDiff(id);
+    if (!diff) return '(empty diff)';
+    if (diff.length <= DIFF_EXCERPT_CHARS) return diff;
+    return diff.slice(0, DIFF_EXCERPT_CHARS) + '\n... (' + (diff.length - DIFF_EXCERPT_CHARS) + ' more chars)';
+}
+
+// The text, or the placeholder when it looks like it holds a secret.
+function withoutSecrets(text, placeholder) {
+    try {
+        scanForSecrets(text);
+        return text;
+    } catch (e) {
+        return placeholder;
+    }
+}
+
+function buildApprovalCard(record) {
+    var b = record.blast_radius || {};
+    var m = record.mutation || {};
+    var files = (b.changed_files || []).slice(0, 10).join(', ') || '(none)';
+    var lines = [
+        '**Gene:** ' + (record.gene_id || '-') + '    **Intent:** ' + (record.intent || m.category || '-'),
+        '**Mutation:** ' + (m.id || '-') + ' (' + (m.category || '-') + ', risk ' + (m.risk_level || '-') + ')',
+        '**Blast radius:** ' + b.files + ' files / ' + b.lines + ' lines, ' + (b.dependents || 0) + ' dependents',
+        '**Files:** ' + files,
+        '**Signals:** ' + ((record.signals || []).slice(0, 6).join(', ') || '(none)'),
+        '**Validation:** ' + (record.validation && record.validation.ok ? 'passed' : 'failed') +
+            ' (' + ((record.validation && record.validation.commands) || []).length + ' commands)'
+    ];
+    if (record.summary) lines.push('**Summary:** ' + record.summary);
+    // Withhold what looks like a secret rather than skipping the card.
+    lines = lines.map(function (line) {
+        return withoutSecrets(line, line.split(':**')[0] + ':** (withheld: looks like it contains a secret)');
+    });
+    var diff = withoutSecrets(diffExcerpt(record.id), '(diff withheld: it looks like it contains a secret; review it locally)');
+
+    var value = function (action) {
+        return { evolver_action: action, approval_id: record.id };
+    };
+    return {
+        header: {
+            title: { tag: 'plain_text', content: '🧬 Approval needed: cycle #' + (record.cycle_id || '?') },
+            template: 'orange'
+        },
+        elements: [
+            { tag: 'markdown', content: lines.join('\n') },
+            { tag: 'markdown', content: '```diff\n' + diff + '\n```' },
+            {
+                tag: 'action',
+                actions: [
+                    { tag: 'button', text: { tag: 'plain_text', content: 'Approve' }, type: 'primary', value: value('approve') },
+                    { tag: 'button', text: { tag: 'plain_text', content: 'Reject' }, type: 'danger', value: value('reject') }
+                ]
+            },
+            { tag: 'note', elements: [{ tag: 'plain_text', content: record.id + ' | node index.js approve|reject ' + record.id }] }
+        ]
+    };
+}
+
+// Send a card for every pending cycle that has not had one yet. Returns the ids sent.
+async function notifyPending(opts) {
+    var target = (opts && opts.target) || process.env.EVOLVE_APPROVAL_TARGET || process.env.LOG_TARGET || '';
+    if (!target) throw new Error('EVOLVE_APPROVAL_TARGET or LOG_TARGET must be set');
+    var sent = readSent();
+    var pending = approval.listPending();
+    var out = [];
+    for (var i = 0; i < pending.length; i++) {
+        var record = pending[i];
+        if (sent[record.id] && sent[record.id] === record.updated_at) continue;
+        // One bad record must not keep the other cycles from getting their cards.
+        try {
+            await sendCard({ target: target, cardData: buildApprovalCard(record) });
+        } catch (e) {
+            console.warn('[ApprovalCard] Card for ' + record.id + ' not sent:', e.message);
+            continue;
+        }
+        sent[record.id] = record.updated_at;
+        out.push(record.id);
+    }
+    // Forget cards for cycles that are no longer pending.
+    var live = {};
+    for (var j = 0; j < pending.length; j++) live[pending[j].id] = true;
+    for (var k in sent) if (!live[k]) delete sent[k];
+    writeSent(sent);
+    return out;
+}
+
+// Card callbacks come in two shapes: the v2 `card.action.trigger` event ({ header: { token },
+// event: { action, operator } }) and the legacy request ({ token, action, open_id }).
+function parseCardAction(payload) {
+    var p = payload && payload.event ? payload.event : payload || {};
+    var action = p.action || {};
+    var value = action.value || {};
+    if (typeof value === 'string') {
+        try { value = JSON.parse(value); } catch (e) { value = {}; }
+    }
+    var op = p.operator || {};
+    var operatorIds = [op.open_id, op.user_id, p.open_id, p.user_id].filter(Boolean).map(String);
+    var token = (payload && payload.header && payload.header.token) || (payload && payload.token) || null;
+    return {
+        action: value.evolver_action || null,
+        id: value.approval_id || null,
+        operator: operatorIds[0] || null,
+        operatorIds: operatorIds,
+        token: token
+    };
+}
+
+function sameSecret(a, b) {
+    var x = Buffer.from(String(a));
+    var y = Buffer.from(String(b));
+    return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function approverList() {
+    return String(process.env.EVOLVE_APPROVERS || '').split(',').map(function (s) { return s.trim(); }).filter(Boolean);
+}
+
+// Why the callback may not approve or reject, or null.
+function callbackProblem(parsed) {
+    var expected = process.env.FEISHU_VERIFICATION_TOKEN || '';
+    if (!expected) return 'FEISHU_VERIFICATION_TOKEN is not set; card actions are disabled.';
+    if (!parsed.token || !sameSecret(parsed.token, expected)) return 'Callback verification failed.';
+    var approvers = approverList();
+    if (!approvers.length) return 'EVOLVE_APPROVERS is not set; card actions are disabled.';
+    if (!parsed.operatorIds.some(function (id) { return approvers.indexOf(id) !== -1; })) {
+        return 'You are not an approver for evolver cycles.';
+    }
+    return null;
+}
+
+async function handleCardAction(payload) {
+    var parsed = parseCardAction(payload);
+    if (parsed.action !== 'approve' && parsed.action !== 'reject') {
+        return { toast: { type: 'error', content: 'Not an evolver approval action.' } };
+    }
+    var problem = callbackProblem(parsed);
+    if (problem) {
+        console.warn('[ApprovalCard] Refused ' + parsed.action + ' of ' + parsed.id + ' by ' + (parsed.operator || 'unknown') + ': ' + problem);
+        return { toast: { type: 'error', content: problem } };
+    }
+    var by = parsed.operator ? 'feishu:' + parsed.operator : 'feishu';
+    try {
+        var res = parsed.action === 'approve'
+            ? await approval.approvePending(parsed.id, { by: by })
+            : await approval.rejectPending(parsed.id, { by: by, reason: 'rejected from Feishu card' });
+        var st = res.record.status;
+        var evt = res.record.resolved && res.record.resolved.event_id ? res.record.resolved.event_id : '-';
+        if (st === 'approved') return { toast: { type: 'success', content: parsed.id + ' approved and landed (' + evt + ').' } };
+        if (st === 'rejected') return { toast: { type: 'info', content: parsed.id + ' rejected and rolled back.' } };
+        return { toast: { type: 'warning', content: parsed.id + ' approved but failed validation; rolled back (' + evt + ').' } };
+    } catch (e) {
+        return { toast: { type: 'error', content: e.message } };
+    }
+}
+
+if (require.main === module) {
+    var cmd = process.argv[2];
+    (async function () {
+        if (cmd === 'notify') {
+            var ids = await notifyPending();
+            console.log('[ApprovalCard] Sent ' + ids.length + ' card(s)' + (ids.length ? ': ' + ids.join(', ') : ''));
+        } else if (cmd === 'action') {
+            var file = process.argv[3];
+            var raw = file ? fs.readFileSync(file, 'utf8') : fs.readFileSync(0, 'utf8');
+            var res = await handleCardAction(JSON.parse(raw));
+            process.stdout.write(JSON.stringify(res) + '\n');
+        } else {
+            console.log('Usage: node approval-card.js notify | action [payload.json]');
+            process.exit(1);
+        }
+    })().catch(function (e) {
+        console.error('[ApprovalCard] ' + e.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { buildApprovalCard, notifyPending, parseCardAction, handleCardAction };
@@ -96,4 +96,4 @@ async function sendCard({ target, title, text, color, note, cardData }) {
     return data;
 }
 
-module.exports = { sendCard };
+module.exports = { sendCard, scanForSecrets };
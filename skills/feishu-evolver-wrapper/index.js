@@ -131,6 +131,8 @@ function buildFallbackStatus(lang, cycleTag, gitInfo, latestEvent) {
     const expectedEffect = mutation && mutation.expected_effect ? String(mutation.expected_effect) : null;
     const blastFiles = evt && evt.blast_radius ? evt.blast_radius.files : null;
     const blastLines = evt && evt.blast_radius ? evt.blast_radius.lines : null;
+    const strategy = evt && evt.meta && evt.meta.strategy ? evt.meta.strategy : null;
+    const strategyLabel = strategy ? String(strategy.label || strategy.name) : null;
     const hasGit = !!(gitInfo && gitInfo.shortHash);
 
     if (lang === 'zh') {
@@ -145,6 +147,9 @@ function buildFallbackStatus(lang, cycleTag, gitInfo, latestEvent) {
         if (geneId) {
             parts.push(`使用基因：${geneId}。`);
         }
+        if (strategyLabel) {
+            parts.push(`进化策略：${strategyLabel}。`);
+        }
         if (blastFiles != null) {
             parts.push(`影响范围：${blastFiles} 个文件 / ${blastLines || 0} 行。`);
         }
@@ -166,6 +171,9 @@ function buildFallbackStatus(lang, cycleTag, gitInfo, latestEvent) {
     if (geneId) {
         parts.push(`Gene: ${geneId}.`);
     }
+    if (strategyLabel) {
+        parts.push(`Strategy: ${strategyLabel}.`);
+    }
     if (blastFiles != null) {
         parts.push(`Blast radius: ${blastFiles} files / ${blastLines || 0} lines.`);
     }
@@ -1136,6 +1144,15 @@ ${modelRoutingDirective}`;
                     console.error('[Wrapper] Post-push report failed:', reportErr.message);
                 }
 
+                // Feature 9: Approval cards for review-mode cycles waiting in the evolver's queue
+                try {
+                    var approvalCard = require('./approval-card.js');
+                    var sentCards = await approvalCard.notifyPending({ target: process.env.EVOLVE_APPROVAL_TARGET || FEISHU_LOG_GROUP });
+                    if (sentCards.length) console.log('[Wrapper] Sent approval card(s): ' + sentCards.join(', '));
+                } catch (e) {
+                    console.warn('[Wrapper] Approval card failed:', e.message);
+                }
+
                 // Feature 7: Issue Tracker (record problems to Feishu doc)
                 try {
                     if (issueTracker && typeof issueTracker.recordIssues === 'function') {
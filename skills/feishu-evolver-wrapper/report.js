@@ -68,7 +68,10 @@ function getDashboardStats() {
             status: e.outcome && e.outcome.status === 'success' ? '✅' : '❌'
         }));
 
-        return { total, successRate, intents, recent };
+        const last = events[events.length - 1];
+        const strategy = last && last.meta && last.meta.strategy ? last.meta.strategy : null;
+
+        return { total, successRate, intents, recent, strategy };
     } catch (e) {
         return null;
     }
@@ -243,6 +246,10 @@ async function sendReport(options) {
 - **Success Rate:** ${stats.successRate}% (${stats.total} Cycles)
 - **Breakdown:** ✨${stats.intents.innovate} 🔧${stats.intents.repair} ⚡${stats.intents.optimize}
 - **Recent:** ${trend}`;
+        if (stats.strategy && stats.strategy.name) {
+            const why = stats.strategy.reason ? `, ${stats.strategy.reason}` : '';
+            dashboardMd += `\n- **Strategy:** ${stats.strategy.label || stats.strategy.name} (${stats.strategy.source || 'default'}${why})`;
+        }
     }
     // --- END SNAPSHOT ---
 